@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "DeliveryStatus" ADD VALUE 'DEAD_LETTER';
+
+-- AlterTable
+ALTER TABLE "NotificationDeliveryLog" ADD COLUMN     "nextAttemptAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "NotificationDeliveryLog_status_nextAttemptAt_idx" ON "NotificationDeliveryLog"("status", "nextAttemptAt");
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'DIGEST';
+
+-- AlterTable
+ALTER TABLE "NotificationSettings" ADD COLUMN     "lastDigestSentAt" TIMESTAMP(3);
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "EmailTemplate" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "type" "NotificationType" NOT NULL,
+    "locale" TEXT NOT NULL DEFAULT 'pt-BR',
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EmailTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailTemplate_userId_type_locale_key" ON "EmailTemplate"("userId", "type", "locale");
+
+-- CreateIndex
+CREATE INDEX "EmailTemplate_type_locale_idx" ON "EmailTemplate"("type", "locale");
+
+-- Apenas um padrão do sistema por tipo e idioma (userId nulo não é coberto pelo índice único acima)
+CREATE UNIQUE INDEX "EmailTemplate_system_type_locale_key" ON "EmailTemplate"("type", "locale") WHERE "userId" IS NULL;
+
+-- AddForeignKey
+ALTER TABLE "EmailTemplate" ADD CONSTRAINT "EmailTemplate_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "phone" TEXT;
+
+-- CreateTable
+CREATE TABLE "SmsMessage" (
+    "id" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "part" INTEGER NOT NULL DEFAULT 1,
+    "parts" INTEGER NOT NULL DEFAULT 1,
+    "encoding" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "gateway" TEXT NOT NULL,
+    "gatewayMessageId" TEXT,
+    "cost" DECIMAL(10,4) NOT NULL DEFAULT 0,
+    "currency" TEXT NOT NULL DEFAULT 'BRL',
+    "errorMessage" TEXT,
+    "userId" TEXT,
+    "guestId" TEXT,
+    "notificationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SmsMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SmsMessage_userId_createdAt_idx" ON "SmsMessage"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SmsMessage" ADD CONSTRAINT "SmsMessage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SmsMessage" ADD CONSTRAINT "SmsMessage_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "DeliveryChannel" ADD VALUE 'CHAT';
+
+-- AlterTable
+ALTER TABLE "NotificationSettings" ADD COLUMN "slackWebhookUrl" TEXT,
+ADD COLUMN "discordWebhookUrl" TEXT;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "NotificationSettings" ADD COLUMN "preferences" JSONB NOT NULL DEFAULT '{}';
+
+-- Migrar as colunas por tipo para a matriz tipo x canal
+UPDATE "NotificationSettings"
+SET "preferences" = jsonb_build_object(
+    'GUEST_CONFIRMED', "guestConfirmed",
+    'GUEST_DECLINED', "guestDeclined",
+    'INVITE_SENT', "inviteSent",
+    'EVENT_REMINDER', "eventReminder"
+);
+
+-- AlterTable
+ALTER TABLE "NotificationSettings" DROP COLUMN "guestConfirmed",
+DROP COLUMN "guestDeclined",
+DROP COLUMN "inviteSent",
+DROP COLUMN "eventReminder";
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "EventNotificationSettings" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "muted" BOOLEAN NOT NULL DEFAULT false,
+    "preferences" JSONB,
+    "digestFrequency" "DigestFrequency",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EventNotificationSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventNotificationSettings_eventId_key" ON "EventNotificationSettings"("eventId");
+
+-- AddForeignKey
+ALTER TABLE "EventNotificationSettings" ADD CONSTRAINT "EventNotificationSettings_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
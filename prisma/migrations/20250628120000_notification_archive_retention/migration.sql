@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Notification" ADD COLUMN "archivedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_archivedAt_idx" ON "Notification"("userId", "archivedAt");
+
+-- CreateIndex
+CREATE INDEX "Notification_read_createdAt_idx" ON "Notification"("read", "createdAt");
+
+-- CreateTable
+CREATE TABLE "NotificationDeliverySummary" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "type" "NotificationType" NOT NULL,
+    "channel" "DeliveryChannel" NOT NULL,
+    "status" "DeliveryStatus" NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "retries" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationDeliverySummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationDeliverySummary_userId_day_type_channel_status_key" ON "NotificationDeliverySummary"("userId", "day", "type", "channel", "status");
+
+-- AddForeignKey
+ALTER TABLE "NotificationDeliverySummary" ADD CONSTRAINT "NotificationDeliverySummary_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
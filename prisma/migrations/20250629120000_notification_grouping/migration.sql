@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "NotificationSettings" ADD COLUMN "groupingWindowMinutes" INTEGER NOT NULL DEFAULT 5;
+
+-- AlterTable
+ALTER TABLE "Notification" ADD COLUMN "groupKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_groupKey_createdAt_idx" ON "Notification"("userId", "groupKey", "createdAt");
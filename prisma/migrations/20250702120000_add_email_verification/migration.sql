@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "emailVerifiedAt" TIMESTAMP(3),
+ADD COLUMN "pendingEmail" TEXT,
+ADD COLUMN "emailVerificationSentAt" TIMESTAMP(3);
+
+-- Contas criadas antes da verificação continuam com os mesmos acessos
+UPDATE "User" SET "emailVerifiedAt" = "createdAt";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "NotificationDeliveryLog" ADD COLUMN "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Logs anteriores: a última tentativa é a melhor aproximação do início da entrega
+UPDATE "NotificationDeliveryLog" SET "createdAt" = "attemptedAt";
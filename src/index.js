@@ -12,18 +12,41 @@ const http = require('http');
 const socketIo = require('socket.io');
 
 // Importação das rotas (desestruturando para pegar apenas o router)
-const { router: authRoutes }     = require('./routes/auth.routes');
+const { router: authRoutes, verifyToken } = require('./routes/auth.routes');
 const { router: eventRoutes }    = require('./routes/event.routes');
 const { router: inviteRoutes }   = require('./routes/invite.routes');
 const { router: guestRoutes }    = require('./routes/guest.routes');
-const { router: whatsappRoutes } = require('./routes/whatsapp.routes');
+const { router: whatsappRoutes, sendWhatsAppMessage } = require('./routes/whatsapp.routes');
 const { router: userRoutes } = require('./routes/user.routes');
 const { router: notificationRoutes } = require('./routes/notification.routes');
+const { router: smsRoutes } = require('./routes/sms.routes');
+const { router: webhookRoutes } = require('./routes/webhook.routes');
 
 // Importação dos serviços de notificação
 const NotificationService = require('./services/NotificationService');
+const NotificationOutboxWorker = require('./services/NotificationOutboxWorker');
+const DeliveryRetryScheduler = require('./services/DeliveryRetryScheduler');
+const NotificationDigestJob = require('./services/NotificationDigestJob');
+const NotificationRetentionJob = require('./services/NotificationRetentionJob');
+const EventReminderScheduler = require('./services/EventReminderScheduler');
+const GuestMessenger = require('./services/GuestMessenger');
+const EventDashboardStream = require('./services/EventDashboardStream');
+const AuthSessionService = require('./services/AuthSessionService');
+const PasswordResetService = require('./services/PasswordResetService');
+const EmailVerificationService = require('./services/EmailVerificationService');
 const WebSocketNotificationProvider = require('./providers/WebSocketNotificationProvider');
 const EmailNotificationProvider = require('./providers/EmailNotificationProvider');
+const PushNotificationProvider = require('./providers/PushNotificationProvider');
+const SmsNotificationProvider = require('./providers/SmsNotificationProvider');
+const WebhookNotificationProvider = require('./providers/WebhookNotificationProvider');
+const ChatWebhookNotificationProvider = require('./providers/ChatWebhookNotificationProvider');
+const { createSmsGateway } = require('./providers/sms');
+const UserRepository = require('./repositories/UserRepository');
+const EmailTemplateRepository = require('./repositories/EmailTemplateRepository');
+const PushSubscriptionRepository = require('./repositories/PushSubscriptionRepository');
+const SmsMessageRepository = require('./repositories/SmsMessageRepository');
+const DeliveryLogRepository = require('./repositories/DeliveryLogRepository');
+const { createSharedState, connectSharedState, closeSharedState } = require('./services/state');
 
 // Inicialização do app e do Prisma
 const app    = express();
@@ -46,6 +69,13 @@ const corsOptions = {
   credentials: true,
 };
 
+// Atrás do nginx, req.ip vem do X-Forwarded-For (IP registrado nas sessões de login).
+// TRUST_PROXY aceita a quantidade de proxies (ex: 1) ou os valores do Express (ex: loopback)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Configuração do body-parser
 app.use(cors(corsOptions));
 app.use(helmet());
@@ -82,20 +112,168 @@ const emailConfig = {
   frontendUrl: process.env.FRONTEND_URL || 'https://convitecerto.online'
 };
 
+// Estado compartilhado entre instâncias (Redis com REDIS_URL; memória sem ele):
+// presença dos sockets, adapter do Socket.IO e cache de QR Code do WhatsApp
+const sharedState = createSharedState(process.env, logger);
+
 // Inicializar serviços de notificação
-const notificationService = new NotificationService(prisma, logger);
-const websocketProvider = new WebSocketNotificationProvider(io, logger);
-const emailProvider = new EmailNotificationProvider(emailConfig, logger);
+const notificationService = new NotificationService(prisma, logger, {
+  maxDeliveryRetries: parseInt(process.env.NOTIFICATION_MAX_RETRIES, 10) || 5
+});
+// Painel ao vivo dos eventos: convidados, RSVPs, mensagens e importações
+const eventDashboard = new EventDashboardStream(prisma, io, logger, {
+  importProgressEvery: parseInt(process.env.IMPORT_PROGRESS_EVERY, 10) || 10
+});
+// Sessões de login: access token curto + refresh token rotativo
+const authSessions = new AuthSessionService(prisma, logger, {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // Sockets autenticados com tokens das sessões revogadas são encerrados
+  onSessionRevoked: sessionId => websocketProvider.disconnectSession(sessionId),
+  onAllSessionsRevoked: userId => websocketProvider.disconnectUser(userId)
+});
+const websocketProvider = new WebSocketNotificationProvider(io, logger, {
+  verifyToken,
+  authSessions,
+  notificationService,
+  eventDashboard,
+  stateStore: sharedState.store,
+  presenceTtlMs: parseInt(process.env.WS_PRESENCE_TTL_MS, 10) || 60000
+});
+const userRepository = new UserRepository(prisma);
+const emailTemplateRepository = new EmailTemplateRepository(prisma);
+const deliveryLogRepository = new DeliveryLogRepository(prisma);
+const emailProvider = new EmailNotificationProvider(emailConfig, logger, {
+  userRepository,
+  templateRepository: emailTemplateRepository
+});
+
+// Redefinição de senha por email (link de uso único)
+const passwordReset = new PasswordResetService(prisma, logger, {
+  emailProvider,
+  authSessions,
+  frontendUrl: emailConfig.frontendUrl,
+  tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60
+});
+
+// Confirmação de email (registro e troca de email) e política de envio de convites
+const emailVerification = new EmailVerificationService(prisma, logger, {
+  emailProvider,
+  frontendUrl: emailConfig.frontendUrl,
+  // Segredo próprio: um link de confirmação nunca é aceito como access token
+  secret: process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:email-verification`,
+  tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+  resendIntervalMs: parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_MS, 10) || 60000,
+  invitePolicy: process.env.RESTRICT_UNVERIFIED_INVITES === 'true'
+    ? EmailVerificationService.requireVerifiedEmail
+    : undefined
+});
+
+const pushSubscriptionRepository = new PushSubscriptionRepository(prisma);
+const pushProvider = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+  ? new PushNotificationProvider({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || `mailto:${emailConfig.fromEmail}`,
+    frontendUrl: emailConfig.frontendUrl
+  }, logger, { subscriptionRepository: pushSubscriptionRepository })
+  : null;
+const smsMessageRepository = new SmsMessageRepository(prisma);
+const smsGateway = createSmsGateway(process.env, logger);
+const smsProvider = smsGateway
+  ? new SmsNotificationProvider({
+    maxParts: parseInt(process.env.SMS_MAX_PARTS, 10) || 3,
+    costPerMessage: parseFloat(process.env.SMS_COST_PER_MESSAGE) || 0,
+    currency: process.env.SMS_CURRENCY || 'BRL'
+  }, logger, { gateway: smsGateway, userRepository, smsRepository: smsMessageRepository })
+  : null;
+
+// Slack/Discord configurados por usuário nas configurações de notificação
+const chatProvider = new ChatWebhookNotificationProvider({
+  frontendUrl: emailConfig.frontendUrl
+}, logger, { userRepository });
+
+// Webhooks de saída (integrações dos organizadores)
+const webhookProvider = new WebhookNotificationProvider(prisma, logger, {
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+});
 
 // Registrar provedores de notificação
 notificationService.registerProvider('websocket', websocketProvider);
 notificationService.registerProvider('email', emailProvider);
+if (pushProvider) {
+  notificationService.registerProvider('push', pushProvider);
+} else {
+  logger.warn('VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY não configuradas: notificações push desativadas');
+}
+if (smsProvider) {
+  notificationService.registerProvider('sms', smsProvider);
+}
+notificationService.registerProvider('chat', chatProvider);
+notificationService.registerProvider('webhook', webhookProvider);
+
+// Mensagens para convidados (lembretes, alterações de evento)
+notificationService.setGuestMessenger(new GuestMessenger(prisma, logger, {
+  sendWhatsApp: sendWhatsAppMessage,
+  emailProvider,
+  smsProvider,
+  eventDashboard
+}));
+
+// Worker que entrega os eventos gravados no outbox ao NotificationService
+const notificationOutbox = new NotificationOutboxWorker(prisma, notificationService, logger, {
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 5000
+});
+
+// Agendador que reenvia entregas que falharam (backoff exponencial + dead-letter)
+const deliveryRetryScheduler = new DeliveryRetryScheduler(prisma, notificationService, logger, {
+  pollIntervalMs: parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS, 10) || 30000
+});
+
+// Job de resumos diários/semanais (horário local de cada usuário)
+const notificationDigestJob = new NotificationDigestJob(prisma, notificationService, logger, {
+  digestHour: process.env.DIGEST_HOUR ? parseInt(process.env.DIGEST_HOUR, 10) : 8
+});
+
+// Retenção: remove notificações lidas antigas (0 desativa), mantendo os totais de entrega
+const notificationRetentionDays = process.env.NOTIFICATION_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10)
+  : 90;
+const notificationRetentionJob = notificationRetentionDays > 0
+  ? new NotificationRetentionJob(prisma, logger, { retentionDays: notificationRetentionDays })
+  : null;
+
+// Agendador de lembretes de eventos (organizador e, opcionalmente, convidados confirmados)
+const eventReminderScheduler = new EventReminderScheduler(prisma, notificationOutbox, logger, {
+  pollIntervalMs: parseInt(process.env.EVENT_REMINDER_INTERVAL_MS, 10) || 5 * 60 * 1000,
+  offsets: process.env.EVENT_REMINDER_OFFSETS,
+  notifyGuests: process.env.EVENT_REMINDER_NOTIFY_GUESTS === 'true'
+});
 
 // Disponibiliza Prisma, Logger e NotificationService em req
 app.use((req, res, next) => {
   req.prisma = prisma;
   req.logger = logger;
   req.notificationService = notificationService;
+  req.notificationOutbox = notificationOutbox;
+  req.emailProvider = emailProvider;
+  req.userRepository = userRepository;
+  req.emailTemplateRepository = emailTemplateRepository;
+  req.deliveryLogRepository = deliveryLogRepository;
+  req.pushProvider = pushProvider;
+  req.pushSubscriptionRepository = pushSubscriptionRepository;
+  req.smsProvider = smsProvider;
+  req.smsMessageRepository = smsMessageRepository;
+  req.chatProvider = chatProvider;
+  req.webhookProvider = webhookProvider;
+  req.stateStore = sharedState.store;
+  req.eventDashboard = eventDashboard;
+  req.authSessions = authSessions;
+  req.passwordReset = passwordReset;
+  req.emailVerification = emailVerification;
   req.io = io;
   next();
 });
@@ -117,6 +295,8 @@ app.use('/api/guest',   guestRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/notifications', notificationRoutes); // Nova rota de notificações
+app.use('/api/sms', smsRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Definição básica do OpenAPI
 const swaggerDefinition = {
@@ -157,13 +337,16 @@ const swaggerSpec = swaggerJSDoc(options);
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.status(200).json({ 
     status: 'ok', 
     timestamp: new Date(),
+    sharedState: sharedState.store.name,
     notifications: {
-      websocketConnections: websocketProvider.getConnectedUsers().length,
-      emailProvider: 'configured'
+      websocketConnections: (await websocketProvider.getConnectedUsers()).length,
+      emailProvider: 'configured',
+      pushProvider: pushProvider ? 'configured' : 'disabled',
+      smsProvider: smsGateway ? smsGateway.name : 'disabled'
     }
   });
 });
@@ -176,8 +359,8 @@ app.get('/', (req, res) => {
 });
 
 // WebSocket status endpoint
-app.get('/api/websocket/status', (req, res) => {
-  const stats = websocketProvider.getStats();
+app.get('/api/websocket/status', async (req, res) => {
+  const stats = await websocketProvider.getStats();
   res.status(200).json(stats);
 });
 
@@ -197,11 +380,19 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// Iniciar servidor
-server.listen(PORT, '0.0.0.0', async () => {
+// Iniciar servidor (após conectar ao Redis, quando configurado)
+connectSharedState(sharedState, io).then(() => server.listen(PORT, '0.0.0.0', async () => {
   logger.info(`Servidor rodando na porta ${PORT}`);
   console.log(`Servidor rodando na porta ${PORT}`);
   console.log(`WebSocket habilitado para notificações em tempo real`);
+
+  // Processar eventos pendentes do outbox (inclusive os gravados antes de um restart)
+  notificationOutbox.start();
+  deliveryRetryScheduler.start();
+  notificationDigestJob.start();
+  notificationRetentionJob?.start();
+  eventReminderScheduler.start();
+  webhookProvider.start();
   
   // Testar configuração de email
   const emailTest = await emailProvider.testConnection();
@@ -210,13 +401,24 @@ server.listen(PORT, '0.0.0.0', async () => {
   } else {
     console.log('⚠️ Problema na configuração de email:', emailTest.error);
   }
+})).catch((error) => {
+  logger.error('Falha ao conectar ao Redis, encerrando:', error);
+  process.exit(1);
 });
 
 // Encerramento gracioso
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM recebido, fechando conexões...');
+  await notificationOutbox.stop();
+  await deliveryRetryScheduler.stop();
+  await notificationDigestJob.stop();
+  await notificationRetentionJob?.stop();
+  await eventReminderScheduler.stop();
+  await webhookProvider.stop();
+  websocketProvider.stopPresenceRefresh();
   await prisma.$disconnect();
-  server.close(() => {
+  server.close(async () => {
+    await closeSharedState(sharedState);
     process.exit(0);
   });
 });
@@ -0,0 +1,115 @@
+/**
+ * Textos em inglês (Estados Unidos)
+ */
+module.exports = {
+  common: {
+    guest: 'Guest',
+    event: 'Event',
+    date: 'Date',
+    location: 'Location',
+    dateNotInformed: 'Date not provided',
+    locationNotInformed: 'Location not provided',
+    dateTime: '{{weekday}}, {{date}} at {{time}}',
+    footerAutomatic: 'This is an automatic notification from Convite Certo.',
+    footerPreferences: 'To change your notification preferences, go to your settings.'
+  },
+  GUEST_CONFIRMED: {
+    subject: '✅ RSVP Confirmed - {{eventTitle}}',
+    title: 'RSVP Confirmed',
+    heading: 'Great news!',
+    message: '<strong>{{guestName}}</strong> confirmed attendance at your event!',
+    messageGrouped: '<strong>{{guestCount}} guests</strong> confirmed attendance at your event: {{guestName}}.',
+    body: 'You can see all guests and their responses on the event dashboard.',
+    button: 'View Event Dashboard'
+  },
+  GUEST_DECLINED: {
+    subject: '❌ Invitation Declined - {{eventTitle}}',
+    title: 'Invitation Declined',
+    heading: 'An update about your event',
+    message: '<strong>{{guestName}}</strong> declined the invitation to your event.',
+    messageGrouped: '<strong>{{guestCount}} guests</strong> declined the invitation to your event: {{guestName}}.',
+    body: 'You can see the updated status of all guests on the event dashboard.',
+    button: 'View Event Dashboard'
+  },
+  GUEST_PENDING: {
+    subject: '⏳ Response Withdrawn - {{eventTitle}}',
+    title: 'Response Withdrawn',
+    heading: 'An update about your event',
+    message: '<strong>{{guestName}}</strong> is pending again for your event.',
+    messageGrouped: '<strong>{{guestCount}} guests</strong> are pending again for your event: {{guestName}}.',
+    body: 'The guest can still respond to the invitation. Follow the responses on the event dashboard.',
+    button: 'View Event Dashboard'
+  },
+  INVITE_SENT: {
+    subject: '📧 Invitation Sent - {{eventTitle}}',
+    title: 'Invitation Sent',
+    heading: 'Invitation sent successfully!',
+    message: 'Your invitation was sent to the selected guests.',
+    invitesSent: 'Invitations sent',
+    body: 'You will be notified when guests respond to the invitations.',
+    button: 'Track Responses'
+  },
+  EVENT_REMINDER: {
+    subject: '⏰ Event Reminder - {{eventTitle}}',
+    title: 'Event Reminder',
+    heading: 'Your event is coming up!',
+    confirmed: 'Confirmed',
+    confirmedGuests: '{{confirmedCount}} guests',
+    body: 'Don\'t forget to make the final preparations for your event!',
+    button: 'View Event Details'
+  },
+  EVENT_UPDATED: {
+    subject: '✏️ Event Updated - {{eventTitle}}',
+    title: 'Event Updated',
+    heading: 'Your event was changed',
+    changed: 'Changes',
+    guestsNotified: 'Guests notified',
+    body: 'Check the updated details on the event dashboard.',
+    button: 'View Event Details',
+    fields: {
+      title: 'Title',
+      date: 'Date',
+      location: 'Location',
+      description: 'Description',
+      maxGuests: 'Guest limit',
+      notes: 'Notes',
+      type: 'Type',
+      image: 'Image'
+    }
+  },
+  SYSTEM_ALERT: {
+    subject: '🔔 System Alert - Convite Certo',
+    title: 'System Alert',
+    heading: 'A notice about your account',
+    body: 'Open the dashboard for more details.',
+    button: 'Open Dashboard'
+  },
+  DIGEST: {
+    subject: '📊 {{digestTitle}} - {{totalConfirmed}} confirmations, {{totalDeclined}} declines',
+    dailyTitle: 'Daily Summary',
+    weeklyTitle: 'Weekly Summary',
+    confirmations: 'confirmations',
+    declines: 'declines',
+    pending: 'pending',
+    confirmedList: 'Confirmed',
+    declinedList: 'Declined',
+    invitesSent: 'Invitations sent',
+    pendingLabel: 'Pending',
+    noResponses: 'No guest responses in this period.',
+    upcomingTitle: 'Upcoming events',
+    button: 'View Dashboard',
+    footer: 'To change the summary frequency, go to your notification settings.'
+  },
+  PASSWORD_RESET: {
+    subject: '🔑 Password reset - Convite Certo',
+    text: 'Hi, {{name}}!\n\nWe received a request to reset the password of your Convite Certo account. '
+      + 'To choose a new password, open the link below (valid for {{minutes}} minutes):\n\n{{link}}\n\n'
+      + 'If you did not make this request, ignore this email: your password stays the same.'
+  },
+  EMAIL_VERIFICATION: {
+    subject: '✉️ Confirm your email - Convite Certo',
+    text: 'Hi, {{name}}!\n\nConfirm that {{email}} is your Convite Certo email by opening the link below '
+      + '(valid for {{hours}} hours):\n\n{{link}}\n\n'
+      + 'If you did not create an account or change your email on Convite Certo, ignore this message.'
+  }
+};
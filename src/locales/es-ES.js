@@ -0,0 +1,115 @@
+/**
+ * Textos em espanhol (Espanha)
+ */
+module.exports = {
+  common: {
+    guest: 'Invitado',
+    event: 'Evento',
+    date: 'Fecha',
+    location: 'Lugar',
+    dateNotInformed: 'Fecha no informada',
+    locationNotInformed: 'Lugar no informado',
+    dateTime: '{{weekday}}, {{date}} a las {{time}}',
+    footerAutomatic: 'Esta es una notificación automática del sistema Convite Certo.',
+    footerPreferences: 'Para cambiar tus preferencias de notificación, accede a tu configuración.'
+  },
+  GUEST_CONFIRMED: {
+    subject: '✅ Confirmación de Asistencia - {{eventTitle}}',
+    title: 'Confirmación de Asistencia',
+    heading: '¡Buenas noticias!',
+    message: '<strong>{{guestName}}</strong> confirmó su asistencia a tu evento.',
+    messageGrouped: '<strong>{{guestCount}} invitados</strong> confirmaron su asistencia a tu evento: {{guestName}}.',
+    body: 'Puedes ver todos los invitados y sus confirmaciones en el panel de gestión del evento.',
+    button: 'Ver Panel del Evento'
+  },
+  GUEST_DECLINED: {
+    subject: '❌ Invitación Rechazada - {{eventTitle}}',
+    title: 'Invitación Rechazada',
+    heading: 'Información sobre tu evento',
+    message: '<strong>{{guestName}}</strong> rechazó la invitación a tu evento.',
+    messageGrouped: '<strong>{{guestCount}} invitados</strong> rechazaron la invitación a tu evento: {{guestName}}.',
+    body: 'Puedes ver el estado actualizado de todos los invitados en el panel de gestión.',
+    button: 'Ver Panel del Evento'
+  },
+  GUEST_PENDING: {
+    subject: '⏳ Respuesta Retirada - {{eventTitle}}',
+    title: 'Respuesta Retirada',
+    heading: 'Novedades sobre tu evento',
+    message: '<strong>{{guestName}}</strong> volvió a quedar pendiente en tu evento.',
+    messageGrouped: '<strong>{{guestCount}} invitados</strong> volvieron a quedar pendientes en tu evento: {{guestName}}.',
+    body: 'El invitado aún puede responder a la invitación. Sigue las respuestas en el panel del evento.',
+    button: 'Ver Panel del Evento'
+  },
+  INVITE_SENT: {
+    subject: '📧 Invitación Enviada - {{eventTitle}}',
+    title: 'Invitación Enviada',
+    heading: '¡Invitación enviada con éxito!',
+    message: 'Tu invitación fue enviada a los invitados seleccionados.',
+    invitesSent: 'Invitaciones enviadas',
+    body: 'Recibirás notificaciones cuando los invitados respondan.',
+    button: 'Seguir Respuestas'
+  },
+  EVENT_REMINDER: {
+    subject: '⏰ Recordatorio de Evento - {{eventTitle}}',
+    title: 'Recordatorio de Evento',
+    heading: '¡Tu evento se acerca!',
+    confirmed: 'Confirmados',
+    confirmedGuests: '{{confirmedCount}} invitados',
+    body: '¡No olvides hacer los preparativos finales para tu evento!',
+    button: 'Ver Detalles del Evento'
+  },
+  EVENT_UPDATED: {
+    subject: '✏️ Evento Actualizado - {{eventTitle}}',
+    title: 'Evento Actualizado',
+    heading: 'Tu evento fue modificado',
+    changed: 'Cambios',
+    guestsNotified: 'Invitados avisados',
+    body: 'Revisa los datos actualizados en el panel del evento.',
+    button: 'Ver Detalles del Evento',
+    fields: {
+      title: 'Título',
+      date: 'Fecha',
+      location: 'Lugar',
+      description: 'Descripción',
+      maxGuests: 'Límite de invitados',
+      notes: 'Observaciones',
+      type: 'Tipo',
+      image: 'Imagen'
+    }
+  },
+  SYSTEM_ALERT: {
+    subject: '🔔 Alerta del Sistema - Convite Certo',
+    title: 'Alerta del Sistema',
+    heading: 'Aviso sobre tu cuenta',
+    body: 'Accede al panel para más detalles.',
+    button: 'Acceder al Panel'
+  },
+  DIGEST: {
+    subject: '📊 {{digestTitle}} - {{totalConfirmed}} confirmaciones, {{totalDeclined}} rechazos',
+    dailyTitle: 'Resumen Diario',
+    weeklyTitle: 'Resumen Semanal',
+    confirmations: 'confirmaciones',
+    declines: 'rechazos',
+    pending: 'pendientes',
+    confirmedList: 'Confirmaron',
+    declinedList: 'Rechazaron',
+    invitesSent: 'Invitaciones enviadas',
+    pendingLabel: 'Pendientes',
+    noResponses: 'Ninguna respuesta de invitados en el período.',
+    upcomingTitle: 'Próximos eventos',
+    button: 'Ver Panel',
+    footer: 'Para cambiar la frecuencia del resumen, accede a tu configuración de notificaciones.'
+  },
+  PASSWORD_RESET: {
+    subject: '🔑 Restablecimiento de contraseña - Convite Certo',
+    text: '¡Hola, {{name}}!\n\nRecibimos una solicitud para restablecer la contraseña de tu cuenta en Convite Certo. '
+      + 'Para elegir una nueva contraseña, accede al siguiente enlace (válido por {{minutes}} minutos):\n\n{{link}}\n\n'
+      + 'Si no hiciste esta solicitud, ignora este correo: tu contraseña sigue siendo la misma.'
+  },
+  EMAIL_VERIFICATION: {
+    subject: '✉️ Confirma tu correo - Convite Certo',
+    text: '¡Hola, {{name}}!\n\nConfirma que {{email}} es tu correo en Convite Certo accediendo al siguiente enlace '
+      + '(válido por {{hours}} horas):\n\n{{link}}\n\n'
+      + 'Si no creaste una cuenta ni cambiaste tu correo en Convite Certo, ignora este mensaje.'
+  }
+};
@@ -0,0 +1,129 @@
+const DEFAULT_LOCALE = 'pt-BR';
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+// Catálogos de textos por idioma
+const catalogs = {
+  'pt-BR': require('./pt-BR'),
+  'en-US': require('./en-US'),
+  'es-ES': require('./es-ES')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/**
+ * Monta a cadeia de fallback de um idioma: o próprio idioma, outro catálogo
+ * do mesmo idioma (ex: es-MX → es-ES) e, por fim, o idioma padrão (pt-BR)
+ * @param {string} locale - Idioma solicitado (ex: en-US, es, es-MX)
+ * @returns {Array} Idiomas suportados, em ordem de preferência
+ */
+const getLocaleChain = (locale) => {
+  const chain = [];
+  const requested = String(locale || '').replace('_', '-').toLowerCase();
+  const language = requested.split('-')[0];
+
+  const exact = SUPPORTED_LOCALES.find(l => l.toLowerCase() === requested);
+  if (exact) chain.push(exact);
+
+  const sameLanguage = SUPPORTED_LOCALES.find(l => l.split('-')[0].toLowerCase() === language);
+  if (sameLanguage && !chain.includes(sameLanguage)) chain.push(sameLanguage);
+
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+
+  return chain;
+};
+
+/**
+ * Resolve o idioma efetivamente usado para um idioma solicitado
+ * @param {string} locale - Idioma solicitado
+ * @returns {string} Idioma suportado
+ */
+const resolveLocale = (locale) => getLocaleChain(locale)[0];
+
+/**
+ * Traduz uma chave (ex: GUEST_CONFIRMED.subject) seguindo a cadeia de fallback.
+ * Variáveis informadas substituem {{nome}}; as demais são mantidas para o template.
+ * @param {string} locale - Idioma solicitado
+ * @param {string} key - Chave do texto
+ * @param {Object} variables - Variáveis de interpolação
+ * @returns {string} Texto traduzido (ou a própria chave, se não existir em nenhum idioma)
+ */
+const translate = (locale, key, variables = {}) => {
+  for (const candidate of getLocaleChain(locale)) {
+    const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalogs[candidate]);
+    if (typeof value === 'string') {
+      return value.replace(/{{(\w+)}}/g, (match, name) => (
+        variables[name] !== undefined ? String(variables[name]) : match
+      ));
+    }
+  }
+  return key;
+};
+
+/**
+ * Formata data e hora conforme as preferências do usuário (UserConfig)
+ * @param {Date|string} date - Data
+ * @param {Object} preferences - Preferências
+ * @param {string} preferences.language - Idioma (nomes dos dias da semana)
+ * @param {string} preferences.dateFormat - Formato da data (tokens DD, MM, YYYY, YY)
+ * @param {string} preferences.timeFormat - 12h ou 24h
+ * @param {string} preferences.timezone - Fuso horário IANA
+ * @param {boolean} preferences.dateOnly - Omite dia da semana e hora
+ * @returns {string} Data formatada
+ */
+const formatDateTime = (date, preferences = {}) => {
+  const locale = resolveLocale(preferences.language);
+  const formatOptions = {
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit'
+  };
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat(locale, { ...formatOptions, timeZone: preferences.timezone || DEFAULT_TIMEZONE });
+  } catch (error) {
+    // Fuso inválido: usar o padrão do sistema
+    formatter = new Intl.DateTimeFormat(locale, { ...formatOptions, timeZone: DEFAULT_TIMEZONE });
+  }
+
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const dateFormat = /DD|MM|YY/.test(preferences.dateFormat || '') ? preferences.dateFormat : 'DD/MM/YYYY';
+  const formattedDate = dateFormat.replace(/YYYY|YY|DD|MM/g, (token) => ({
+    YYYY: parts.year,
+    YY: parts.year.slice(-2),
+    DD: parts.day,
+    MM: parts.month
+  })[token]);
+
+  if (preferences.dateOnly) {
+    return formattedDate;
+  }
+
+  const hour = parseInt(parts.hour, 10);
+  const time = preferences.timeFormat === '12h'
+    ? `${hour % 12 || 12}:${parts.minute} ${hour < 12 ? 'AM' : 'PM'}`
+    : `${parts.hour}:${parts.minute}`;
+
+  return translate(locale, 'common.dateTime', {
+    weekday: parts.weekday,
+    date: formattedDate,
+    time
+  });
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  getLocaleChain,
+  resolveLocale,
+  translate,
+  formatDateTime
+};
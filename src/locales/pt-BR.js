@@ -0,0 +1,115 @@
+/**
+ * Textos em português (Brasil) - idioma padrão
+ */
+module.exports = {
+  common: {
+    guest: 'Convidado',
+    event: 'Evento',
+    date: 'Data',
+    location: 'Local',
+    dateNotInformed: 'Data não informada',
+    locationNotInformed: 'Local não informado',
+    dateTime: '{{weekday}}, {{date}} às {{time}}',
+    footerAutomatic: 'Esta é uma notificação automática do sistema Convite Certo.',
+    footerPreferences: 'Para alterar suas preferências de notificação, acesse suas configurações.'
+  },
+  GUEST_CONFIRMED: {
+    subject: '✅ Confirmação de Presença - {{eventTitle}}',
+    title: 'Confirmação de Presença',
+    heading: 'Ótimas notícias!',
+    message: '<strong>{{guestName}}</strong> confirmou presença no seu evento!',
+    messageGrouped: '<strong>{{guestCount}} convidados</strong> confirmaram presença no seu evento: {{guestName}}.',
+    body: 'Você pode visualizar todos os convidados e suas confirmações no painel de gerenciamento do evento.',
+    button: 'Ver Painel do Evento'
+  },
+  GUEST_DECLINED: {
+    subject: '❌ Recusa de Convite - {{eventTitle}}',
+    title: 'Recusa de Convite',
+    heading: 'Informação sobre seu evento',
+    message: '<strong>{{guestName}}</strong> recusou o convite para o seu evento.',
+    messageGrouped: '<strong>{{guestCount}} convidados</strong> recusaram o convite para o seu evento: {{guestName}}.',
+    body: 'Você pode visualizar o status atualizado de todos os convidados no painel de gerenciamento.',
+    button: 'Ver Painel do Evento'
+  },
+  GUEST_PENDING: {
+    subject: '⏳ Resposta Desfeita - {{eventTitle}}',
+    title: 'Resposta Desfeita',
+    heading: 'Atualização sobre seu evento',
+    message: '<strong>{{guestName}}</strong> voltou a ficar pendente no seu evento.',
+    messageGrouped: '<strong>{{guestCount}} convidados</strong> voltaram a ficar pendentes no seu evento: {{guestName}}.',
+    body: 'O convidado ainda pode responder ao convite. Acompanhe as respostas no painel do evento.',
+    button: 'Ver Painel do Evento'
+  },
+  INVITE_SENT: {
+    subject: '📧 Convite Enviado - {{eventTitle}}',
+    title: 'Convite Enviado',
+    heading: 'Convite enviado com sucesso!',
+    message: 'Seu convite foi enviado para os convidados selecionados.',
+    invitesSent: 'Convites enviados',
+    body: 'Você receberá notificações quando os convidados responderem aos convites.',
+    button: 'Acompanhar Respostas'
+  },
+  EVENT_REMINDER: {
+    subject: '⏰ Lembrete de Evento - {{eventTitle}}',
+    title: 'Lembrete de Evento',
+    heading: 'Seu evento está se aproximando!',
+    confirmed: 'Confirmados',
+    confirmedGuests: '{{confirmedCount}} convidados',
+    body: 'Não se esqueça de fazer os preparativos finais para seu evento!',
+    button: 'Ver Detalhes do Evento'
+  },
+  EVENT_UPDATED: {
+    subject: '✏️ Evento Atualizado - {{eventTitle}}',
+    title: 'Evento Atualizado',
+    heading: 'Seu evento foi alterado',
+    changed: 'Alterações',
+    guestsNotified: 'Convidados avisados',
+    body: 'Confira os dados atualizados no painel do evento.',
+    button: 'Ver Detalhes do Evento',
+    fields: {
+      title: 'Título',
+      date: 'Data',
+      location: 'Local',
+      description: 'Descrição',
+      maxGuests: 'Limite de convidados',
+      notes: 'Observações',
+      type: 'Tipo',
+      image: 'Imagem'
+    }
+  },
+  SYSTEM_ALERT: {
+    subject: '🔔 Alerta do Sistema - Convite Certo',
+    title: 'Alerta do Sistema',
+    heading: 'Aviso sobre sua conta',
+    body: 'Acesse o painel para mais detalhes.',
+    button: 'Acessar Painel'
+  },
+  DIGEST: {
+    subject: '📊 {{digestTitle}} - {{totalConfirmed}} confirmações, {{totalDeclined}} recusas',
+    dailyTitle: 'Resumo Diário',
+    weeklyTitle: 'Resumo Semanal',
+    confirmations: 'confirmações',
+    declines: 'recusas',
+    pending: 'pendentes',
+    confirmedList: 'Confirmaram',
+    declinedList: 'Recusaram',
+    invitesSent: 'Convites enviados',
+    pendingLabel: 'Pendentes',
+    noResponses: 'Nenhuma resposta de convidados no período.',
+    upcomingTitle: 'Próximos eventos',
+    button: 'Ver Painel',
+    footer: 'Para alterar a frequência do resumo, acesse suas configurações de notificação.'
+  },
+  PASSWORD_RESET: {
+    subject: '🔑 Redefinição de senha - Convite Certo',
+    text: 'Olá, {{name}}!\n\nRecebemos um pedido para redefinir a senha da sua conta no Convite Certo. '
+      + 'Para escolher uma nova senha, acesse o link abaixo (válido por {{minutes}} minutos):\n\n{{link}}\n\n'
+      + 'Se você não fez esse pedido, ignore este email: sua senha continua a mesma.'
+  },
+  EMAIL_VERIFICATION: {
+    subject: '✉️ Confirme seu email - Convite Certo',
+    text: 'Olá, {{name}}!\n\nConfirme que {{email}} é o seu email no Convite Certo acessando o link abaixo '
+      + '(válido por {{hours}} horas):\n\n{{link}}\n\n'
+      + 'Se você não criou uma conta nem alterou seu email no Convite Certo, ignore esta mensagem.'
+  }
+};
@@ -0,0 +1,275 @@
+const axios = require('axios');
+const { formatDateTime } = require('../locales');
+const { EVENT_FIELD_LABELS } = require('../services/eventChanges');
+
+// URLs aceitas como destino (evita que o canal seja usado para chamar outros hosts)
+const SLACK_WEBHOOK_PATTERN = /^https:\/\/hooks\.slack\.com\/(services|workflows|triggers)\/[\w/-]+$/;
+const DISCORD_WEBHOOK_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+$/;
+
+// Aparência da mensagem por tipo de notificação
+const TYPE_STYLES = {
+  GUEST_CONFIRMED: { emoji: '✅', color: 0x2ECC71 },
+  GUEST_DECLINED: { emoji: '❌', color: 0xE74C3C },
+  GUEST_PENDING: { emoji: '⏳', color: 0x95A5A6 },
+  INVITE_SENT: { emoji: '📨', color: 0x3498DB },
+  EVENT_REMINDER: { emoji: '⏰', color: 0xF1C40F },
+  EVENT_UPDATED: { emoji: '📝', color: 0x9B59B6 },
+  SYSTEM_ALERT: { emoji: '⚠️', color: 0xE67E22 }
+};
+const DEFAULT_STYLE = { emoji: '🔔', color: 0x95A5A6 };
+
+/**
+ * Provedor de notificações para chats de equipe (canal "chat")
+ * Envia a notificação para o incoming webhook do Slack e/ou o webhook do
+ * Discord configurados pelo organizador nas configurações de notificação.
+ */
+class ChatWebhookNotificationProvider {
+  /**
+   * @param {Object} config - Configurações do provedor
+   * @param {string} config.frontendUrl - URL do frontend, usada nos links da mensagem
+   * @param {number} config.timeoutMs - Tempo limite de cada requisição
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Dependências do provedor
+   * @param {Object} options.userRepository - Busca os webhooks do usuário (UserRepository)
+   * @param {Object} options.httpClient - Cliente HTTP (padrão: axios)
+   */
+  constructor(config, logger, options = {}) {
+    this.config = {
+      timeoutMs: 10000,
+      ...config
+    };
+    this.logger = logger;
+    this.userRepository = options.userRepository || null;
+    this.httpClient = options.httpClient || axios;
+  }
+
+  /**
+   * Envia a notificação para os chats configurados pelo usuário
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @returns {Object} Resultado do envio
+   */
+  async send(notification, eventData) {
+    try {
+      if (!this.userRepository) {
+        this.logger.warn('ChatWebhookNotificationProvider sem userRepository configurado');
+        return { success: false, retryable: false, error: 'Busca de usuários não configurada' };
+      }
+
+      const recipient = await this.userRepository.findNotificationRecipient(notification.userId);
+      const targets = this.getTargets(recipient);
+      if (targets.length === 0) {
+        return {
+          success: false,
+          skipped: true,
+          retryable: false,
+          error: 'Usuário sem webhook de Slack ou Discord'
+        };
+      }
+
+      const results = await Promise.all(targets.map(({ platform, url }) => {
+        const message = platform === 'slack'
+          ? this.formatSlackMessage(notification, eventData, recipient)
+          : this.formatDiscordMessage(notification, eventData, recipient);
+        return this.postMessage(platform, url, message);
+      }));
+
+      const failures = results.filter(result => !result.success);
+      if (failures.length < results.length) {
+        if (failures.length > 0) {
+          this.logger.warn(`Notificação entregue em ${results.length - failures.length} de ${results.length} chats:`, failures[0].error);
+        }
+        this.logger.info(`Notificação enviada ao chat do usuário ${notification.userId}`);
+        return { success: true, deliveredAt: new Date() };
+      }
+
+      return {
+        success: false,
+        retryable: failures.some(result => result.retryable),
+        error: failures[0].error
+      };
+
+    } catch (error) {
+      this.logger.error('Erro ao enviar notificação para o chat:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Webhooks de chat configurados pelo usuário
+   * @param {Object|null} recipient - Destinatário (UserRepository.findNotificationRecipient)
+   * @returns {Array} [{ platform: 'slack' | 'discord', url }]
+   */
+  getTargets(recipient) {
+    if (!recipient) return [];
+
+    const targets = [];
+    if (recipient.slackWebhookUrl) targets.push({ platform: 'slack', url: recipient.slackWebhookUrl });
+    if (recipient.discordWebhookUrl) targets.push({ platform: 'discord', url: recipient.discordWebhookUrl });
+    return targets;
+  }
+
+  /**
+   * Envia a mensagem ao webhook
+   * @param {string} platform - slack ou discord
+   * @param {string} url - URL do webhook
+   * @param {Object} message - Corpo no formato da plataforma
+   * @returns {Object} { success, error, retryable }
+   */
+  async postMessage(platform, url, message) {
+    const name = platform === 'slack' ? 'Slack' : 'Discord';
+
+    try {
+      await this.httpClient.post(url, message, { timeout: this.config.timeoutMs });
+      return { success: true };
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      // Sem status: erro de rede; 429 e 5xx: serviço indisponível ou limite de envio
+      return {
+        success: false,
+        retryable: !status || status === 429 || status >= 500,
+        error: status ? `${name} respondeu ${status}` : `${name}: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Campos exibidos na mensagem, conforme o tipo da notificação
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @param {Object} recipient - Preferências de data do usuário
+   * @returns {Array} [{ name, value }]
+   */
+  buildFields(notification, eventData = {}, recipient = {}) {
+    const fields = [];
+    const add = (name, value) => {
+      if (value !== undefined && value !== null && value !== '') fields.push({ name, value: String(value) });
+    };
+
+    switch (notification.type) {
+      case 'GUEST_CONFIRMED':
+      case 'GUEST_DECLINED':
+      case 'GUEST_PENDING':
+        add('Convidado', eventData.guestName);
+        add('Evento', eventData.eventTitle);
+        if (eventData.plusOne) add('Acompanhante', eventData.plusOneName || 'Sim');
+        break;
+      case 'EVENT_REMINDER':
+        add('Evento', eventData.eventTitle);
+        if (eventData.eventDate) add('Data', formatDateTime(eventData.eventDate, recipient));
+        add('Local', eventData.eventLocation);
+        add('Confirmados', eventData.confirmedCount);
+        break;
+      case 'EVENT_UPDATED':
+        add('Evento', eventData.eventTitle);
+        add('Alterações', Object.keys(eventData.changes || {})
+          .map(field => EVENT_FIELD_LABELS[field] || field)
+          .join(', '));
+        break;
+      default:
+        add('Evento', eventData.eventTitle);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Link para a notificação no painel
+   * @param {Object} eventData - Dados do evento original
+   * @returns {string} URL
+   */
+  buildLink(eventData = {}) {
+    const path = eventData.eventId ? `/dashboard/events/${eventData.eventId}` : '/dashboard';
+    return `${this.config.frontendUrl || ''}${path}`;
+  }
+
+  /**
+   * Mensagem no formato do Slack (Block Kit em um attachment colorido)
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @param {Object} recipient - Preferências de data do usuário
+   * @returns {Object} Corpo do incoming webhook
+   */
+  formatSlackMessage(notification, eventData, recipient) {
+    const style = TYPE_STYLES[notification.type] || DEFAULT_STYLE;
+    const fields = this.buildFields(notification, eventData, recipient);
+    const title = `${style.emoji} ${this.escapeSlack(notification.title)}`;
+
+    const blocks = [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${title}*\n${this.escapeSlack(notification.message)}` }
+      }
+    ];
+    if (fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: fields.map(field => ({
+          type: 'mrkdwn',
+          text: `*${field.name}*\n${this.escapeSlack(field.value)}`
+        }))
+      });
+    }
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<${this.buildLink(eventData)}|Abrir no Convite Certo>` }]
+    });
+
+    return {
+      // Texto usado nas notificações do Slack (push/desktop)
+      text: `${title}: ${this.escapeSlack(notification.message)}`,
+      attachments: [{
+        color: `#${style.color.toString(16).padStart(6, '0')}`,
+        blocks
+      }]
+    };
+  }
+
+  /**
+   * Mensagem no formato do Discord (embed, como em POST /api/users/help)
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @param {Object} recipient - Preferências de data do usuário
+   * @returns {Object} Corpo do webhook
+   */
+  formatDiscordMessage(notification, eventData, recipient) {
+    const style = TYPE_STYLES[notification.type] || DEFAULT_STYLE;
+
+    return {
+      username: 'Convite Certo',
+      // Nomes de convidados não podem gerar menções (@everyone, @here)
+      allowed_mentions: { parse: [] },
+      embeds: [{
+        title: `${style.emoji} ${notification.title}`,
+        description: notification.message,
+        url: this.buildLink(eventData),
+        color: style.color,
+        fields: this.buildFields(notification, eventData, recipient)
+          .map(field => ({ name: field.name, value: field.value.slice(0, 1024), inline: true })),
+        timestamp: new Date(notification.createdAt || Date.now()).toISOString(),
+        footer: { text: 'Convite Certo' }
+      }]
+    };
+  }
+
+  /**
+   * Escapa os caracteres de controle do mrkdwn do Slack (&, <, >),
+   * impedindo links e menções (<!channel>) vindos de dados do usuário
+   * @param {string} text - Texto original
+   * @returns {string} Texto escapado
+   */
+  escapeSlack(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = ChatWebhookNotificationProvider;
+module.exports.SLACK_WEBHOOK_PATTERN = SLACK_WEBHOOK_PATTERN;
+module.exports.DISCORD_WEBHOOK_PATTERN = DISCORD_WEBHOOK_PATTERN;
@@ -1,13 +1,24 @@
 const nodemailer = require('nodemailer');
+const { translate, resolveLocale, formatDateTime } = require('../locales');
+const { HTML_VARIABLES } = require('../services/emailTemplateSanitizer');
 
 /**
  * Provedor de notificações por Email
  * Responsável por enviar notificações via email usando templates HTML
  */
 class EmailNotificationProvider {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Configuração de SMTP, remetente e URLs
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Dependências do provedor
+   * @param {Object} options.userRepository - Repositório usado para obter o destinatário (UserRepository)
+   * @param {Object} options.templateRepository - Templates editáveis salvos no banco (EmailTemplateRepository)
+   */
+  constructor(config, logger, options = {}) {
     this.logger = logger;
     this.config = config;
+    this.userRepository = options.userRepository || null;
+    this.templateRepository = options.templateRepository || null;
     this.transporter = this.createTransporter();
     this.templates = this.loadTemplates();
   }
@@ -41,25 +52,43 @@ class EmailNotificationProvider {
   }
 
   /**
-   * Carrega templates de email
+   * Carrega templates de email.
+   * Os textos são referenciados como {{t:chave}} e traduzidos pelo catálogo
+   * de idiomas (src/locales) no momento do envio.
    */
   loadTemplates() {
     return {
       GUEST_CONFIRMED: {
-        subject: '✅ Confirmação de Presença - {{eventTitle}}',
+        subject: '{{t:GUEST_CONFIRMED.subject}}',
         template: this.getGuestConfirmedTemplate()
       },
       GUEST_DECLINED: {
-        subject: '❌ Recusa de Convite - {{eventTitle}}',
+        subject: '{{t:GUEST_DECLINED.subject}}',
         template: this.getGuestDeclinedTemplate()
       },
+      GUEST_PENDING: {
+        subject: '{{t:GUEST_PENDING.subject}}',
+        template: this.getGuestPendingTemplate()
+      },
       INVITE_SENT: {
-        subject: '📧 Convite Enviado - {{eventTitle}}',
+        subject: '{{t:INVITE_SENT.subject}}',
         template: this.getInviteSentTemplate()
       },
       EVENT_REMINDER: {
-        subject: '⏰ Lembrete de Evento - {{eventTitle}}',
+        subject: '{{t:EVENT_REMINDER.subject}}',
         template: this.getEventReminderTemplate()
+      },
+      EVENT_UPDATED: {
+        subject: '{{t:EVENT_UPDATED.subject}}',
+        template: this.getEventUpdatedTemplate()
+      },
+      SYSTEM_ALERT: {
+        subject: '{{t:SYSTEM_ALERT.subject}}',
+        template: this.getSystemAlertTemplate()
+      },
+      DIGEST: {
+        subject: '{{t:DIGEST.subject}}',
+        template: this.getDigestTemplate()
       }
     };
   }
@@ -70,11 +99,11 @@ class EmailNotificationProvider {
   getGuestConfirmedTemplate() {
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="{{locale}}">
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Confirmação de Presença</title>
+        <title>{{t:GUEST_CONFIRMED.title}}</title>
         <style>
             body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
             .container { max-width: 600px; margin: 0 auto; background-color: white; }
@@ -89,27 +118,27 @@ class EmailNotificationProvider {
     <body>
         <div class="container">
             <div class="header">
-                <h1>✅ Confirmação de Presença</h1>
+                <h1>✅ {{t:GUEST_CONFIRMED.title}}</h1>
             </div>
             <div class="content">
-                <h2>Ótimas notícias!</h2>
+                <h2>{{t:GUEST_CONFIRMED.heading}}</h2>
                 <div class="guest-info">
-                    <strong>{{guestName}}</strong> confirmou presença no seu evento!
+                    {{t:GUEST_CONFIRMED.message}}
                 </div>
                 
                 <div class="event-info">
                     <h3>{{eventTitle}}</h3>
-                    <p><strong>Data:</strong> {{eventDate}}</p>
-                    <p><strong>Local:</strong> {{eventLocation}}</p>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:common.location}}:</strong> {{eventLocation}}</p>
                 </div>
 
-                <p>Você pode visualizar todos os convidados e suas confirmações no painel de gerenciamento do evento.</p>
+                <p>{{t:GUEST_CONFIRMED.body}}</p>
                 
-                <a href="{{dashboardUrl}}" class="btn">Ver Painel do Evento</a>
+                <a href="{{dashboardUrl}}" class="btn">{{t:GUEST_CONFIRMED.button}}</a>
             </div>
             <div class="footer">
-                <p>Esta é uma notificação automática do sistema Convite Certo.</p>
-                <p>Para alterar suas preferências de notificação, acesse suas configurações.</p>
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:common.footerPreferences}}</p>
             </div>
         </div>
     </body>
@@ -123,11 +152,11 @@ class EmailNotificationProvider {
   getGuestDeclinedTemplate() {
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="{{locale}}">
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Recusa de Convite</title>
+        <title>{{t:GUEST_DECLINED.title}}</title>
         <style>
             body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
             .container { max-width: 600px; margin: 0 auto; background-color: white; }
@@ -142,27 +171,80 @@ class EmailNotificationProvider {
     <body>
         <div class="container">
             <div class="header">
-                <h1>❌ Recusa de Convite</h1>
+                <h1>❌ {{t:GUEST_DECLINED.title}}</h1>
+            </div>
+            <div class="content">
+                <h2>{{t:GUEST_DECLINED.heading}}</h2>
+                <div class="guest-info">
+                    {{t:GUEST_DECLINED.message}}
+                </div>
+                
+                <div class="event-info">
+                    <h3>{{eventTitle}}</h3>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:common.location}}:</strong> {{eventLocation}}</p>
+                </div>
+
+                <p>{{t:GUEST_DECLINED.body}}</p>
+                
+                <a href="{{dashboardUrl}}" class="btn">{{t:GUEST_DECLINED.button}}</a>
+            </div>
+            <div class="footer">
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:common.footerPreferences}}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Template para convidado que voltou a ficar pendente
+   */
+  getGuestPendingTemplate() {
+    return `
+    <!DOCTYPE html>
+    <html lang="{{locale}}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>{{t:GUEST_PENDING.title}}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; }
+            .header { background-color: #9E9E9E; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; }
+            .event-info { background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .guest-info { background-color: #f5f5f5; padding: 15px; border-radius: 8px; border-left: 4px solid #9E9E9E; }
+            .footer { background-color: #f0f0f0; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+            .btn { display: inline-block; padding: 12px 24px; background-color: #2196F3; color: white; text-decoration: none; border-radius: 4px; margin: 10px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>⏳ {{t:GUEST_PENDING.title}}</h1>
             </div>
             <div class="content">
-                <h2>Informação sobre seu evento</h2>
+                <h2>{{t:GUEST_PENDING.heading}}</h2>
                 <div class="guest-info">
-                    <strong>{{guestName}}</strong> recusou o convite para o seu evento.
+                    {{t:GUEST_PENDING.message}}
                 </div>
                 
                 <div class="event-info">
                     <h3>{{eventTitle}}</h3>
-                    <p><strong>Data:</strong> {{eventDate}}</p>
-                    <p><strong>Local:</strong> {{eventLocation}}</p>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:common.location}}:</strong> {{eventLocation}}</p>
                 </div>
 
-                <p>Você pode visualizar o status atualizado de todos os convidados no painel de gerenciamento.</p>
+                <p>{{t:GUEST_PENDING.body}}</p>
                 
-                <a href="{{dashboardUrl}}" class="btn">Ver Painel do Evento</a>
+                <a href="{{dashboardUrl}}" class="btn">{{t:GUEST_PENDING.button}}</a>
             </div>
             <div class="footer">
-                <p>Esta é uma notificação automática do sistema Convite Certo.</p>
-                <p>Para alterar suas preferências de notificação, acesse suas configurações.</p>
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:common.footerPreferences}}</p>
             </div>
         </div>
     </body>
@@ -176,11 +258,11 @@ class EmailNotificationProvider {
   getInviteSentTemplate() {
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="{{locale}}">
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Convite Enviado</title>
+        <title>{{t:INVITE_SENT.title}}</title>
         <style>
             body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
             .container { max-width: 600px; margin: 0 auto; background-color: white; }
@@ -194,24 +276,24 @@ class EmailNotificationProvider {
     <body>
         <div class="container">
             <div class="header">
-                <h1>📧 Convite Enviado</h1>
+                <h1>📧 {{t:INVITE_SENT.title}}</h1>
             </div>
             <div class="content">
-                <h2>Convite enviado com sucesso!</h2>
-                <p>Seu convite foi enviado para os convidados selecionados.</p>
+                <h2>{{t:INVITE_SENT.heading}}</h2>
+                <p>{{t:INVITE_SENT.message}}</p>
                 
                 <div class="event-info">
                     <h3>{{eventTitle}}</h3>
-                    <p><strong>Data:</strong> {{eventDate}}</p>
-                    <p><strong>Convites enviados:</strong> {{inviteCount}}</p>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:INVITE_SENT.invitesSent}}:</strong> {{inviteCount}}</p>
                 </div>
 
-                <p>Você receberá notificações quando os convidados responderem aos convites.</p>
+                <p>{{t:INVITE_SENT.body}}</p>
                 
-                <a href="{{dashboardUrl}}" class="btn">Acompanhar Respostas</a>
+                <a href="{{dashboardUrl}}" class="btn">{{t:INVITE_SENT.button}}</a>
             </div>
             <div class="footer">
-                <p>Esta é uma notificação automática do sistema Convite Certo.</p>
+                <p>{{t:common.footerAutomatic}}</p>
             </div>
         </div>
     </body>
@@ -225,11 +307,11 @@ class EmailNotificationProvider {
   getEventReminderTemplate() {
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="{{locale}}">
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Lembrete de Evento</title>
+        <title>{{t:EVENT_REMINDER.title}}</title>
         <style>
             body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
             .container { max-width: 600px; margin: 0 auto; background-color: white; }
@@ -243,24 +325,170 @@ class EmailNotificationProvider {
     <body>
         <div class="container">
             <div class="header">
-                <h1>⏰ Lembrete de Evento</h1>
+                <h1>⏰ {{t:EVENT_REMINDER.title}}</h1>
             </div>
             <div class="content">
-                <h2>Seu evento está se aproximando!</h2>
+                <h2>{{t:EVENT_REMINDER.heading}}</h2>
                 
                 <div class="event-info">
                     <h3>{{eventTitle}}</h3>
-                    <p><strong>Data:</strong> {{eventDate}}</p>
-                    <p><strong>Local:</strong> {{eventLocation}}</p>
-                    <p><strong>Confirmados:</strong> {{confirmedCount}} convidados</p>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:common.location}}:</strong> {{eventLocation}}</p>
+                    <p><strong>{{t:EVENT_REMINDER.confirmed}}:</strong> {{t:EVENT_REMINDER.confirmedGuests}}</p>
                 </div>
 
-                <p>Não se esqueça de fazer os preparativos finais para seu evento!</p>
+                <p>{{t:EVENT_REMINDER.body}}</p>
                 
-                <a href="{{dashboardUrl}}" class="btn">Ver Detalhes do Evento</a>
+                <a href="{{dashboardUrl}}" class="btn">{{t:EVENT_REMINDER.button}}</a>
+            </div>
+            <div class="footer">
+                <p>{{t:common.footerAutomatic}}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Template para alteração de evento
+   */
+  getEventUpdatedTemplate() {
+    return `
+    <!DOCTYPE html>
+    <html lang="{{locale}}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>{{t:EVENT_UPDATED.title}}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; }
+            .header { background-color: #2196F3; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; }
+            .event-info { background-color: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196F3; }
+            .footer { background-color: #f0f0f0; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+            .btn { display: inline-block; padding: 12px 24px; background-color: #2196F3; color: white; text-decoration: none; border-radius: 4px; margin: 10px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>✏️ {{t:EVENT_UPDATED.title}}</h1>
+            </div>
+            <div class="content">
+                <h2>{{t:EVENT_UPDATED.heading}}</h2>
+                <div class="event-info">
+                    <h3>{{eventTitle}}</h3>
+                    <p><strong>{{t:EVENT_UPDATED.changed}}:</strong> {{changedFields}}</p>
+                    <p><strong>{{t:common.date}}:</strong> {{eventDate}}</p>
+                    <p><strong>{{t:common.location}}:</strong> {{eventLocation}}</p>
+                    <p><strong>{{t:EVENT_UPDATED.guestsNotified}}:</strong> {{guestsNotified}}</p>
+                </div>
+                <p>{{t:EVENT_UPDATED.body}}</p>
+                <a href="{{dashboardUrl}}" class="btn">{{t:EVENT_UPDATED.button}}</a>
+            </div>
+            <div class="footer">
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:common.footerPreferences}}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Template para alerta do sistema
+   */
+  getSystemAlertTemplate() {
+    return `
+    <!DOCTYPE html>
+    <html lang="{{locale}}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>{{t:SYSTEM_ALERT.title}}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; }
+            .header { background-color: #607D8B; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; }
+            .alert-info { background-color: #eceff1; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #607D8B; }
+            .footer { background-color: #f0f0f0; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+            .btn { display: inline-block; padding: 12px 24px; background-color: #607D8B; color: white; text-decoration: none; border-radius: 4px; margin: 10px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🔔 {{t:SYSTEM_ALERT.title}}</h1>
+            </div>
+            <div class="content">
+                <h2>{{t:SYSTEM_ALERT.heading}}</h2>
+                <div class="alert-info">
+                    <p>{{alertMessage}}</p>
+                </div>
+                <p>{{t:SYSTEM_ALERT.body}}</p>
+                <a href="{{dashboardUrl}}" class="btn">{{t:SYSTEM_ALERT.button}}</a>
+            </div>
+            <div class="footer">
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:common.footerPreferences}}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Template para resumo (digest) diário ou semanal
+   */
+  getDigestTemplate() {
+    return `
+    <!DOCTYPE html>
+    <html lang="{{locale}}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>{{digestTitle}}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; }
+            .header { background-color: #5e35b1; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; }
+            .totals { display: flex; justify-content: space-around; text-align: center; margin: 20px 0; }
+            .totals div { padding: 10px; }
+            .totals strong { display: block; font-size: 24px; }
+            .event-info { background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .upcoming { background-color: #ede7f6; padding: 15px; border-radius: 8px; border-left: 4px solid #5e35b1; }
+            .footer { background-color: #f0f0f0; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+            .btn { display: inline-block; padding: 12px 24px; background-color: #5e35b1; color: white; text-decoration: none; border-radius: 4px; margin: 10px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📊 {{digestTitle}}</h1>
+                <p>{{digestPeriod}}</p>
+            </div>
+            <div class="content">
+                <div class="totals">
+                    <div><strong>{{totalConfirmed}}</strong>{{t:DIGEST.confirmations}}</div>
+                    <div><strong>{{totalDeclined}}</strong>{{t:DIGEST.declines}}</div>
+                    <div><strong>{{totalPending}}</strong>{{t:DIGEST.pending}}</div>
+                </div>
+
+                {{eventsSummary}}
+
+                {{upcomingEvents}}
+
+                <a href="{{dashboardUrl}}" class="btn">{{t:DIGEST.button}}</a>
             </div>
             <div class="footer">
-                <p>Esta é uma notificação automática do sistema Convite Certo.</p>
+                <p>{{t:common.footerAutomatic}}</p>
+                <p>{{t:DIGEST.footer}}</p>
             </div>
         </div>
     </body>
@@ -268,6 +496,91 @@ class EmailNotificationProvider {
     `;
   }
 
+  /**
+   * Monta as variáveis do template de resumo a partir dos dados do digest
+   * @param {Object} digest - Dados gerados pelo NotificationDigestJob
+   * @param {Object} preferences - Idioma e formatos de data do destinatário
+   * @returns {Object} Variáveis para o template
+   */
+  getDigestVariables(digest, preferences = {}) {
+    const t = key => translate(preferences.language, `DIGEST.${key}`);
+    const totals = digest.totals || {};
+    const weekly = digest.digestFrequency === 'WEEKLY';
+
+    const eventsSummary = (digest.events || []).map(event => {
+      const confirmed = event.confirmed.length
+        ? `<p><strong>${t('confirmedList')} (${event.confirmed.length}):</strong> ${event.confirmed.map(name => this.escapeHtml(name)).join(', ')}</p>`
+        : '';
+      const declined = event.declined.length
+        ? `<p><strong>${t('declinedList')} (${event.declined.length}):</strong> ${event.declined.map(name => this.escapeHtml(name)).join(', ')}</p>`
+        : '';
+      const invites = event.invitesSent
+        ? `<p><strong>${t('invitesSent')}:</strong> ${event.invitesSent}</p>`
+        : '';
+
+      return `
+                <div class="event-info">
+                    <h3>${this.escapeHtml(event.eventTitle)}</h3>
+                    <p><strong>${translate(preferences.language, 'common.date')}:</strong> ${this.formatDate(event.eventDate, preferences)}</p>
+                    ${confirmed}${declined}${invites}
+                    <p><strong>${t('pendingLabel')}:</strong> ${event.pendingCount}</p>
+                </div>`;
+    }).join('');
+
+    const upcoming = (digest.upcomingEvents || []).map(event =>
+      `<li><strong>${this.escapeHtml(event.eventTitle)}</strong> - ${this.formatDate(event.eventDate, preferences)} (${event.pendingCount} ${t('pending')})</li>`
+    ).join('');
+
+    const periodFormat = { ...preferences, dateOnly: true };
+
+    return {
+      digestTitle: weekly ? t('weeklyTitle') : t('dailyTitle'),
+      digestPeriod: `${this.formatDate(digest.periodStart, periodFormat)} - ${this.formatDate(digest.periodEnd, periodFormat)}`,
+      totalConfirmed: String(totals.confirmed || 0),
+      totalDeclined: String(totals.declined || 0),
+      totalPending: String(totals.pending || 0),
+      eventsSummary: eventsSummary || `<p>${t('noResponses')}</p>`,
+      upcomingEvents: upcoming
+        ? `<div class="upcoming"><h3>${t('upcomingTitle')}</h3><ul>${upcoming}</ul></div>`
+        : '',
+      dashboardUrl: `${this.config.frontendUrl}/dashboard`
+    };
+  }
+
+  /**
+   * Escapa caracteres especiais para inserção segura em HTML
+   * @param {string} value - Texto original
+   * @returns {string} Texto escapado
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Traduz os textos {{t:chave}} e substitui as variáveis do template
+   * @param {string} template - Template HTML ou assunto
+   * @param {string} locale - Idioma do destinatário
+   * @param {Object} variables - Variáveis para substituição
+   * @returns {string} Template traduzido e processado
+   */
+  renderTemplate(template, locale, variables) {
+    // Notificação agrupada: usa a variante "Grouped" do texto, quando existir
+    const grouped = Number(variables.guestCount) > 1;
+    const localized = template.replace(/{{t:([\w.]+)}}/g, (match, key) => {
+      if (grouped) {
+        const groupedText = translate(locale, `${key}Grouped`);
+        if (groupedText !== `${key}Grouped`) return groupedText;
+      }
+      return translate(locale, key);
+    });
+    return this.processTemplate(localized, variables);
+  }
+
   /**
    * Substitui variáveis no template
    * @param {string} template - Template HTML
@@ -279,12 +592,184 @@ class EmailNotificationProvider {
     
     Object.keys(variables).forEach(key => {
       const regex = new RegExp(`{{${key}}}`, 'g');
-      processed = processed.replace(regex, variables[key] || '');
+      // Função de substituição: evita que "$" no valor seja interpretado pelo replace
+      processed = processed.replace(regex, () => variables[key] || '');
     });
 
     return processed;
   }
 
+  /**
+   * Extrai idioma e formatos de data/hora do destinatário
+   * @param {Object} user - Destinatário (UserRepository.findNotificationRecipient)
+   * @returns {Object} Preferências de formatação
+   */
+  getPreferences(user) {
+    return {
+      language: user.language,
+      dateFormat: user.dateFormat,
+      timeFormat: user.timeFormat,
+      timezone: user.timezone
+    };
+  }
+
+  /**
+   * Obtém o template de um tipo de notificação para o usuário.
+   * Ordem: personalização do usuário, padrão do sistema (banco) e template embutido.
+   * @param {string} userId - ID do usuário
+   * @param {string} type - Tipo de notificação
+   * @param {string} locale - Idioma do destinatário
+   * @returns {Object|null} { subject, template, source } ou null se o tipo não tiver template
+   */
+  async getTemplate(userId, type, locale) {
+    if (this.templateRepository) {
+      try {
+        const stored = await this.templateRepository.findEffective(userId, type, locale);
+        if (stored) {
+          return {
+            subject: stored.subject,
+            template: stored.html,
+            locale: stored.locale,
+            source: stored.userId ? 'user' : 'system'
+          };
+        }
+      } catch (error) {
+        // Falha ao ler o banco não deve impedir o envio: usa o template embutido
+        this.logger.warn(`Erro ao buscar template de email ${type}, usando o padrão:`, error);
+      }
+    }
+
+    const builtIn = this.templates[type];
+    return builtIn ? { subject: builtIn.subject, template: builtIn.template, locale: null, source: 'default' } : null;
+  }
+
+  /**
+   * Monta as variáveis disponíveis para os templates
+   * @param {string} type - Tipo de notificação
+   * @param {Object} eventData - Dados do evento original
+   * @param {Object} preferences - Idioma e formatos de data do destinatário
+   * @returns {Object} Variáveis para o template
+   */
+  buildTemplateVariables(type, eventData, preferences = {}) {
+    const locale = resolveLocale(preferences.language);
+
+    return {
+      locale,
+      guestName: eventData.guestName || translate(locale, 'common.guest'),
+      eventTitle: eventData.eventTitle || translate(locale, 'common.event'),
+      eventDate: this.formatDate(eventData.eventDate, preferences),
+      eventLocation: eventData.eventLocation || translate(locale, 'common.locationNotInformed'),
+      dashboardUrl: `${this.config.frontendUrl}/dashboard/events/${eventData.eventId}`,
+      inviteCount: String(eventData.inviteCount || 1),
+      confirmedCount: String(eventData.confirmedCount || 0),
+      guestCount: String(eventData.guestCount || 1),
+      ...(type === 'EVENT_UPDATED' ? this.getEventUpdatedVariables(eventData, locale) : {}),
+      ...(type === 'SYSTEM_ALERT' ? this.getSystemAlertVariables(eventData) : {}),
+      ...(type === 'DIGEST' ? this.getDigestVariables(eventData, preferences) : {})
+    };
+  }
+
+  /**
+   * Variáveis do template de alteração de evento
+   * @param {Object} eventData - Dados do evento (changes, guestsNotified)
+   * @param {string} locale - Idioma do destinatário
+   * @returns {Object} Variáveis para o template
+   */
+  getEventUpdatedVariables(eventData, locale) {
+    const fields = Object.keys(eventData.changes || {});
+    return {
+      changedFields: fields.map(field => {
+        const label = translate(locale, `EVENT_UPDATED.fields.${field}`);
+        return label === `EVENT_UPDATED.fields.${field}` ? field : label;
+      }).join(', '),
+      guestsNotified: String(eventData.guestsNotified || 0)
+    };
+  }
+
+  /**
+   * Variáveis do template de alerta do sistema (sem evento associado)
+   * @param {Object} eventData - Dados do alerta (message)
+   * @returns {Object} Variáveis para o template
+   */
+  getSystemAlertVariables(eventData) {
+    return {
+      alertMessage: eventData.message || '',
+      dashboardUrl: `${this.config.frontendUrl}/dashboard`
+    };
+  }
+
+  /**
+   * Renderiza assunto e corpo de um template.
+   * No HTML, os valores são escapados (exceto os blocos já montados pelo provedor),
+   * já que templates editáveis podem posicionar variáveis em qualquer lugar.
+   * @param {Object} templateData - { subject, template }
+   * @param {string} locale - Idioma do destinatário
+   * @param {Object} variables - Variáveis do template
+   * @returns {Object} { subject, html }
+   */
+  renderEmail(templateData, locale, variables) {
+    const htmlVariables = {};
+    Object.keys(variables).forEach(key => {
+      htmlVariables[key] = HTML_VARIABLES.includes(key) ? variables[key] : this.escapeHtml(variables[key]);
+    });
+
+    return {
+      subject: this.renderTemplate(templateData.subject, locale, variables),
+      html: this.renderTemplate(templateData.template, locale, htmlVariables)
+    };
+  }
+
+  /**
+   * Dados fictícios usados na pré-visualização de templates
+   * @param {string} type - Tipo de notificação
+   * @returns {Object} Dados no formato recebido por send()
+   */
+  getSampleData(type) {
+    const eventDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const sample = {
+      guestName: 'Maria Silva',
+      eventTitle: 'Aniversário de 30 anos',
+      eventDate,
+      eventLocation: 'Salão de Festas Central',
+      eventId: 'exemplo',
+      inviteCount: 12,
+      confirmedCount: 8
+    };
+
+    if (type === 'EVENT_UPDATED') {
+      return {
+        ...sample,
+        changes: {
+          date: { from: new Date(eventDate.getTime() - 24 * 60 * 60 * 1000), to: eventDate },
+          location: { from: 'Clube', to: sample.eventLocation }
+        },
+        guestsNotified: 8
+      };
+    }
+    if (type === 'SYSTEM_ALERT') {
+      return { ...sample, alertType: 'EXEMPLO', message: 'Sua assinatura vence em 7 dias.' };
+    }
+    if (type !== 'DIGEST') return sample;
+
+    const periodEnd = new Date();
+    return {
+      ...sample,
+      digestFrequency: 'DAILY',
+      periodStart: new Date(periodEnd.getTime() - 24 * 60 * 60 * 1000),
+      periodEnd,
+      totals: { confirmed: 3, declined: 1, pending: 4 },
+      events: [{
+        eventTitle: sample.eventTitle,
+        eventDate,
+        confirmed: ['Maria Silva', 'João Souza', 'Ana Lima'],
+        declined: ['Pedro Costa'],
+        invitesSent: 2,
+        pendingCount: 4
+      }],
+      upcomingEvents: [{ eventTitle: sample.eventTitle, eventDate, pendingCount: 4 }]
+    };
+  }
+
   /**
    * Envia notificação por email
    * @param {Object} notification - Dados da notificação
@@ -298,38 +783,49 @@ class EmailNotificationProvider {
       if (!user || !user.email) {
         return {
           success: false,
+          retryable: false,
           error: 'Email do usuário não encontrado'
         };
       }
 
-      // Obter template para o tipo de notificação
-      const templateData = this.templates[notification.type];
-      if (!templateData) {
+      // Usuário desativou notificações por email nas configurações gerais
+      if (user.emailNotifications === false) {
+        const reason = 'Notificações por email desativadas pelo usuário';
+        this.logger.info(`Email não enviado para usuário ${notification.userId}: ${reason}`);
         return {
           success: false,
-          error: `Template não encontrado para tipo: ${notification.type}`
+          skipped: true,
+          retryable: false,
+          error: reason
         };
       }
 
-      // Preparar variáveis para o template
-      const templateVariables = {
-        guestName: eventData.guestName || 'Convidado',
-        eventTitle: eventData.eventTitle || 'Evento',
-        eventDate: this.formatDate(eventData.eventDate),
-        eventLocation: eventData.eventLocation || 'Local não informado',
-        dashboardUrl: `${this.config.frontendUrl}/dashboard/events/${eventData.eventId}`,
-        inviteCount: eventData.inviteCount || 1,
-        confirmedCount: eventData.confirmedCount || 0
-      };
+      // Idioma e formatos de data/hora do destinatário (UserConfig)
+      const preferences = this.getPreferences(user);
+      const locale = resolveLocale(user.language);
+
+      // Obter template para o tipo de notificação (personalizado, padrão do sistema ou embutido)
+      const templateData = await this.getTemplate(notification.userId, notification.type, locale);
+      // Tipo sem template: reenviar não resolve, a entrega é ignorada
+      if (!templateData) {
+        const reason = `Template não encontrado para tipo: ${notification.type}`;
+        this.logger.warn(`Email não enviado para usuário ${notification.userId}: ${reason}`);
+        return {
+          success: false,
+          skipped: true,
+          retryable: false,
+          error: reason
+        };
+      }
 
       // Processar template
-      const htmlContent = this.processTemplate(templateData.template, templateVariables);
-      const subject = this.processTemplate(templateData.subject, templateVariables);
+      const templateVariables = this.buildTemplateVariables(notification.type, eventData, preferences);
+      const { subject, html: htmlContent } = this.renderEmail(templateData, locale, templateVariables);
 
       // Configurar email
       const mailOptions = {
         from: `"${this.config.fromName}" <${this.config.fromEmail}>`,
-        to: user.email,
+        to: user.name ? { name: user.name, address: user.email } : user.email,
         subject: subject,
         html: htmlContent,
         // Versão texto simples como fallback
@@ -357,35 +853,63 @@ class EmailNotificationProvider {
   }
 
   /**
-   * Busca email do usuário (mock - implementar com Prisma real)
+   * Envia um email de texto simples para um destinatário arbitrário
+   * (ex: convidados, que não são usuários do sistema)
+   * @param {string} to - Email do destinatário
+   * @param {string} subject - Assunto
+   * @param {string} text - Conteúdo em texto simples
+   * @returns {Object} Resultado do envio
+   */
+  async sendPlainEmail(to, subject, text) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: `"${this.config.fromName}" <${this.config.fromEmail}>`,
+        to,
+        subject,
+        text,
+        html: this.escapeHtml(text).replace(/\n/g, '<br>')
+      });
+
+      this.logger.info(`Email enviado para ${to}:`, info.messageId);
+
+      return {
+        success: true,
+        deliveredAt: new Date(),
+        messageId: info.messageId
+      };
+    } catch (error) {
+      this.logger.error('Erro ao enviar email:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Busca email, nome e preferência de email do usuário
    * @param {string} userId - ID do usuário
-   * @returns {Object} Dados do usuário
+   * @returns {Object|null} { email, name, emailNotifications } ou null se não encontrado
    */
   async getUserEmail(userId) {
-    // Esta função deve ser implementada para buscar o email do usuário no banco
-    // Por enquanto, retornando um mock
-    return {
-      email: 'usuario@exemplo.com' // Substituir por consulta real ao banco
-    };
+    if (!this.userRepository) {
+      this.logger.warn('Repositório de usuários não configurado no provedor de email');
+      return null;
+    }
+
+    return await this.userRepository.findNotificationRecipient(userId);
   }
 
   /**
-   * Formata data para exibição
+   * Formata data para exibição conforme idioma, formatos e fuso do usuário
    * @param {Date|string} date - Data para formatar
+   * @param {Object} preferences - { language, dateFormat, timeFormat, timezone, dateOnly }
    * @returns {string} Data formatada
    */
-  formatDate(date) {
-    if (!date) return 'Data não informada';
-    
-    const dateObj = new Date(date);
-    return dateObj.toLocaleDateString('pt-BR', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  formatDate(date, preferences = {}) {
+    if (!date) return translate(preferences.language, 'common.dateNotInformed');
+
+    return formatDateTime(date, preferences);
   }
 
   /**
@@ -0,0 +1,187 @@
+const webPush = require('web-push');
+
+// Status HTTP do serviço de push que indicam inscrição expirada ou cancelada
+const GONE_STATUS_CODES = [404, 410];
+
+/**
+ * Provedor de notificações Web Push (VAPID)
+ * Envia a notificação para todos os navegadores/dispositivos inscritos do usuário
+ * e remove automaticamente as inscrições expiradas.
+ */
+class PushNotificationProvider {
+  /**
+   * @param {Object} config - Chaves VAPID e opções de envio
+   * @param {string} config.publicKey - Chave pública VAPID
+   * @param {string} config.privateKey - Chave privada VAPID
+   * @param {string} config.subject - Contato do remetente (mailto: ou https:)
+   * @param {string} config.frontendUrl - URL do frontend, usada nos links da notificação
+   * @param {number} config.ttl - Tempo (segundos) que o serviço de push guarda a mensagem
+   * @param {number} config.maxFailures - Falhas consecutivas até descartar a inscrição
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Dependências do provedor
+   * @param {Object} options.subscriptionRepository - Inscrições dos usuários (PushSubscriptionRepository)
+   * @param {Object} options.webPush - Cliente Web Push (padrão: biblioteca web-push)
+   */
+  constructor(config, logger, options = {}) {
+    this.config = {
+      ttl: 24 * 60 * 60,
+      maxFailures: 5,
+      ...config
+    };
+    this.logger = logger;
+    this.subscriptionRepository = options.subscriptionRepository || null;
+    this.webPush = options.webPush || webPush;
+  }
+
+  /**
+   * Chave pública VAPID, usada pelo navegador para criar a inscrição
+   * @returns {string} Chave pública (base64 url-safe)
+   */
+  getPublicKey() {
+    return this.config.publicKey;
+  }
+
+  /**
+   * Monta o conteúdo entregue ao service worker
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @returns {string} Payload JSON
+   */
+  buildPayload(notification, eventData = {}) {
+    const path = eventData.eventId ? `/dashboard/events/${eventData.eventId}` : '/dashboard';
+
+    return JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      tag: notification.id,
+      data: {
+        notificationId: notification.id,
+        type: notification.type,
+        url: `${this.config.frontendUrl || ''}${path}`
+      }
+    });
+  }
+
+  /**
+   * Envia notificação push para as inscrições do usuário
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @returns {Object} Resultado do envio
+   */
+  async send(notification, eventData) {
+    try {
+      if (!this.subscriptionRepository) {
+        this.logger.warn('PushNotificationProvider sem subscriptionRepository configurado');
+        return { success: false, retryable: false, error: 'Inscrições push não configuradas' };
+      }
+
+      // Inscrições expiradas ou que falharam demais são descartadas antes do envio
+      await this.subscriptionRepository.pruneExpired({
+        userId: notification.userId,
+        maxFailures: this.config.maxFailures
+      });
+
+      const subscriptions = await this.subscriptionRepository.listActive(notification.userId);
+      if (subscriptions.length === 0) {
+        return {
+          success: false,
+          skipped: true,
+          retryable: false,
+          error: 'Usuário sem inscrições push'
+        };
+      }
+
+      const payload = this.buildPayload(notification, eventData);
+      const results = await Promise.all(
+        subscriptions.map(subscription => this.sendToSubscription(subscription, payload))
+      );
+
+      const sent = results.filter(result => result.status === 'sent').length;
+      const failures = results.filter(result => result.status === 'failed');
+
+      if (sent > 0) {
+        if (failures.length > 0) {
+          this.logger.warn(`Push entregue em ${sent} de ${subscriptions.length} dispositivos:`, notification.id);
+        }
+        this.logger.info(`Push enviado para usuário ${notification.userId} (${sent} dispositivos)`);
+        return { success: true, deliveredAt: new Date() };
+      }
+
+      // Todas as inscrições estavam expiradas e foram removidas
+      if (failures.length === 0) {
+        return {
+          success: false,
+          skipped: true,
+          retryable: false,
+          error: 'Inscrições push expiradas'
+        };
+      }
+
+      return {
+        success: false,
+        retryable: failures.some(result => result.retryable),
+        error: failures[0].error
+      };
+
+    } catch (error) {
+      this.logger.error('Erro ao enviar notificação push:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Envia o payload para uma inscrição e atualiza seu estado
+   * @param {Object} subscription - Inscrição salva
+   * @param {string} payload - Payload JSON
+   * @returns {Object} { status: 'sent' | 'gone' | 'failed', error, retryable }
+   */
+  async sendToSubscription(subscription, payload) {
+    try {
+      await this.webPush.sendNotification(
+        {
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+        },
+        payload,
+        {
+          TTL: this.config.ttl,
+          vapidDetails: {
+            subject: this.config.subject,
+            publicKey: this.config.publicKey,
+            privateKey: this.config.privateKey
+          }
+        }
+      );
+
+      await this.subscriptionRepository.markDelivered(subscription.id);
+      return { status: 'sent' };
+
+    } catch (error) {
+      if (GONE_STATUS_CODES.includes(error.statusCode)) {
+        await this.subscriptionRepository.remove(subscription.id);
+        this.logger.info(`Inscrição push expirada removida: ${subscription.id}`);
+        return { status: 'gone' };
+      }
+
+      const failureCount = await this.subscriptionRepository.markFailed(subscription.id);
+      if (failureCount >= this.config.maxFailures) {
+        await this.subscriptionRepository.remove(subscription.id);
+        this.logger.warn(`Inscrição push removida após ${failureCount} falhas consecutivas: ${subscription.id}`);
+      }
+
+      // Sem statusCode: erro de rede; 429 e 5xx: serviço de push indisponível
+      const retryable = !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+
+      return {
+        status: 'failed',
+        retryable,
+        error: error.statusCode ? `Serviço de push respondeu ${error.statusCode}` : error.message
+      };
+    }
+  }
+}
+
+module.exports = PushNotificationProvider;
@@ -0,0 +1,163 @@
+const { splitSmsText, normalizePhone } = require('./sms/smsText');
+
+/**
+ * Provedor de notificações por SMS
+ * Envia pelo gateway configurado (ver src/providers/sms), dividindo textos longos
+ * em várias mensagens e registrando o custo de cada uma em SmsMessage.
+ * Também é usado pelo GuestMessenger para convidados sem WhatsApp.
+ */
+class SmsNotificationProvider {
+  /**
+   * @param {Object} config - Opções de envio
+   * @param {number} config.maxParts - Quantidade máxima de SMS por mensagem
+   * @param {number} config.costPerMessage - Custo de cada SMS quando o gateway não o informa
+   * @param {string} config.currency - Moeda do custo
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Dependências do provedor
+   * @param {Object} options.gateway - Gateway de SMS (HttpSmsGateway, FakeSmsGateway)
+   * @param {Object} options.userRepository - Repositório usado para obter o telefone do organizador
+   * @param {Object} options.smsRepository - Registro de envios e custos (SmsMessageRepository)
+   */
+  constructor(config, logger, options = {}) {
+    this.config = {
+      maxParts: 3,
+      costPerMessage: 0,
+      currency: 'BRL',
+      ...config
+    };
+    this.logger = logger;
+    this.gateway = options.gateway;
+    this.userRepository = options.userRepository || null;
+    this.smsRepository = options.smsRepository || null;
+  }
+
+  /**
+   * Envia notificação por SMS para o telefone do organizador
+   * @param {Object} notification - Dados da notificação
+   * @param {Object} eventData - Dados do evento original
+   * @returns {Object} Resultado do envio
+   */
+  async send(notification, eventData) {
+    try {
+      const user = this.userRepository
+        ? await this.userRepository.findNotificationRecipient(notification.userId)
+        : null;
+      if (!user) {
+        return { success: false, retryable: false, error: 'Usuário não encontrado' };
+      }
+
+      if (!user.phone) {
+        return {
+          success: false,
+          skipped: true,
+          retryable: false,
+          error: 'Usuário sem telefone cadastrado'
+        };
+      }
+
+      const result = await this.sendText(user.phone, `${notification.title}: ${notification.message}`, {
+        userId: notification.userId,
+        notificationId: notification.id
+      });
+
+      return result.success
+        ? { success: true, deliveredAt: new Date(), messageId: result.messageIds[0] }
+        : { success: false, retryable: result.retryable, error: result.error };
+
+    } catch (error) {
+      this.logger.error('Erro ao enviar SMS:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Envia um texto por SMS, dividindo-o em partes quando necessário
+   * @param {string} phone - Telefone do destinatário
+   * @param {string} text - Texto completo
+   * @param {Object} context - Vínculos do envio para o registro de custo
+   * @param {string} context.userId - Organizador que arca com o custo
+   * @param {string} context.guestId - Convidado destinatário
+   * @param {string} context.notificationId - Notificação de origem
+   * @returns {Object} { success, parts, cost, messageIds, error, retryable }
+   */
+  async sendText(phone, text, context = {}) {
+    const to = normalizePhone(phone);
+    if (!to) {
+      return { success: false, retryable: false, parts: 0, cost: 0, messageIds: [], error: 'Telefone inválido' };
+    }
+
+    const { encoding, parts } = splitSmsText(text, { maxParts: this.config.maxParts });
+    const messageIds = [];
+    let cost = 0;
+
+    for (let index = 0; index < parts.length; index++) {
+      const record = {
+        to,
+        body: parts[index],
+        part: index + 1,
+        parts: parts.length,
+        encoding,
+        gateway: this.gateway.name,
+        userId: context.userId || null,
+        guestId: context.guestId || null,
+        notificationId: context.notificationId || null
+      };
+
+      try {
+        const sent = await this.gateway.send({ to, text: parts[index] });
+        const partCost = sent.cost !== undefined ? sent.cost : this.config.costPerMessage;
+
+        await this.recordMessage({
+          ...record,
+          status: 'sent',
+          gatewayMessageId: sent.messageId || null,
+          cost: partCost,
+          currency: sent.currency || this.config.currency
+        });
+
+        messageIds.push(sent.messageId);
+        cost += partCost;
+
+      } catch (error) {
+        await this.recordMessage({
+          ...record,
+          status: 'failed',
+          errorMessage: error.message,
+          currency: this.config.currency
+        });
+
+        this.logger.error(`Falha ao enviar SMS (parte ${index + 1}/${parts.length}) para ${to}:`, error.message);
+        return {
+          success: false,
+          retryable: error.retryable !== false,
+          parts: parts.length,
+          cost,
+          messageIds,
+          error: error.message
+        };
+      }
+    }
+
+    this.logger.info(`SMS enviado para ${to} (${parts.length} parte(s), custo ${cost} ${this.config.currency})`);
+    return { success: true, parts: parts.length, cost, messageIds };
+  }
+
+  /**
+   * Registra uma parte enviada; falhas no registro não invalidam o envio
+   * @param {Object} data - Campos de SmsMessage
+   */
+  async recordMessage(data) {
+    if (!this.smsRepository) return;
+
+    try {
+      await this.smsRepository.record(data);
+    } catch (error) {
+      this.logger.error('Erro ao registrar custo de SMS:', error);
+    }
+  }
+}
+
+module.exports = SmsNotificationProvider;
@@ -1,12 +1,41 @@
+const jwt = require('jsonwebtoken');
+const MemoryStateStore = require('../services/state/MemoryStateStore');
+
+// Chave do conjunto de usuários conectados no estado compartilhado
+const CONNECTED_USERS_KEY = 'presence:users';
+
 /**
  * Provedor de notificações WebSocket
  * Responsável por enviar notificações em tempo real via Socket.IO
  */
 class WebSocketNotificationProvider {
-    constructor(io, logger) {
+    /**
+     * @param {Object} io - Servidor Socket.IO
+     * @param {Object} logger - Logger (winston)
+     * @param {Object} options - Opções do provedor
+     * @param {Function} options.verifyToken - Função que valida o JWT e retorna o payload
+     * @param {Object} options.authSessions - Consulta a sessão do token (AuthSessionService.isSessionActive)
+     * @param {number} options.authTimeoutMs - Tempo máximo para o socket se autenticar
+     * @param {Object} options.notificationService - Persiste a leitura de notificações (NotificationService)
+     * @param {Object} options.stateStore - Estado compartilhado entre instâncias (presença dos sockets)
+     * @param {number} options.presenceTtlMs - Validade da presença sem renovação (instância que caiu)
+     * @param {Object} options.eventDashboard - Painel ao vivo dos eventos (EventDashboardStream)
+     */
+    constructor(io, logger, options = {}) {
       this.io = io;
       this.logger = logger;
-      this.connectedUsers = new Map(); // Map de userId -> socket.id
+      this.verifyToken = options.verifyToken
+        || ((token) => jwt.verify(token, process.env.JWT_SECRET));
+      this.authSessions = options.authSessions || null;
+      this.authTimeoutMs = options.authTimeoutMs
+        || parseInt(process.env.WS_AUTH_TIMEOUT_MS, 10)
+        || 10000;
+      this.notificationService = options.notificationService || null;
+      // Presença (userId -> socket.id) compartilhada: o socket pode estar em outra instância
+      this.stateStore = options.stateStore || new MemoryStateStore();
+      this.presenceTtlMs = options.presenceTtlMs || 60000;
+      this.presenceTimer = null;
+      this.eventDashboard = options.eventDashboard || null;
       this.setupSocketHandlers();
     }
   
@@ -16,73 +45,320 @@ class WebSocketNotificationProvider {
     setupSocketHandlers() {
       this.io.on('connection', (socket) => {
         this.logger.info(`Nova conexão WebSocket: ${socket.id}`);
+
+        // Sockets que não se autenticarem dentro do prazo são desconectados
+        const authTimer = setTimeout(() => {
+          if (!socket.userId) {
+            this.rejectSocket(socket, 'AUTH_TIMEOUT', 'Tempo de autenticação esgotado');
+          }
+        }, this.authTimeoutMs);
+
+        // Token enviado no handshake: io(url, { auth: { token } })
+        const handshakeToken = socket.handshake?.auth?.token;
+        if (handshakeToken) {
+          this.authenticateSocket(socket, handshakeToken, authTimer);
+        }
   
         // Handler para autenticação do usuário
-        socket.on('authenticate', (data) => {
-          try {
-            const { userId, token } = data;
-            
-            // Aqui você pode validar o token JWT se necessário
-            // Por simplicidade, vamos assumir que o userId é válido
-            
-            this.connectedUsers.set(userId, socket.id);
-            socket.userId = userId;
-            
-            socket.emit('authenticated', { success: true });
-            this.logger.info(`Usuário autenticado via WebSocket: ${userId}`);
-            
-          } catch (error) {
-            socket.emit('authenticated', { success: false, error: 'Token inválido' });
-            this.logger.error('Erro na autenticação WebSocket:', error);
-          }
+        socket.on('authenticate', (data = {}) => {
+          this.authenticateSocket(socket, data.token, authTimer);
         });
   
         // Handler para desconexão
-        socket.on('disconnect', () => {
+        socket.on('disconnect', async () => {
+          clearTimeout(authTimer);
           if (socket.userId) {
-            this.connectedUsers.delete(socket.userId);
-            this.logger.info(`Usuário desconectado: ${socket.userId}`);
+            await this.removeSocket(socket.userId, socket.id);
+            this.logger.info(`Socket do usuário ${socket.userId} desconectado: ${socket.id}`);
           }
         });
   
         // Handler para marcar notificação como lida
-        socket.on('mark_notification_read', (data) => {
-          const { notificationId } = data;
-          // Emitir evento para outros componentes se necessário
-          socket.emit('notification_marked_read', { notificationId });
+        socket.on('mark_notification_read', (data = {}) => {
+          if (!socket.userId) {
+            socket.emit('auth_error', { code: 'UNAUTHENTICATED', error: 'Socket não autenticado' });
+            return;
+          }
+          return this.markNotificationRead(socket, data.notificationId);
+        });
+
+        // Handlers do painel ao vivo de um evento
+        socket.on('join_event', (data = {}) => {
+          if (!socket.userId) {
+            socket.emit('auth_error', { code: 'UNAUTHENTICATED', error: 'Socket não autenticado' });
+            return;
+          }
+          return this.joinEvent(socket, data.eventId);
+        });
+
+        socket.on('leave_event', (data = {}) => {
+          if (this.eventDashboard && data.eventId) {
+            socket.leave(this.eventDashboard.getEventRoom(data.eventId));
+            socket.emit('event_left', { eventId: data.eventId });
+          }
         });
       });
     }
+
+    /**
+     * Inscreve o socket no painel do evento e envia os contadores atuais
+     * @param {Object} socket - Socket autenticado
+     * @param {string} eventId - ID do evento
+     */
+    async joinEvent(socket, eventId) {
+      try {
+        if (!eventId || !this.eventDashboard) {
+          socket.emit('event_error', { code: 'INVALID_REQUEST', eventId });
+          return;
+        }
+
+        if (!(await this.eventDashboard.canAccessEvent(socket.userId, eventId))) {
+          socket.emit('event_error', { code: 'FORBIDDEN', eventId });
+          return;
+        }
+
+        socket.join(this.eventDashboard.getEventRoom(eventId));
+        const stats = await this.eventDashboard.getSnapshot(eventId);
+        socket.emit('event_joined', { eventId, stats });
+
+      } catch (error) {
+        this.logger.error('Erro ao entrar no painel do evento via WebSocket:', error);
+        socket.emit('event_error', { code: 'INTERNAL_ERROR', eventId });
+      }
+    }
+
+    /**
+     * Persiste a leitura e avisa as demais abas e dispositivos do usuário
+     * @param {Object} socket - Socket autenticado que marcou a notificação
+     * @param {string} notificationId - ID da notificação
+     */
+    async markNotificationRead(socket, notificationId) {
+      try {
+        if (!notificationId || !this.notificationService) {
+          socket.emit('notification_error', { code: 'INVALID_REQUEST', notificationId });
+          return;
+        }
+
+        const updated = await this.notificationService.markAsRead(notificationId, socket.userId);
+        if (updated === 0) {
+          socket.emit('notification_error', { code: 'NOT_FOUND', notificationId });
+          return;
+        }
+
+        const payload = { notificationId, read: true };
+        socket.emit('notification_marked_read', payload);
+        socket.to(this.getUserRoom(socket.userId)).emit('notification_marked_read', payload);
+
+      } catch (error) {
+        this.logger.error('Erro ao marcar notificação como lida via WebSocket:', error);
+        socket.emit('notification_error', { code: 'INTERNAL_ERROR', notificationId });
+      }
+    }
+
+    /**
+     * Valida o JWT e vincula o socket ao ID do usuário contido no token.
+     * O `userId` enviado pelo cliente é ignorado.
+     * @param {Object} socket - Socket a ser autenticado
+     * @param {string} token - Token JWT (com ou sem prefixo "Bearer ")
+     * @param {NodeJS.Timeout} authTimer - Timer de expiração da autenticação
+     */
+    async authenticateSocket(socket, token, authTimer) {
+      try {
+        const rawToken = typeof token === 'string' ? token.replace(/^Bearer\s+/i, '') : token;
+        const decoded = this.verifyToken(rawToken);
+
+        if (!decoded || !decoded.id) {
+          throw new Error('Token sem identificação de usuário');
+        }
+
+        // O socket pertence a um único usuário: reautenticar (ex.: token
+        // renovado) só é aceito para o mesmo usuário
+        if (socket.userId && socket.userId !== decoded.id) {
+          this.rejectSocket(socket, 'USER_MISMATCH', 'Socket já autenticado com outro usuário');
+          return;
+        }
+
+        // Token de sessão encerrada (logout ou revogação) não abre socket
+        if (decoded.sid && this.authSessions && !(await this.authSessions.isSessionActive(decoded.sid, decoded.id))) {
+          this.rejectSocket(socket, 'SESSION_REVOKED', 'Sessão encerrada');
+          return;
+        }
+
+        clearTimeout(authTimer);
+
+        const userId = decoded.id;
+        // Token renovado em outra sessão: o socket sai da sala da sessão anterior
+        if (socket.sessionId && socket.sessionId !== decoded.sid) {
+          socket.leave(this.getSessionRoom(socket.sessionId));
+        }
+        socket.userId = userId;
+        socket.sessionId = decoded.sid || null;
+        socket.join(this.getUserRoom(userId));
+        if (socket.sessionId) {
+          socket.join(this.getSessionRoom(socket.sessionId));
+        }
+        await this.addSocket(userId, socket.id);
+
+        // Desconectado enquanto a presença era registrada: desfazer o registro
+        if (!socket.connected) {
+          await this.removeSocket(userId, socket.id);
+          return;
+        }
+
+        socket.emit('authenticated', { success: true, userId });
+        this.logger.info(`Usuário autenticado via WebSocket: ${userId}`);
+
+      } catch (error) {
+        this.logger.error('Erro na autenticação WebSocket:', error.message);
+        this.rejectSocket(socket, 'INVALID_TOKEN', 'Token inválido ou expirado');
+      }
+    }
+
+    /**
+     * Envia o erro de autenticação ao cliente e encerra a conexão
+     * @param {Object} socket - Socket a ser rejeitado
+     * @param {string} code - Código do erro (INVALID_TOKEN, SESSION_REVOKED, USER_MISMATCH, AUTH_TIMEOUT)
+     * @param {string} message - Mensagem do erro
+     */
+    rejectSocket(socket, code, message) {
+      const payload = { success: false, code, error: message };
+      socket.emit('authenticated', payload);
+      socket.emit('auth_error', payload);
+      this.logger.warn(`Conexão WebSocket rejeitada (${code}): ${socket.id}`);
+      socket.disconnect(true);
+    }
+  
+    /**
+     * Nome da sala Socket.IO que agrupa todos os sockets de um usuário
+     * @param {string} userId - ID do usuário
+     * @returns {string} Nome da sala
+     */
+    getUserRoom(userId) {
+      return `user:${userId}`;
+    }
+
+    /**
+     * Nome da sala Socket.IO dos sockets abertos com tokens de uma sessão de login
+     * @param {string} sessionId - ID da sessão (claim `sid`)
+     * @returns {string} Nome da sala
+     */
+    getSessionRoom(sessionId) {
+      return `session:${sessionId}`;
+    }
+
+    /**
+     * Chave do conjunto de sockets de um usuário no estado compartilhado
+     * @param {string} userId - ID do usuário
+     * @returns {string} Chave
+     */
+    getPresenceKey(userId) {
+      return `presence:user:${userId}`;
+    }
+
+    /**
+     * Registra um socket na lista de conexões do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} socketId - ID do socket
+     */
+    async addSocket(userId, socketId) {
+      try {
+        await Promise.all([
+          this.stateStore.addMember(this.getPresenceKey(userId), socketId, this.presenceTtlMs),
+          this.stateStore.addMember(CONNECTED_USERS_KEY, userId, this.presenceTtlMs)
+        ]);
+      } catch (error) {
+        this.logger.error('Erro ao registrar presença do socket:', error.message);
+      }
+      this.startPresenceRefresh();
+    }
+
+    /**
+     * Remove um socket da lista de conexões do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} socketId - ID do socket
+     */
+    async removeSocket(userId, socketId) {
+      try {
+        await this.stateStore.removeMember(this.getPresenceKey(userId), socketId);
+        const remaining = await this.stateStore.getMembers(this.getPresenceKey(userId));
+        if (remaining.length === 0) {
+          await this.stateStore.removeMember(CONNECTED_USERS_KEY, userId);
+        }
+      } catch (error) {
+        this.logger.error('Erro ao remover presença do socket:', error.message);
+      }
+    }
+
+    /**
+     * Renova periodicamente a presença dos sockets autenticados nesta instância.
+     * Se a instância cair, a presença dos seus sockets expira em presenceTtlMs.
+     */
+    startPresenceRefresh() {
+      if (this.presenceTimer) return;
+
+      this.presenceTimer = setInterval(() => this.refreshPresence(), Math.floor(this.presenceTtlMs / 2));
+      this.presenceTimer.unref?.();
+    }
+
+    /**
+     * Renova a presença dos sockets locais; sem sockets, interrompe a renovação
+     */
+    async refreshPresence() {
+      const sockets = Array.from(this.io.sockets.sockets.values()).filter(socket => socket.userId);
+      if (sockets.length === 0) {
+        this.stopPresenceRefresh();
+        return;
+      }
+
+      await Promise.allSettled(sockets.map(socket => this.addSocket(socket.userId, socket.id)));
+    }
+
+    /**
+     * Interrompe a renovação de presença (encerramento da instância)
+     */
+    stopPresenceRefresh() {
+      if (this.presenceTimer) {
+        clearInterval(this.presenceTimer);
+        this.presenceTimer = null;
+      }
+    }
+
+    /**
+     * Obtém os IDs dos sockets ativos de um usuário, em qualquer instância
+     * @param {string} userId - ID do usuário
+     * @returns {Array} IDs dos sockets
+     */
+    async getUserSocketIds(userId) {
+      try {
+        return await this.stateStore.getMembers(this.getPresenceKey(userId));
+      } catch (error) {
+        this.logger.error('Erro ao consultar presença do usuário:', error.message);
+        return [];
+      }
+    }
   
     /**
-     * Envia notificação via WebSocket
+     * Envia notificação via WebSocket para todas as abas e dispositivos do usuário
      * @param {Object} notification - Dados da notificação
      * @param {Object} eventData - Dados do evento original
-     * @returns {Object} Resultado do envio
+     * @returns {Object} Resultado do envio (inclui socketsReached)
      */
     async send(notification, eventData) {
       try {
         const { userId } = notification;
-        const socketId = this.connectedUsers.get(userId);
+        const socketIds = await this.getUserSocketIds(userId);
   
-        if (!socketId) {
+        if (socketIds.length === 0) {
           // Usuário não está conectado
+          // Sem reenvio: a notificação fica disponível na listagem quando o usuário voltar
           return {
             success: false,
+            retryable: false,
+            socketsReached: 0,
             error: 'Usuário não conectado via WebSocket'
           };
         }
   
-        const socket = this.io.sockets.sockets.get(socketId);
-        if (!socket) {
-          // Socket não existe mais, remover do mapa
-          this.connectedUsers.delete(userId);
-          return {
-            success: false,
-            error: 'Socket não encontrado'
-          };
-        }
-  
         // Preparar payload da notificação
         const payload = {
           id: notification.id,
@@ -94,13 +370,14 @@ class WebSocketNotificationProvider {
           read: notification.read
         };
   
-        // Enviar notificação
-        socket.emit('notification', payload);
+        // Enviar notificação para a sala do usuário (todos os sockets, em todas as instâncias)
+        this.io.to(this.getUserRoom(userId)).emit('notification', payload);
   
-        this.logger.info(`Notificação WebSocket enviada para usuário ${userId}:`, notification.id);
+        this.logger.info(`Notificação WebSocket enviada para usuário ${userId} (${socketIds.length} sockets):`, notification.id);
   
         return {
           success: true,
+          socketsReached: socketIds.length,
           deliveredAt: new Date()
         };
   
@@ -108,6 +385,7 @@ class WebSocketNotificationProvider {
         this.logger.error('Erro ao enviar notificação WebSocket:', error);
         return {
           success: false,
+          socketsReached: 0,
           error: error.message
         };
       }
@@ -131,34 +409,47 @@ class WebSocketNotificationProvider {
   
     /**
      * Obtém lista de usuários conectados
-     * @returns {Array} Lista de IDs de usuários conectados
+     * @returns {Array} Lista de IDs de usuários conectados (todas as instâncias)
      */
-    getConnectedUsers() {
-      return Array.from(this.connectedUsers.keys());
+    async getConnectedUsers() {
+      try {
+        return await this.stateStore.getMembers(CONNECTED_USERS_KEY);
+      } catch (error) {
+        this.logger.error('Erro ao consultar usuários conectados:', error.message);
+        return [];
+      }
     }
   
     /**
      * Verifica se um usuário está conectado
      * @param {string} userId - ID do usuário
-     * @returns {boolean} True se o usuário estiver conectado
+     * @returns {boolean} True se o usuário tiver ao menos um socket ativo
      */
-    isUserConnected(userId) {
-      return this.connectedUsers.has(userId);
+    async isUserConnected(userId) {
+      return (await this.getUserSocketIds(userId)).length > 0;
     }
   
     /**
-     * Desconecta um usuário específico
+     * Desconecta todos os sockets de um usuário, em todas as instâncias
      * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade de sockets desconectados
      */
-    disconnectUser(userId) {
-      const socketId = this.connectedUsers.get(userId);
-      if (socketId) {
-        const socket = this.io.sockets.sockets.get(socketId);
-        if (socket) {
-          socket.disconnect(true);
-        }
-        this.connectedUsers.delete(userId);
-      }
+    async disconnectUser(userId) {
+      const socketIds = await this.getUserSocketIds(userId);
+      this.io.in(this.getUserRoom(userId)).disconnectSockets(true);
+
+      await this.stateStore.delete(this.getPresenceKey(userId));
+      await this.stateStore.removeMember(CONNECTED_USERS_KEY, userId);
+      return socketIds.length;
+    }
+  
+    /**
+     * Desconecta os sockets de uma sessão de login (logout ou revogação),
+     * em todas as instâncias. A presença é removida no disconnect de cada socket.
+     * @param {string} sessionId - ID da sessão
+     */
+    disconnectSession(sessionId) {
+      this.io.in(this.getSessionRoom(sessionId)).disconnectSockets(true);
     }
   
     /**
@@ -176,15 +467,25 @@ class WebSocketNotificationProvider {
      * Obtém estatísticas de conexões
      * @returns {Object} Estatísticas
      */
-    getStats() {
+    async getStats() {
+      const userSocketMap = {};
+      let authenticatedSockets = 0;
+
+      for (const userId of await this.getConnectedUsers()) {
+        const socketIds = await this.getUserSocketIds(userId);
+        if (socketIds.length === 0) continue;
+        userSocketMap[userId] = socketIds;
+        authenticatedSockets += socketIds.length;
+      }
+
       return {
-        connectedUsers: this.connectedUsers.size,
+        connectedUsers: Object.keys(userSocketMap).length,
+        authenticatedSockets,
+        // Conexões abertas nesta instância (inclui sockets ainda não autenticados)
         totalSockets: this.io.sockets.sockets.size,
-        userSocketMap: Object.fromEntries(this.connectedUsers)
+        userSocketMap
       };
     }
   }
   
   module.exports = WebSocketNotificationProvider;
-  
-  
\ No newline at end of file
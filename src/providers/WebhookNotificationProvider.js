@@ -0,0 +1,425 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Eventos de notificationEvents que podem ser assinados por webhooks
+// (os eventos ".guest" são internos: um por convidado, sem interesse para integrações)
+const WEBHOOK_EVENTS = [
+  'guest.status.changed',
+  'invite.sent',
+  'event.created',
+  'event.updated',
+  'event.reminder',
+  'system.alert'
+];
+
+// Tamanho máximo da resposta do endpoint guardada no histórico
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Verifica se um endereço IP pertence à própria máquina ou à rede interna
+ * @param {string} address - Endereço IPv4 ou IPv6
+ * @returns {boolean} True se o endereço é local/privado
+ */
+const isPrivateAddress = (address) => {
+  const ip = address.toLowerCase();
+
+  if (net.isIPv6(ip)) {
+    // Loopback, não especificado, ULA (fc00::/7), link-local e IPv4 mapeado
+    return ip === '::1' || ip === '::' || /^f[cd]/.test(ip) || ip.startsWith('fe80:') || ip.startsWith('::ffff:');
+  }
+  if (!net.isIPv4(ip)) return false;
+
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+};
+
+/**
+ * Verifica se o host de uma URL aponta para a própria máquina ou para a rede
+ * interna. Nomes sem domínio (api, redis, postgres) são resolvidos pelo DNS
+ * interno e também são recusados.
+ * @param {string} hostname - Host da URL
+ * @returns {boolean} True se o host é local/privado
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return !host.includes('.') || host.endsWith('.localhost') || host.endsWith('.internal');
+};
+
+/**
+ * Resolve o host como dns.lookup, mas recusa endereços da rede interna.
+ * Usado na conexão de cada entrega: a URL foi validada no cadastro,
+ * mas o DNS pode passar a apontar para um endereço interno depois.
+ */
+const privateAddressGuardLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`Host ${hostname} resolve para endereço da rede interna (${blocked.address})`);
+      blockedError.code = 'EPRIVATEADDRESS';
+      return callback(blockedError);
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Assina o corpo enviado ao webhook (HMAC-SHA256 de "timestamp.corpo").
+ * O timestamp assinado permite ao receptor rejeitar entregas antigas (replay).
+ * @param {string} secret - Segredo do webhook
+ * @param {number} timestamp - Segundos desde a época Unix
+ * @param {string} body - Corpo JSON da requisição
+ * @returns {string} Valor do header X-Webhook-Signature (t=...,v1=...)
+ */
+const signWebhookPayload = (secret, timestamp, body) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Gera o segredo de assinatura de um novo webhook
+ * @returns {string} Segredo (whsec_ + 32 bytes em hex)
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Provedor de webhooks de saída
+ * Diferente dos demais provedores, não entrega notificações ao organizador:
+ * recebe os eventos brutos (handleEvent), grava uma WebhookDelivery para cada
+ * webhook inscrito e as entrega em segundo plano, com assinatura HMAC,
+ * backoff exponencial e dead-letter após o limite de tentativas.
+ */
+class WebhookNotificationProvider {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do provedor
+   * @param {Object} options.httpClient - Cliente HTTP (padrão: axios)
+   * @param {number} options.pollIntervalMs - Intervalo entre varreduras de entregas pendentes
+   * @param {number} options.batchSize - Quantidade de entregas por varredura
+   * @param {number} options.maxAttempts - Tentativas antes de mover a entrega para DEAD_LETTER
+   * @param {number} options.baseDelayMs - Intervalo base do backoff exponencial
+   * @param {number} options.timeoutMs - Tempo limite de cada requisição
+   * @param {number} options.staleAfterMs - Tempo após o qual uma entrega DELIVERING é considerada abandonada
+   * @param {boolean} options.allowPrivateUrls - Permite entregas para a rede interna (desenvolvimento)
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.httpClient = options.httpClient || axios;
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.batchSize = options.batchSize || 20;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.baseDelayMs = options.baseDelayMs || 60000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.staleAfterMs = options.staleAfterMs || 10 * 60 * 1000;
+    this.allowPrivateUrls = options.allowPrivateUrls === true;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Webhooks não são um canal de notificação do organizador
+   * @returns {Object} Resultado ignorado
+   */
+  async send() {
+    return { success: false, skipped: true, retryable: false, error: 'Webhooks recebem apenas eventos' };
+  }
+
+  /**
+   * Recebe um evento do NotificationService e agenda uma entrega para cada
+   * webhook ativo do organizador inscrito no evento. A idempotencyKey do
+   * outbox evita entregas duplicadas quando o evento é reprocessado.
+   * @param {string} eventType - Nome do evento (ex: guest.status.changed)
+   * @param {Object} eventData - Dados do evento
+   * @returns {number} Quantidade de entregas agendadas
+   */
+  async handleEvent(eventType, eventData) {
+    if (!WEBHOOK_EVENTS.includes(eventType) || !eventData.userId) return 0;
+
+    const webhooks = await this.prisma.webhook.findMany({
+      where: { userId: eventData.userId, active: true, events: { has: eventType } },
+      select: { id: true }
+    });
+    if (webhooks.length === 0) return 0;
+
+    const { idempotencyKey, ...data } = eventData;
+    const eventKey = idempotencyKey || crypto.randomUUID();
+    let created = 0;
+
+    for (const webhook of webhooks) {
+      try {
+        await this.prisma.webhookDelivery.create({
+          data: {
+            webhookId: webhook.id,
+            eventType,
+            eventKey,
+            payload: data,
+            status: 'PENDING',
+            nextAttemptAt: new Date()
+          }
+        });
+        created++;
+      } catch (error) {
+        // P2002: entrega já agendada para este evento (reprocessamento do outbox)
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+
+    if (created > 0) {
+      this.runOnce();
+    }
+    return created;
+  }
+
+  /**
+   * Inicia a varredura periódica das entregas pendentes
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.logger.info('Entrega de webhooks iniciada');
+  }
+
+  /**
+   * Interrompe a varredura e aguarda a execução em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executa uma varredura, reaproveitando a que estiver em andamento
+   * @returns {Promise<number>} Quantidade de entregas realizadas com sucesso
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.processDueDeliveries()
+        .catch((error) => {
+          this.logger.error('Erro ao entregar webhooks:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Busca e entrega as entregas vencidas
+   * @returns {number} Quantidade de entregas realizadas com sucesso
+   */
+  async processDueDeliveries() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.staleAfterMs);
+
+    const dueDeliveries = await this.prisma.webhookDelivery.findMany({
+      where: {
+        OR: [
+          { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+          { status: 'DELIVERING', lastAttemptAt: { lt: staleBefore } }
+        ]
+      },
+      include: { webhook: true },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: this.batchSize
+    });
+
+    let delivered = 0;
+
+    for (const delivery of dueDeliveries) {
+      if (!(await this.claim(delivery))) continue;
+
+      try {
+        const result = await this.deliver(delivery, delivery.webhook);
+        if (result.status === 'SUCCEEDED') delivered++;
+      } catch (error) {
+        this.logger.error(`Erro ao entregar webhook ${delivery.id}:`, error);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Reserva uma entrega. A condição sobre status e attempts garante que
+   * apenas uma instância da API envie a mesma entrega.
+   * @param {Object} delivery - Registro de WebhookDelivery
+   * @returns {boolean} True se a entrega foi reservada
+   */
+  async claim(delivery) {
+    const { count } = await this.prisma.webhookDelivery.updateMany({
+      where: {
+        id: delivery.id,
+        status: delivery.status,
+        attempts: delivery.attempts
+      },
+      data: {
+        status: 'DELIVERING',
+        nextAttemptAt: null,
+        lastAttemptAt: new Date()
+      }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Monta o corpo enviado ao endpoint
+   * @param {Object} delivery - Registro de WebhookDelivery
+   * @returns {string} Corpo JSON
+   */
+  buildBody(delivery) {
+    return JSON.stringify({
+      id: delivery.id,
+      event: delivery.eventType,
+      createdAt: new Date(delivery.createdAt).toISOString(),
+      data: delivery.payload
+    });
+  }
+
+  /**
+   * Envia uma entrega (já reservada) ao endpoint do webhook e registra o resultado
+   * @param {Object} delivery - Registro de WebhookDelivery
+   * @param {Object} webhook - Webhook de destino (url e secret)
+   * @param {Object} options - { retry: false para não reagendar falhas (ping) }
+   * @returns {Object} Entrega atualizada
+   */
+  async deliver(delivery, webhook, { retry = true } = {}) {
+    const body = this.buildBody(delivery);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+
+    let response = null;
+    let errorMessage = null;
+
+    try {
+      this.assertAllowedTarget(webhook.url);
+      response = await this.httpClient.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ConviteCerto-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+        ...(this.allowPrivateUrls ? {} : { lookup: privateAddressGuardLookup })
+      });
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `Endpoint respondeu ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const data = {
+      attempts,
+      durationMs: Date.now() - startedAt,
+      responseStatus: response ? response.status : null,
+      // Redirecionamentos não são seguidos nem têm o corpo guardado
+      responseBody: response && (response.status < 300 || response.status >= 400)
+        ? this.truncateResponseBody(response.data)
+        : null,
+      errorMessage
+    };
+
+    if (!errorMessage) {
+      Object.assign(data, { status: 'SUCCEEDED', deliveredAt: new Date(), nextAttemptAt: null });
+    } else if (!retry) {
+      Object.assign(data, { status: 'FAILED', nextAttemptAt: null });
+    } else if (attempts >= this.maxAttempts) {
+      Object.assign(data, { status: 'DEAD_LETTER', nextAttemptAt: null });
+      this.logger.warn(`Webhook ${webhook.id} movido para dead-letter após ${attempts} tentativas: ${delivery.id}`);
+    } else {
+      Object.assign(data, {
+        status: 'FAILED',
+        nextAttemptAt: new Date(Date.now() + this.baseDelayMs * Math.pow(2, attempts - 1))
+      });
+    }
+
+    return await this.prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data
+    });
+  }
+
+  /**
+   * Recusa URLs que apontam para a rede interna. Cobre webhooks cadastrados
+   * antes da validação atual; nomes resolvidos pelo DNS são verificados
+   * no momento da conexão (privateAddressGuardLookup).
+   * @param {string} url - URL do webhook
+   * @throws {Error} Se a URL aponta para a rede interna
+   */
+  assertAllowedTarget(url) {
+    if (this.allowPrivateUrls) return;
+    if (isPrivateHost(new URL(url).hostname)) {
+      throw new Error('URL do webhook aponta para endereço local ou da rede interna');
+    }
+  }
+
+  /**
+   * Envia um evento "ping" imediatamente, sem reenvio, para o organizador
+   * validar a URL e a verificação da assinatura
+   * @param {Object} webhook - Webhook de destino
+   * @returns {Object} Entrega registrada no histórico
+   */
+  async sendTestPing(webhook) {
+    const delivery = await this.prisma.webhookDelivery.create({
+      data: {
+        webhookId: webhook.id,
+        eventType: 'ping',
+        eventKey: `ping:${crypto.randomUUID()}`,
+        payload: { webhookId: webhook.id, events: webhook.events },
+        status: 'DELIVERING',
+        lastAttemptAt: new Date()
+      }
+    });
+
+    return await this.deliver(delivery, webhook, { retry: false });
+  }
+
+  /**
+   * Limita o corpo da resposta guardado no histórico
+   * @param {*} responseBody - Corpo da resposta
+   * @returns {string|null} Corpo truncado
+   */
+  truncateResponseBody(responseBody) {
+    if (responseBody === undefined || responseBody === null || responseBody === '') return null;
+    const text = typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody);
+    return text.length > MAX_RESPONSE_BODY_LENGTH ? text.slice(0, MAX_RESPONSE_BODY_LENGTH) : text;
+  }
+}
+
+module.exports = WebhookNotificationProvider;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.signWebhookPayload = signWebhookPayload;
+module.exports.generateWebhookSecret = generateWebhookSecret;
+module.exports.isPrivateHost = isPrivateHost;
+module.exports.isPrivateAddress = isPrivateAddress;
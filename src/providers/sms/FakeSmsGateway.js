@@ -0,0 +1,47 @@
+/**
+ * Gateway de SMS local, para desenvolvimento e testes
+ * Não envia nada: guarda as mensagens em memória e as registra no log.
+ */
+class FakeSmsGateway {
+  /**
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções
+   * @param {number} options.costPerMessage - Custo informado para cada SMS
+   */
+  constructor(logger, options = {}) {
+    this.name = 'fake';
+    this.logger = logger;
+    this.costPerMessage = options.costPerMessage;
+    this.sent = [];
+    this.failures = [];
+  }
+
+  /**
+   * Faz os próximos envios falharem (um erro por chamada)
+   * @param {Error} error - Erro a lançar (pode ter `retryable`)
+   */
+  failNext(error) {
+    this.failures.push(error);
+  }
+
+  /**
+   * Simula o envio de um SMS
+   * @param {Object} message - { to, text }
+   * @returns {Object} { messageId, cost }
+   */
+  async send({ to, text }) {
+    if (this.failures.length > 0) {
+      throw this.failures.shift();
+    }
+
+    const messageId = `fake-sms-${this.sent.length + 1}`;
+    this.sent.push({ messageId, to, text, sentAt: new Date() });
+    if (this.logger) {
+      this.logger.info('Simulando envio de SMS:', { to, text });
+    }
+
+    return { messageId, cost: this.costPerMessage };
+  }
+}
+
+module.exports = FakeSmsGateway;
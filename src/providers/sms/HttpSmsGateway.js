@@ -0,0 +1,73 @@
+const axios = require('axios');
+
+/**
+ * Gateway de SMS via API HTTP genérica
+ * Envia POST { to, from, text } para a URL configurada e espera como resposta
+ * { id | messageId, cost?, currency? }. Adapte `buildRequest`/`parseResponse`
+ * para provedores com outro formato.
+ */
+class HttpSmsGateway {
+  /**
+   * @param {Object} config - Configuração do gateway
+   * @param {string} config.url - URL de envio
+   * @param {string} config.apiKey - Chave enviada como Bearer token
+   * @param {string} config.sender - Remetente (número ou nome alfanumérico)
+   * @param {number} config.timeoutMs - Tempo máximo da requisição
+   * @param {Object} options - Dependências
+   * @param {Object} options.httpClient - Cliente HTTP (padrão: axios)
+   */
+  constructor(config, options = {}) {
+    this.name = 'http';
+    this.config = { timeoutMs: 10000, ...config };
+    this.httpClient = options.httpClient || axios;
+  }
+
+  /**
+   * Monta o corpo da requisição
+   * @param {Object} message - { to, text }
+   * @returns {Object} Corpo JSON
+   */
+  buildRequest({ to, text }) {
+    return { to, from: this.config.sender, text };
+  }
+
+  /**
+   * Extrai ID e custo da resposta do gateway
+   * @param {Object} data - Corpo da resposta
+   * @returns {Object} { messageId, cost, currency }
+   */
+  parseResponse(data = {}) {
+    const cost = data.cost !== undefined && data.cost !== null ? Number(data.cost) : undefined;
+    return {
+      messageId: data.messageId || data.id || null,
+      cost: Number.isFinite(cost) ? cost : undefined,
+      currency: data.currency
+    };
+  }
+
+  /**
+   * Envia um SMS
+   * @param {Object} message - { to, text }
+   * @returns {Object} { messageId, cost, currency }
+   * @throws {Error} Erro com `retryable` indicando se vale tentar novamente
+   */
+  async send(message) {
+    try {
+      const { data } = await this.httpClient.post(this.config.url, this.buildRequest(message), {
+        headers: { Authorization: `Bearer ${this.config.apiKey}` },
+        timeout: this.config.timeoutMs
+      });
+      return this.parseResponse(data);
+    } catch (error) {
+      const status = error.response?.status;
+      const gatewayError = new Error(status
+        ? `Gateway de SMS respondeu ${status}`
+        : `Falha ao contactar o gateway de SMS: ${error.message}`);
+      // Erros de rede, 429 e 5xx são temporários; 4xx indica número ou requisição inválidos
+      gatewayError.retryable = !status || status === 429 || status >= 500;
+      throw gatewayError;
+    }
+  }
+}
+
+module.exports = HttpSmsGateway;
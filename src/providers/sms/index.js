@@ -0,0 +1,40 @@
+const HttpSmsGateway = require('./HttpSmsGateway');
+const FakeSmsGateway = require('./FakeSmsGateway');
+
+/**
+ * Gateway de SMS: qualquer objeto com
+ *   - name: identificação registrada em SmsMessage.gateway
+ *   - send({ to, text }): Promise<{ messageId, cost?, currency? }>, lançando
+ *     erros com `retryable` (boolean) em caso de falha
+ */
+
+/**
+ * Cria o gateway configurado em SMS_GATEWAY
+ * @param {Object} env - Variáveis de ambiente
+ * @param {Object} logger - Logger (winston)
+ * @returns {Object|null} Gateway ou null se o SMS estiver desativado
+ */
+function createSmsGateway(env, logger) {
+  switch (env.SMS_GATEWAY) {
+    case 'http':
+      if (!env.SMS_GATEWAY_URL) {
+        logger.warn('SMS_GATEWAY=http sem SMS_GATEWAY_URL: SMS desativado');
+        return null;
+      }
+      return new HttpSmsGateway({
+        url: env.SMS_GATEWAY_URL,
+        apiKey: env.SMS_GATEWAY_API_KEY,
+        sender: env.SMS_SENDER
+      });
+    case 'fake':
+      return new FakeSmsGateway(logger);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  HttpSmsGateway,
+  FakeSmsGateway,
+  createSmsGateway
+};
@@ -0,0 +1,135 @@
+// Alfabeto GSM 03.38: caracteres básicos ocupam 1 septeto, os da extensão ocupam 2
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+// Tamanho máximo de um SMS (uma parte) por codificação
+const SEGMENT_LIMITS = {
+  'GSM-7': 160,
+  'UCS-2': 70
+};
+
+/**
+ * Verifica se o texto pode ser enviado em GSM-7 (sem acentos como ã, õ, ê)
+ * @param {string} text - Texto
+ * @returns {boolean} true se todos os caracteres existem no alfabeto GSM-7
+ */
+function isGsm7(text) {
+  for (const char of text) {
+    if (!GSM7_BASIC.includes(char) && !GSM7_EXTENDED.includes(char)) return false;
+  }
+  return true;
+}
+
+/**
+ * Tamanho de um caractere na codificação (septetos no GSM-7, unidades UTF-16 no UCS-2)
+ * @param {string} char - Caractere (code point)
+ * @param {string} encoding - 'GSM-7' ou 'UCS-2'
+ * @returns {number} Tamanho
+ */
+function charLength(char, encoding) {
+  if (encoding === 'UCS-2') return char.length;
+  return GSM7_EXTENDED.includes(char) ? 2 : 1;
+}
+
+/**
+ * Tamanho do texto na codificação
+ * @param {string} text - Texto
+ * @param {string} encoding - 'GSM-7' ou 'UCS-2'
+ * @returns {number} Tamanho
+ */
+function measureSmsText(text, encoding) {
+  let length = 0;
+  for (const char of text) length += charLength(char, encoding);
+  return length;
+}
+
+/**
+ * Maior prefixo do texto que cabe no limite, sem quebrar pares substitutos (emoji)
+ * @param {string} text - Texto
+ * @param {number} limit - Tamanho máximo
+ * @param {string} encoding - 'GSM-7' ou 'UCS-2'
+ * @returns {string} Prefixo
+ */
+function takeSmsPrefix(text, limit, encoding) {
+  let length = 0;
+  let end = 0;
+  for (const char of text) {
+    length += charLength(char, encoding);
+    if (length > limit) break;
+    end += char.length;
+  }
+  return text.slice(0, end);
+}
+
+/**
+ * Divide um texto em SMS independentes, cada um cabendo em uma parte.
+ * Mensagens longas recebem o prefixo "(1/3) " e, acima de maxParts, são truncadas com "...".
+ * @param {string} text - Texto completo
+ * @param {Object} options - Opções
+ * @param {number} options.maxParts - Quantidade máxima de partes (padrão 3)
+ * @returns {Object} { encoding, parts }
+ */
+function splitSmsText(text, { maxParts = 3 } = {}) {
+  const normalized = String(text || '').trim();
+  const encoding = isGsm7(normalized) ? 'GSM-7' : 'UCS-2';
+  const limit = SEGMENT_LIMITS[encoding];
+
+  if (measureSmsText(normalized, encoding) <= limit) {
+    return { encoding, parts: [normalized] };
+  }
+
+  // Espaço reservado para o prefixo "(n/N) "
+  const partLimit = limit - `(${maxParts}/${maxParts}) `.length;
+  const chunks = [];
+  let rest = normalized;
+
+  while (rest && chunks.length < maxParts) {
+    let chunk = takeSmsPrefix(rest, partLimit, encoding);
+
+    // Quebra no último espaço, desde que não desperdice mais da metade da parte
+    if (chunk.length < rest.length) {
+      const lastSpace = chunk.lastIndexOf(' ');
+      if (lastSpace > chunk.length / 2) chunk = chunk.slice(0, lastSpace);
+    }
+
+    chunks.push(chunk.trim());
+    rest = rest.slice(chunk.length).trim();
+  }
+
+  if (rest) {
+    const last = chunks.length - 1;
+    chunks[last] = `${takeSmsPrefix(chunks[last], partLimit - 3, encoding).trimEnd()}...`;
+  }
+
+  return {
+    encoding,
+    parts: chunks.map((chunk, index) => `(${index + 1}/${chunks.length}) ${chunk}`)
+  };
+}
+
+/**
+ * Normaliza um telefone para o formato E.164 (+5511999999999).
+ * Números sem código do país são considerados brasileiros, como no envio por WhatsApp.
+ * @param {string} phone - Telefone informado
+ * @returns {string|null} Telefone normalizado ou null se inválido
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/\D/g, '');
+  if (String(phone).trim().startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10 || digits.length === 11) return `+55${digits}`;
+  if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) return `+${digits}`;
+  return null;
+}
+
+module.exports = {
+  SEGMENT_LIMITS,
+  isGsm7,
+  measureSmsText,
+  splitSmsText,
+  normalizePhone
+};
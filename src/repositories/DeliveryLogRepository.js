@@ -0,0 +1,188 @@
+// Status finais de entrega com sucesso e com falha
+const SUCCESS_STATUSES = ['SENT', 'DELIVERED'];
+const FAILURE_STATUSES = ['FAILED', 'BOUNCED', 'DEAD_LETTER'];
+
+// Mensagens de erro mais frequentes listadas por canal
+const TOP_ERRORS_PER_CHANNEL = 5;
+
+/**
+ * Repositório de logs de entrega de notificações (NotificationDeliveryLog)
+ * Consultas usadas pelo suporte e pelos organizadores para investigar entregas
+ * ("não recebi o email") e acompanhar a taxa de sucesso de cada canal.
+ */
+class DeliveryLogRepository {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Tentativas de entrega de uma notificação, por canal
+   * @param {string} notificationId - ID da notificação
+   * @returns {Array} Logs de entrega, do mais antigo ao mais recente
+   */
+  async findByNotification(notificationId) {
+    return await this.prisma.notificationDeliveryLog.findMany({
+      where: { notificationId },
+      orderBy: { attemptedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Entregas com falha, da mais recente para a mais antiga
+   * @param {string|null} userId - Dono das notificações (null: todos os usuários)
+   * @param {Object} filters - { channel, type, from, to, page, limit }
+   * @returns {Object} { deliveries, pagination }
+   */
+  async findFailures(userId, { channel, type, from, to, page = 1, limit = 20 } = {}) {
+    const where = { status: { in: FAILURE_STATUSES } };
+    if (channel) where.channel = channel;
+    if (from || to) {
+      where.attemptedAt = {};
+      if (from) where.attemptedAt.gte = from;
+      if (to) where.attemptedAt.lt = to;
+    }
+
+    const notification = {};
+    if (userId) notification.userId = userId;
+    if (type) notification.type = type;
+    if (Object.keys(notification).length > 0) where.notification = notification;
+
+    const [deliveries, total] = await Promise.all([
+      this.prisma.notificationDeliveryLog.findMany({
+        where,
+        include: {
+          notification: {
+            select: { id: true, userId: true, type: true, title: true, createdAt: true }
+          }
+        },
+        orderBy: { attemptedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.notificationDeliveryLog.count({ where })
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Indicadores de entrega por canal no período: contagem por status, taxa de
+   * sucesso, latência (createdAt -> deliveredAt) e erros mais frequentes.
+   * As contagens incluem os totais já resumidos pela política de retenção.
+   * @param {string|null} userId - Dono das notificações (null: todos os usuários)
+   * @param {Object} period - { from, to }
+   * @returns {Array} [{ channel, total, byStatus, successRate, latencyMs, topErrors }]
+   */
+  async getChannelStats(userId, { from, to }) {
+    const logWhere = { attemptedAt: { gte: from, lt: to } };
+    if (userId) logWhere.notification = { userId };
+
+    // Resumos são diários: incluir os dias que começam dentro do período
+    const summaryWhere = { day: { gte: from, lt: to } };
+    if (userId) summaryWhere.userId = userId;
+
+    const [byStatus, summarized, errors, latencies] = await Promise.all([
+      this.prisma.notificationDeliveryLog.groupBy({
+        by: ['channel', 'status'],
+        where: logWhere,
+        _count: { _all: true }
+      }),
+      this.prisma.notificationDeliverySummary.groupBy({
+        by: ['channel', 'status'],
+        where: summaryWhere,
+        _sum: { count: true }
+      }),
+      this.prisma.notificationDeliveryLog.groupBy({
+        by: ['channel', 'errorMessage'],
+        where: { ...logWhere, status: { in: FAILURE_STATUSES }, errorMessage: { not: null } },
+        _count: { _all: true }
+      }),
+      this.getLatencies(userId, { from, to })
+    ]);
+
+    const channels = new Map();
+    const getChannel = (channel) => {
+      if (!channels.has(channel)) {
+        channels.set(channel, { channel, total: 0, byStatus: {}, successRate: null, latencyMs: null, topErrors: [] });
+      }
+      return channels.get(channel);
+    };
+    const addCount = (channel, status, count) => {
+      const stats = getChannel(channel);
+      stats.byStatus[status] = (stats.byStatus[status] || 0) + count;
+      stats.total += count;
+    };
+
+    byStatus.forEach(row => addCount(row.channel, row.status, row._count._all));
+    summarized.forEach(row => addCount(row.channel, row.status, row._sum.count || 0));
+
+    channels.forEach((stats) => {
+      const succeeded = SUCCESS_STATUSES.reduce((sum, status) => sum + (stats.byStatus[status] || 0), 0);
+      const failed = FAILURE_STATUSES.reduce((sum, status) => sum + (stats.byStatus[status] || 0), 0);
+      // Entregas ignoradas, pendentes ou agendadas não entram na taxa
+      if (succeeded + failed > 0) {
+        stats.successRate = Number((succeeded / (succeeded + failed)).toFixed(4));
+      }
+    });
+
+    errors
+      .sort((a, b) => b._count._all - a._count._all)
+      .forEach((row) => {
+        const stats = getChannel(row.channel);
+        if (stats.topErrors.length < TOP_ERRORS_PER_CHANNEL) {
+          stats.topErrors.push({ message: row.errorMessage, count: row._count._all });
+        }
+      });
+
+    latencies.forEach((row) => {
+      getChannel(row.channel).latencyMs = {
+        avg: Math.round(Number(row.avg)),
+        p50: Math.round(Number(row.p50)),
+        p95: Math.round(Number(row.p95)),
+        max: Math.round(Number(row.max))
+      };
+    });
+
+    return [...channels.values()].sort((a, b) => a.channel.localeCompare(b.channel));
+  }
+
+  /**
+   * Latência das entregas com sucesso, por canal, em milissegundos. Parte de
+   * createdAt: attemptedAt é renovado a cada reenvio e esconderia a espera.
+   * @param {string|null} userId - Dono das notificações (null: todos os usuários)
+   * @param {Object} period - { from, to }
+   * @returns {Array} [{ channel, avg, p50, p95, max }]
+   */
+  async getLatencies(userId, { from, to }) {
+    return await this.prisma.$queryRaw`
+      SELECT l."channel"::text AS "channel",
+             AVG(EXTRACT(EPOCH FROM (l."deliveredAt" - l."createdAt")) * 1000) AS "avg",
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (l."deliveredAt" - l."createdAt")) * 1000) AS "p50",
+             PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (l."deliveredAt" - l."createdAt")) * 1000) AS "p95",
+             MAX(EXTRACT(EPOCH FROM (l."deliveredAt" - l."createdAt")) * 1000) AS "max"
+      FROM "NotificationDeliveryLog" l
+      JOIN "Notification" n ON n."id" = l."notificationId"
+      WHERE l."deliveredAt" IS NOT NULL
+        AND l."status" IN ('SENT', 'DELIVERED')
+        AND l."attemptedAt" >= ${from}
+        AND l."attemptedAt" < ${to}
+        AND (${userId}::text IS NULL OR n."userId" = ${userId})
+      GROUP BY l."channel"
+    `;
+  }
+}
+
+module.exports = DeliveryLogRepository;
+module.exports.SUCCESS_STATUSES = SUCCESS_STATUSES;
+module.exports.FAILURE_STATUSES = FAILURE_STATUSES;
@@ -0,0 +1,102 @@
+const { getLocaleChain } = require('../locales');
+
+/**
+ * Repositório de templates de email editáveis
+ * Templates com userId nulo são os padrões do sistema; templates com userId
+ * são personalizações do organizador e têm precedência sobre o padrão.
+ */
+class EmailTemplateRepository {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Busca o template que vale para o usuário, seguindo a cadeia de idiomas.
+   * Em cada idioma, a personalização do usuário vence o padrão do sistema.
+   * @param {string} userId - ID do usuário
+   * @param {string} type - Tipo de notificação
+   * @param {string} locale - Idioma do usuário
+   * @returns {Object|null} Template encontrado ou null (usar o template embutido)
+   */
+  async findEffective(userId, type, locale) {
+    const chain = getLocaleChain(locale);
+    const templates = await this.prisma.emailTemplate.findMany({
+      where: {
+        type,
+        locale: { in: chain },
+        OR: [{ userId }, { userId: null }]
+      }
+    });
+
+    for (const candidate of chain) {
+      const match = templates.find(t => t.locale === candidate && t.userId === userId)
+        || templates.find(t => t.locale === candidate && t.userId === null);
+      if (match) return match;
+    }
+
+    return null;
+  }
+
+  /**
+   * Lista as personalizações do usuário e os padrões do sistema
+   * @param {string} userId - ID do usuário
+   * @returns {Array} Templates
+   */
+  async list(userId) {
+    return await this.prisma.emailTemplate.findMany({
+      where: { OR: [{ userId }, { userId: null }] },
+      orderBy: [{ type: 'asc' }, { locale: 'asc' }]
+    });
+  }
+
+  /**
+   * Cria ou atualiza um template
+   * @param {string|null} userId - ID do usuário (null para o padrão do sistema)
+   * @param {string} type - Tipo de notificação
+   * @param {string} locale - Idioma
+   * @param {Object} data - { subject, html } já sanitizados
+   * @returns {Object} Template salvo
+   */
+  async save(userId, type, locale, { subject, html }) {
+    if (userId) {
+      return await this.prisma.emailTemplate.upsert({
+        where: { userId_type_locale: { userId, type, locale } },
+        update: { subject, html },
+        create: { userId, type, locale, subject, html }
+      });
+    }
+
+    // Chaves únicas compostas não aceitam null no Prisma: padrão do sistema via findFirst
+    const existing = await this.prisma.emailTemplate.findFirst({
+      where: { userId: null, type, locale }
+    });
+    if (existing) {
+      return await this.prisma.emailTemplate.update({
+        where: { id: existing.id },
+        data: { subject, html }
+      });
+    }
+    return await this.prisma.emailTemplate.create({
+      data: { userId: null, type, locale, subject, html }
+    });
+  }
+
+  /**
+   * Remove um template (o envio volta ao padrão seguinte da cadeia)
+   * @param {string|null} userId - ID do usuário (null para o padrão do sistema)
+   * @param {string} type - Tipo de notificação
+   * @param {string} locale - Idioma
+   * @returns {number} Quantidade de templates removidos
+   */
+  async remove(userId, type, locale) {
+    const { count } = await this.prisma.emailTemplate.deleteMany({
+      where: { userId: userId || null, type, locale }
+    });
+    return count;
+  }
+}
+
+module.exports = EmailTemplateRepository;
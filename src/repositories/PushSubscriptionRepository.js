@@ -0,0 +1,143 @@
+/**
+ * Repositório de inscrições Web Push
+ * Cada navegador/dispositivo do usuário tem uma inscrição, identificada pelo endpoint.
+ */
+class PushSubscriptionRepository {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Registra (ou atualiza) a inscrição de um dispositivo.
+   * Um endpoint já registrado por outro usuário passa a pertencer ao usuário atual
+   * (ex: outro login no mesmo navegador).
+   * @param {string} userId - ID do usuário
+   * @param {Object} subscription - PushSubscription do navegador ({ endpoint, expirationTime, keys })
+   * @param {Object} device - { deviceName, userAgent }
+   * @returns {Object} Inscrição salva
+   */
+  async save(userId, subscription, device = {}) {
+    const data = {
+      userId,
+      p256dh: subscription.keys.p256dh,
+      auth: subscription.keys.auth,
+      expiresAt: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+      deviceName: device.deviceName || null,
+      userAgent: device.userAgent || null,
+      failureCount: 0
+    };
+
+    return await this.prisma.pushSubscription.upsert({
+      where: { endpoint: subscription.endpoint },
+      update: data,
+      create: { endpoint: subscription.endpoint, ...data }
+    });
+  }
+
+  /**
+   * Lista as inscrições de um usuário (sem as chaves de criptografia)
+   * @param {string} userId - ID do usuário
+   * @returns {Array} Inscrições
+   */
+  async listForUser(userId) {
+    return await this.prisma.pushSubscription.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        endpoint: true,
+        deviceName: true,
+        userAgent: true,
+        expiresAt: true,
+        lastUsedAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Lista as inscrições válidas de um usuário, usadas no envio
+   * @param {string} userId - ID do usuário
+   * @param {Date} now - Data de referência
+   * @returns {Array} Inscrições com endpoint e chaves
+   */
+  async listActive(userId, now = new Date()) {
+    return await this.prisma.pushSubscription.findMany({
+      where: {
+        userId,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+      }
+    });
+  }
+
+  /**
+   * Remove uma inscrição do usuário pelo ID ou pelo endpoint
+   * @param {string} userId - ID do usuário
+   * @param {Object} where - { id } ou { endpoint }
+   * @returns {number} Quantidade de inscrições removidas
+   */
+  async removeForUser(userId, where) {
+    const { count } = await this.prisma.pushSubscription.deleteMany({
+      where: { ...where, userId }
+    });
+    return count;
+  }
+
+  /**
+   * Remove uma inscrição rejeitada pelo serviço de push (404/410)
+   * @param {string} id - ID da inscrição
+   */
+  async remove(id) {
+    // deleteMany não falha se a inscrição já foi removida por outro envio
+    await this.prisma.pushSubscription.deleteMany({ where: { id } });
+  }
+
+  /**
+   * Registra uma entrega bem-sucedida
+   * @param {string} id - ID da inscrição
+   * @param {Date} now - Data da entrega
+   */
+  async markDelivered(id, now = new Date()) {
+    await this.prisma.pushSubscription.updateMany({
+      where: { id },
+      data: { lastUsedAt: now, failureCount: 0 }
+    });
+  }
+
+  /**
+   * Registra uma falha de entrega
+   * @param {string} id - ID da inscrição
+   * @returns {number} Falhas consecutivas após o incremento
+   */
+  async markFailed(id) {
+    const subscription = await this.prisma.pushSubscription.update({
+      where: { id },
+      data: { failureCount: { increment: 1 } },
+      select: { failureCount: true }
+    });
+    return subscription.failureCount;
+  }
+
+  /**
+   * Remove inscrições expiradas ou com falhas consecutivas demais
+   * @param {Object} options - { userId, now, maxFailures }
+   * @returns {number} Quantidade de inscrições removidas
+   */
+  async pruneExpired({ userId, now = new Date(), maxFailures } = {}) {
+    const conditions = [{ expiresAt: { lte: now } }];
+    if (maxFailures) conditions.push({ failureCount: { gte: maxFailures } });
+
+    const { count } = await this.prisma.pushSubscription.deleteMany({
+      where: {
+        ...(userId ? { userId } : {}),
+        OR: conditions
+      }
+    });
+    return count;
+  }
+}
+
+module.exports = PushSubscriptionRepository;
@@ -0,0 +1,62 @@
+/**
+ * Repositório de SMS enviados
+ * Registra cada parte enviada ao gateway com seu custo, para acompanhamento por organizador.
+ */
+class SmsMessageRepository {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Registra uma parte de SMS
+   * @param {Object} data - Campos de SmsMessage
+   * @returns {Object} Registro criado
+   */
+  async record(data) {
+    return await this.prisma.smsMessage.create({ data });
+  }
+
+  /**
+   * Resume a quantidade e o custo dos SMS de um organizador no período
+   * @param {string} userId - ID do usuário
+   * @param {Object} period - { from, to } (opcionais)
+   * @returns {Object} { messages, failed, cost: [{ currency, total }] }
+   */
+  async getCostSummary(userId, { from, to } = {}) {
+    const where = { userId };
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lt = to;
+    }
+
+    const [byStatus, byCurrency] = await Promise.all([
+      this.prisma.smsMessage.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true }
+      }),
+      this.prisma.smsMessage.groupBy({
+        by: ['currency'],
+        where: { ...where, status: 'sent' },
+        _sum: { cost: true }
+      })
+    ]);
+
+    const count = status => byStatus.find(row => row.status === status)?._count._all || 0;
+
+    return {
+      messages: count('sent'),
+      failed: count('failed'),
+      cost: byCurrency.map(row => ({
+        currency: row.currency,
+        total: Number(row._sum.cost || 0)
+      }))
+    };
+  }
+}
+
+module.exports = SmsMessageRepository;
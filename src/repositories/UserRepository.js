@@ -0,0 +1,59 @@
+/**
+ * Repositório de usuários
+ * Consultas de usuário usadas fora das rotas (ex: provedores de notificação),
+ * isolando o acesso ao Prisma para facilitar testes.
+ */
+class UserRepository {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Busca os dados do destinatário de uma notificação
+   * @param {string} userId - ID do usuário
+   * @returns {Object|null} { id, name, email, phone, emailNotifications, language, dateFormat, timeFormat, timezone,
+   *   slackWebhookUrl, discordWebhookUrl } ou null se não existir
+   */
+  async findNotificationRecipient(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        phone: true,
+        config: {
+          select: { emailNotifications: true, language: true, dateFormat: true, timeFormat: true }
+        },
+        notificationSettings: {
+          select: { timezone: true, slackWebhookUrl: true, discordWebhookUrl: true }
+        }
+      }
+    });
+
+    if (!user) return null;
+
+    // Usuários sem UserConfig seguem os padrões do schema
+    const config = user.config || {};
+    const settings = user.notificationSettings || {};
+
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone || null,
+      emailNotifications: config.emailNotifications !== false,
+      language: config.language || 'pt-BR',
+      dateFormat: config.dateFormat || 'DD/MM/YYYY',
+      timeFormat: config.timeFormat || '24h',
+      timezone: settings.timezone || null,
+      slackWebhookUrl: settings.slackWebhookUrl || null,
+      discordWebhookUrl: settings.discordWebhookUrl || null
+    };
+  }
+}
+
+module.exports = UserRepository;
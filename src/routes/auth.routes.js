@@ -11,11 +11,14 @@ const Joi = require("joi");
  *     description: Endpoints para autenticação e gerenciamento de usuários
  */
 
+// Regras de senha (registro e redefinição)
+const passwordRule = Joi.string().min(6);
+
 // Esquema de validação para registro
 const registerSchema = Joi.object({
   name: Joi.string().required(),
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).required(),
+  password: passwordRule.required(),
 });
 
 // Esquema de validação para login
@@ -24,16 +27,62 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+// Esquema de validação para renovação e logout
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+// Esquemas de validação para redefinição de senha
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: passwordRule.required(),
+});
+
+// Esquema de validação para confirmação de email
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+/**
+ * Dados do dispositivo que abre ou renova a sessão.
+ * @param {object} req - Objeto de requisição do Express.
+ * @returns {object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 500) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Verifica um token JWT emitido pela API.
+ * Compartilhado entre o middleware HTTP e a autenticação de sockets.
+ * @param {string} token - Token JWT (sem o prefixo "Bearer ").
+ * @returns {object} Payload decodificado do token.
+ * @throws {Error} Se o token for inválido, expirado ou não fornecido.
+ */
+const verifyToken = (token) => {
+  if (!token) {
+    throw new Error("Token não fornecido");
+  }
+  return jwt.verify(token, process.env.JWT_SECRET);
+};
+
 /**
  * Middleware de autenticação JWT.
  * Verifica a presença e validade de um token Bearer no header Authorization.
+ * Tokens de sessão (claim `sid`) só valem enquanto a sessão estiver ativa:
+ * logout, revogação e "sair de todos os dispositivos" valem na hora.
  * Se válido, adiciona os dados decodificados do usuário (payload do token) ao objeto `req.user`.
  * @param {object} req - Objeto de requisição do Express.
  * @param {object} res - Objeto de resposta do Express.
  * @param {function} next - Função para chamar o próximo middleware.
  * @returns {void} Chama `next()` se autenticado, ou envia resposta de erro 401.
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -42,16 +91,83 @@ const authenticate = (req, res, next) => {
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Adiciona o payload decodificado (que deve conter id, email, etc.) a req.user
-    req.user = decoded; 
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     // Log do erro pode ser útil para depuração
     req.logger?.error("Erro na verificação do token JWT:", error.message);
     return res.status(401).json({ error: "Token inválido ou expirado" });
   }
+
+  try {
+    if (decoded.sid && !(await req.authSessions.isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ error: "Sessão encerrada", code: "SESSION_REVOKED" });
+    }
+  } catch (error) {
+    req.logger?.error("Erro ao verificar sessão do token:", error.message);
+    return res.status(500).json({ error: "Erro ao verificar sessão" });
+  }
+
+  // Adiciona o payload decodificado (que deve conter id, email, etc.) a req.user
+  req.user = decoded;
+  next();
+};
+
+/**
+ * Verifica se o usuário autenticado é administrador
+ * (email listado na variável de ambiente ADMIN_EMAILS, separados por vírgula).
+ * @param {object} user - Payload do token (req.user).
+ * @returns {boolean} True se o usuário for administrador.
+ */
+const isAdmin = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Boolean(user) && adminEmails.includes(String(user.email).toLowerCase());
+};
+
+/**
+ * Middleware de autorização administrativa.
+ * Deve ser usado após `authenticate`; libera apenas usuários cujo email está
+ * listado na variável de ambiente ADMIN_EMAILS (separados por vírgula).
+ * @param {object} req - Objeto de requisição do Express.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função para chamar o próximo middleware.
+ * @returns {void} Chama `next()` se o usuário for administrador, ou envia resposta 403.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: "Acesso restrito a administradores" });
+  }
+
+  next();
+};
+
+/**
+ * Middleware de política para envio de convites.
+ * Deve ser usado após `authenticate`; consulta a política configurada em
+ * EmailVerificationService (por padrão, contas com email não confirmado também enviam).
+ * @param {object} req - Objeto de requisição do Express.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função para chamar o próximo middleware.
+ * @returns {void} Chama `next()` se o envio for permitido, ou envia resposta 403.
+ */
+const requireVerifiedEmailForInvites = async (req, res, next) => {
+  try {
+    if (await req.emailVerification.canSendInvites(req.user.id)) {
+      return next();
+    }
+    return res.status(403).json({
+      error: "Confirme seu email para enviar convites",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  } catch (error) {
+    req.logger.error("Erro ao verificar política de envio de convites:", error);
+    return res.status(500).json({ error: "Erro ao verificar permissão de envio" });
+  }
 };
 
 /**
@@ -59,6 +175,7 @@ const authenticate = (req, res, next) => {
  * /api/auth/register:
  *   post:
  *     summary: Registra um novo usuário no sistema.
+ *     description: O email fica não confirmado até o usuário abrir o link enviado para ele.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -109,19 +226,21 @@ router.post("/register", async (req, res) => {
       },
     });
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email }, // Payload do token
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" } // Duração do token
-    );
+    // Abrir a sessão: access token curto e refresh token
+    const { token, refreshToken } = await req.authSessions.createSession(user, getClientInfo(req));
+
+    // Link de confirmação do email, sem atrasar a resposta
+    req.emailVerification.sendVerification(user, user.email).catch((verificationError) => {
+      req.logger.error("Erro ao enviar confirmação de email:", verificationError);
+    });
 
-    // Retornar usuário e token (sem a senha)
+    // Retornar usuário e tokens (sem a senha)
     const { password: _, ...userWithoutPassword } = user;
 
     res.status(201).json({
       user: userWithoutPassword,
       token,
+      refreshToken,
     });
   } catch (error) {
     req.logger.error("Erro ao registrar usuário:", error);
@@ -182,19 +301,16 @@ router.post("/login", async (req, res) => {
       return res.status(401).json({ error: "Credenciais inválidas" });
     }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email }, // Payload
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Abrir a sessão: access token curto e refresh token
+    const { token, refreshToken } = await req.authSessions.createSession(user, getClientInfo(req));
 
-    // Retornar usuário e token (sem a senha)
+    // Retornar usuário e tokens (sem a senha)
     const { password: _, ...userWithoutPassword } = user;
 
     res.status(200).json({
       user: userWithoutPassword,
       token,
+      refreshToken,
     });
   } catch (error) {
     req.logger.error("Erro ao fazer login:", error);
@@ -246,6 +362,383 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Troca o refresh token por um novo access token e um novo refresh token.
+ *     description: |
+ *       O refresh token usado deixa de valer. Apresentar de novo um refresh token
+ *       já trocado revoga a sessão inteira (possível vazamento do token).
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/RefreshTokenInput"
+ *     responses:
+ *       200:
+ *         description: Tokens renovados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/TokenPair"
+ *       400:
+ *         description: Refresh token não informado.
+ *       401:
+ *         description: Refresh token inválido, expirado, revogado (INVALID_REFRESH_TOKEN) ou reutilizado (REFRESH_TOKEN_REUSED).
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await req.authSessions.refresh(value.refreshToken, getClientInfo(req));
+    if (!result.success) {
+      return res.status(401).json({ error: "Sessão inválida ou expirada", code: result.code });
+    }
+
+    res.status(200).json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    req.logger.error("Erro ao renovar sessão:", error);
+    res.status(500).json({ error: "Erro ao renovar sessão" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerra a sessão do refresh token informado.
+ *     description: O access token da sessão deixa de valer imediatamente (resposta 401 com code SESSION_REVOKED) e os sockets abertos com ele são desconectados.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/RefreshTokenInput"
+ *     responses:
+ *       204:
+ *         description: Sessão encerrada (ou já inexistente).
+ *       400:
+ *         description: Refresh token não informado.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await req.authSessions.logout(value.refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error("Erro ao encerrar sessão:", error);
+    res.status(500).json({ error: "Erro ao encerrar sessão" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Encerra todas as sessões do usuário, em todos os dispositivos.
+ *     description: Inclui a sessão atual. Os access tokens das sessões deixam de valer imediatamente e os sockets do usuário são desconectados.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões encerradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revoked:
+ *                   type: integer
+ *                   description: Quantidade de sessões encerradas.
+ *       401:
+ *         description: Token inválido, expirado ou não fornecido.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/logout-all", authenticate, async (req, res) => {
+  try {
+    const revoked = await req.authSessions.revokeAllSessions(req.user.id, "logout_all");
+    res.status(200).json({ revoked });
+  } catch (error) {
+    req.logger.error("Erro ao encerrar todas as sessões:", error);
+    res.status(500).json({ error: "Erro ao encerrar todas as sessões" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Lista as sessões ativas do usuário (dispositivo, IP e último uso).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões ativas, da usada mais recentemente para a mais antiga.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: "#/components/schemas/UserSession"
+ *       401:
+ *         description: Token inválido, expirado ou não fornecido.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await req.authSessions.listSessions(req.user.id);
+    res.status(200).json(sessions.map((session) => ({
+      ...session,
+      current: session.id === req.user.sid,
+    })));
+  } catch (error) {
+    req.logger.error("Erro ao listar sessões:", error);
+    res.status(500).json({ error: "Erro ao listar sessões" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Encerra uma sessão específica do usuário (ex: dispositivo perdido).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da sessão.
+ *     responses:
+ *       204:
+ *         description: Sessão encerrada.
+ *       401:
+ *         description: Token inválido, expirado ou não fornecido.
+ *       404:
+ *         description: Sessão não encontrada ou já encerrada.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.delete("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const revoked = await req.authSessions.revokeSession(req.params.id, "revoked", req.user.id);
+    if (revoked === 0) {
+      return res.status(404).json({ error: "Sessão não encontrada" });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error("Erro ao encerrar sessão:", error);
+    res.status(500).json({ error: "Erro ao encerrar sessão" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Envia por email um link para redefinir a senha.
+ *     description: |
+ *       A resposta é a mesma para emails cadastrados ou não. O link vale uma vez,
+ *       por PASSWORD_RESET_TTL_MINUTES, e só o pedido mais recente continua válido.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/ForgotPasswordInput"
+ *     responses:
+ *       200:
+ *         description: Pedido recebido (o email só é enviado se a conta existir).
+ *       400:
+ *         description: Email inválido.
+ */
+router.post("/forgot-password", async (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  // Sem await: o tempo de resposta não pode depender de a conta existir (consulta e envio do email)
+  req.passwordReset.requestReset(value.email);
+
+  res.status(200).json({
+    message: "Se o email estiver cadastrado, você receberá um link para redefinir a senha.",
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Define uma nova senha usando o token do link enviado por email.
+ *     description: Todas as sessões do usuário são encerradas; é preciso entrar de novo.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/ResetPasswordInput"
+ *     responses:
+ *       200:
+ *         description: Senha redefinida.
+ *       400:
+ *         description: Senha fora das regras, ou link inválido, expirado ou já usado (INVALID_TOKEN).
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await req.passwordReset.resetPassword(value.token, value.password);
+    if (!result.success) {
+      return res.status(400).json({ error: "Link inválido ou expirado", code: result.code });
+    }
+
+    res.status(200).json({ message: "Senha redefinida com sucesso. Entre novamente com a nova senha." });
+  } catch (error) {
+    req.logger.error("Erro ao redefinir senha:", error);
+    res.status(500).json({ error: "Erro ao redefinir senha" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirma o email com o token do link enviado no registro ou na troca de email.
+ *     description: |
+ *       Na troca de email, o email novo passa a valer (inclusive para login) só após esta confirmação.
+ *       Confirmar de novo com o mesmo link não tem efeito.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/VerifyEmailInput"
+ *     responses:
+ *       200:
+ *         description: Email confirmado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *       400:
+ *         description: Link inválido, expirado ou substituído por outro (INVALID_TOKEN).
+ *       409:
+ *         description: O email novo foi cadastrado por outra conta depois do pedido (EMAIL_IN_USE).
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await req.emailVerification.verify(value.token);
+    if (!result.success) {
+      return result.code === "EMAIL_IN_USE"
+        ? res.status(409).json({ error: "Este email já está em uso.", code: result.code })
+        : res.status(400).json({ error: "Link inválido ou expirado", code: result.code });
+    }
+
+    res.status(200).json({ message: "Email confirmado com sucesso.", email: result.email });
+  } catch (error) {
+    req.logger.error("Erro ao confirmar email:", error);
+    res.status(500).json({ error: "Erro ao confirmar email" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenvia o link de confirmação (email pendente de troca ou email atual não confirmado).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Link reenviado.
+ *       400:
+ *         description: Não há email aguardando confirmação (ALREADY_VERIFIED).
+ *       401:
+ *         description: Token inválido, expirado ou não fornecido.
+ *       429:
+ *         description: Link enviado há pouco tempo (TOO_MANY_REQUESTS); ver o header Retry-After.
+ *       502:
+ *         description: Falha ao enviar o email.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.post("/resend-verification", authenticate, async (req, res) => {
+  try {
+    const result = await req.emailVerification.resend(req.user.id);
+
+    if (result.code === "ALREADY_VERIFIED") {
+      return res.status(400).json({ error: "Não há email aguardando confirmação", code: result.code });
+    }
+    if (result.code === "TOO_MANY_REQUESTS") {
+      res.set("Retry-After", String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Aguarde antes de pedir um novo link",
+        code: result.code,
+        retryAfterSeconds: result.retryAfterSeconds,
+      });
+    }
+    if (!result.success) {
+      return res.status(502).json({ error: "Falha ao enviar o email de confirmação" });
+    }
+
+    res.status(200).json({ message: "Link de confirmação reenviado.", email: result.email });
+  } catch (error) {
+    req.logger.error("Erro ao reenviar confirmação de email:", error);
+    res.status(500).json({ error: "Erro ao reenviar confirmação de email" });
+  }
+});
+
 // Definições de Schema para Swagger (devem estar no arquivo principal ou importadas)
 /**
  * @swagger
@@ -264,6 +757,16 @@ router.get("/me", authenticate, async (req, res) => {
  *           type: string
  *           format: email
  *           description: Email do usuário (usado para login).
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Confirmação do email pelo link (nulo enquanto não confirmado).
+ *         pendingEmail:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Email novo aguardando confirmação; o email atual vale até lá.
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -312,7 +815,86 @@ router.get("/me", authenticate, async (req, res) => {
  *           $ref: "#/components/schemas/User"
  *         token:
  *           type: string
- *           description: Token JWT para autenticação em requisições subsequentes.
+ *           description: Access token JWT de curta duração (ACCESS_TOKEN_TTL) para as requisições subsequentes.
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token para obter novos tokens em /api/auth/refresh (troca a cada uso).
+ *     VerifyEmailInput:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token recebido no link do email.
+ *     ForgotPasswordInput:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email da conta.
+ *     ResetPasswordInput:
+ *       type: object
+ *       required:
+ *         - token
+ *         - password
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token recebido no link do email.
+ *         password:
+ *           type: string
+ *           format: password
+ *           minLength: 6
+ *           description: Nova senha (mesmas regras do registro).
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Novo access token JWT.
+ *         refreshToken:
+ *           type: string
+ *           description: Novo refresh token; o anterior deixa de valer.
+ *     RefreshTokenInput:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token atual da sessão.
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID da sessão.
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *           description: Navegador ou aplicativo que abriu a sessão.
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *           description: IP do último login ou renovação.
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Último login ou renovação.
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Expiração da sessão se não for renovada.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Sessão do token usado na requisição.
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -321,9 +903,14 @@ router.get("/me", authenticate, async (req, res) => {
  *       description: Autenticação baseada em token JWT. Forneça o token no formato 'Bearer {token}'.
  */
 
-// Exportar router e middleware authenticate
+// Exportar router, middlewares de autenticação/autorização e verificação de token
 module.exports = {
   router,
   authenticate,
+  requireAdmin,
+  isAdmin,
+  requireVerifiedEmailForInvites,
+  verifyToken,
+  getClientInfo,
 };
 
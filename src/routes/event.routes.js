@@ -1,6 +1,15 @@
 const express = require("express");
 const { authenticate } = require("./auth.routes");
 const Joi = require("joi");
+const NotificationOutboxWorker = require("../services/NotificationOutboxWorker");
+const { diffEvent, hasGuestFacingChanges, pickGuestFacingChanges } = require("../services/eventChanges");
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  normalizePreferences,
+  mergePreferenceOverrides,
+  applyEventOverride,
+} = require("../services/notificationPreferences");
 const router = express.Router();
 
 /**
@@ -22,6 +31,67 @@ const eventSchema = Joi.object({
   type: Joi.string().valid("birthday", "wedding", "corporate", "party", "other").default("other"),
 });
 
+// Atualização: mesmos campos, mais a opção de avisar os convidados
+const eventUpdateSchema = eventSchema.keys({
+  notifyGuests: Joi.boolean().default(false),
+});
+
+// Exceção do evento às configurações de notificação do organizador.
+// Campos omitidos não mudam; null volta a herdar das configurações do usuário.
+const eventNotificationSettingsSchema = Joi.object({
+  muted: Joi.boolean(),
+  digestFrequency: Joi.string().valid("NONE", "DAILY", "WEEKLY").allow(null),
+  preferences: Joi.object().pattern(
+    Joi.string().valid(...NOTIFICATION_TYPES),
+    Joi.object(Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, Joi.boolean().allow(null)])))
+  ).allow(null),
+}).min(1);
+
+/**
+ * Busca o evento e verifica se pertence ao usuário
+ * @returns {Object|null} Evento, ou null se a resposta de erro já foi enviada
+ */
+const findOwnedEvent = async (req, res) => {
+  const event = await req.prisma.event.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, userId: true },
+  });
+
+  if (!event) {
+    res.status(404).json({ error: "Evento não encontrado" });
+    return null;
+  }
+
+  if (event.userId !== req.user.id) {
+    res.status(403).json({ error: "Acesso negado" });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Monta a resposta com a exceção do evento e as configurações efetivas
+ * @param {Object} event - Evento
+ * @param {Object|null} override - EventNotificationSettings
+ * @param {Object} userSettings - NotificationSettings do organizador
+ */
+const formatEventNotificationSettings = (event, override, userSettings) => {
+  const effective = applyEventOverride(userSettings, override);
+
+  return {
+    eventId: event.id,
+    muted: override ? override.muted : false,
+    digestFrequency: override ? override.digestFrequency : null,
+    preferences: mergePreferenceOverrides(override && override.preferences),
+    effective: {
+      muted: effective.muted,
+      digestFrequency: effective.digestFrequency,
+      preferences: normalizePreferences(effective.preferences),
+    },
+  };
+};
+
 /**
  * @swagger
  * /api/event:
@@ -194,7 +264,7 @@ router.get("/:id", authenticate, async (req, res) => {
  *             $ref: "#/components/schemas/EventInput"
  *     responses:
  *       201:
- *         description: Evento criado com sucesso.
+ *         description: Evento criado com sucesso (gera event.created para os webhooks).
  *         content:
  *           application/json:
  *             schema:
@@ -209,19 +279,32 @@ router.post("/", authenticate, async (req, res) => {
   if (error) return res.status(400).json({ error: error.details[0].message });
 
   try {
-    const event = await req.prisma.event.create({
-      data: {
-        title: value.title,
-        description: value.description,
-        date: new Date(value.date),
-        location: value.location,
-        maxGuests: value.maxGuests,
-        notes: value.notes,
-        type: value.type,
-        image: value.image || null,
-        userId: req.user.id, // Associa o evento ao usuário autenticado
-      },
+    // Criar o evento e gravar event.created no outbox na mesma transação
+    const event = await req.prisma.$transaction(async (tx) => {
+      const event = await tx.event.create({
+        data: {
+          title: value.title,
+          description: value.description,
+          date: new Date(value.date),
+          location: value.location,
+          maxGuests: value.maxGuests,
+          notes: value.notes,
+          type: value.type,
+          image: value.image || null,
+          userId: req.user.id, // Associa o evento ao usuário autenticado
+        },
+      });
+      await NotificationOutboxWorker.enqueue(tx, "event.created", {
+        eventId: event.id,
+        userId: event.userId,
+        eventTitle: event.title,
+        eventDate: event.date,
+        eventLocation: event.location,
+      }, `event.created:${event.id}`);
+      return event;
     });
+    req.notificationOutbox?.wake();
+
     res.status(201).json(event);
   } catch (err) {
     req.logger.error("Erro ao criar evento:", err);
@@ -249,10 +332,17 @@ router.post("/", authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: "#/components/schemas/EventInput" # Reutiliza o schema de input
+ *             allOf:
+ *               - $ref: "#/components/schemas/EventInput" # Reutiliza o schema de input
+ *               - type: object
+ *                 properties:
+ *                   notifyGuests:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Envia aos convidados confirmados e pendentes (WhatsApp ou email) um aviso quando título, data ou local mudarem.
  *     responses:
  *       200:
- *         description: Evento atualizado com sucesso.
+ *         description: Evento atualizado com sucesso. Alterações geram a notificação EVENT_UPDATED para o organizador.
  *         content:
  *           application/json:
  *             schema:
@@ -267,7 +357,7 @@ router.post("/", authenticate, async (req, res) => {
  *         description: Erro interno do servidor ao tentar atualizar o evento.
  */
 router.put("/:id", authenticate, async (req, res) => {
-  const { error, value } = eventSchema.validate(req.body);
+  const { error, value } = eventUpdateSchema.validate(req.body);
   if (error) return res.status(400).json({ error: error.details[0].message });
 
   try {
@@ -275,20 +365,68 @@ router.put("/:id", authenticate, async (req, res) => {
     if (!existing) return res.status(404).json({ error: "Evento não encontrado" });
     if (existing.userId !== req.user.id) return res.status(403).json({ error: "Acesso negado" });
 
-    const updated = await req.prisma.event.update({
-      where: { id: req.params.id },
-      data: {
-        title: value.title,
-        description: value.description,
-        date: new Date(value.date),
-        location: value.location,
-        maxGuests: value.maxGuests,
-        notes: value.notes,
-        type: value.type,
-        image: value.image || null,
-        // userId não é atualizado
-      },
+    // Atualizar o evento e gravar as notificações no outbox na mesma transação
+    const { updated, changes } = await req.prisma.$transaction(async (tx) => {
+      const updated = await tx.event.update({
+        where: { id: req.params.id },
+        data: {
+          title: value.title,
+          description: value.description,
+          date: new Date(value.date),
+          location: value.location,
+          maxGuests: value.maxGuests,
+          notes: value.notes,
+          type: value.type,
+          image: value.image || null,
+          // userId não é atualizado
+        },
+      });
+
+      const changes = diffEvent(existing, updated);
+      if (Object.keys(changes).length === 0) {
+        return { updated, changes };
+      }
+
+      const baseKey = `event.updated:${updated.id}:${updated.updatedAt.getTime()}`;
+      const notifyGuests = value.notifyGuests && hasGuestFacingChanges(changes);
+
+      // Convidados confirmados e pendentes recebem um aviso individual (opt-in)
+      const guests = notifyGuests
+        ? await tx.guest.findMany({
+            where: { eventId: updated.id, status: { in: ["confirmed", "pending"] } },
+            select: { id: true },
+          })
+        : [];
+
+      await NotificationOutboxWorker.enqueue(tx, "event.updated", {
+        eventId: updated.id,
+        userId: updated.userId,
+        eventTitle: updated.title,
+        eventDate: updated.date,
+        eventLocation: updated.location,
+        changes,
+        guestsNotified: guests.length,
+      }, baseKey);
+
+      // Convidados recebem apenas título, data e local (observações são internas)
+      const guestChanges = pickGuestFacingChanges(changes);
+      for (const guest of guests) {
+        await NotificationOutboxWorker.enqueue(tx, "event.updated.guest", {
+          eventId: updated.id,
+          guestId: guest.id,
+          changes: guestChanges,
+        }, `${baseKey}:guest:${guest.id}`);
+      }
+
+      return { updated, changes };
     });
+
+    if (Object.keys(changes).length > 0) {
+      // Processar o outbox imediatamente; o worker periódico cobre falhas
+      req.notificationOutbox?.wake();
+      req.logger.info(`Evento ${updated.id} atualizado: ${Object.keys(changes).join(", ")}`);
+    }
+
     res.json(updated);
   } catch (err) {
     req.logger.error("Erro ao atualizar evento:", err);
@@ -351,6 +489,176 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/events/{id}/notification-settings:
+ *   get:
+ *     summary: Obtém a exceção de notificações do evento e as configurações efetivas.
+ *     description: Sem exceção cadastrada, o evento segue as configurações de notificação do organizador.
+ *     tags: [Event]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento.
+ *     responses:
+ *       200:
+ *         description: Configurações de notificação do evento.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/EventNotificationSettings"
+ *       403:
+ *         description: Acesso negado. O usuário não é o organizador do evento.
+ *       404:
+ *         description: Evento não encontrado.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.get("/:id/notification-settings", authenticate, async (req, res) => {
+  try {
+    const event = await findOwnedEvent(req, res);
+    if (!event) return;
+
+    const [override, userSettings] = await Promise.all([
+      req.prisma.eventNotificationSettings.findUnique({ where: { eventId: event.id } }),
+      req.notificationService.getUserNotificationSettings(req.user.id),
+    ]);
+
+    res.status(200).json(formatEventNotificationSettings(event, override, userSettings));
+  } catch (error) {
+    req.logger.error("Erro ao obter configurações de notificação do evento:", error);
+    res.status(500).json({ error: "Erro ao obter configurações de notificação do evento" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/notification-settings:
+ *   put:
+ *     summary: Cria ou altera a exceção de notificações do evento.
+ *     description: |
+ *       Apenas os campos informados mudam. Em preferences, apenas os tipos e canais
+ *       informados passam a ter exceção; null em um canal, digestFrequency ou
+ *       preferences volta a herdar das configurações do organizador.
+ *       Com muted=true, nenhuma notificação sobre o evento é enviada ao organizador
+ *       (os convidados continuam sendo avisados).
+ *     tags: [Event]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/EventNotificationSettingsInput"
+ *     responses:
+ *       200:
+ *         description: Exceção salva.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/EventNotificationSettings"
+ *       400:
+ *         description: Erro de validação nos dados fornecidos.
+ *       403:
+ *         description: Acesso negado. O usuário não é o organizador do evento.
+ *       404:
+ *         description: Evento não encontrado.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.put("/:id/notification-settings", authenticate, async (req, res) => {
+  const { error, value } = eventNotificationSettingsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const event = await findOwnedEvent(req, res);
+    if (!event) return;
+
+    const current = await req.prisma.eventNotificationSettings.findUnique({
+      where: { eventId: event.id },
+    });
+
+    const data = {};
+    if (value.muted !== undefined) data.muted = value.muted;
+    if (value.digestFrequency !== undefined) data.digestFrequency = value.digestFrequency;
+    if (value.preferences !== undefined) {
+      data.preferences = value.preferences === null
+        ? {}
+        : mergePreferenceOverrides(current && current.preferences, value.preferences);
+    }
+
+    const override = await req.prisma.eventNotificationSettings.upsert({
+      where: { eventId: event.id },
+      update: data,
+      create: { eventId: event.id, ...data },
+    });
+
+    const userSettings = await req.notificationService.getUserNotificationSettings(req.user.id);
+
+    res.status(200).json(formatEventNotificationSettings(event, override, userSettings));
+  } catch (error) {
+    req.logger.error("Erro ao salvar configurações de notificação do evento:", error);
+    res.status(500).json({ error: "Erro ao salvar configurações de notificação do evento" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/notification-settings:
+ *   delete:
+ *     summary: Remove a exceção de notificações do evento.
+ *     description: O evento volta a seguir as configurações de notificação do organizador.
+ *     tags: [Event]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento.
+ *     responses:
+ *       204:
+ *         description: Exceção removida (ou inexistente).
+ *       403:
+ *         description: Acesso negado. O usuário não é o organizador do evento.
+ *       404:
+ *         description: Evento não encontrado.
+ *       500:
+ *         description: Erro interno do servidor.
+ */
+router.delete("/:id/notification-settings", authenticate, async (req, res) => {
+  try {
+    const event = await findOwnedEvent(req, res);
+    if (!event) return;
+
+    await req.prisma.eventNotificationSettings.deleteMany({
+      where: { eventId: event.id },
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error("Erro ao remover configurações de notificação do evento:", error);
+    res.status(500).json({ error: "Erro ao remover configurações de notificação do evento" });
+  }
+});
+
 // Definições de Schema para Swagger (devem estar no arquivo principal ou importadas)
 /**
  * @swagger
@@ -465,6 +773,54 @@ router.delete("/:id", authenticate, async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: "#/components/schemas/Invite" # Supondo schema Invite definido
+ *     EventNotificationSettings:
+ *       type: object
+ *       properties:
+ *         eventId:
+ *           type: string
+ *         muted:
+ *           type: boolean
+ *           description: Se true, o organizador não recebe notificações sobre o evento.
+ *         digestFrequency:
+ *           type: string
+ *           enum: [NONE, DAILY, WEEKLY]
+ *           nullable: true
+ *           description: Frequência do resumo para o evento (null herda do usuário).
+ *         preferences:
+ *           type: object
+ *           description: Exceções da matriz tipo x canal; tipos e canais ausentes herdam do usuário.
+ *           additionalProperties:
+ *             $ref: "#/components/schemas/ChannelPreferences"
+ *         effective:
+ *           type: object
+ *           description: Configurações aplicadas às notificações do evento.
+ *           properties:
+ *             muted:
+ *               type: boolean
+ *             digestFrequency:
+ *               type: string
+ *               enum: [NONE, DAILY, WEEKLY]
+ *             preferences:
+ *               type: object
+ *               description: Matriz completa tipo x canal.
+ *               additionalProperties:
+ *                 $ref: "#/components/schemas/ChannelPreferences"
+ *     EventNotificationSettingsInput:
+ *       type: object
+ *       minProperties: 1
+ *       properties:
+ *         muted:
+ *           type: boolean
+ *         digestFrequency:
+ *           type: string
+ *           enum: [NONE, DAILY, WEEKLY]
+ *           nullable: true
+ *         preferences:
+ *           type: object
+ *           nullable: true
+ *           description: Chaves são valores de NotificationType; canais com null voltam a herdar do usuário.
+ *           additionalProperties:
+ *             $ref: "#/components/schemas/ChannelPreferences"
  */
 
 // Exportar a rota
@@ -2,7 +2,7 @@ const express = require("express");
 const { authenticate } = require("./auth.routes");
 const Joi = require("joi");
 const router = express.Router();
-const notificationEvents = require('../services/notificationEvents');
+const NotificationOutboxWorker = require('../services/NotificationOutboxWorker');
   
 const multer = require('multer');
 const csv = require('csv-parser');
@@ -524,6 +524,7 @@ router.post("/", authenticate, async (req, res) => {
         inviteId,
       },
     });
+    req.eventDashboard?.publish(eventId, 'guest.created', { guest });
 
     res.status(201).json(guest);
   } catch (error) {
@@ -642,6 +643,10 @@ router.put("/:id", authenticate, async (req, res) => {
         },
       });
     }
+    req.eventDashboard?.publish(existingGuest.eventId, 'guest.updated', {
+      guest: updatedGuest,
+      previousStatus: existingGuest.status
+    });
 
     res.status(200).json(updatedGuest);
   } catch (error) {
@@ -700,6 +705,7 @@ router.delete("/:id", authenticate, async (req, res) => {
     await req.prisma.guest.delete({
       where: { id },
     });
+    req.eventDashboard?.publish(existingGuest.eventId, 'guest.deleted', { guestId: id });
 
     res.status(204).send();
   } catch (error) {
@@ -816,6 +822,10 @@ router.post("/import", authenticate, async (req, res) => {
 
     // Filtrar convidados que não foram criados com sucesso
     const successfullyCreated = createdGuests.filter((guest) => guest !== null);
+    req.eventDashboard?.publish(eventId, 'import.completed', {
+      total: guests.length,
+      imported: successfullyCreated.length
+    });
 
     res.status(201).json({
       count: successfullyCreated.length,
@@ -919,48 +929,62 @@ router.put("/:id/rsvp", async (req, res) => {
       updateData.plusOneName = plusOneName;
     }
 
-    // Atualizar convidado
-    const updatedGuest = await req.prisma.guest.update({
-      where: { id },
-      data: updateData,
-    });
-
-    // Registrar mensagem de alteração de status
-    if (statusChanged) {
-      await req.prisma.message.create({
-        data: {
-          type: "status_change",
-          content: `Status atualizado para: ${status} (pelo convidado)`,
-          status: "sent",
-          guestId: id,
-        },
+    // Atualizar convidado, registrar a mensagem e gravar o evento no outbox
+    // na mesma transação: se o processo cair, o evento não se perde
+    const updatedGuest = await req.prisma.$transaction(async (tx) => {
+      const guest = await tx.guest.update({
+        where: { id },
+        data: updateData,
       });
 
-      // Emitir evento de notificação para mudança de status
-      if (existingGuest.event && existingGuest.event.user) {
-        notificationEvents.emitGuestStatusChanged({
-          guestId: id,
-          eventId: existingGuest.eventId,
-          userId: existingGuest.event.userId,
-          previousStatus: previousStatus,
-          newStatus: status,
-          guestName: existingGuest.name,
-          eventTitle: existingGuest.event.title,
-          eventDate: existingGuest.event.date,
-          eventLocation: existingGuest.event.location,
-          plusOne: updatedGuest.plusOne,
-          plusOneName: updatedGuest.plusOneName
+      if (statusChanged) {
+        // Registrar mensagem de alteração de status
+        await tx.message.create({
+          data: {
+            type: "status_change",
+            content: `Status atualizado para: ${status} (pelo convidado)`,
+            status: "sent",
+            guestId: id,
+          },
         });
 
-        req.logger.info('Evento de notificação emitido para mudança de status', {
-          guestId: id,
-          eventId: existingGuest.eventId,
-          userId: existingGuest.event.userId,
-          previousStatus,
-          newStatus: status
-        });
+        // Evento de notificação para mudança de status
+        if (existingGuest.event && existingGuest.event.user) {
+          await NotificationOutboxWorker.enqueue(tx, 'guest.status.changed', {
+            guestId: id,
+            eventId: existingGuest.eventId,
+            userId: existingGuest.event.userId,
+            previousStatus: previousStatus,
+            newStatus: status,
+            guestName: existingGuest.name,
+            eventTitle: existingGuest.event.title,
+            eventDate: existingGuest.event.date,
+            eventLocation: existingGuest.event.location,
+            plusOne: guest.plusOne,
+            plusOneName: guest.plusOneName
+          }, `guest.status.changed:${id}:${guest.updatedAt.getTime()}`);
+        }
       }
+
+      return guest;
+    });
+
+    if (statusChanged && existingGuest.event && existingGuest.event.user) {
+      // Processar o outbox imediatamente; o worker periódico cobre falhas
+      req.notificationOutbox?.wake();
+
+      req.logger.info('Evento de notificação gravado no outbox para mudança de status', {
+        guestId: id,
+        eventId: existingGuest.eventId,
+        userId: existingGuest.event.userId,
+        previousStatus,
+        newStatus: status
+      });
     }
+    req.eventDashboard?.publish(existingGuest.eventId, 'guest.rsvp', {
+      guest: updatedGuest,
+      previousStatus
+    });
 
     res.status(200).json(updatedGuest);
   } catch (error) {
@@ -1147,8 +1171,16 @@ router.post("/import-csv", authenticate, upload.single('file'), async (req, res)
         .on('error', reject);
     });
 
-    // Processar cada linha do CSV
-    for (const row of results) {
+    // Processar cada linha do CSV, avisando o painel do evento sobre o progresso
+    for (const [processed, row] of results.entries()) {
+      await req.eventDashboard?.reportImportProgress(eventId, {
+        processed,
+        total: results.length,
+        imported,
+        skipped,
+        errors
+      });
+
       try {
         // Mapear dados da linha usando o mapeamento fornecido
         const guestData = {};
@@ -1248,6 +1280,14 @@ router.post("/import-csv", authenticate, upload.single('file'), async (req, res)
       }
     }
 
+    req.eventDashboard?.publish(eventId, 'import.completed', {
+      processed: results.length,
+      total: results.length,
+      imported,
+      skipped,
+      errors
+    });
+
     // Limpar arquivo temporário
     try {
       fs.unlinkSync(file.path);
@@ -1,6 +1,19 @@
 const express = require('express');
-const { authenticate } = require('./auth.routes');
+const { authenticate, requireAdmin, isAdmin } = require('./auth.routes');
 const Joi = require('joi');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, resolveLocale } = require('../locales');
+const {
+  TEMPLATE_VARIABLES,
+  sanitizeTemplateHtml,
+  findInvalidPlaceholders
+} = require('../services/emailTemplateSanitizer');
+const { SLACK_WEBHOOK_PATTERN, DISCORD_WEBHOOK_PATTERN } = require('../providers/ChatWebhookNotificationProvider');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  normalizePreferences,
+  mergePreferences
+} = require('../services/notificationPreferences');
 const router = express.Router();
 
 /**
@@ -10,34 +23,167 @@ const router = express.Router();
  *     description: Endpoints para gerenciamento de notificações
  */
 
-// Esquema de validação para configurações de notificação
+// Esquema de validação para configurações de notificação.
+// Sem valores padrão: a alteração é parcial e campos omitidos não mudam
+// (os padrões de um registro novo vêm do schema do Prisma)
 const notificationSettingsSchema = Joi.object({
-  guestConfirmed: Joi.object({
-    email: Joi.boolean().default(true),
-    websocket: Joi.boolean().default(true),
-    push: Joi.boolean().default(false)
-  }).default(),
-  guestDeclined: Joi.object({
-    email: Joi.boolean().default(true),
-    websocket: Joi.boolean().default(true),
-    push: Joi.boolean().default(false)
-  }).default(),
-  inviteSent: Joi.object({
-    email: Joi.boolean().default(false),
-    websocket: Joi.boolean().default(true),
-    push: Joi.boolean().default(false)
-  }).default(),
-  eventReminder: Joi.object({
-    email: Joi.boolean().default(true),
-    websocket: Joi.boolean().default(false),
-    push: Joi.boolean().default(true)
-  }).default(),
-  digestFrequency: Joi.string().valid('NONE', 'DAILY', 'WEEKLY').default('NONE'),
-  quietHoursStart: Joi.number().min(0).max(23).allow(null),
-  quietHoursEnd: Joi.number().min(0).max(23).allow(null),
-  timezone: Joi.string().default('America/Sao_Paulo')
+  // Alteração parcial da matriz tipo x canal; tipos/canais omitidos não mudam
+  preferences: Joi.object().pattern(
+    Joi.string().valid(...NOTIFICATION_TYPES),
+    Joi.object(Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, Joi.boolean()])))
+  ),
+  digestFrequency: Joi.string().valid('NONE', 'DAILY', 'WEEKLY'),
+  quietHoursStart: Joi.number().integer().min(0).max(23).allow(null),
+  quietHoursEnd: Joi.number().integer().min(0).max(23).allow(null),
+  // Minutos em que respostas de convidados do mesmo tipo e evento são agrupadas (0 desativa)
+  groupingWindowMinutes: Joi.number().integer().min(0).max(120),
+  timezone: Joi.string().custom((value, helpers) => {
+    // Aceitar apenas fusos horários IANA reconhecidos (ex: America/Sao_Paulo)
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.message('"timezone" deve ser um fuso horário IANA válido');
+    }
+  }),
+  slackWebhookUrl: Joi.string().trim().pattern(SLACK_WEBHOOK_PATTERN).allow('', null)
+    .messages({ 'string.pattern.base': '"slackWebhookUrl" deve ser um incoming webhook do Slack (https://hooks.slack.com/...)' }),
+  discordWebhookUrl: Joi.string().trim().pattern(DISCORD_WEBHOOK_PATTERN).allow('', null)
+    .messages({ 'string.pattern.base': '"discordWebhookUrl" deve ser um webhook do Discord (https://discord.com/api/webhooks/...)' })
+});
+
+// Esquema de validação para inscrições Web Push (PushSubscription.toJSON() do navegador)
+const pushSubscriptionSchema = Joi.object({
+  subscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https'] }).max(2048).required(),
+    expirationTime: Joi.number().integer().allow(null),
+    keys: Joi.object({
+      p256dh: Joi.string().max(512).required(),
+      auth: Joi.string().max(512).required()
+    }).required()
+  }).required(),
+  deviceName: Joi.string().trim().max(100).allow('', null)
+});
+
+// Esquema de validação para templates de email editáveis
+const emailTemplateSchema = Joi.object({
+  locale: Joi.string().valid(...SUPPORTED_LOCALES).default(DEFAULT_LOCALE),
+  subject: Joi.string().trim().min(1).max(200).required(),
+  html: Joi.string().min(1).max(100000).required()
+});
+
+// Ações em lote: por IDs ou por filtro (filtro vazio não é aceito)
+const bulkActionSchema = Joi.object({
+  action: Joi.string().valid('read', 'unread', 'archive', 'unarchive', 'delete').required(),
+  ids: Joi.array().items(Joi.string()).min(1).max(500).unique(),
+  filter: Joi.object({
+    type: Joi.alternatives().try(
+      Joi.string().valid(...NOTIFICATION_TYPES),
+      Joi.array().items(Joi.string().valid(...NOTIFICATION_TYPES)).min(1)
+    ),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    eventId: Joi.string(),
+    read: Joi.boolean(),
+    archived: Joi.boolean()
+  }).min(1)
+}).xor('ids', 'filter');
+
+// Valores do enum DeliveryChannel (os canais de preferência em maiúsculas)
+const DELIVERY_CHANNELS = NOTIFICATION_CHANNELS.map(channel => channel.toUpperCase());
+
+// Consultas de entregas; userId (outro usuário) é aceito apenas de administradores
+const deliveryFailuresQuerySchema = Joi.object({
+  channel: Joi.string().uppercase().valid(...DELIVERY_CHANNELS),
+  type: Joi.string().valid(...NOTIFICATION_TYPES),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  userId: Joi.string(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const deadLetterQuerySchema = Joi.object({
+  channel: Joi.string().uppercase().valid(...DELIVERY_CHANNELS),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const deliveryStatsQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  userId: Joi.string()
+});
+
+/**
+ * Usuário cujas entregas serão consultadas: o próprio, ou o informado por um administrador
+ * @returns {string|null|undefined} ID do usuário; null para todos (administrador); undefined se negado (403 já enviado)
+ */
+function resolveDeliveryScope(req, res, requestedUserId) {
+  const admin = isAdmin(req.user);
+
+  if (requestedUserId && requestedUserId !== req.user.id && !admin) {
+    res.status(403).json({ error: 'Acesso restrito a administradores' });
+    return undefined;
+  }
+  if (requestedUserId === 'all') return null;
+  return requestedUserId || req.user.id;
+}
+
+/**
+ * Aplica uma ação a uma única notificação do usuário
+ * @returns {boolean} False se a notificação não existir (resposta 404 já enviada)
+ */
+async function applyToNotification(req, res, action) {
+  const { affected } = await req.notificationService.applyBulkAction(req.user.id, action, { ids: [req.params.id] });
+  if (affected > 0) return true;
+
+  // Nada alterado: a notificação pode já estar no estado pedido (ex: já arquivada)
+  const exists = await req.prisma.notification.count({ where: { id: req.params.id, userId: req.user.id } });
+  if (exists === 0) {
+    res.status(404).json({ error: 'Notificação não encontrada' });
+    return false;
+  }
+  return true;
+}
+
+const templatePreviewSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(TEMPLATE_VARIABLES)).required(),
+  locale: Joi.string().valid(...SUPPORTED_LOCALES),
+  subject: Joi.string().trim().min(1).max(200),
+  html: Joi.string().min(1).max(100000)
 });
 
+/**
+ * Valida e sanitiza um template enviado pelo usuário
+ * @param {string} type - Tipo de notificação
+ * @param {Object} body - Corpo da requisição
+ * @returns {Object} { error, details } ou { value } com o HTML sanitizado
+ */
+function validateEmailTemplate(type, body) {
+  if (!TEMPLATE_VARIABLES[type]) {
+    return { error: 'Tipo de template inválido' };
+  }
+
+  const { error, value } = emailTemplateSchema.validate(body);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  const invalidPlaceholders = [
+    ...findInvalidPlaceholders(value.subject, type),
+    ...findInvalidPlaceholders(value.html, type)
+  ];
+  if (invalidPlaceholders.length > 0) {
+    return {
+      error: 'Template contém variáveis desconhecidas',
+      details: { invalidPlaceholders: [...new Set(invalidPlaceholders)], allowed: TEMPLATE_VARIABLES[type] }
+    };
+  }
+
+  return { value: { ...value, html: sanitizeTemplateHtml(value.html) } };
+}
+
 /**
  * @swagger
  * /api/notifications:
@@ -72,8 +218,14 @@ const notificationSettingsSchema = Joi.object({
  *         name: type
  *         schema:
  *           type: string
- *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER]
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, GUEST_PENDING, INVITE_SENT, EVENT_REMINDER, EVENT_UPDATED, SYSTEM_ALERT, DIGEST]
  *         description: Filtrar por tipo de notificação
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Listar as notificações arquivadas em vez das demais
  *     responses:
  *       200:
  *         description: Lista de notificações recuperada com sucesso
@@ -104,13 +256,14 @@ const notificationSettingsSchema = Joi.object({
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 20, unreadOnly = false, type } = req.query;
+    const { page = 1, limit = 20, unreadOnly = false, type, archived = false } = req.query;
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
       unreadOnly: unreadOnly === 'true',
-      type: type || null
+      type: type || null,
+      archived: archived === 'true'
     };
 
     const result = await req.notificationService.getUserNotifications(req.user.id, options);
@@ -147,9 +300,7 @@ router.get('/', authenticate, async (req, res) => {
  */
 router.patch('/:id/read', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    await req.notificationService.markAsRead(id, req.user.id);
+    if (!await applyToNotification(req, res, 'read')) return;
     
     res.status(200).json({ message: 'Notificação marcada como lida' });
   } catch (error) {
@@ -158,6 +309,195 @@ router.patch('/:id/read', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/notifications/{id}/unread:
+ *   patch:
+ *     summary: Marca uma notificação como não lida
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da notificação
+ *     responses:
+ *       200:
+ *         description: Notificação marcada como não lida
+ *       404:
+ *         description: Notificação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id/unread', authenticate, async (req, res) => {
+  try {
+    if (!await applyToNotification(req, res, 'unread')) return;
+
+    res.status(200).json({ message: 'Notificação marcada como não lida' });
+  } catch (error) {
+    req.logger.error('Erro ao marcar notificação como não lida:', error);
+    res.status(500).json({ error: 'Erro ao marcar notificação como não lida' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/archive:
+ *   patch:
+ *     summary: Arquiva uma notificação
+ *     description: Notificações arquivadas saem da listagem padrão e da contagem de não lidas, mas podem ser consultadas com archived=true.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da notificação
+ *     responses:
+ *       200:
+ *         description: Notificação arquivada
+ *       404:
+ *         description: Notificação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id/archive', authenticate, async (req, res) => {
+  try {
+    if (!await applyToNotification(req, res, 'archive')) return;
+
+    res.status(200).json({ message: 'Notificação arquivada' });
+  } catch (error) {
+    req.logger.error('Erro ao arquivar notificação:', error);
+    res.status(500).json({ error: 'Erro ao arquivar notificação' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/unarchive:
+ *   patch:
+ *     summary: Desarquiva uma notificação
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da notificação
+ *     responses:
+ *       200:
+ *         description: Notificação desarquivada
+ *       404:
+ *         description: Notificação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id/unarchive', authenticate, async (req, res) => {
+  try {
+    if (!await applyToNotification(req, res, 'unarchive')) return;
+
+    res.status(200).json({ message: 'Notificação desarquivada' });
+  } catch (error) {
+    req.logger.error('Erro ao desarquivar notificação:', error);
+    res.status(500).json({ error: 'Erro ao desarquivar notificação' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Exclui uma notificação e seus logs de entrega
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da notificação
+ *     responses:
+ *       204:
+ *         description: Notificação excluída
+ *       404:
+ *         description: Notificação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    if (!await applyToNotification(req, res, 'delete')) return;
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error('Erro ao excluir notificação:', error);
+    res.status(500).json({ error: 'Erro ao excluir notificação' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/bulk:
+ *   post:
+ *     summary: Aplica uma ação a várias notificações
+ *     description: |
+ *       Seleciona as notificações do usuário por `ids` ou por `filter` (um dos dois).
+ *       No filtro, `from`/`to` se referem à data de criação e `eventId` ao evento de origem.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationBulkAction'
+ *     responses:
+ *       200:
+ *         description: Ação aplicada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                 affected:
+ *                   type: integer
+ *                   description: Notificações alteradas ou excluídas
+ *       400:
+ *         description: Dados inválidos
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/bulk', authenticate, async (req, res) => {
+  const { error, value } = bulkActionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const { action, ...selection } = value;
+    const result = await req.notificationService.applyBulkAction(req.user.id, action, selection);
+
+    res.status(200).json(result);
+  } catch (error) {
+    req.logger.error('Erro ao aplicar ação em lote nas notificações:', error);
+    res.status(500).json({ error: 'Erro ao aplicar ação em lote nas notificações' });
+  }
+});
+
 /**
  * @swagger
  * /api/notifications/mark-all-read:
@@ -213,8 +553,8 @@ router.patch('/mark-all-read', authenticate, async (req, res) => {
 router.get('/settings', authenticate, async (req, res) => {
   try {
     const settings = await req.notificationService.getUserNotificationSettings(req.user.id);
-    
-    res.status(200).json(settings);
+
+    res.status(200).json({ ...settings, preferences: normalizePreferences(settings.preferences) });
   } catch (error) {
     req.logger.error('Erro ao obter configurações de notificação:', error);
     res.status(500).json({ error: 'Erro ao obter configurações de notificação' });
@@ -255,6 +595,20 @@ router.put('/settings', authenticate, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
+    // Webhook de chat vazio remove a integração
+    ['slackWebhookUrl', 'discordWebhookUrl'].forEach((field) => {
+      if (value[field] === '') value[field] = null;
+    });
+
+    // Mesclar a alteração com a matriz salva (sempre grava a matriz completa)
+    if (value.preferences) {
+      const current = await req.prisma.notificationSettings.findUnique({
+        where: { userId: req.user.id },
+        select: { preferences: true }
+      });
+      value.preferences = mergePreferences(current && current.preferences, value.preferences);
+    }
+
     // Atualizar ou criar configurações
     const settings = await req.prisma.notificationSettings.upsert({
       where: { userId: req.user.id },
@@ -268,7 +622,7 @@ router.put('/settings', authenticate, async (req, res) => {
       }
     });
 
-    res.status(200).json(settings);
+    res.status(200).json({ ...settings, preferences: normalizePreferences(settings.preferences) });
   } catch (error) {
     req.logger.error('Erro ao atualizar configurações de notificação:', error);
     res.status(500).json({ error: 'Erro ao atualizar configurações de notificação' });
@@ -293,16 +647,19 @@ router.put('/settings', authenticate, async (req, res) => {
  *               properties:
  *                 total:
  *                   type: integer
- *                   description: Total de notificações
+ *                   description: Total de notificações (sem as arquivadas)
  *                 unread:
  *                   type: integer
- *                   description: Notificações não lidas
+ *                   description: Notificações não lidas (sem as arquivadas)
  *                 byType:
  *                   type: object
- *                   description: Contagem por tipo de notificação
+ *                   description: Contagem por tipo de notificação (sem as arquivadas)
  *                 last7Days:
  *                   type: integer
- *                   description: Notificações dos últimos 7 dias
+ *                   description: Notificações dos últimos 7 dias (sem as arquivadas)
+ *                 archived:
+ *                   type: integer
+ *                   description: Notificações arquivadas
  *       500:
  *         description: Erro interno do servidor
  */
@@ -312,21 +669,22 @@ router.get('/stats', authenticate, async (req, res) => {
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-    const [total, unread, byType, last7Days] = await Promise.all([
+    // Arquivadas ficam fora das contagens, como na listagem padrão
+    const [total, unread, byType, last7Days, archived] = await Promise.all([
       // Total de notificações
       req.prisma.notification.count({
-        where: { userId }
+        where: { userId, archivedAt: null }
       }),
       
       // Notificações não lidas
       req.prisma.notification.count({
-        where: { userId, read: false }
+        where: { userId, read: false, archivedAt: null }
       }),
       
       // Contagem por tipo
       req.prisma.notification.groupBy({
         by: ['type'],
-        where: { userId },
+        where: { userId, archivedAt: null },
         _count: { type: true }
       }),
       
@@ -334,8 +692,14 @@ router.get('/stats', authenticate, async (req, res) => {
       req.prisma.notification.count({
         where: {
           userId,
+          archivedAt: null,
           createdAt: { gte: sevenDaysAgo }
         }
+      }),
+
+      // Arquivadas
+      req.prisma.notification.count({
+        where: { userId, archivedAt: { not: null } }
       })
     ]);
 
@@ -349,7 +713,8 @@ router.get('/stats', authenticate, async (req, res) => {
       total,
       unread,
       byType: typeStats,
-      last7Days
+      last7Days,
+      archived
     });
   } catch (error) {
     req.logger.error('Erro ao obter estatísticas de notificações:', error);
@@ -359,52 +724,1115 @@ router.get('/stats', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/notifications/test:
- *   post:
- *     summary: Envia notificação de teste (apenas desenvolvimento)
+ * /api/notifications/deliveries/dead-letter:
+ *   get:
+ *     summary: Lista entregas que esgotaram as tentativas de reenvio (apenas administradores)
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *                 enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER]
- *               title:
- *                 type: string
- *               message:
- *                 type: string
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Número da página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Número de itens por página
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [EMAIL, WEBSOCKET, PUSH, SMS, CHAT]
+ *         description: Filtrar por canal de entrega
  *     responses:
  *       200:
- *         description: Notificação de teste enviada
+ *         description: Lista de entregas em dead-letter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDeliveryLog'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
  *       400:
- *         description: Dados inválidos
+ *         description: Filtros inválidos
  *       403:
- *         description: Disponível apenas em desenvolvimento
+ *         description: Acesso restrito a administradores
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/test', authenticate, async (req, res) => {
-  // Disponível apenas em desenvolvimento
-  if (process.env.NODE_ENV !== 'development') {
-    return res.status(403).json({ error: 'Endpoint disponível apenas em desenvolvimento' });
+router.get('/deliveries/dead-letter', authenticate, requireAdmin, async (req, res) => {
+  const { error, value } = deadLetterQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
   }
 
   try {
-    const { type = 'GUEST_CONFIRMED', title = 'Teste', message = 'Esta é uma notificação de teste' } = req.body;
+    const { page, limit, channel } = value;
 
-    // Criar notificação de teste
-    const notification = await req.notificationService.createNotification({
-      userId: req.user.id,
-      type,
-      title,
-      message,
-      data: {
+    const where = { status: 'DEAD_LETTER' };
+    if (channel) where.channel = channel;
+
+    const [deliveries, total] = await Promise.all([
+      req.prisma.notificationDeliveryLog.findMany({
+        where,
+        include: {
+          notification: {
+            select: { id: true, userId: true, type: true, title: true, createdAt: true }
+          }
+        },
+        orderBy: { attemptedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      req.prisma.notificationDeliveryLog.count({ where })
+    ]);
+
+    res.status(200).json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    req.logger.error('Erro ao listar entregas em dead-letter:', error);
+    res.status(500).json({ error: 'Erro ao listar entregas em dead-letter' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/deliveries/failures:
+ *   get:
+ *     summary: Lista entregas com falha (FAILED, BOUNCED, DEAD_LETTER)
+ *     description: Retorna as falhas das notificações do usuário autenticado. Administradores podem consultar outro usuário com `userId` (ou `all` para todos).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [EMAIL, WEBSOCKET, PUSH, SMS, CHAT]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, GUEST_PENDING, INVITE_SENT, EVENT_REMINDER, EVENT_UPDATED, SYSTEM_ALERT, DIGEST]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Tentativas a partir desta data
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Tentativas anteriores a esta data
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Usuário consultado (apenas administradores)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Falhas de entrega, da mais recente para a mais antiga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDeliveryLog'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Filtros inválidos
+ *       403:
+ *         description: Consulta de outro usuário sem permissão de administrador
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/deliveries/failures', authenticate, async (req, res) => {
+  const { error, value } = deliveryFailuresQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const { userId: requestedUserId, ...filters } = value;
+    const userId = resolveDeliveryScope(req, res, requestedUserId);
+    if (userId === undefined) return;
+
+    const result = await req.deliveryLogRepository.findFailures(userId, filters);
+
+    res.status(200).json(result);
+  } catch (error) {
+    req.logger.error('Erro ao listar falhas de entrega:', error);
+    res.status(500).json({ error: 'Erro ao listar falhas de entrega' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/deliveries/stats:
+ *   get:
+ *     summary: Indicadores de entrega por canal
+ *     description: |
+ *       Taxa de sucesso, latência (createdAt até deliveredAt) e erros mais frequentes por canal
+ *       no período (padrão: últimos 30 dias). A taxa considera apenas entregas concluídas
+ *       (SENT e DELIVERED contra FAILED, BOUNCED e DEAD_LETTER). A latência inclui reenvios e
+ *       adiamentos do horário de silêncio. Administradores podem consultar outro usuário com
+ *       `userId` (ou `all` para todos).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Usuário consultado (apenas administradores)
+ *     responses:
+ *       200:
+ *         description: Indicadores por canal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 channels:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliveryChannelStats'
+ *       400:
+ *         description: Período inválido
+ *       403:
+ *         description: Consulta de outro usuário sem permissão de administrador
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/deliveries/stats', authenticate, async (req, res) => {
+  const { error, value } = deliveryStatsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const userId = resolveDeliveryScope(req, res, value.userId);
+    if (userId === undefined) return;
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (from >= to) {
+      return res.status(400).json({ error: 'Período inválido' });
+    }
+
+    const channels = await req.deliveryLogRepository.getChannelStats(userId, { from, to });
+
+    res.status(200).json({ from, to, channels });
+  } catch (error) {
+    req.logger.error('Erro ao calcular indicadores de entrega:', error);
+    res.status(500).json({ error: 'Erro ao calcular indicadores de entrega' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/deliveries:
+ *   get:
+ *     summary: Lista as tentativas de entrega de uma notificação
+ *     description: Disponível para o dono da notificação e para administradores.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da notificação
+ *     responses:
+ *       200:
+ *         description: Notificação e seus logs de entrega por canal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notification:
+ *                   $ref: '#/components/schemas/Notification'
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDeliveryLog'
+ *       404:
+ *         description: Notificação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/deliveries', authenticate, async (req, res) => {
+  try {
+    const notification = await req.prisma.notification.findUnique({
+      where: { id: req.params.id }
+    });
+
+    // Notificação de outro usuário responde como inexistente (exceto para administradores)
+    if (!notification || (notification.userId !== req.user.id && !isAdmin(req.user))) {
+      return res.status(404).json({ error: 'Notificação não encontrada' });
+    }
+
+    const deliveries = await req.deliveryLogRepository.findByNotification(notification.id);
+
+    res.status(200).json({ notification, deliveries });
+  } catch (error) {
+    req.logger.error('Erro ao listar entregas da notificação:', error);
+    res.status(500).json({ error: 'Erro ao listar entregas da notificação' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/deliveries/{id}/replay:
+ *   post:
+ *     summary: Reenvia manualmente uma entrega em dead-letter (apenas administradores)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do log de entrega
+ *     responses:
+ *       200:
+ *         description: Reenvio executado; o log retornado indica o novo status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationDeliveryLog'
+ *       403:
+ *         description: Acesso restrito a administradores
+ *       404:
+ *         description: Log de entrega não encontrado
+ *       409:
+ *         description: A entrega não está em dead-letter
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/deliveries/:id/replay', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deliveryLog = await req.prisma.notificationDeliveryLog.findUnique({
+      where: { id }
+    });
+
+    if (!deliveryLog) {
+      return res.status(404).json({ error: 'Log de entrega não encontrado' });
+    }
+
+    // Reservar a entrega para que o agendador não a reenvie em paralelo
+    const { count } = await req.prisma.notificationDeliveryLog.updateMany({
+      where: { id, status: 'DEAD_LETTER' },
+      data: { status: 'PENDING', attemptedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'A entrega não está em dead-letter' });
+    }
+
+    const updatedLog = await req.notificationService.retryDelivery(deliveryLog);
+
+    res.status(200).json(updatedLog);
+  } catch (error) {
+    req.logger.error('Erro ao reenviar entrega:', error);
+    res.status(500).json({ error: 'Erro ao reenviar entrega' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/public-key:
+ *   get:
+ *     summary: Retorna a chave pública VAPID para inscrição Web Push
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Chave pública (applicationServerKey)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 publicKey:
+ *                   type: string
+ *       503:
+ *         description: Notificações push não configuradas no servidor
+ */
+router.get('/push/public-key', authenticate, (req, res) => {
+  if (!req.pushProvider) {
+    return res.status(503).json({ error: 'Notificações push não configuradas' });
+  }
+
+  res.status(200).json({ publicKey: req.pushProvider.getPublicKey() });
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/subscriptions:
+ *   get:
+ *     summary: Lista os dispositivos inscritos para notificações push
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Inscrições do usuário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PushSubscription'
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/push/subscriptions', authenticate, async (req, res) => {
+  try {
+    const subscriptions = await req.pushSubscriptionRepository.listForUser(req.user.id);
+
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    req.logger.error('Erro ao listar inscrições push:', error);
+    res.status(500).json({ error: 'Erro ao listar inscrições push' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/subscriptions:
+ *   post:
+ *     summary: Registra a inscrição push de um navegador/dispositivo
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subscription]
+ *             properties:
+ *               subscription:
+ *                 type: object
+ *                 description: Resultado de PushSubscription.toJSON() no navegador
+ *                 properties:
+ *                   endpoint:
+ *                     type: string
+ *                   expirationTime:
+ *                     type: integer
+ *                     nullable: true
+ *                   keys:
+ *                     type: object
+ *                     properties:
+ *                       p256dh:
+ *                         type: string
+ *                       auth:
+ *                         type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Inscrição registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushSubscription'
+ *       400:
+ *         description: Dados inválidos
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/push/subscriptions', authenticate, async (req, res) => {
+  try {
+    const { error, value } = pushSubscriptionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const subscription = await req.pushSubscriptionRepository.save(req.user.id, value.subscription, {
+      deviceName: value.deviceName,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      id: subscription.id,
+      endpoint: subscription.endpoint,
+      deviceName: subscription.deviceName,
+      userAgent: subscription.userAgent,
+      expiresAt: subscription.expiresAt,
+      lastUsedAt: subscription.lastUsedAt,
+      createdAt: subscription.createdAt
+    });
+  } catch (error) {
+    req.logger.error('Erro ao registrar inscrição push:', error);
+    res.status(500).json({ error: 'Erro ao registrar inscrição push' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/subscriptions:
+ *   delete:
+ *     summary: Cancela a inscrição push do navegador atual (pelo endpoint)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Inscrição removida
+ *       400:
+ *         description: Endpoint não informado
+ *       404:
+ *         description: Inscrição não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/push/subscriptions', authenticate, async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+    if (!endpoint || typeof endpoint !== 'string') {
+      return res.status(400).json({ error: 'endpoint é obrigatório' });
+    }
+
+    const count = await req.pushSubscriptionRepository.removeForUser(req.user.id, { endpoint });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Inscrição push não encontrada' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error('Erro ao remover inscrição push:', error);
+    res.status(500).json({ error: 'Erro ao remover inscrição push' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/subscriptions/{id}:
+ *   delete:
+ *     summary: Remove a inscrição push de um dispositivo (ex: pela lista de dispositivos)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Inscrição removida
+ *       404:
+ *         description: Inscrição não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/push/subscriptions/:id', authenticate, async (req, res) => {
+  try {
+    const count = await req.pushSubscriptionRepository.removeForUser(req.user.id, { id: req.params.id });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Inscrição push não encontrada' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error('Erro ao remover inscrição push:', error);
+    res.status(500).json({ error: 'Erro ao remover inscrição push' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates:
+ *   get:
+ *     summary: Lista os templates de email personalizados do usuário e os padrões do sistema
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates salvos e variáveis disponíveis por tipo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailTemplate'
+ *                 variables:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/templates', authenticate, async (req, res) => {
+  try {
+    const templates = await req.emailTemplateRepository.list(req.user.id);
+
+    res.status(200).json({ templates, variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    req.logger.error('Erro ao listar templates de email:', error);
+    res.status(500).json({ error: 'Erro ao listar templates de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/preview:
+ *   post:
+ *     summary: Renderiza um template com dados de exemplo
+ *     description: Sem subject/html, renderiza o template vigente para o usuário
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *               locale:
+ *                 type: string
+ *                 enum: [pt-BR, en-US, es-ES]
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email renderizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subject:
+ *                   type: string
+ *                 html:
+ *                   type: string
+ *                 source:
+ *                   type: string
+ *                   enum: [draft, user, system, default]
+ *       400:
+ *         description: Dados inválidos ou variáveis desconhecidas
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/templates/preview', authenticate, async (req, res) => {
+  try {
+    const { error, value } = templatePreviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const recipient = await req.userRepository.findNotificationRecipient(req.user.id);
+    const preferences = {
+      ...(recipient ? req.emailProvider.getPreferences(recipient) : {}),
+      ...(value.locale ? { language: value.locale } : {})
+    };
+    const locale = resolveLocale(preferences.language);
+
+    let templateData;
+    if (value.subject || value.html) {
+      // Rascunho: valida e sanitiza como no salvamento, completando com o template vigente
+      const current = await req.emailProvider.getTemplate(req.user.id, value.type, locale);
+      const draft = validateEmailTemplate(value.type, {
+        locale,
+        subject: value.subject || current.subject,
+        html: value.html || current.template
+      });
+      if (draft.error) {
+        return res.status(400).json({ error: draft.error, ...draft.details });
+      }
+      templateData = { subject: draft.value.subject, template: draft.value.html, source: 'draft' };
+    } else {
+      templateData = await req.emailProvider.getTemplate(req.user.id, value.type, locale);
+    }
+
+    const variables = req.emailProvider.buildTemplateVariables(
+      value.type,
+      req.emailProvider.getSampleData(value.type),
+      preferences
+    );
+    const rendered = req.emailProvider.renderEmail(templateData, locale, variables);
+
+    res.status(200).json({ ...rendered, source: templateData.source });
+  } catch (error) {
+    req.logger.error('Erro ao pré-visualizar template de email:', error);
+    res.status(500).json({ error: 'Erro ao pré-visualizar template de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}:
+ *   get:
+ *     summary: Obtém o template de email vigente para o usuário
+ *     description: Personalização do usuário, padrão do sistema ou template embutido, nessa ordem
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [pt-BR, en-US, es-ES]
+ *     responses:
+ *       200:
+ *         description: Template vigente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                 locale:
+ *                   type: string
+ *                 subject:
+ *                   type: string
+ *                 html:
+ *                   type: string
+ *                 source:
+ *                   type: string
+ *                   enum: [user, system, default]
+ *                 variables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Tipo de template inválido
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/templates/:type', authenticate, async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!TEMPLATE_VARIABLES[type]) {
+      return res.status(400).json({ error: 'Tipo de template inválido' });
+    }
+
+    const locale = resolveLocale(req.query.locale);
+    const template = await req.emailProvider.getTemplate(req.user.id, type, locale);
+
+    res.status(200).json({
+      type,
+      locale: template.locale || locale,
+      subject: template.subject,
+      html: template.template,
+      source: template.source,
+      variables: TEMPLATE_VARIABLES[type]
+    });
+  } catch (error) {
+    req.logger.error('Erro ao buscar template de email:', error);
+    res.status(500).json({ error: 'Erro ao buscar template de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}:
+ *   put:
+ *     summary: Salva a personalização do usuário para um template de email
+ *     description: O HTML é sanitizado (scripts, handlers e URLs javascript são removidos)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Template salvo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailTemplate'
+ *       400:
+ *         description: Dados inválidos ou variáveis desconhecidas
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/templates/:type', authenticate, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { error, details, value } = validateEmailTemplate(type, req.body);
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+
+    const template = await req.emailTemplateRepository.save(req.user.id, type, value.locale, value);
+
+    res.status(200).json(template);
+  } catch (error) {
+    req.logger.error('Erro ao salvar template de email:', error);
+    res.status(500).json({ error: 'Erro ao salvar template de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}:
+ *   delete:
+ *     summary: Remove a personalização do usuário, voltando ao template padrão
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [pt-BR, en-US, es-ES]
+ *           default: pt-BR
+ *     responses:
+ *       204:
+ *         description: Personalização removida
+ *       400:
+ *         description: Tipo de template inválido
+ *       404:
+ *         description: Nenhuma personalização para o tipo e idioma
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/templates/:type', authenticate, async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!TEMPLATE_VARIABLES[type]) {
+      return res.status(400).json({ error: 'Tipo de template inválido' });
+    }
+
+    const count = await req.emailTemplateRepository.remove(req.user.id, type, resolveLocale(req.query.locale));
+    if (count === 0) {
+      return res.status(404).json({ error: 'Template personalizado não encontrado' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error('Erro ao remover template de email:', error);
+    res.status(500).json({ error: 'Erro ao remover template de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/system/{type}:
+ *   put:
+ *     summary: Salva o template padrão do sistema (apenas administradores)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Template padrão salvo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailTemplate'
+ *       400:
+ *         description: Dados inválidos ou variáveis desconhecidas
+ *       403:
+ *         description: Acesso restrito a administradores
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/templates/system/:type', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { error, details, value } = validateEmailTemplate(type, req.body);
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+
+    const template = await req.emailTemplateRepository.save(null, type, value.locale, value);
+
+    res.status(200).json(template);
+  } catch (error) {
+    req.logger.error('Erro ao salvar template padrão de email:', error);
+    res.status(500).json({ error: 'Erro ao salvar template padrão de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/templates/system/{type}:
+ *   delete:
+ *     summary: Remove o template padrão do sistema, voltando ao template embutido (apenas administradores)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [pt-BR, en-US, es-ES]
+ *           default: pt-BR
+ *     responses:
+ *       204:
+ *         description: Template padrão removido
+ *       403:
+ *         description: Acesso restrito a administradores
+ *       404:
+ *         description: Nenhum template padrão para o tipo e idioma
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/templates/system/:type', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!TEMPLATE_VARIABLES[type]) {
+      return res.status(400).json({ error: 'Tipo de template inválido' });
+    }
+
+    const count = await req.emailTemplateRepository.remove(null, type, resolveLocale(req.query.locale));
+    if (count === 0) {
+      return res.status(404).json({ error: 'Template padrão não encontrado' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    req.logger.error('Erro ao remover template padrão de email:', error);
+    res.status(500).json({ error: 'Erro ao remover template padrão de email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/chat/test:
+ *   post:
+ *     summary: Envia uma mensagem de teste aos webhooks de Slack/Discord configurados
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mensagem entregue em pelo menos um chat
+ *       400:
+ *         description: Nenhum webhook de Slack ou Discord configurado
+ *       502:
+ *         description: Slack/Discord recusou ou não respondeu
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/chat/test', authenticate, async (req, res) => {
+  try {
+    const result = await req.chatProvider.send({
+      id: 'chat-test',
+      userId: req.user.id,
+      type: 'GUEST_CONFIRMED',
+      title: 'Notificação de Teste',
+      message: 'Se você está vendo esta mensagem, as notificações do Convite Certo chegarão a este canal.',
+      createdAt: new Date()
+    }, { guestName: 'Convidado de Exemplo', eventTitle: 'Evento de Exemplo' });
+
+    if (!result.success) {
+      return res.status(result.skipped ? 400 : 502).json({ error: result.error });
+    }
+
+    res.status(200).json({ message: 'Mensagem de teste enviada' });
+  } catch (error) {
+    req.logger.error('Erro ao enviar mensagem de teste ao chat:', error);
+    res.status(500).json({ error: 'Erro ao enviar mensagem de teste ao chat' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/test:
+ *   post:
+ *     summary: Envia notificação de teste (apenas desenvolvimento)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER]
+ *               title:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Notificação de teste enviada
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Disponível apenas em desenvolvimento
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/test', authenticate, async (req, res) => {
+  // Disponível apenas em desenvolvimento
+  if (process.env.NODE_ENV !== 'development') {
+    return res.status(403).json({ error: 'Endpoint disponível apenas em desenvolvimento' });
+  }
+
+  try {
+    const { type = 'GUEST_CONFIRMED', title = 'Teste', message = 'Esta é uma notificação de teste' } = req.body;
+
+    // Criar notificação de teste
+    const notification = await req.notificationService.createNotification({
+      userId: req.user.id,
+      type,
+      title,
+      message,
+      data: {
         test: true,
         guestName: 'João Silva',
         eventTitle: 'Evento de Teste',
@@ -423,7 +1851,8 @@ router.post('/test', authenticate, async (req, res) => {
     await req.notificationService.sendNotificationThroughChannels(
       notification, 
       activeChannels, 
-      notification.data
+      notification.data,
+      { settings }
     );
 
     res.status(200).json({ 
@@ -450,7 +1879,7 @@ router.post('/test', authenticate, async (req, res) => {
  *           type: string
  *         type:
  *           type: string
- *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER]
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, GUEST_PENDING, INVITE_SENT, EVENT_REMINDER, EVENT_UPDATED, SYSTEM_ALERT, DIGEST]
  *         title:
  *           type: string
  *         message:
@@ -459,55 +1888,197 @@ router.post('/test', authenticate, async (req, res) => {
  *           type: object
  *         read:
  *           type: boolean
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     NotificationSettings:
+ *     DeliveryChannelStats:
  *       type: object
  *       properties:
- *         id:
- *           type: string
- *         userId:
+ *         channel:
  *           type: string
- *         guestConfirmed:
+ *           enum: [EMAIL, WEBSOCKET, PUSH, SMS, CHAT]
+ *         total:
+ *           type: integer
+ *           description: Entregas no período (inclui totais resumidos pela retenção)
+ *         byStatus:
  *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
- *         guestDeclined:
+ *           additionalProperties:
+ *             type: integer
+ *         successRate:
+ *           type: number
+ *           nullable: true
+ *           description: Fração (0-1) de entregas concluídas com sucesso
+ *         latencyMs:
  *           type: object
+ *           nullable: true
  *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
- *         inviteSent:
+ *             avg:
+ *               type: integer
+ *             p50:
+ *               type: integer
+ *             p95:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *         topErrors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *     NotificationBulkAction:
+ *       type: object
+ *       required: [action]
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [read, unread, archive, unarchive, delete]
+ *         ids:
+ *           type: array
+ *           maxItems: 500
+ *           items:
+ *             type: string
+ *         filter:
  *           type: object
  *           properties:
- *             email:
- *               type: boolean
- *             websocket:
+ *             type:
+ *               oneOf:
+ *                 - type: string
+ *                 - type: array
+ *                   items:
+ *                     type: string
+ *               description: Tipo (ou tipos) de notificação
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *             eventId:
+ *               type: string
+ *             read:
  *               type: boolean
- *             push:
+ *             archived:
  *               type: boolean
- *         eventReminder:
+ *     NotificationDeliveryLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         notificationId:
+ *           type: string
+ *         channel:
+ *           type: string
+ *           enum: [EMAIL, WEBSOCKET, PUSH, SMS, CHAT]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, SCHEDULED, SENT, DELIVERED, FAILED, BOUNCED, DEAD_LETTER, SKIPPED]
+ *         attemptedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         errorMessage:
+ *           type: string
+ *         retryCount:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *     PushSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         endpoint:
+ *           type: string
+ *         deviceName:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *           description: Nulo para os templates padrão do sistema
+ *         type:
+ *           type: string
+ *           enum: [GUEST_CONFIRMED, GUEST_DECLINED, INVITE_SENT, EVENT_REMINDER, DIGEST]
+ *         locale:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     EmailTemplateInput:
+ *       type: object
+ *       required: [subject, html]
+ *       properties:
+ *         locale:
+ *           type: string
+ *           enum: [pt-BR, en-US, es-ES]
+ *           default: pt-BR
+ *         subject:
+ *           type: string
+ *           description: Aceita variáveis {{eventTitle}} e textos {{t:chave}}
+ *         html:
+ *           type: string
+ *           description: HTML do email; scripts e handlers são removidos
+ *     ChannelPreferences:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: boolean
+ *         websocket:
+ *           type: boolean
+ *         push:
+ *           type: boolean
+ *         sms:
+ *           type: boolean
+ *         chat:
+ *           type: boolean
+ *     NotificationSettings:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         preferences:
  *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
+ *           description: Matriz tipo x canal. Chaves são valores de NotificationType (GUEST_CONFIRMED, GUEST_DECLINED, GUEST_PENDING, INVITE_SENT, EVENT_REMINDER, EVENT_UPDATED, SYSTEM_ALERT, DIGEST); a resposta traz sempre todos os tipos e canais
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/ChannelPreferences'
  *         digestFrequency:
  *           type: string
  *           enum: [NONE, DAILY, WEEKLY]
@@ -519,8 +2090,21 @@ router.post('/test', authenticate, async (req, res) => {
  *           type: integer
  *           minimum: 0
  *           maximum: 23
+ *         groupingWindowMinutes:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *           description: Janela, em minutos, que agrupa confirmações, recusas e respostas desfeitas do mesmo evento em uma única notificação (0 desativa)
  *         timezone:
  *           type: string
+ *         slackWebhookUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Incoming webhook do Slack (https://hooks.slack.com/...) usado pelo canal chat
+ *         discordWebhookUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Webhook do Discord (https://discord.com/api/webhooks/...) usado pelo canal chat
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -529,43 +2113,13 @@ router.post('/test', authenticate, async (req, res) => {
  *           format: date-time
  *     NotificationSettingsInput:
  *       type: object
+ *       description: Alteração parcial; campos omitidos mantêm o valor salvo
  *       properties:
- *         guestConfirmed:
- *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
- *         guestDeclined:
- *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
- *         inviteSent:
- *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
- *         eventReminder:
+ *         preferences:
  *           type: object
- *           properties:
- *             email:
- *               type: boolean
- *             websocket:
- *               type: boolean
- *             push:
- *               type: boolean
+ *           description: Matriz tipo x canal. Chaves são valores de NotificationType (GUEST_CONFIRMED, GUEST_DECLINED, GUEST_PENDING, INVITE_SENT, EVENT_REMINDER, EVENT_UPDATED, SYSTEM_ALERT, DIGEST); apenas os tipos e canais informados são alterados
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/ChannelPreferences'
  *         digestFrequency:
  *           type: string
  *           enum: [NONE, DAILY, WEEKLY]
@@ -577,8 +2131,21 @@ router.post('/test', authenticate, async (req, res) => {
  *           type: integer
  *           minimum: 0
  *           maximum: 23
+ *         groupingWindowMinutes:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *           description: Janela, em minutos, que agrupa confirmações, recusas e respostas desfeitas do mesmo evento em uma única notificação (0 desativa)
  *         timezone:
  *           type: string
+ *         slackWebhookUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Incoming webhook do Slack (https://hooks.slack.com/...) usado pelo canal chat
+ *         discordWebhookUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Webhook do Discord (https://discord.com/api/webhooks/...) usado pelo canal chat
  */
 
 module.exports = { router };
@@ -0,0 +1,295 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticate, requireVerifiedEmailForInvites } = require('./auth.routes');
+const NotificationOutboxWorker = require('../services/NotificationOutboxWorker');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: SMS
+ *     description: Envio de convites e lembretes por SMS e acompanhamento de custos
+ */
+
+// Esquemas de validação
+const sendInviteSchema = Joi.object({
+  guestId: Joi.string().required(),
+  message: Joi.string().trim().min(1).max(1000).required(),
+  inviteLink: Joi.string().uri().required()
+});
+
+const sendReminderSchema = Joi.object({
+  guestId: Joi.string().required(),
+  message: Joi.string().trim().min(1).max(1000).required()
+});
+
+const costQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+/**
+ * Carrega o convidado verificando se pertence a um evento do usuário
+ * @returns {Object} { guest } ou { status, error }
+ */
+const findOwnedGuest = async (req, guestId) => {
+  const guest = await req.prisma.guest.findUnique({
+    where: { id: guestId },
+    include: { event: true }
+  });
+
+  if (!guest) {
+    return { status: 404, error: 'Convidado não encontrado' };
+  }
+  if (!guest.event || guest.event.userId !== req.user.id) {
+    return { status: 403, error: 'Acesso negado' };
+  }
+  if (!guest.phone) {
+    return { status: 400, error: 'Convidado não possui número de telefone' };
+  }
+  return { guest };
+};
+
+/**
+ * Envia o texto ao convidado e registra em Message
+ */
+const sendToGuest = async (req, res, guest, type, text) => {
+  const result = await req.smsProvider.sendText(guest.phone, text, {
+    userId: req.user.id,
+    guestId: guest.id
+  });
+
+  // Convite aceito pelo gateway gera invite.sent no outbox, na mesma transação da mensagem
+  const inviteSent = type === 'invite' && result.success;
+  const messageRecord = await req.prisma.$transaction(async (tx) => {
+    const messageRecord = await tx.message.create({
+      data: {
+        type,
+        content: text,
+        status: result.success ? 'sent' : 'failed',
+        guestId: guest.id
+      }
+    });
+    if (inviteSent) {
+      await NotificationOutboxWorker.enqueue(tx, 'invite.sent', {
+        inviteId: messageRecord.id,
+        eventId: guest.eventId,
+        userId: guest.event.userId,
+        guestId: guest.id,
+        guestName: guest.name,
+        eventTitle: guest.event.title,
+        eventDate: guest.event.date,
+        channel: 'sms',
+        inviteCount: 1
+      }, `invite.sent:${messageRecord.id}`);
+    }
+    return messageRecord;
+  });
+  if (inviteSent) {
+    req.notificationOutbox?.wake();
+  }
+  req.eventDashboard?.publishMessageStatus(guest, messageRecord);
+
+  if (!result.success) {
+    return res.status(result.retryable ? 502 : 400).json({
+      error: `Falha ao enviar SMS: ${result.error}`,
+      messageId: messageRecord.id
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    messageId: messageRecord.id,
+    parts: result.parts,
+    cost: result.cost
+  });
+};
+
+/**
+ * @swagger
+ * /api/sms/send-invite:
+ *   post:
+ *     summary: Envia convite por SMS para um convidado (ex: convidados sem WhatsApp)
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - guestId
+ *               - message
+ *               - inviteLink
+ *             properties:
+ *               guestId:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               inviteLink:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Convite enviado; informa a quantidade de SMS e o custo
+ *       400:
+ *         description: Dados inválidos, convidado sem telefone ou número rejeitado
+ *       403:
+ *         description: Acesso negado ou email da conta não confirmado (EMAIL_NOT_VERIFIED)
+ *       404:
+ *         description: Convidado não encontrado
+ *       502:
+ *         description: Gateway de SMS indisponível
+ *       503:
+ *         description: SMS não configurado no servidor
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/send-invite', authenticate, requireVerifiedEmailForInvites, async (req, res) => {
+  try {
+    if (!req.smsProvider) {
+      return res.status(503).json({ error: 'Envio de SMS não configurado' });
+    }
+
+    const { error, value } = sendInviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { guest, status, error: guestError } = await findOwnedGuest(req, value.guestId);
+    if (!guest) {
+      return res.status(status).json({ error: guestError });
+    }
+
+    const text = `${value.message}\n\nPara confirmar sua presença, acesse: ${value.inviteLink}`;
+    await sendToGuest(req, res, guest, 'invite', text);
+  } catch (error) {
+    req.logger.error('Erro ao enviar convite por SMS:', error);
+    res.status(500).json({ error: 'Erro ao enviar convite por SMS' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sms/send-reminder:
+ *   post:
+ *     summary: Envia lembrete por SMS para um convidado
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - guestId
+ *               - message
+ *             properties:
+ *               guestId:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lembrete enviado; informa a quantidade de SMS e o custo
+ *       400:
+ *         description: Dados inválidos, convidado sem telefone ou número rejeitado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Convidado não encontrado
+ *       502:
+ *         description: Gateway de SMS indisponível
+ *       503:
+ *         description: SMS não configurado no servidor
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/send-reminder', authenticate, async (req, res) => {
+  try {
+    if (!req.smsProvider) {
+      return res.status(503).json({ error: 'Envio de SMS não configurado' });
+    }
+
+    const { error, value } = sendReminderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { guest, status, error: guestError } = await findOwnedGuest(req, value.guestId);
+    if (!guest) {
+      return res.status(status).json({ error: guestError });
+    }
+
+    await sendToGuest(req, res, guest, 'reminder', value.message);
+  } catch (error) {
+    req.logger.error('Erro ao enviar lembrete por SMS:', error);
+    res.status(500).json({ error: 'Erro ao enviar lembrete por SMS' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sms/costs:
+ *   get:
+ *     summary: Resumo de SMS enviados e custo no período
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Quantidade de SMS e custo total por moeda
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 cost:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       total:
+ *                         type: number
+ *       400:
+ *         description: Período inválido
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/costs', authenticate, async (req, res) => {
+  try {
+    const { error, value } = costQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const summary = await req.smsMessageRepository.getCostSummary(req.user.id, value);
+
+    res.status(200).json(summary);
+  } catch (error) {
+    req.logger.error('Erro ao calcular custos de SMS:', error);
+    res.status(500).json({ error: 'Erro ao calcular custos de SMS' });
+  }
+});
+
+module.exports = { router };
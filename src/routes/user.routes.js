@@ -2,8 +2,10 @@
 
 const express = require("express");
 const router = express.Router();
-const { authenticate } = require("./auth.routes");
+const { authenticate, getClientInfo } = require("./auth.routes");
 const Joi = require("joi");
+const bcrypt = require("bcrypt");
+const { normalizePhone } = require("../providers/sms/smsText");
 const axios = require("axios");
 
 /**
@@ -60,6 +62,12 @@ const userProfileSchema = Joi.object({
     return helpers.error('any.invalid');
   }).messages({
     'any.invalid': 'Avatar deve ser uma URL válida ou uma imagem Base64 válida (máximo 5MB)'
+  }),
+  // Telefone para notificações por SMS, salvo no formato E.164
+  phone: Joi.string().allow(null, "").custom((value, helpers) => {
+    return normalizePhone(value) || helpers.error('any.invalid');
+  }).messages({
+    'any.invalid': 'Telefone inválido'
   })
 });
 
@@ -216,7 +224,7 @@ router.get("/profile", authenticate, async (req, res) => {
   try {
     const user = await req.prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { id: true, name: true, email: true, avatar: true, createdAt: true, updatedAt: true } // Selecionar apenas campos relevantes
+      select: { id: true, name: true, email: true, emailVerifiedAt: true, pendingEmail: true, avatar: true, phone: true, createdAt: true, updatedAt: true } // Selecionar apenas campos relevantes
     });
 
     if (!user) {
@@ -235,6 +243,9 @@ router.get("/profile", authenticate, async (req, res) => {
  * /api/users/profile:
  *   put:
  *     summary: Atualiza os detalhes do perfil do usuário autenticado.
+ *     description: |
+ *       Um email diferente do atual não é aplicado na hora: fica em `pendingEmail` e um link
+ *       de confirmação é enviado para ele. O email atual continua valendo até a confirmação.
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -265,7 +276,7 @@ router.put("/profile", authenticate, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, email, avatar } = value;
+    const { name, email, avatar, phone } = value;
 
     // Verificar se o email já está em uso por outro usuário
     const existingUser = await req.prisma.user.findUnique({
@@ -276,10 +287,23 @@ router.put("/profile", authenticate, async (req, res) => {
       return res.status(400).json({ error: "Este email já está em uso." });
     }
 
+    const currentUser = await req.prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { config: { select: { language: true } } }
+    });
+
+    if (!currentUser) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    // Email novo só vale após a confirmação pelo link enviado a ele
+    await req.emailVerification.requestEmailChange(currentUser, email);
+
     const updatedUser = await req.prisma.user.update({
       where: { id: req.user.id },
-      data: { name, email, avatar },
-      select: { id: true, name: true, email: true, avatar: true, createdAt: true, updatedAt: true }
+      // phone ausente no corpo mantém o telefone atual; vazio remove
+      data: { name, avatar, phone: phone === "" ? null : phone },
+      select: { id: true, name: true, email: true, emailVerifiedAt: true, pendingEmail: true, avatar: true, phone: true, createdAt: true, updatedAt: true }
     });
 
     res.status(200).json(updatedUser);
@@ -294,6 +318,9 @@ router.put("/profile", authenticate, async (req, res) => {
  * /api/users/change-password:
  *   put:
  *     summary: Altera a senha do usuário autenticado.
+ *     description: |
+ *       Encerra todas as sessões do usuário (inclusive a atual) e desconecta seus sockets.
+ *       A resposta traz os tokens de uma nova sessão para o dispositivo que alterou a senha.
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -306,6 +333,19 @@ router.put("/profile", authenticate, async (req, res) => {
  *     responses:
  *       200:
  *         description: Senha alterada com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                   description: Access token da nova sessão.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token da nova sessão.
  *       400:
  *         description: Erro de validação nos dados fornecidos ou senha atual incorreta.
  *       401:
@@ -344,7 +384,12 @@ router.put("/change-password", authenticate, async (req, res) => {
       data: { password: hashedNewPassword }
     });
 
-    res.status(200).json({ message: "Senha alterada com sucesso." });
+    // Tokens emitidos com a senha antiga deixam de ser renovados; este dispositivo
+    // segue conectado com uma nova sessão
+    await req.authSessions.revokeAllSessions(user.id, "password_change");
+    const { token, refreshToken } = await req.authSessions.createSession(user, getClientInfo(req));
+
+    res.status(200).json({ message: "Senha alterada com sucesso.", token, refreshToken });
   } catch (error) {
     req.logger.error("Erro ao alterar senha do usuário:", error);
     res.status(500).json({ error: "Erro ao alterar senha do usuário" });
@@ -515,6 +560,10 @@ router.post("/help", authenticate, async (req, res) => {
  *         avatar:
  *           type: string
  *           description: URL ou Base64 da imagem de perfil do usuário.
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *           description: Telefone para notificações por SMS (sem código do país, considera Brasil).
  *     ChangePasswordInput:
  *       type: object
  *       properties:
@@ -0,0 +1,541 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticate } = require('./auth.routes');
+const { WEBHOOK_EVENTS, generateWebhookSecret, isPrivateHost } = require('../providers/WebhookNotificationProvider');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Webhooks de saída para integrar os eventos de RSVP a sistemas externos (CRMs etc)
+ */
+
+// Campos retornados nas listagens (o segredo só é exibido na criação e na rotação)
+const WEBHOOK_SELECT = {
+  id: true,
+  url: true,
+  events: true,
+  description: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERING', 'SUCCEEDED', 'FAILED', 'DEAD_LETTER'];
+
+const webhookUrl = Joi.string().uri({ scheme: ['https', 'http'] }).max(2000).custom((value, helpers) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' && isPrivateHost(new URL(value).hostname)) {
+    return helpers.message('URL do webhook não pode apontar para endereços locais ou da rede interna');
+  }
+  return value;
+});
+
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+// Esquemas de validação
+const createWebhookSchema = Joi.object({
+  url: webhookUrl.required(),
+  events: webhookEvents.required(),
+  description: Joi.string().trim().max(255).allow('', null),
+  active: Joi.boolean().default(true)
+});
+
+const updateWebhookSchema = Joi.object({
+  url: webhookUrl,
+  events: webhookEvents,
+  description: Joi.string().trim().max(255).allow('', null),
+  active: Joi.boolean()
+}).min(1);
+
+/**
+ * Carrega um webhook do usuário autenticado
+ * @returns {Object|null} Webhook ou null se não existir/pertencer a outro usuário
+ */
+const findOwnedWebhook = async (req) => {
+  return await req.prisma.webhook.findFirst({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+};
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Lista os webhooks do usuário
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks cadastrados e eventos disponíveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *                 availableEvents:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const webhooks = await req.prisma.webhook.findMany({
+      where: { userId: req.user.id },
+      select: WEBHOOK_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({ webhooks, availableEvents: WEBHOOK_EVENTS });
+  } catch (error) {
+    req.logger.error('Erro ao listar webhooks:', error);
+    res.status(500).json({ error: 'Erro ao listar webhooks' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Cadastra um webhook
+ *     description: O segredo usado na assinatura (X-Webhook-Signature) é retornado apenas nesta resposta.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook cadastrado, com o segredo de assinatura
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookWithSecret'
+ *       400:
+ *         description: Dados inválidos
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { error, value } = createWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const webhook = await req.prisma.webhook.create({
+      data: {
+        userId: req.user.id,
+        url: value.url,
+        events: value.events,
+        description: value.description || null,
+        active: value.active,
+        secret: generateWebhookSecret()
+      },
+      select: { ...WEBHOOK_SELECT, secret: true }
+    });
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    req.logger.error('Erro ao cadastrar webhook:', error);
+    res.status(500).json({ error: 'Erro ao cadastrar webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Atualiza URL, eventos, descrição ou estado (ativo) de um webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Webhook não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { error, value } = updateWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!(await findOwnedWebhook(req))) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    if (value.description === '') value.description = null;
+
+    const webhook = await req.prisma.webhook.update({
+      where: { id: req.params.id },
+      data: value,
+      select: WEBHOOK_SELECT
+    });
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    req.logger.error('Erro ao atualizar webhook:', error);
+    res.status(500).json({ error: 'Erro ao atualizar webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Remove um webhook e seu histórico de entregas
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Webhook removido
+ *       404:
+ *         description: Webhook não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { count } = await req.prisma.webhook.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    res.status(200).json({ message: 'Webhook removido com sucesso' });
+  } catch (error) {
+    req.logger.error('Erro ao remover webhook:', error);
+    res.status(500).json({ error: 'Erro ao remover webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Gera um novo segredo de assinatura (o anterior deixa de valer imediatamente)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Webhook com o novo segredo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookWithSecret'
+ *       404:
+ *         description: Webhook não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/rotate-secret', authenticate, async (req, res) => {
+  try {
+    if (!(await findOwnedWebhook(req))) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    const webhook = await req.prisma.webhook.update({
+      where: { id: req.params.id },
+      data: { secret: generateWebhookSecret() },
+      select: { ...WEBHOOK_SELECT, secret: true }
+    });
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    req.logger.error('Erro ao gerar novo segredo do webhook:', error);
+    res.status(500).json({ error: 'Erro ao gerar novo segredo do webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Envia um evento "ping" de teste ao webhook e retorna o resultado da entrega
+ *     description: O ping é enviado mesmo com o webhook inativo e não é reenviado em caso de falha.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Entrega do ping (status SUCCEEDED ou FAILED, com a resposta do endpoint)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/ping', authenticate, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    const delivery = await req.webhookProvider.sendTestPing(webhook);
+
+    res.status(200).json(delivery);
+  } catch (error) {
+    req.logger.error('Erro ao enviar ping do webhook:', error);
+    res.status(500).json({ error: 'Erro ao enviar ping do webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Histórico de entregas de um webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DELIVERING, SUCCEEDED, FAILED, DEAD_LETTER]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo nome do evento (ex guest.status.changed ou ping)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entregas paginadas, da mais recente para a mais antiga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Status inválido
+ *       404:
+ *         description: Webhook não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/deliveries', authenticate, async (req, res) => {
+  try {
+    if (!(await findOwnedWebhook(req))) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const where = { webhookId: req.params.id };
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status inválido. Use: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (req.query.event) where.eventType = String(req.query.event);
+
+    const [deliveries, total] = await Promise.all([
+      req.prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      req.prisma.webhookDelivery.count({ where })
+    ]);
+
+    res.status(200).json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    req.logger.error('Erro ao listar entregas do webhook:', error);
+    res.status(500).json({ error: 'Erro ao listar entregas do webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [guest.status.changed, invite.sent, event.created, event.updated, event.reminder, system.alert]
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookWithSecret:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Webhook'
+ *         - type: object
+ *           properties:
+ *             secret:
+ *               type: string
+ *               description: Chave do HMAC-SHA256 enviado em X-Webhook-Signature
+ *     WebhookInput:
+ *       type: object
+ *       required: [url, events]
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: URL http(s) pública que receberá os eventos via POST
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [guest.status.changed, invite.sent, event.created, event.updated, event.reminder, system.alert]
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         webhookId:
+ *           type: string
+ *         eventType:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [PENDING, DELIVERING, SUCCEEDED, FAILED, DEAD_LETTER]
+ *         attempts:
+ *           type: integer
+ *         responseStatus:
+ *           type: integer
+ *         responseBody:
+ *           type: string
+ *         errorMessage:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = {
+  router
+};
@@ -1,5 +1,3 @@
-let qrCache = {}; // Initialize an empty object to store QR codes by instance name
-
 /**
  * @swagger
  * tags:
@@ -8,7 +6,8 @@ let qrCache = {}; // Initialize an empty object to store QR codes by instance na
  */
 const express = require('express');
 const axios = require('axios');
-const { authenticate } = require('./auth.routes');
+const { authenticate, requireVerifiedEmailForInvites } = require('./auth.routes');
+const NotificationOutboxWorker = require('../services/NotificationOutboxWorker');
 const router = express.Router();
 
 // Configuração da Evolution API
@@ -16,6 +15,12 @@ const evolutionApiUrl = process.env.EVOLUTION_API_URL || 'http://api:8080';
 const evolutionApiKey = process.env.EVOLUTION_API_KEY || 'SUA_CHAVE_API_SECRETA_AQUI';
 const evolutionInstanceName = process.env.EVOLUTION_INSTANCE_NAME || 'myinstance';
 
+// QR Codes ficam no estado compartilhado (req.stateStore): o webhook e o GET
+// podem chegar em instâncias diferentes do backend. A Evolution renova o QR a
+// cada ~40s; após o TTL, um QR não renovado é considerado expirado.
+const QR_CACHE_TTL_MS = parseInt(process.env.WHATSAPP_QR_TTL_MS, 10) || 2 * 60 * 1000;
+const getQrCacheKey = (instanceName) => `whatsapp:qr:${instanceName}`;
+
 // Cliente axios pré-configurado para Evolution API
 const evolutionApi = axios.create({
   baseURL: evolutionApiUrl,
@@ -159,13 +164,13 @@ const mockSendWhatsApp = async (to, text) => ({
  *       400:
  *         description: Dados incompletos ou convidado não possui telefone
  *       403:
- *         description: Acesso negado
+ *         description: Acesso negado ou email da conta não confirmado (EMAIL_NOT_VERIFIED)
  *       404:
  *         description: Convidado não encontrado
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/send-invite', authenticate, async (req, res) => {
+router.post('/send-invite', authenticate, requireVerifiedEmailForInvites, async (req, res) => {
   try {
     const { guestId, message, inviteLink } = req.body;
     
@@ -221,16 +226,32 @@ router.post('/send-invite', authenticate, async (req, res) => {
       req.logger.info('Simulando envio de WhatsApp:', { to: formattedPhone, message: fullMessage });
     }
     
-    // Registrar mensagem no banco de dados
-    const messageRecord = await req.prisma.message.create({
-      data: {
-        type: 'invite',
-        content: fullMessage,
-        status: 'sent',
-        guestId: guest.id
-      }
+    // Registrar a mensagem e gravar invite.sent no outbox na mesma transação
+    const messageRecord = await req.prisma.$transaction(async (tx) => {
+      const messageRecord = await tx.message.create({
+        data: {
+          type: 'invite',
+          content: fullMessage,
+          status: 'sent',
+          guestId: guest.id
+        }
+      });
+      await NotificationOutboxWorker.enqueue(tx, 'invite.sent', {
+        inviteId: messageRecord.id,
+        eventId: guest.eventId,
+        userId: guest.event.userId,
+        guestId: guest.id,
+        guestName: guest.name,
+        eventTitle: guest.event.title,
+        eventDate: guest.event.date,
+        channel: 'whatsapp',
+        inviteCount: 1
+      }, `invite.sent:${messageRecord.id}`);
+      return messageRecord;
     });
-    
+    req.notificationOutbox?.wake();
+    req.eventDashboard?.publishMessageStatus(guest, messageRecord);
+
     res.status(200).json({
       success: true,
       messageId: messageRecord.id,
@@ -338,6 +359,7 @@ router.post('/send-reminder', authenticate, async (req, res) => {
         guestId: guest.id
       }
     });
+    req.eventDashboard?.publishMessageStatus(guest, messageRecord);
     
     res.status(200).json({
       success: true,
@@ -380,17 +402,17 @@ router.post('/send-reminder', authenticate, async (req, res) => {
  *                     type: string
  *     responses:
  *       200:
- *         description: Envio em massa realizado
+ *         description: Envio em massa realizado; cada mensagem enviada gera invite.sent
  *       400:
  *         description: Dados incompletos ou nenhum convidado encontrado
  *       403:
- *         description: Acesso negado
+ *         description: Acesso negado ou email da conta não confirmado (EMAIL_NOT_VERIFIED)
  *       404:
  *         description: Evento não encontrado
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/send-bulk', authenticate, async (req, res) => {
+router.post('/send-bulk', authenticate, requireVerifiedEmailForInvites, async (req, res) => {
   try {
     const { eventId, message, filter } = req.body;
     
@@ -458,15 +480,30 @@ router.post('/send-bulk', authenticate, async (req, res) => {
           req.logger.info('Simulando envio em massa via WhatsApp:', { to: formattedPhone, message });
         }
         
-        // Registrar mensagem no banco de dados
-        const messageRecord = await req.prisma.message.create({
-          data: {
-            type: 'bulk',
-            content: message,
-            status: 'sent',
-            guestId: guest.id
-          }
+        // Registrar a mensagem e gravar invite.sent no outbox na mesma transação
+        const messageRecord = await req.prisma.$transaction(async (tx) => {
+          const messageRecord = await tx.message.create({
+            data: {
+              type: 'bulk',
+              content: message,
+              status: 'sent',
+              guestId: guest.id
+            }
+          });
+          await NotificationOutboxWorker.enqueue(tx, 'invite.sent', {
+            inviteId: messageRecord.id,
+            eventId: event.id,
+            userId: event.userId,
+            guestId: guest.id,
+            guestName: guest.name,
+            eventTitle: event.title,
+            eventDate: event.date,
+            channel: 'whatsapp',
+            inviteCount: 1
+          }, `invite.sent:${messageRecord.id}`);
+          return messageRecord;
         });
+        req.eventDashboard?.publishMessageStatus(guest, messageRecord);
         
         results.push({
           guestId: guest.id,
@@ -487,6 +524,10 @@ router.post('/send-bulk', authenticate, async (req, res) => {
       }
     }
     
+    if (results.some(r => r.success)) {
+      req.notificationOutbox?.wake();
+    }
+
     res.status(200).json({
       totalSent: results.filter(r => r.success).length,
       totalFailed: results.filter(r => !r.success).length,
@@ -525,7 +566,7 @@ router.post('/webhook', async (req, res) => {
         req.body.instance === evolutionInstanceName &&
         req.body.data?.qrcode?.base64
     ) {
-      qrCache[evolutionInstanceName] = req.body.data.qrcode.base64;
+      await req.stateStore.set(getQrCacheKey(evolutionInstanceName), req.body.data.qrcode.base64, QR_CACHE_TTL_MS);
       req.logger.info(`QR Code recebido e armazenado para instância ${evolutionInstanceName}`); // Log adicionado
       return res.status(200).send('OK');
     }
@@ -536,26 +577,57 @@ router.post('/webhook', async (req, res) => {
       const phone = messageData.key.remoteJid.split('@')[0];
       const text = messageData.message?.conversation || messageData.message?.extendedTextMessage?.text || '';
       const guest = await req.prisma.guest.findFirst({
-        where: { phone: { contains: phone.slice(-9) } } // Ajuste para buscar pelo final do número
+        where: { phone: { contains: phone.slice(-9) } }, // Ajuste para buscar pelo final do número
+        include: { event: { select: { userId: true, title: true, date: true, location: true } } }
       });
       if (guest) {
         const lower = text.toLowerCase();
         let newStatus = null;
         if (['sim','yes','confirmo','confirmado','vou'].some(t => lower.includes(t))) newStatus = 'confirmed';
         else if (['não','nao','no','recuso','recusado'].some(t => lower.includes(t))) newStatus = 'declined';
-        
-        // Registra a mensagem recebida
-        await req.prisma.message.create({ data: {
-          type: newStatus ? 'response' : 'other',
-          content: text,
-          status: 'received',
-          guestId: guest.id
-        }});
-        
-        // Atualiza o status do convidado se for uma resposta válida
-        if (newStatus) {
-          await req.prisma.guest.update({ where: { id: guest.id }, data: { status: newStatus } });
+        const statusChanged = Boolean(newStatus) && newStatus !== guest.status;
+
+        // Registrar a mensagem, atualizar o convidado e gravar o evento no outbox
+        // na mesma transação, como no RSVP pela página do convite
+        const { messageRecord, updatedGuest } = await req.prisma.$transaction(async (tx) => {
+          const messageRecord = await tx.message.create({ data: {
+            type: newStatus ? 'response' : 'other',
+            content: text,
+            status: 'received',
+            guestId: guest.id
+          }});
+          if (!statusChanged) {
+            return { messageRecord, updatedGuest: null };
+          }
+
+          const updatedGuest = await tx.guest.update({ where: { id: guest.id }, data: { status: newStatus } });
+          await NotificationOutboxWorker.enqueue(tx, 'guest.status.changed', {
+            guestId: guest.id,
+            eventId: guest.eventId,
+            userId: guest.event.userId,
+            previousStatus: guest.status,
+            newStatus,
+            guestName: guest.name,
+            eventTitle: guest.event.title,
+            eventDate: guest.event.date,
+            eventLocation: guest.event.location,
+            plusOne: updatedGuest.plusOne,
+            plusOneName: updatedGuest.plusOneName
+          }, `guest.status.changed:${guest.id}:${updatedGuest.updatedAt.getTime()}`);
+          return { messageRecord, updatedGuest };
+        });
+        req.eventDashboard?.publishMessageStatus(guest, messageRecord);
+
+        if (updatedGuest) {
+          // Processar o outbox imediatamente; o worker periódico cobre falhas
+          req.notificationOutbox?.wake();
+          req.eventDashboard?.publish(guest.eventId, 'guest.rsvp', {
+            guest: updatedGuest,
+            previousStatus: guest.status
+          });
           req.logger.info(`Convidado ${guest.name} (${guest.id}) atualizado para status: ${newStatus}`);
+        } else if (newStatus) {
+          req.logger.info(`Convidado ${guest.name} (${guest.id}) já estava com status: ${newStatus}`);
         } else {
           req.logger.info(`Mensagem recebida de ${guest.name} (${guest.id}) não interpretada como RSVP: ${text}`);
         }
@@ -636,7 +708,7 @@ router.get('/status', authenticate, async (req, res) => {
 router.get('/qrcode', authenticate, async (req, res) => {
   try {
     // Não chamar createInstanceIfNeeded aqui, pois o QR só existe se a instância já foi criada e está aguardando conexão.
-    const qr = qrCache[evolutionInstanceName];
+    const qr = await req.stateStore.get(getQrCacheKey(evolutionInstanceName));
     if (!qr) {
       req.logger.warn(`Tentativa de obter QR Code para ${evolutionInstanceName}, mas não encontrado no cache.`);
       const status = await checkInstanceStatus();
@@ -649,17 +721,10 @@ router.get('/qrcode', authenticate, async (req, res) => {
         return res.status(404).json({ error: 'QR Code não disponível ou ainda não recebido pelo webhook. Tente novamente em alguns segundos.' });
       }
     }
-    // Opcional: Limpar o QR do cache após ser enviado para evitar reutilização.
-    // Considerar se o frontend pode precisar buscar o mesmo QR múltiplas vezes.
-    // delete qrCache[evolutionInstanceName]; 
+    // O QR não é removido após a leitura: o frontend pode buscá-lo novamente até expirar
     return res.status(200).json({ qrcode: qr });
   } catch (err) {
-    // Verifica se o erro é ReferenceError (caso qrCache não esteja definido - segurança extra)
-    if (err instanceof ReferenceError && err.message.includes('qrCache is not defined')) {
-       req.logger.error('Erro Crítico: Variável qrCache não foi inicializada no whatsapp.routes.js!', err);
-       return res.status(500).json({ error: 'Erro interno do servidor: Falha na configuração do cache de QR Code.' });
-    }
-    // Log genérico para outros erros
+    // Log genérico para outros erros (inclui falha ao acessar o estado compartilhado)
     req.logger.error('Erro inesperado ao obter QR Code:', err.message, err.stack);
     res.status(500).json({ error: 'Erro interno ao obter QR Code' });
   }
@@ -691,7 +756,7 @@ router.post('/disconnect', authenticate, async (req, res) => {
     await evolutionApi.delete(`/instance/logout/${evolutionInstanceName}`);
     
     // Limpa o QR code do cache ao desconectar, caso ainda exista
-    delete qrCache[evolutionInstanceName]; 
+    await req.stateStore.delete(getQrCacheKey(evolutionInstanceName));
     req.logger.info(`Instância ${evolutionInstanceName} desconectada e QR Code (se existente) removido do cache.`);
     
     res.status(200).json({ success: true, message: 'Instância desconectada com sucesso' });
@@ -703,4 +768,4 @@ router.post('/disconnect', authenticate, async (req, res) => {
   }
 });
 
-module.exports = { router };
+module.exports = { router, sendWhatsAppMessage };
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campos da sessão expostos ao usuário (GET /api/auth/sessions)
+const SESSION_FIELDS = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  lastSeenAt: true,
+  expiresAt: true,
+  createdAt: true
+};
+
+/**
+ * Sessões de login com access token curto e refresh token rotativo
+ * O access token (JWT) carrega o ID da sessão em `sid` e vale poucos minutos.
+ * O refresh token ("<id da sessão>.<segredo>") é trocado a cada renovação e só
+ * o hash SHA-256 do token atual fica no banco. Um token antigo apresentado de
+ * novo indica que ele vazou: a sessão inteira é revogada.
+ */
+class AuthSessionService {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções das sessões
+   * @param {string} options.accessTokenTtl - Validade do access token (formato do jsonwebtoken, ex: 15m)
+   * @param {number} options.refreshTokenTtlDays - Dias sem uso até a sessão expirar
+   * @param {Function} options.onAllSessionsRevoked - Chamada com o userId ao revogar todas as sessões (ex: desconectar sockets)
+   * @param {Function} options.onSessionRevoked - Chamada com o ID da sessão ao revogar uma sessão (ex: desconectar seus sockets)
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.accessTokenTtl = options.accessTokenTtl || '15m';
+    this.refreshTokenTtlMs = (options.refreshTokenTtlDays || 30) * DAY_MS;
+    this.onAllSessionsRevoked = options.onAllSessionsRevoked || null;
+    this.onSessionRevoked = options.onSessionRevoked || null;
+  }
+
+  /**
+   * Hash armazenado do refresh token (o segredo é aleatório, SHA-256 basta)
+   * @param {string} refreshToken - Refresh token
+   * @returns {string} Hash em hexadecimal
+   */
+  hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Gera um novo refresh token para a sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Object} { refreshToken, refreshTokenHash }
+   */
+  generateRefreshToken(sessionId) {
+    const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+    return { refreshToken, refreshTokenHash: this.hashToken(refreshToken) };
+  }
+
+  /**
+   * Emite o access token da sessão
+   * @param {Object} user - Usuário (id, email)
+   * @param {string} sessionId - ID da sessão
+   * @returns {string} JWT
+   */
+  issueAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, email: user.email, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Abre uma sessão (login, registro, troca de senha)
+   * @param {Object} user - Usuário (id, email)
+   * @param {Object} client - Dispositivo { userAgent, ipAddress }
+   * @returns {Object} { token, refreshToken, sessionId }
+   */
+  async createSession(user, client = {}) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, refreshTokenHash } = this.generateRefreshToken(sessionId);
+
+    // Sessões expiradas (inclusive as revogadas) não servem mais nem para detectar reuso
+    await this.prisma.userSession.deleteMany({
+      where: { userId: user.id, expiresAt: { lt: new Date() } }
+    });
+    await this.prisma.userSession.create({
+      data: {
+        id: sessionId,
+        userId: user.id,
+        refreshTokenHash,
+        userAgent: client.userAgent || null,
+        ipAddress: client.ipAddress || null,
+        expiresAt: new Date(Date.now() + this.refreshTokenTtlMs)
+      }
+    });
+
+    return { token: this.issueAccessToken(user, sessionId), refreshToken, sessionId };
+  }
+
+  /**
+   * Troca o refresh token por um novo par de tokens
+   * @param {string} refreshToken - Refresh token atual
+   * @param {Object} client - Dispositivo { userAgent, ipAddress }
+   * @returns {Object} { success, token, refreshToken } ou { success: false, code }
+   *   (INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED)
+   */
+  async refresh(refreshToken, client = {}) {
+    const session = await this.findSessionByToken(refreshToken);
+    const now = new Date();
+
+    if (!session || session.revokedAt || session.expiresAt <= now) {
+      return { success: false, code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const presentedHash = this.hashToken(refreshToken);
+    if (presentedHash !== session.refreshTokenHash) {
+      return await this.handleReuse(session);
+    }
+
+    const next = this.generateRefreshToken(session.id);
+    // Condicional ao hash atual: duas renovações simultâneas com o mesmo token
+    // não podem ambas vencer
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+      data: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + this.refreshTokenTtlMs),
+        userAgent: client.userAgent || session.userAgent,
+        ipAddress: client.ipAddress || session.ipAddress
+      }
+    });
+    if (count === 0) {
+      return await this.handleReuse(session);
+    }
+
+    return {
+      success: true,
+      token: this.issueAccessToken(session.user, session.id),
+      refreshToken: next.refreshToken
+    };
+  }
+
+  /**
+   * Refresh token já trocado apresentado de novo: revoga a sessão
+   * @param {Object} session - Sessão do token
+   * @returns {Object} { success: false, code: 'REFRESH_TOKEN_REUSED' }
+   */
+  async handleReuse(session) {
+    await this.revokeSession(session.id, 'reuse_detected');
+    this.logger.warn(`Reuso de refresh token detectado, sessão ${session.id} do usuário ${session.userId} revogada`);
+    return { success: false, code: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  /**
+   * Busca a sessão indicada no refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object|null} Sessão (com user: { id, email }) ou null
+   */
+  async findSessionByToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret) return null;
+
+    return await this.prisma.userSession.findUnique({
+      where: { id: sessionId },
+      include: { user: { select: { id: true, email: true } } }
+    });
+  }
+
+  /**
+   * Verifica se a sessão de um access token ainda vale (não revogada nem expirada).
+   * Consultada a cada requisição para que logout e revogação valham na hora.
+   * @param {string} sessionId - ID da sessão (claim `sid` do access token)
+   * @param {string} userId - ID do usuário do token
+   * @returns {boolean} True se a sessão estiver ativa
+   */
+  async isSessionActive(sessionId, userId) {
+    const session = await this.prisma.userSession.findUnique({
+      where: { id: sessionId },
+      select: { userId: true, revokedAt: true, expiresAt: true }
+    });
+    return Boolean(session) && session.userId === userId &&
+      !session.revokedAt && session.expiresAt > new Date();
+  }
+
+  /**
+   * Encerra a sessão do refresh token (logout). Tokens desconhecidos são ignorados.
+   * @param {string} refreshToken - Refresh token atual
+   * @returns {boolean} True se a sessão foi revogada
+   */
+  async logout(refreshToken) {
+    const session = await this.findSessionByToken(refreshToken);
+    if (!session || session.refreshTokenHash !== this.hashToken(refreshToken)) {
+      return false;
+    }
+    return (await this.revokeSession(session.id, 'logout')) > 0;
+  }
+
+  /**
+   * Revoga uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @param {string} reason - Motivo (logout, revoked, reuse_detected)
+   * @param {string} userId - Restringe às sessões do usuário (opcional)
+   * @returns {number} Quantidade de sessões revogadas (0 ou 1)
+   */
+  async revokeSession(sessionId, reason, userId) {
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { id: sessionId, revokedAt: null, ...(userId && { userId }) },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    if (count > 0) {
+      try {
+        await this.onSessionRevoked?.(sessionId);
+      } catch (error) {
+        this.logger.error('Erro ao encerrar conexões da sessão revogada:', error.message);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Revoga todas as sessões do usuário (sair de todos os dispositivos, troca de senha)
+   * @param {string} userId - ID do usuário
+   * @param {string} reason - Motivo (logout_all, password_change)
+   * @returns {number} Quantidade de sessões revogadas
+   */
+  async revokeAllSessions(userId, reason) {
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    try {
+      await this.onAllSessionsRevoked?.(userId);
+    } catch (error) {
+      this.logger.error('Erro ao encerrar conexões após revogar sessões:', error.message);
+    }
+
+    this.logger.info(`${count} sessões do usuário ${userId} revogadas (${reason})`);
+    return count;
+  }
+
+  /**
+   * Sessões ativas do usuário, da mais recente para a mais antiga
+   * @param {string} userId - ID do usuário
+   * @returns {Array} Sessões (dispositivo, IP, último uso)
+   */
+  async listSessions(userId) {
+    return await this.prisma.userSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: SESSION_FIELDS,
+      orderBy: { lastSeenAt: 'desc' }
+    });
+  }
+}
+
+module.exports = AuthSessionService;
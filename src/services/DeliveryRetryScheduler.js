@@ -0,0 +1,132 @@
+/**
+ * Agendador de reenvio de notificações
+ * Varre NotificationDeliveryLog em busca de entregas FAILED cuja próxima
+ * tentativa já venceu, de entregas SCHEDULED (adiadas pelo horário de
+ * silêncio) e de entregas PENDING abandonadas por um crash, e as envia
+ * através do NotificationService.retryDelivery.
+ */
+class DeliveryRetryScheduler {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} notificationService - Instância do NotificationService
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do agendador
+   * @param {number} options.pollIntervalMs - Intervalo entre varreduras
+   * @param {number} options.batchSize - Quantidade de entregas por varredura
+   * @param {number} options.staleAfterMs - Tempo após o qual uma entrega PENDING é considerada abandonada
+   */
+  constructor(prisma, notificationService, logger, options = {}) {
+    this.prisma = prisma;
+    this.notificationService = notificationService;
+    this.logger = logger;
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.batchSize = options.batchSize || 50;
+    this.staleAfterMs = options.staleAfterMs || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Inicia a varredura periódica
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.logger.info('Agendador de reenvio de notificações iniciado');
+  }
+
+  /**
+   * Interrompe a varredura e aguarda a execução em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executa uma varredura, reaproveitando a que estiver em andamento
+   * @returns {Promise<number>} Quantidade de entregas reenviadas
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.processDueDeliveries()
+        .catch((error) => {
+          this.logger.error('Erro ao reenviar notificações:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Busca e reenvia as entregas vencidas
+   * @returns {number} Quantidade de entregas reenviadas
+   */
+  async processDueDeliveries() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.staleAfterMs);
+
+    const dueLogs = await this.prisma.notificationDeliveryLog.findMany({
+      where: {
+        OR: [
+          { status: { in: ['FAILED', 'SCHEDULED'] }, nextAttemptAt: { lte: now } },
+          { status: 'PENDING', nextAttemptAt: null, attemptedAt: { lt: staleBefore } }
+        ]
+      },
+      orderBy: { attemptedAt: 'asc' },
+      take: this.batchSize
+    });
+
+    let retried = 0;
+
+    for (const deliveryLog of dueLogs) {
+      if (!(await this.claim(deliveryLog))) continue;
+
+      try {
+        await this.notificationService.retryDelivery(deliveryLog);
+        retried++;
+      } catch (error) {
+        this.logger.error(`Erro ao reenviar entrega ${deliveryLog.id}:`, error);
+      }
+    }
+
+    return retried;
+  }
+
+  /**
+   * Reserva uma entrega para reenvio. A condição sobre status, retryCount e
+   * attemptedAt garante que apenas uma instância da API reenvie a mesma entrega:
+   * uma entrega PENDING abandonada mantém status e retryCount ao ser reservada,
+   * mas a reserva renova attemptedAt.
+   * @param {Object} deliveryLog - Registro de NotificationDeliveryLog
+   * @returns {boolean} True se a entrega foi reservada
+   */
+  async claim(deliveryLog) {
+    const { count } = await this.prisma.notificationDeliveryLog.updateMany({
+      where: {
+        id: deliveryLog.id,
+        status: deliveryLog.status,
+        retryCount: deliveryLog.retryCount,
+        attemptedAt: deliveryLog.attemptedAt
+      },
+      data: {
+        status: 'PENDING',
+        nextAttemptAt: null,
+        attemptedAt: new Date()
+      }
+    });
+    return count === 1;
+  }
+}
+
+module.exports = DeliveryRetryScheduler;
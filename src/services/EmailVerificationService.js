@@ -0,0 +1,198 @@
+const jwt = require('jsonwebtoken');
+const { translate } = require('../locales');
+
+// Finalidade gravada no token: o link não serve para nenhum outro fluxo
+const TOKEN_PURPOSE = 'email_verification';
+
+/**
+ * Confirmação de posse do email
+ * No registro e na troca de email é enviado um link assinado (JWT com o ID do
+ * usuário e o email a confirmar). Na troca, o email novo fica em pendingEmail
+ * e o atual continua valendo até o link ser aberto.
+ */
+class EmailVerificationService {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções da verificação
+   * @param {Object} options.emailProvider - EmailNotificationProvider (usa sendPlainEmail)
+   * @param {string} options.frontendUrl - URL do frontend (página /verify-email)
+   * @param {string} options.secret - Segredo que assina os links (diferente do JWT de acesso)
+   * @param {number} options.tokenTtlHours - Validade do link
+   * @param {number} options.resendIntervalMs - Intervalo mínimo entre envios para o mesmo usuário
+   * @param {Function} options.invitePolicy - (user) => boolean: se o usuário pode enviar convites
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.emailProvider = options.emailProvider || null;
+    this.frontendUrl = options.frontendUrl;
+    this.secret = options.secret;
+    this.tokenTtlHours = options.tokenTtlHours || 24;
+    this.resendIntervalMs = options.resendIntervalMs ?? 60 * 1000;
+    this.invitePolicy = options.invitePolicy || (() => true);
+  }
+
+  /**
+   * Política que só libera convites para contas com email confirmado
+   * @param {Object} user - Usuário (emailVerifiedAt)
+   * @returns {boolean} True se o email estiver confirmado
+   */
+  static requireVerifiedEmail(user) {
+    return Boolean(user.emailVerifiedAt);
+  }
+
+  /**
+   * Envia o link de confirmação e registra o envio
+   * @param {Object} user - Usuário (id, name, config.language)
+   * @param {string} email - Email a confirmar (atual ou pendente)
+   * @returns {Object} Resultado do envio ({ success, error })
+   */
+  async sendVerification(user, email) {
+    const token = jwt.sign(
+      { sub: user.id, email, purpose: TOKEN_PURPOSE },
+      this.secret,
+      { expiresIn: `${this.tokenTtlHours}h` }
+    );
+    const link = `${this.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    const locale = user.config?.language;
+
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerificationSentAt: new Date() }
+    });
+
+    const result = await this.emailProvider.sendPlainEmail(
+      email,
+      translate(locale, 'EMAIL_VERIFICATION.subject'),
+      translate(locale, 'EMAIL_VERIFICATION.text', { name: user.name, email, hours: this.tokenTtlHours, link })
+    );
+
+    if (result.success) {
+      this.logger.info(`Link de confirmação de email enviado ao usuário ${user.id}`);
+    } else {
+      this.logger.error(`Falha ao enviar link de confirmação de email ao usuário ${user.id}:`, result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Registra o pedido de troca de email e envia o link para o email novo.
+   * Informar de novo o email atual cancela a troca pendente.
+   * @param {Object} user - Usuário atual (id, name, email, config.language)
+   * @param {string} newEmail - Email novo
+   * @returns {string|null} Email pendente após o pedido
+   */
+  async requestEmailChange(user, newEmail) {
+    if (newEmail === user.email) {
+      if (user.pendingEmail) {
+        await this.prisma.user.update({ where: { id: user.id }, data: { pendingEmail: null } });
+      }
+      return null;
+    }
+    // Mesma troca já pendente: o reenvio do link passa pelo limite de resend
+    if (newEmail === user.pendingEmail) {
+      return newEmail;
+    }
+
+    await this.prisma.user.update({ where: { id: user.id }, data: { pendingEmail: newEmail } });
+    await this.sendVerification(user, newEmail);
+    return newEmail;
+  }
+
+  /**
+   * Reenvia o link (email pendente ou, sem troca pendente, o email atual não confirmado)
+   * @param {string} userId - ID do usuário
+   * @returns {Object} { success, email } ou { success: false, code, retryAfterSeconds }
+   *   (ALREADY_VERIFIED, TOO_MANY_REQUESTS)
+   */
+  async resend(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      include: { config: { select: { language: true } } }
+    });
+
+    const email = user?.pendingEmail || (user && !user.emailVerifiedAt ? user.email : null);
+    if (!email) {
+      return { success: false, code: 'ALREADY_VERIFIED' };
+    }
+
+    const elapsed = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+    if (elapsed < this.resendIntervalMs) {
+      return {
+        success: false,
+        code: 'TOO_MANY_REQUESTS',
+        retryAfterSeconds: Math.ceil((this.resendIntervalMs - elapsed) / 1000)
+      };
+    }
+
+    const result = await this.sendVerification(user, email);
+    return { success: result.success, email, error: result.error };
+  }
+
+  /**
+   * Confirma o email do link. Abrir o mesmo link de novo não tem efeito.
+   * @param {string} token - Token do link
+   * @returns {Object} { success, email } ou { success: false, code } (INVALID_TOKEN, EMAIL_IN_USE)
+   */
+  async verify(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      return { success: false, code: 'INVALID_TOKEN' };
+    }
+    if (payload.purpose !== TOKEN_PURPOSE) {
+      return { success: false, code: 'INVALID_TOKEN' };
+    }
+
+    const user = await this.prisma.user.findUnique({ where: { id: payload.sub } });
+    if (!user) {
+      return { success: false, code: 'INVALID_TOKEN' };
+    }
+
+    if (payload.email === user.email) {
+      if (!user.emailVerifiedAt) {
+        await this.prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date() } });
+        this.logger.info(`Email do usuário ${user.id} confirmado`);
+      }
+      return { success: true, email: user.email };
+    }
+
+    // Link de uma troca substituída por outra (ou já concluída) não vale mais
+    if (payload.email !== user.pendingEmail) {
+      return { success: false, code: 'INVALID_TOKEN' };
+    }
+
+    try {
+      await this.prisma.user.update({
+        where: { id: user.id },
+        data: { email: user.pendingEmail, pendingEmail: null, emailVerifiedAt: new Date() }
+      });
+    } catch (error) {
+      // Email cadastrado por outra conta depois do pedido de troca
+      if (error.code === 'P2002') {
+        return { success: false, code: 'EMAIL_IN_USE' };
+      }
+      throw error;
+    }
+
+    this.logger.info(`Email do usuário ${user.id} alterado após confirmação`);
+    return { success: true, email: payload.email };
+  }
+
+  /**
+   * Aplica a política de envio de convites ao usuário
+   * @param {string} userId - ID do usuário
+   * @returns {boolean} True se o usuário pode enviar convites
+   */
+  async canSendInvites(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, emailVerifiedAt: true }
+    });
+    return Boolean(user) && this.invitePolicy(user);
+  }
+}
+
+module.exports = EmailVerificationService;
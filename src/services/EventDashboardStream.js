@@ -0,0 +1,112 @@
+/**
+ * Painel ao vivo de um evento (RSVP) via Socket.IO
+ * Organizadores entram na sala do evento (join_event) e recebem cada alteração
+ * nos convidados, nas respostas e nas mensagens, sempre acompanhada dos
+ * contadores recalculados. Com o adapter do Redis, a emissão para a sala chega
+ * aos sockets de todas as instâncias.
+ */
+class EventDashboardStream {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} io - Servidor Socket.IO
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do painel
+   * @param {number} options.importProgressEvery - Intervalo (em linhas) entre avisos de progresso da importação
+   */
+  constructor(prisma, io, logger, options = {}) {
+    this.prisma = prisma;
+    this.io = io;
+    this.logger = logger;
+    this.importProgressEvery = options.importProgressEvery || 10;
+  }
+
+  /**
+   * Nome da sala Socket.IO que agrupa os painéis abertos de um evento
+   * @param {string} eventId - ID do evento
+   * @returns {string} Nome da sala
+   */
+  getEventRoom(eventId) {
+    return `event:${eventId}`;
+  }
+
+  /**
+   * Verifica se o usuário pode acompanhar o evento. Hoje apenas o dono do
+   * evento tem acesso; colaboradores, quando existirem, entram aqui.
+   * Evento inexistente e evento de outro usuário não são diferenciados.
+   * @param {string} userId - ID do usuário autenticado
+   * @param {string} eventId - ID do evento
+   * @returns {boolean} True se o acesso for permitido
+   */
+  async canAccessEvent(userId, eventId) {
+    const event = await this.prisma.event.findUnique({
+      where: { id: eventId },
+      select: { userId: true }
+    });
+    return Boolean(event && event.userId === userId);
+  }
+
+  /**
+   * Contadores do evento, os mesmos de GET /api/events/:id
+   * @param {string} eventId - ID do evento
+   * @returns {Object} { guestsCount, confirmedCount, pendingCount }
+   */
+  async getSnapshot(eventId) {
+    const [guestsCount, confirmedCount, pendingCount] = await Promise.all([
+      this.prisma.guest.count({ where: { eventId } }),
+      this.prisma.guest.count({ where: { eventId, status: 'confirmed' } }),
+      this.prisma.guest.count({ where: { eventId, status: 'pending' } })
+    ]);
+    return { guestsCount, confirmedCount, pendingCount };
+  }
+
+  /**
+   * Publica uma alteração para os painéis abertos do evento.
+   * Falhas são apenas registradas: a operação que originou o aviso já foi concluída.
+   * @param {string} eventId - ID do evento
+   * @param {string} type - Tipo (guest.created, guest.updated, guest.deleted, guest.rsvp,
+   *   message.status, import.progress, import.completed)
+   * @param {Object} data - Dados da alteração
+   */
+  async publish(eventId, type, data = {}) {
+    try {
+      const stats = await this.getSnapshot(eventId);
+      this.io.to(this.getEventRoom(eventId)).emit('event_update', {
+        eventId,
+        type,
+        data,
+        stats,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      this.logger.error(`Erro ao publicar "${type}" no painel do evento ${eventId}:`, error.message);
+    }
+  }
+
+  /**
+   * Publica o status de uma mensagem registrada para um convidado
+   * @param {Object} guest - Convidado (id, eventId)
+   * @param {Object} message - Registro de Message (id, type, status)
+   */
+  async publishMessageStatus(guest, message) {
+    await this.publish(guest.eventId, 'message.status', {
+      messageId: message.id,
+      guestId: guest.id,
+      type: message.type,
+      status: message.status
+    });
+  }
+
+  /**
+   * Publica o progresso de uma importação a cada importProgressEvery linhas.
+   * A última linha fica para o aviso de import.completed, publicado pela rota.
+   * @param {string} eventId - ID do evento
+   * @param {Object} progress - { processed, total, imported, skipped, errors }
+   */
+  async reportImportProgress(eventId, progress) {
+    if (progress.processed < progress.total && progress.processed % this.importProgressEvery === 0) {
+      await this.publish(eventId, 'import.progress', progress);
+    }
+  }
+}
+
+module.exports = EventDashboardStream;
@@ -0,0 +1,197 @@
+const NotificationOutboxWorker = require('./NotificationOutboxWorker');
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Agendador de lembretes de eventos
+ * Varre os eventos próximos e, quando um evento entra em um dos intervalos
+ * configurados (ex: 7 dias, 1 dia, 2 horas antes), grava o lembrete no outbox
+ * de notificações. A idempotencyKey do outbox inclui evento, intervalo e data
+ * do evento, portanto restarts e varreduras repetidas nunca duplicam um
+ * lembrete, e um evento remarcado recebe novos lembretes.
+ */
+class EventReminderScheduler {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} notificationOutbox - Instância do NotificationOutboxWorker
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do agendador
+   * @param {number} options.pollIntervalMs - Intervalo entre varreduras
+   * @param {string} options.offsets - Intervalos antes do evento (ex: "7d,1d,2h")
+   * @param {boolean} options.notifyGuests - Envia lembrete também aos convidados confirmados
+   */
+  constructor(prisma, notificationOutbox, logger, options = {}) {
+    this.prisma = prisma;
+    this.notificationOutbox = notificationOutbox;
+    this.logger = logger;
+    this.pollIntervalMs = options.pollIntervalMs || 5 * 60 * 1000;
+    this.offsets = EventReminderScheduler.parseOffsets(options.offsets || '7d,1d,2h');
+    this.notifyGuests = options.notifyGuests === true;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Converte a lista de intervalos em milissegundos, do menor para o maior
+   * @param {string} value - Intervalos separados por vírgula (unidades m, h, d)
+   * @returns {Array} Lista de { label, ms }
+   */
+  static parseOffsets(value) {
+    const offsets = String(value)
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map((label) => {
+        const match = label.match(/^(\d+)([mhd])$/);
+        if (!match || parseInt(match[1], 10) === 0) {
+          throw new Error(`Intervalo de lembrete inválido: ${label}`);
+        }
+        return { label, ms: parseInt(match[1], 10) * UNIT_MS[match[2]] };
+      });
+
+    return offsets.sort((a, b) => a.ms - b.ms);
+  }
+
+  /**
+   * Inicia a varredura periódica
+   */
+  start() {
+    if (this.timer || this.offsets.length === 0) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.runOnce();
+    this.logger.info(`Agendador de lembretes de eventos iniciado (${this.offsets.map(o => o.label).join(', ')})`);
+  }
+
+  /**
+   * Interrompe a varredura e aguarda a execução em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executa uma varredura, reaproveitando a que estiver em andamento
+   * @returns {Promise<number>} Quantidade de lembretes agendados
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.processDueReminders()
+        .catch((error) => {
+          this.logger.error('Erro ao agendar lembretes de eventos:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Retorna o menor intervalo já alcançado para um evento.
+   * Um evento criado a 20 horas do início recebe apenas o lembrete de 1 dia,
+   * e não também o de 7 dias.
+   * @param {Date} eventDate - Data do evento
+   * @param {Date} now - Data de referência
+   * @returns {Object|null} Intervalo { label, ms } ou null
+   */
+  getDueOffset(eventDate, now) {
+    const remaining = eventDate.getTime() - now.getTime();
+    if (remaining <= 0) return null;
+    return this.offsets.find(offset => remaining <= offset.ms) || null;
+  }
+
+  /**
+   * Grava no outbox os lembretes devidos
+   * @param {Date} now - Data de referência
+   * @returns {number} Quantidade de lembretes agendados
+   */
+  async processDueReminders(now = new Date()) {
+    const maxOffset = this.offsets[this.offsets.length - 1];
+    if (!maxOffset) return 0;
+
+    const events = await this.prisma.event.findMany({
+      where: {
+        date: { gt: now, lte: new Date(now.getTime() + maxOffset.ms) }
+      },
+      select: {
+        id: true,
+        title: true,
+        date: true,
+        userId: true,
+        ...(this.notifyGuests
+          ? { guests: { where: { status: 'confirmed' }, select: { id: true } } }
+          : {})
+      }
+    });
+
+    const reminders = [];
+    events.forEach((event) => {
+      const offset = this.getDueOffset(event.date, now);
+      if (!offset) return;
+
+      const baseKey = `event.reminder:${event.id}:${offset.label}:${event.date.getTime()}`;
+      const basePayload = {
+        eventId: event.id,
+        userId: event.userId,
+        eventTitle: event.title,
+        eventDate: event.date,
+        reminderType: offset.label
+      };
+
+      reminders.push({ eventType: 'event.reminder', payload: basePayload, idempotencyKey: baseKey });
+      (event.guests || []).forEach((guest) => {
+        reminders.push({
+          eventType: 'event.reminder.guest',
+          payload: { ...basePayload, guestId: guest.id },
+          idempotencyKey: `${baseKey}:guest:${guest.id}`
+        });
+      });
+    });
+
+    if (reminders.length === 0) return 0;
+
+    // Lembretes já gravados em varreduras anteriores
+    const existing = await this.prisma.notificationOutbox.findMany({
+      where: { idempotencyKey: { in: reminders.map(r => r.idempotencyKey) } },
+      select: { idempotencyKey: true }
+    });
+    const existingKeys = new Set(existing.map(entry => entry.idempotencyKey));
+
+    let scheduled = 0;
+    for (const reminder of reminders) {
+      if (existingKeys.has(reminder.idempotencyKey)) continue;
+
+      try {
+        await NotificationOutboxWorker.enqueue(this.prisma, reminder.eventType, reminder.payload, reminder.idempotencyKey);
+        scheduled++;
+      } catch (error) {
+        // Outra instância gravou o mesmo lembrete em paralelo
+        if (error.code !== 'P2002') {
+          this.logger.error(`Erro ao agendar lembrete ${reminder.idempotencyKey}:`, error);
+        }
+      }
+    }
+
+    if (scheduled > 0) {
+      this.logger.info(`${scheduled} lembretes de eventos agendados`);
+      this.notificationOutbox?.wake();
+    }
+
+    return scheduled;
+  }
+}
+
+module.exports = EventReminderScheduler;
@@ -0,0 +1,96 @@
+/**
+ * Envio de mensagens para convidados
+ * Convidados não são usuários do sistema: as mensagens saem por WhatsApp
+ * (quando o convidado aceita WhatsApp e possui telefone), por SMS (telefone sem
+ * WhatsApp) ou por email, e cada envio é registrado na tabela Message do convidado.
+ */
+class GuestMessenger {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Canais disponíveis
+   * @param {Function} options.sendWhatsApp - Função (telefone, texto) que envia via WhatsApp
+   * @param {Object} options.emailProvider - EmailNotificationProvider (usa sendPlainEmail)
+   * @param {Object} options.smsProvider - SmsNotificationProvider (usa sendText)
+   * @param {Object} options.eventDashboard - Painel ao vivo do evento (EventDashboardStream)
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.sendWhatsApp = options.sendWhatsApp || null;
+    this.emailProvider = options.emailProvider || null;
+    this.smsProvider = options.smsProvider || null;
+    this.eventDashboard = options.eventDashboard || null;
+  }
+
+  /**
+   * Escolhe o canal de contato do convidado
+   * @param {Object} guest - Convidado
+   * @returns {string|null} 'whatsapp', 'sms', 'email' ou null se não houver canal
+   */
+  getChannel(guest) {
+    if (guest.whatsapp && guest.phone && this.sendWhatsApp) return 'whatsapp';
+    if (!guest.whatsapp && guest.phone && this.smsProvider) return 'sms';
+    if (guest.email && this.emailProvider) return 'email';
+    return null;
+  }
+
+  /**
+   * Envia uma mensagem ao convidado e registra o envio
+   * @param {Object} guest - Convidado (id, name, phone, email, whatsapp; event para atribuir o custo de SMS)
+   * @param {Object} message - Mensagem
+   * @param {string} message.type - Tipo registrado em Message (reminder, update, etc)
+   * @param {string} message.subject - Assunto (usado no email)
+   * @param {string} message.text - Conteúdo
+   * @returns {Object} { success, channel, messageId, error, retryable }
+   */
+  async send(guest, { type, subject, text }) {
+    const channel = this.getChannel(guest);
+    if (!channel) {
+      return { success: false, retryable: false, channel: null, error: 'Convidado sem canal de contato' };
+    }
+
+    let result;
+    try {
+      if (channel === 'whatsapp') {
+        await this.sendWhatsApp(guest.phone, text);
+        result = { success: true };
+      } else if (channel === 'sms') {
+        result = await this.smsProvider.sendText(guest.phone, text, {
+          userId: guest.event?.userId,
+          guestId: guest.id
+        });
+      } else {
+        result = await this.emailProvider.sendPlainEmail(guest.email, subject, text);
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const messageRecord = await this.prisma.message.create({
+      data: {
+        type,
+        content: text,
+        status: result.success ? 'sent' : 'failed',
+        guestId: guest.id
+      }
+    });
+    this.eventDashboard?.publishMessageStatus(guest, messageRecord);
+
+    if (result.success) {
+      this.logger.info(`Mensagem "${type}" enviada ao convidado ${guest.id} via ${channel}`);
+    } else {
+      this.logger.error(`Falha ao enviar mensagem "${type}" ao convidado ${guest.id} via ${channel}:`, result.error);
+    }
+
+    return {
+      success: result.success,
+      channel,
+      messageId: messageRecord.id,
+      error: result.error,
+      retryable: result.retryable
+    };
+  }
+}
+
+module.exports = GuestMessenger;
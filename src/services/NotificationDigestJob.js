@@ -0,0 +1,318 @@
+const NotificationService = require('./NotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frequências que agrupam notificações no resumo
+const BATCHED_FREQUENCIES = ['DAILY', 'WEEKLY'];
+
+/**
+ * Job de resumo (digest) de notificações
+ * Para usuários com digestFrequency DAILY ou WEEKLY, envia um único email com
+ * o resumo do período (confirmações, recusas, pendentes por evento e próximos
+ * eventos) no horário local configurado, respeitando o fuso de cada usuário.
+ * Exceções por evento (EventNotificationSettings) podem incluir ou retirar um
+ * evento do resumo; o envio segue a menor frequência entre usuário e eventos.
+ */
+class NotificationDigestJob {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} notificationService - Instância do NotificationService
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do job
+   * @param {number} options.pollIntervalMs - Intervalo entre verificações
+   * @param {number} options.digestHour - Hora local (0-23) a partir da qual o resumo é enviado
+   * @param {number} options.weeklyDay - Dia da semana do resumo semanal (0 = domingo)
+   * @param {number} options.upcomingDays - Janela, em dias, de próximos eventos listados
+   */
+  constructor(prisma, notificationService, logger, options = {}) {
+    this.prisma = prisma;
+    this.notificationService = notificationService;
+    this.logger = logger;
+    this.pollIntervalMs = options.pollIntervalMs || 15 * 60 * 1000;
+    this.digestHour = options.digestHour ?? 8;
+    this.weeklyDay = options.weeklyDay ?? 1;
+    this.upcomingDays = options.upcomingDays || 30;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Inicia a verificação periódica
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.runOnce();
+    this.logger.info('Job de resumo de notificações iniciado');
+  }
+
+  /**
+   * Interrompe a verificação e aguarda a execução em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executa uma verificação, reaproveitando a que estiver em andamento
+   * @returns {Promise<number>} Quantidade de resumos enviados
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.processDueDigests()
+        .catch((error) => {
+          this.logger.error('Erro ao processar resumos de notificações:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Envia os resumos devidos
+   * @param {Date} now - Data de referência
+   * @returns {number} Quantidade de resumos enviados
+   */
+  async processDueDigests(now = new Date()) {
+    const settingsList = await this.prisma.notificationSettings.findMany({
+      where: {
+        OR: [
+          { digestFrequency: { in: BATCHED_FREQUENCIES } },
+          {
+            user: {
+              events: {
+                some: { notificationSettings: { muted: false, digestFrequency: { in: BATCHED_FREQUENCIES } } }
+              }
+            }
+          }
+        ]
+      }
+    });
+
+    let sent = 0;
+
+    for (const settings of settingsList) {
+      try {
+        const overrides = await this.prisma.eventNotificationSettings.findMany({
+          where: { event: { userId: settings.userId } },
+          select: { eventId: true, muted: true, digestFrequency: true }
+        });
+
+        const digestFrequency = this.getDigestFrequency(settings, overrides);
+        if (digestFrequency === 'NONE') continue;
+
+        const effective = { ...settings, digestFrequency };
+        if (!this.isDigestDue(effective, now)) continue;
+
+        const options = { overrides, defaultFrequency: settings.digestFrequency };
+        if (await this.sendDigest(effective, now, options)) sent++;
+      } catch (error) {
+        this.logger.error(`Erro ao enviar resumo para usuário ${settings.userId}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Frequência de envio do resumo: a menor entre a do usuário e a dos eventos
+   * com exceção (DAILY prevalece sobre WEEKLY)
+   * @param {Object} settings - Configurações do usuário
+   * @param {Array} overrides - Exceções dos eventos do usuário
+   * @returns {string} NONE, DAILY ou WEEKLY
+   */
+  getDigestFrequency(settings, overrides = []) {
+    const frequencies = [
+      settings.digestFrequency,
+      ...overrides.filter(override => !override.muted).map(override => override.digestFrequency)
+    ];
+
+    if (frequencies.includes('DAILY')) return 'DAILY';
+    if (frequencies.includes('WEEKLY')) return 'WEEKLY';
+    return 'NONE';
+  }
+
+  /**
+   * Verifica se o resumo do usuário deve ser enviado agora
+   * (após o horário configurado, no dia certo e ainda não enviado hoje)
+   * @param {Object} settings - Configurações do usuário
+   * @param {Date} now - Data de referência
+   * @returns {boolean} True se o resumo estiver pendente
+   */
+  isDigestDue(settings, now) {
+    const local = this.notificationService.getLocalTime(now, settings.timezone);
+
+    if (local.hour < this.digestHour) return false;
+    if (settings.digestFrequency === 'WEEKLY' && local.weekday !== this.weeklyDay) return false;
+    if (!settings.lastDigestSentAt) return true;
+
+    const lastSent = this.notificationService.getLocalTime(settings.lastDigestSentAt, settings.timezone);
+    return lastSent.dateKey !== local.dateKey;
+  }
+
+  /**
+   * Monta e envia o resumo de um usuário
+   * @param {Object} settings - Configurações do usuário
+   * @param {Date} now - Data de referência
+   * @param {Object} options - Exceções por evento (ver buildDigest)
+   * @returns {boolean} True se o resumo foi enviado
+   */
+  async sendDigest(settings, now, options = {}) {
+    const periodDays = settings.digestFrequency === 'WEEKLY' ? 7 : 1;
+    const periodStart = settings.lastDigestSentAt || new Date(now.getTime() - periodDays * DAY_MS);
+
+    // Reservar o período: evita resumo duplicado entre execuções ou réplicas
+    const { count } = await this.prisma.notificationSettings.updateMany({
+      where: { id: settings.id, lastDigestSentAt: settings.lastDigestSentAt },
+      data: { lastDigestSentAt: now }
+    });
+    if (count === 0) return false;
+
+    try {
+      const digest = await this.buildDigest(settings.userId, periodStart, now, options);
+      digest.digestFrequency = settings.digestFrequency;
+
+      if (digest.events.length === 0 && digest.upcomingEvents.length === 0) {
+        this.logger.info(`Resumo vazio para usuário ${settings.userId}, envio ignorado`);
+        return false;
+      }
+
+      const { totals } = digest;
+      const notification = await this.notificationService.createNotification({
+        userId: settings.userId,
+        type: 'DIGEST',
+        title: settings.digestFrequency === 'WEEKLY' ? 'Resumo Semanal' : 'Resumo Diário',
+        message: `${totals.confirmed} confirmações, ${totals.declined} recusas e ${totals.pending} convidados pendentes`,
+        data: digest
+      });
+
+      // O resumo segue a matriz de preferências (padrão: apenas email)
+      const channels = this.notificationService.getActiveChannels(settings, 'DIGEST');
+      await this.notificationService.sendNotificationThroughChannels(notification, channels, digest, { settings });
+    } catch (error) {
+      // Devolver a reserva: a próxima execução envia o período completo
+      await this.prisma.notificationSettings.updateMany({
+        where: { id: settings.id, lastDigestSentAt: now },
+        data: { lastDigestSentAt: settings.lastDigestSentAt }
+      });
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Agrega as notificações do período e o estado atual dos eventos do usuário
+   * @param {string} userId - ID do usuário
+   * @param {Date} periodStart - Início do período
+   * @param {Date} periodEnd - Fim do período
+   * @param {Object} options - Opções do resumo
+   * @param {Array} options.overrides - Exceções dos eventos do usuário
+   * @param {string} options.defaultFrequency - Frequência do usuário, herdada pelos eventos sem exceção
+   * @returns {Object} Dados do resumo
+   */
+  async buildDigest(userId, periodStart, periodEnd, options = {}) {
+    const { overrides = [], defaultFrequency } = options;
+    const overridesByEvent = new Map(overrides.map(override => [override.eventId, override]));
+
+    // Eventos silenciados ou com resumo desativado ficam de fora
+    const isExcluded = (eventId) => {
+      const override = overridesByEvent.get(eventId);
+      if (override && override.muted) return true;
+      return ((override && override.digestFrequency) || defaultFrequency) === 'NONE';
+    };
+
+    const notifications = await this.prisma.notification.findMany({
+      where: {
+        userId,
+        type: { in: NotificationService.DIGEST_TYPES },
+        createdAt: { gte: periodStart, lt: periodEnd }
+      },
+      select: { type: true, data: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const activeEventIds = [...new Set(
+      notifications.map(n => n.data && n.data.eventId).filter(Boolean)
+    )].filter(eventId => !isExcluded(eventId));
+    const upcomingLimit = new Date(periodEnd.getTime() + this.upcomingDays * DAY_MS);
+
+    const events = await this.prisma.event.findMany({
+      where: {
+        userId,
+        OR: [
+          { id: { in: activeEventIds } },
+          { date: { gte: periodEnd, lte: upcomingLimit } }
+        ]
+      },
+      select: {
+        id: true,
+        title: true,
+        date: true,
+        location: true,
+        _count: { select: { guests: { where: { status: 'pending' } } } }
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    const includedEvents = events.filter(event => !isExcluded(event.id));
+
+    const summaries = new Map(includedEvents.map(event => [event.id, {
+      eventId: event.id,
+      eventTitle: event.title,
+      eventDate: event.date,
+      confirmed: [],
+      declined: [],
+      invitesSent: 0,
+      pendingCount: event._count.guests
+    }]));
+
+    notifications.forEach(({ type, data }) => {
+      const summary = data && summaries.get(data.eventId);
+      if (!summary) return;
+
+      // Notificações agrupadas listam cada convidado em data.guests
+      const guestNames = (data.guests || [data]).map(guest => guest.guestName);
+      if (type === 'GUEST_CONFIRMED') summary.confirmed.push(...guestNames);
+      if (type === 'GUEST_DECLINED') summary.declined.push(...guestNames);
+      if (type === 'INVITE_SENT') summary.invitesSent += data.inviteCount || 1;
+    });
+
+    const activeSummaries = [...summaries.values()].filter(summary => activeEventIds.includes(summary.eventId));
+    const upcomingEvents = includedEvents
+      .filter(event => event.date >= periodEnd && event.date <= upcomingLimit)
+      .map(event => ({
+        eventId: event.id,
+        eventTitle: event.title,
+        eventDate: event.date,
+        eventLocation: event.location,
+        pendingCount: event._count.guests
+      }));
+
+    return {
+      periodStart,
+      periodEnd,
+      totals: {
+        confirmed: activeSummaries.reduce((sum, s) => sum + s.confirmed.length, 0),
+        declined: activeSummaries.reduce((sum, s) => sum + s.declined.length, 0),
+        invitesSent: activeSummaries.reduce((sum, s) => sum + s.invitesSent, 0),
+        pending: [...summaries.values()].reduce((sum, s) => sum + s.pendingCount, 0)
+      },
+      events: activeSummaries,
+      upcomingEvents
+    };
+  }
+}
+
+module.exports = NotificationDigestJob;
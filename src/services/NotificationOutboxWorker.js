@@ -0,0 +1,190 @@
+/**
+ * Worker do outbox de notificações
+ * Lê eventos gravados na tabela NotificationOutbox (na mesma transação da
+ * alteração que os originou) e os entrega ao NotificationService.
+ *
+ * Garantia de entrega: at-least-once. Um evento só é marcado como PROCESSED
+ * depois que o handler termina; se o processo cair no meio, o evento volta a
+ * ser processado e a idempotencyKey impede notificações duplicadas.
+ */
+class NotificationOutboxWorker {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} notificationService - Instância do NotificationService
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do worker
+   * @param {number} options.pollIntervalMs - Intervalo entre varreduras do outbox
+   * @param {number} options.batchSize - Quantidade de eventos por varredura
+   * @param {number} options.maxAttempts - Tentativas antes de marcar como FAILED
+   * @param {number} options.lockTimeoutMs - Tempo após o qual um evento em PROCESSING é retomado
+   */
+  constructor(prisma, notificationService, logger, options = {}) {
+    this.prisma = prisma;
+    this.notificationService = notificationService;
+    this.logger = logger;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.batchSize = options.batchSize || 20;
+    this.maxAttempts = options.maxAttempts || 10;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000;
+    this.timer = null;
+    this.draining = null;
+  }
+
+  /**
+   * Grava um evento no outbox. Deve receber o cliente da transação
+   * (`tx` de `prisma.$transaction`) para que o evento só exista se a
+   * alteração de origem for confirmada.
+   * @param {Object} client - Cliente Prisma ou transação
+   * @param {string} eventType - Nome do evento (ex: guest.status.changed)
+   * @param {Object} payload - Dados do evento
+   * @param {string} idempotencyKey - Chave única do evento
+   * @returns {Object} Registro criado no outbox
+   */
+  static async enqueue(client, eventType, payload, idempotencyKey) {
+    return await client.notificationOutbox.create({
+      data: {
+        eventType,
+        payload: { ...payload, timestamp: payload.timestamp || new Date() },
+        idempotencyKey
+      }
+    });
+  }
+
+  /**
+   * Inicia a varredura periódica do outbox
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.wake(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.wake();
+    this.logger.info('Worker do outbox de notificações iniciado');
+  }
+
+  /**
+   * Interrompe a varredura e aguarda o lote em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.draining) {
+      await this.draining;
+    }
+  }
+
+  /**
+   * Solicita o processamento imediato do outbox (ex: logo após um commit).
+   * Chamadas concorrentes reaproveitam a varredura em andamento.
+   * @returns {Promise<number>} Quantidade de eventos processados
+   */
+  wake() {
+    if (!this.draining) {
+      this.draining = this.drain()
+        .catch((error) => {
+          this.logger.error('Erro ao processar outbox de notificações:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  /**
+   * Processa lotes do outbox até não haver eventos disponíveis
+   * @returns {number} Quantidade de eventos processados
+   */
+  async drain() {
+    let processed = 0;
+
+    while (true) {
+      const entries = await this.claimBatch();
+      if (entries.length === 0) break;
+
+      for (const entry of entries) {
+        await this.processEntry(entry);
+        processed++;
+      }
+
+      if (entries.length < this.batchSize) break;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Reserva um lote de eventos disponíveis.
+   * FOR UPDATE SKIP LOCKED permite mais de uma instância da API sem que
+   * duas processem o mesmo evento ao mesmo tempo.
+   * @returns {Array} Eventos reservados
+   */
+  async claimBatch() {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs);
+
+    return await this.prisma.$queryRaw`
+      UPDATE "NotificationOutbox"
+      SET "status" = 'PROCESSING', "lockedAt" = NOW(), "attempts" = "attempts" + 1
+      WHERE "id" IN (
+        SELECT "id" FROM "NotificationOutbox"
+        WHERE ("status" = 'PENDING' AND "availableAt" <= NOW())
+           OR ("status" = 'PROCESSING' AND "lockedAt" < ${staleBefore})
+        ORDER BY "createdAt"
+        LIMIT ${this.batchSize}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Entrega um evento ao NotificationService e registra o resultado
+   * @param {Object} entry - Registro do outbox
+   */
+  async processEntry(entry) {
+    try {
+      await this.notificationService.dispatch(entry.eventType, {
+        ...entry.payload,
+        idempotencyKey: entry.idempotencyKey
+      });
+
+      await this.prisma.notificationOutbox.update({
+        where: { id: entry.id },
+        data: {
+          status: 'PROCESSED',
+          processedAt: new Date(),
+          lockedAt: null,
+          lastError: null
+        }
+      });
+    } catch (error) {
+      const exhausted = entry.attempts >= this.maxAttempts;
+
+      this.logger.error(`Falha ao processar evento do outbox ${entry.id} (tentativa ${entry.attempts}):`, error.message);
+
+      await this.prisma.notificationOutbox.update({
+        where: { id: entry.id },
+        data: {
+          status: exhausted ? 'FAILED' : 'PENDING',
+          availableAt: new Date(Date.now() + this.getBackoffMs(entry.attempts)),
+          lockedAt: null,
+          lastError: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Calcula o intervalo até a próxima tentativa (backoff exponencial, máx. 1h)
+   * @param {number} attempts - Tentativas já realizadas
+   * @returns {number} Intervalo em milissegundos
+   */
+  getBackoffMs(attempts) {
+    return Math.min(1000 * Math.pow(2, attempts), 60 * 60 * 1000);
+  }
+}
+
+module.exports = NotificationOutboxWorker;
@@ -0,0 +1,187 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Job da política de retenção de notificações
+ * Remove notificações lidas mais antigas que `retentionDays`. Antes da
+ * exclusão, os logs de entrega são agregados por dia, tipo, canal e status em
+ * NotificationDeliverySummary, preservando as estatísticas de entrega.
+ */
+class NotificationRetentionJob {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do job
+   * @param {number} options.retentionDays - Idade mínima, em dias, das notificações lidas removidas
+   * @param {number} options.batchSize - Notificações removidas por transação
+   * @param {number} options.pollIntervalMs - Intervalo entre execuções
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.retentionDays = options.retentionDays || 90;
+    this.batchSize = options.batchSize || 500;
+    this.pollIntervalMs = options.pollIntervalMs || 6 * 60 * 60 * 1000;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Inicia a execução periódica
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.runOnce();
+    this.logger.info(`Retenção de notificações iniciada (${this.retentionDays} dias)`);
+  }
+
+  /**
+   * Interrompe a execução periódica e aguarda a execução em andamento
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executa uma limpeza, reaproveitando a que estiver em andamento
+   * @returns {Promise<number>} Quantidade de notificações removidas
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.purgeExpired()
+        .catch((error) => {
+          this.logger.error('Erro ao aplicar retenção de notificações:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Remove, em lotes, as notificações lidas anteriores ao limite de retenção
+   * @param {Date} now - Data de referência
+   * @returns {number} Quantidade de notificações removidas
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS);
+    let purged = 0;
+
+    for (;;) {
+      const batch = await this.prisma.notification.findMany({
+        where: { read: true, createdAt: { lt: cutoff } },
+        select: { id: true, userId: true, type: true },
+        orderBy: { createdAt: 'asc' },
+        take: this.batchSize
+      });
+      if (batch.length === 0) break;
+
+      purged += await this.purgeBatch(batch);
+      if (batch.length < this.batchSize) break;
+    }
+
+    if (purged > 0) {
+      this.logger.info(`Retenção: ${purged} notificações lidas anteriores a ${cutoff.toISOString()} removidas`);
+    }
+    return purged;
+  }
+
+  /**
+   * Agrega os logs de entrega do lote e remove as notificações
+   * @param {Array} notifications - [{ id, userId, type }]
+   * @returns {number} Quantidade de notificações removidas
+   */
+  async purgeBatch(notifications) {
+    const ids = notifications.map(notification => notification.id);
+    const byId = new Map(notifications.map(notification => [notification.id, notification]));
+
+    return this.prisma.$transaction(async (tx) => {
+      // Relê o lote bloqueando as notificações ainda lidas: uma marcada como
+      // não lida depois da seleção fica de fora, com seus logs preservados
+      const locked = await tx.$queryRaw`
+        SELECT "id" FROM "Notification"
+        WHERE "id" = ANY(${ids}) AND "read" = true
+        FOR UPDATE
+      `;
+      if (locked.length === 0) return 0;
+      const lockedIds = locked.map(notification => notification.id);
+
+      const logs = await tx.notificationDeliveryLog.findMany({
+        where: { notificationId: { in: lockedIds } },
+        select: { id: true, notificationId: true, channel: true, status: true, attemptedAt: true, retryCount: true }
+      });
+
+      // Excluir os logs antes de agregar: se outra instância já processou o
+      // lote, a contagem diverge e a transação é desfeita (sem totais em dobro)
+      if (logs.length > 0) {
+        const { count } = await tx.notificationDeliveryLog.deleteMany({
+          where: { id: { in: logs.map(log => log.id) } }
+        });
+        if (count !== logs.length) {
+          throw new Error('Lote de retenção processado por outra execução');
+        }
+      }
+
+      for (const summary of this.summarizeLogs(logs, byId)) {
+        const { count, retries, ...key } = summary;
+        await tx.notificationDeliverySummary.upsert({
+          where: { userId_day_type_channel_status: key },
+          create: { ...key, count, retries },
+          update: { count: { increment: count }, retries: { increment: retries } }
+        });
+      }
+
+      const { count } = await tx.notification.deleteMany({
+        where: { id: { in: lockedIds } }
+      });
+      return count;
+    });
+  }
+
+  /**
+   * Agrupa os logs por usuário, dia (UTC), tipo, canal e status
+   * @param {Array} logs - Logs de entrega
+   * @param {Map} notificationsById - Notificações do lote por ID
+   * @returns {Array} [{ userId, day, type, channel, status, count, retries }]
+   */
+  summarizeLogs(logs, notificationsById) {
+    const summaries = new Map();
+
+    logs.forEach((log) => {
+      const notification = notificationsById.get(log.notificationId);
+      const attemptedAt = new Date(log.attemptedAt);
+      const day = new Date(Date.UTC(attemptedAt.getUTCFullYear(), attemptedAt.getUTCMonth(), attemptedAt.getUTCDate()));
+      const key = [notification.userId, day.toISOString(), notification.type, log.channel, log.status].join('|');
+
+      if (!summaries.has(key)) {
+        summaries.set(key, {
+          userId: notification.userId,
+          day,
+          type: notification.type,
+          channel: log.channel,
+          status: log.status,
+          count: 0,
+          retries: 0
+        });
+      }
+
+      const summary = summaries.get(key);
+      summary.count++;
+      summary.retries += log.retryCount || 0;
+    });
+
+    return [...summaries.values()];
+  }
+}
+
+module.exports = NotificationRetentionJob;
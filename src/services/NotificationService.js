@@ -1,14 +1,66 @@
 const notificationEvents = require('./notificationEvents');
+const { EVENT_FIELD_LABELS } = require('./eventChanges');
+const { getEnabledChannels, applyEventOverride } = require('./notificationPreferences');
+
+// Mapa de eventos para os handlers do serviço
+const EVENT_HANDLERS = {
+  'guest.status.changed': 'handleGuestStatusChanged',
+  'invite.sent': 'handleInviteSent',
+  'event.created': 'handleEventCreated',
+  'event.updated': 'handleEventUpdated',
+  'event.updated.guest': 'handleGuestEventUpdated',
+  'event.reminder': 'handleEventReminder',
+  'event.reminder.guest': 'handleGuestEventReminder',
+  'system.alert': 'handleSystemAlert'
+};
+
+// Canais adiados durante o horário de silêncio e a janela de agrupamento (websocket é sempre imediato)
+const QUIET_HOURS_CHANNELS = ['email', 'push', 'sms', 'chat'];
+
+// Tipos de notificação entregues mesmo durante o horário de silêncio
+const URGENT_TYPES = ['SYSTEM_ALERT'];
+
+// Tipos agrupados no resumo (digest) em vez de emails individuais
+const DIGEST_TYPES = ['GUEST_CONFIRMED', 'GUEST_DECLINED', 'GUEST_PENDING', 'INVITE_SENT'];
+
+// Tipos de resposta de convidado agrupados na janela de agrupamento
+const GUEST_RESPONSE_TYPES = ['GUEST_CONFIRMED', 'GUEST_DECLINED', 'GUEST_PENDING'];
+
+// Período mínimo em que uma mudança de status repetida é descartada
+const DEDUP_WINDOW_MS = 10 * 60 * 1000;
+
+// Tentativas de atualizar um grupo alterado em paralelo
+const MAX_GROUP_UPDATE_ATTEMPTS = 3;
+
+// Nomes exibidos na mensagem agrupada antes de "e mais N"
+const GROUP_NAMES_SHOWN = 3;
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Campos do evento cujo valor aparece na descrição de uma alteração
+const DESCRIBED_VALUE_FIELDS = ['title', 'date', 'location', 'maxGuests', 'type'];
 
 /**
  * Serviço principal de notificações
  * Responsável por escutar eventos e coordenar o envio de notificações
  */
 class NotificationService {
-  constructor(prisma, logger) {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções do serviço
+   * @param {number} options.maxDeliveryRetries - Tentativas antes de mover a entrega para DEAD_LETTER
+   * @param {number} options.retryBaseDelayMs - Intervalo base do backoff exponencial
+   */
+  constructor(prisma, logger, options = {}) {
     this.prisma = prisma;
     this.logger = logger;
+    this.maxDeliveryRetries = options.maxDeliveryRetries || 5;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 30000;
     this.providers = new Map();
+    this.guestMessenger = null;
     this.setupEventListeners();
   }
 
@@ -22,41 +74,59 @@ class NotificationService {
     this.logger.info(`Provedor de notificação registrado: ${name}`);
   }
 
+  /**
+   * Define o serviço usado para enviar mensagens aos convidados
+   * @param {Object} guestMessenger - Instância do GuestMessenger
+   */
+  setGuestMessenger(guestMessenger) {
+    this.guestMessenger = guestMessenger;
+  }
+
   /**
    * Configura os listeners para eventos de notificação
    */
   setupEventListeners() {
-    // Listener para mudanças de status de convidados
-    notificationEvents.on('guest.status.changed', async (eventData) => {
-      await this.handleGuestStatusChanged(eventData);
-    });
-
-    // Listener para convites enviados
-    notificationEvents.on('invite.sent', async (eventData) => {
-      await this.handleInviteSent(eventData);
-    });
-
-    // Listener para eventos criados
-    notificationEvents.on('event.created', async (eventData) => {
-      await this.handleEventCreated(eventData);
-    });
-
-    // Listener para eventos atualizados
-    notificationEvents.on('event.updated', async (eventData) => {
-      await this.handleEventUpdated(eventData);
+    Object.keys(EVENT_HANDLERS).forEach((eventType) => {
+      notificationEvents.on(eventType, async (eventData) => {
+        try {
+          await this.dispatch(eventType, eventData);
+        } catch (error) {
+          // Eventos em memória não têm nova tentativa; o erro já foi registrado pelo handler
+        }
+      });
     });
 
-    // Listener para lembretes de evento
-    notificationEvents.on('event.reminder', async (eventData) => {
-      await this.handleEventReminder(eventData);
-    });
+    this.logger.info('Listeners de eventos de notificação configurados');
+  }
 
-    // Listener para alertas de sistema
-    notificationEvents.on('system.alert', async (eventData) => {
-      await this.handleSystemAlert(eventData);
-    });
+  /**
+   * Encaminha um evento para o handler correspondente.
+   * Usado pelos listeners em memória e pelo worker do outbox; erros são
+   * propagados para que o outbox possa tentar novamente.
+   * @param {string} eventType - Nome do evento (ex: guest.status.changed)
+   * @param {Object} eventData - Dados do evento
+   */
+  async dispatch(eventType, eventData) {
+    const handlerName = EVENT_HANDLERS[eventType];
+    if (!handlerName) {
+      throw new Error(`Handler não encontrado para evento: ${eventType}`);
+    }
+    await this[handlerName](eventData);
+    await this.forwardEvent(eventType, eventData);
+  }
 
-    this.logger.info('Listeners de eventos de notificação configurados');
+  /**
+   * Repassa o evento bruto aos provedores que o consomem diretamente
+   * (ex: webhooks), após o handler ter criado as notificações
+   * @param {string} eventType - Nome do evento
+   * @param {Object} eventData - Dados do evento
+   */
+  async forwardEvent(eventType, eventData) {
+    for (const provider of this.providers.values()) {
+      if (typeof provider.handleEvent === 'function') {
+        await provider.handleEvent(eventType, eventData);
+      }
+    }
   }
 
   /**
@@ -65,50 +135,215 @@ class NotificationService {
    */
   async handleGuestStatusChanged(eventData) {
     try {
-      const { userId, newStatus, guestName, eventTitle, previousStatus } = eventData;
+      const { userId, eventId, previousStatus, newStatus, guestName, eventTitle, idempotencyKey } = eventData;
 
       // Determinar tipo de notificação baseado no novo status
       let notificationType;
-      let title;
-      let message;
 
       switch (newStatus) {
         case 'confirmed':
           notificationType = 'GUEST_CONFIRMED';
-          title = 'Convite Confirmado';
-          message = `${guestName} confirmou presença no evento "${eventTitle}"`;
           break;
         case 'declined':
           notificationType = 'GUEST_DECLINED';
-          title = 'Convite Recusado';
-          message = `${guestName} recusou o convite para o evento "${eventTitle}"`;
+          break;
+        case 'pending':
+          // Apenas quando a resposta é desfeita (ex: confirmado -> pendente)
+          if (!previousStatus || previousStatus === 'pending') return;
+          notificationType = 'GUEST_PENDING';
           break;
         default:
           // Para outros status, não enviar notificação
           return;
       }
 
+      // Obter configurações de notificação do usuário (com a exceção do evento)
+      const settings = await this.getEffectiveNotificationSettings(userId, eventId);
+      if (settings.muted) return; // Evento silenciado pelo organizador
+
+      const now = new Date();
+      const windowMs = (settings.groupingWindowMinutes || 0) * 60 * 1000;
+
+      // Mesma mudança de status emitida duas vezes (ex: resposta repetida no WhatsApp)
+      if (await this.isDuplicateStatusChange(eventData, Math.max(windowMs, DEDUP_WINDOW_MS), now)) {
+        this.logger.info(`Mudança de status repetida ignorada (convidado ${eventData.guestId}, ${newStatus})`);
+        return;
+      }
+
+      // Determinar canais ativos para este tipo de notificação
+      const activeChannels = this.getActiveChannels(settings, notificationType);
+
+      const entry = {
+        guestId: eventData.guestId,
+        guestName,
+        previousStatus,
+        newStatus,
+        plusOne: eventData.plusOne,
+        plusOneName: eventData.plusOneName,
+        at: now.toISOString()
+      };
+      const groupKey = eventId ? `${notificationType}:${eventId}` : null;
+
+      // Janela de agrupamento aberta: a resposta entra na notificação existente
+      if (windowMs > 0 && groupKey) {
+        const grouped = await this.addToNotificationGroup(userId, groupKey, entry, eventTitle, now.getTime() - windowMs);
+        if (grouped) {
+          // Websocket é atualizado na hora; os demais canais entregam o grupo ao fim da janela
+          if (activeChannels.includes('websocket')) {
+            await this.providers.get('websocket')?.send(grouped, grouped.data);
+          }
+          return;
+        }
+      }
+
+      const data = { ...eventData, guests: [entry], guestCount: 1 };
+
       // Criar notificação no banco de dados
       const notification = await this.createNotification({
         userId,
         type: notificationType,
-        title,
-        message,
-        data: eventData
+        ...this.describeGuestResponses(notificationType, [entry], eventTitle),
+        data,
+        groupKey,
+        idempotencyKey
       });
 
-      // Obter configurações de notificação do usuário
-      const settings = await this.getUserNotificationSettings(userId);
-
-      // Determinar canais ativos para este tipo de notificação
-      const activeChannels = this.getActiveChannels(settings, notificationType);
-
-      // Enviar notificação através dos canais ativos
-      await this.sendNotificationThroughChannels(notification, activeChannels, eventData);
+      // Enviar notificação através dos canais ativos; fora o websocket, após a janela.
+      // Evento reprocessado: a notificação existente pode já ter outras respostas agrupadas.
+      await this.sendNotificationThroughChannels(notification, activeChannels, notification.data || data, {
+        settings,
+        deferUntil: windowMs > 0 && groupKey ? new Date((notification.createdAt || now).getTime() + windowMs) : null
+      });
 
     } catch (error) {
       this.logger.error('Erro ao processar mudança de status de convidado:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se a mudança de status repete a última registrada para o convidado
+   * no evento. Reprocessamentos do mesmo evento (mesma idempotencyKey) não são
+   * duplicatas: a notificação original é reaproveitada por createNotification.
+   * @param {Object} eventData - Dados da mudança de status
+   * @param {number} lookbackMs - Período consultado
+   * @param {Date} now - Data de referência
+   * @returns {boolean} true se a mudança deve ser descartada
+   */
+  async isDuplicateStatusChange(eventData, lookbackMs, now = new Date()) {
+    const { userId, eventId, guestId, newStatus, idempotencyKey } = eventData;
+    if (!guestId || !eventId) return false;
+
+    const recent = await this.prisma.notification.findMany({
+      where: {
+        userId,
+        type: { in: GUEST_RESPONSE_TYPES },
+        createdAt: { gte: new Date(now.getTime() - lookbackMs) },
+        data: { path: ['eventId'], equals: eventId }
+      },
+      select: { data: true, createdAt: true, idempotencyKey: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    let latest = null;
+    recent.forEach((notification) => {
+      if (idempotencyKey && notification.idempotencyKey === idempotencyKey) return;
+
+      // Notificações anteriores ao agrupamento guardam um único convidado em data
+      const entries = notification.data?.guests
+        || [{ ...notification.data, at: notification.createdAt }];
+      entries
+        .filter(entry => entry.guestId === guestId)
+        .forEach((entry) => {
+          if (!latest || new Date(entry.at) > new Date(latest.at)) latest = entry;
+        });
+    });
+
+    return latest !== null && latest.newStatus === newStatus;
+  }
+
+  /**
+   * Adiciona a resposta do convidado ao grupo aberto (criado dentro da janela).
+   * A atualização é condicionada a updatedAt para não perder respostas
+   * agrupadas em paralelo.
+   * @param {string} userId - ID do organizador
+   * @param {string} groupKey - Tipo + evento do grupo
+   * @param {Object} entry - Resposta do convidado
+   * @param {string} eventTitle - Título do evento
+   * @param {number} openSince - Início da janela (timestamp)
+   * @returns {Object|null} Notificação agrupada atualizada, ou null se não houver grupo aberto
+   */
+  async addToNotificationGroup(userId, groupKey, entry, eventTitle, openSince) {
+    for (let attempt = 0; attempt < MAX_GROUP_UPDATE_ATTEMPTS; attempt++) {
+      const group = await this.prisma.notification.findFirst({
+        where: { userId, groupKey, archivedAt: null, createdAt: { gte: new Date(openSince) } },
+        orderBy: { createdAt: 'desc' }
+      });
+      if (!group) return null;
+
+      // Nova resposta do mesmo convidado substitui a anterior
+      const guests = (group.data?.guests || [])
+        .filter(existing => existing.guestId !== entry.guestId)
+        .concat(entry);
+      const { title, message, guestNames } = this.describeGuestResponses(group.type, guests, eventTitle);
+      const data = {
+        ...group.data,
+        guestId: entry.guestId,
+        previousStatus: entry.previousStatus,
+        newStatus: entry.newStatus,
+        guestName: guestNames,
+        guests,
+        guestCount: guests.length
+      };
+
+      const { count } = await this.prisma.notification.updateMany({
+        where: { id: group.id, updatedAt: group.updatedAt },
+        data: { title, message, data, read: false }
+      });
+      if (count === 1) {
+        this.logger.info(`Resposta de convidado agrupada na notificação ${group.id} (${guests.length} convidados)`);
+        return { ...group, title, message, data, read: false };
+      }
+    }
+
+    this.logger.warn(`Grupo ${groupKey} alterado em paralelo, criando nova notificação`);
+    return null;
+  }
+
+  /**
+   * Título e mensagem das respostas de convidados (uma ou várias)
+   * @param {string} type - GUEST_CONFIRMED, GUEST_DECLINED ou GUEST_PENDING
+   * @param {Array} guests - Respostas agrupadas
+   * @param {string} eventTitle - Título do evento
+   * @returns {Object} { title, message, guestNames }
+   */
+  describeGuestResponses(type, guests, eventTitle) {
+    const names = guests.map(guest => guest.guestName);
+    let guestNames;
+    if (names.length === 1) {
+      guestNames = names[0];
+    } else if (names.length <= GROUP_NAMES_SHOWN) {
+      guestNames = `${names.slice(0, -1).join(', ')} e ${names[names.length - 1]}`;
+    } else {
+      guestNames = `${names.slice(0, GROUP_NAMES_SHOWN).join(', ')} e mais ${names.length - GROUP_NAMES_SHOWN}`;
+    }
+
+    if (guests.length === 1) {
+      const single = {
+        GUEST_CONFIRMED: ['Convite Confirmado', `${guestNames} confirmou presença no evento "${eventTitle}"`],
+        GUEST_DECLINED: ['Convite Recusado', `${guestNames} recusou o convite para o evento "${eventTitle}"`],
+        GUEST_PENDING: ['Resposta Desfeita', `${guestNames} voltou a ficar pendente no evento "${eventTitle}"`]
+      }[type];
+      return { title: single[0], message: single[1], guestNames };
     }
+
+    const count = guests.length;
+    const grouped = {
+      GUEST_CONFIRMED: ['Confirmações de Presença', `${count} convidados confirmaram presença no evento "${eventTitle}"`],
+      GUEST_DECLINED: ['Convites Recusados', `${count} convidados recusaram o convite para o evento "${eventTitle}"`],
+      GUEST_PENDING: ['Respostas Desfeitas', `${count} convidados voltaram a ficar pendentes no evento "${eventTitle}"`]
+    }[type];
+    return { title: grouped[0], message: grouped[1], guestNames };
   }
 
   /**
@@ -117,10 +352,10 @@ class NotificationService {
    */
   async handleInviteSent(eventData) {
     try {
-      const { userId } = eventData;
+      const { userId, eventId, idempotencyKey } = eventData;
       
-      // Obter configurações do usuário
-      const settings = await this.getUserNotificationSettings(userId);
+      // Obter configurações do usuário (com a exceção do evento)
+      const settings = await this.getEffectiveNotificationSettings(userId, eventId);
       
       // Verificar se notificações de convite enviado estão habilitadas
       const activeChannels = this.getActiveChannels(settings, 'INVITE_SENT');
@@ -134,13 +369,15 @@ class NotificationService {
         type: 'INVITE_SENT',
         title: 'Convite Enviado',
         message: `Convite enviado com sucesso`,
-        data: eventData
+        data: eventData,
+        idempotencyKey
       });
 
-      await this.sendNotificationThroughChannels(notification, activeChannels, eventData);
+      await this.sendNotificationThroughChannels(notification, activeChannels, eventData, { settings });
 
     } catch (error) {
       this.logger.error('Erro ao processar envio de convite:', error);
+      throw error;
     }
   }
 
@@ -159,8 +396,104 @@ class NotificationService {
    * @param {Object} eventData - Dados do evento
    */
   async handleEventUpdated(eventData) {
-    // Implementação para notificações de evento atualizado
-    this.logger.info('Evento atualizado:', eventData);
+    try {
+      const { eventId, userId, eventTitle, changes = {}, guestsNotified = 0, idempotencyKey } = eventData;
+
+      const fields = Object.keys(changes);
+      if (fields.length === 0) return;
+
+      const settings = await this.getEffectiveNotificationSettings(userId, eventId);
+      if (settings.muted) return;
+
+      const activeChannels = this.getActiveChannels(settings, 'EVENT_UPDATED');
+
+      const changedLabels = fields.map(field => (EVENT_FIELD_LABELS[field] || field).toLowerCase());
+      let message = `O evento "${eventTitle}" foi atualizado: ${changedLabels.join(', ')}`;
+      if (guestsNotified > 0) {
+        message += `. ${guestsNotified} convidados serão avisados`;
+      }
+
+      const notification = await this.createNotification({
+        userId,
+        type: 'EVENT_UPDATED',
+        title: 'Evento Atualizado',
+        message,
+        data: { eventId, eventTitle, changes, guestsNotified },
+        idempotencyKey
+      });
+
+      await this.sendNotificationThroughChannels(notification, activeChannels, eventData, { settings });
+
+    } catch (error) {
+      this.logger.error('Erro ao processar atualização de evento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Avisa um convidado (confirmado ou pendente) sobre alterações no evento
+   * @param {Object} eventData - Dados do evento (eventId, guestId, changes)
+   */
+  async handleGuestEventUpdated(eventData) {
+    try {
+      const { eventId, guestId, changes = {} } = eventData;
+
+      if (!this.guestMessenger) {
+        this.logger.warn('Envio para convidados não configurado, aviso de alteração ignorado:', guestId);
+        return;
+      }
+
+      const guest = await this.prisma.guest.findUnique({
+        where: { id: guestId },
+        include: { event: true }
+      });
+      if (!guest || !guest.event || guest.eventId !== eventId || !['confirmed', 'pending'].includes(guest.status)) {
+        return; // Convidado removido ou que recusou o convite depois da alteração
+      }
+
+      const { timezone } = await this.getUserNotificationSettings(guest.event.userId);
+      const lines = this.describeEventChanges(changes, timezone);
+      const text = `Olá, ${guest.name}! O evento "${guest.event.title}" foi alterado:\n`
+        + `${lines.join('\n')}\n`
+        + 'Em caso de dúvidas, fale com o organizador.';
+
+      const result = await this.guestMessenger.send(guest, {
+        type: 'update',
+        subject: `📅 Alteração no evento: ${guest.event.title}`,
+        text
+      });
+
+      // Falhas recuperáveis voltam para o outbox, que tentará novamente
+      if (!result.success && result.retryable !== false) {
+        throw new Error(result.error);
+      }
+
+    } catch (error) {
+      this.logger.error('Erro ao avisar convidado sobre alteração de evento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Descreve as alterações de um evento, uma linha por campo
+   * (ex: "- Local: Salão B (antes: Salão A)")
+   * @param {Object} changes - Mapa { campo: { from, to } }
+   * @param {string} timezone - Fuso usado para formatar datas
+   * @returns {Array} Linhas de texto
+   */
+  describeEventChanges(changes, timezone) {
+    const formatValue = (field, value) => {
+      if (value === null || value === undefined) return 'não informado';
+      return field === 'date' ? this.formatEventDate(value, timezone) : value;
+    };
+
+    return Object.entries(changes).map(([field, { from, to }]) => {
+      const label = EVENT_FIELD_LABELS[field] || field;
+      if (!DESCRIBED_VALUE_FIELDS.includes(field)) {
+        return `- ${label}: alterado`;
+      }
+      return `- ${label}: ${formatValue(field, to)} (antes: ${formatValue(field, from)})`;
+    });
   }
 
   /**
@@ -168,8 +501,147 @@ class NotificationService {
    * @param {Object} eventData - Dados do evento
    */
   async handleEventReminder(eventData) {
-    // Implementação para lembretes de evento
-    this.logger.info('Lembrete de evento:', eventData);
+    try {
+      const { eventId, userId, reminderType, idempotencyKey } = eventData;
+
+      const event = await this.getUpcomingEvent(eventId, eventData.eventDate);
+      if (!event) return;
+
+      const settings = await this.getEffectiveNotificationSettings(userId, eventId);
+      const activeChannels = this.getActiveChannels(settings, 'EVENT_REMINDER');
+
+      if (activeChannels.length === 0) {
+        return; // Usuário não quer receber lembretes
+      }
+
+      const confirmedCount = await this.prisma.guest.count({
+        where: { eventId, status: 'confirmed' }
+      });
+
+      const reminderData = {
+        eventId,
+        eventTitle: event.title,
+        eventDate: event.date,
+        eventLocation: event.location,
+        confirmedCount,
+        reminderType
+      };
+
+      const notification = await this.createNotification({
+        userId,
+        type: 'EVENT_REMINDER',
+        title: 'Lembrete de Evento',
+        message: `O evento "${event.title}" acontece ${this.formatTimeUntil(event.date)}`,
+        data: reminderData,
+        idempotencyKey
+      });
+
+      await this.sendNotificationThroughChannels(notification, activeChannels, reminderData, { settings });
+
+    } catch (error) {
+      this.logger.error('Erro ao processar lembrete de evento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Envia o lembrete de evento a um convidado confirmado (WhatsApp, SMS ou email)
+   * @param {Object} eventData - Dados do evento (eventId, guestId, eventDate)
+   */
+  async handleGuestEventReminder(eventData) {
+    try {
+      const { eventId, guestId } = eventData;
+
+      if (!this.guestMessenger) {
+        this.logger.warn('Envio para convidados não configurado, lembrete ignorado:', guestId);
+        return;
+      }
+
+      const event = await this.getUpcomingEvent(eventId, eventData.eventDate);
+      if (!event) return;
+
+      const guest = await this.prisma.guest.findUnique({ where: { id: guestId } });
+      if (!guest || guest.eventId !== eventId || guest.status !== 'confirmed') {
+        return; // Convidado removido ou que deixou de estar confirmado
+      }
+
+      const { timezone } = await this.getUserNotificationSettings(event.userId);
+      const location = event.location ? `, em ${event.location}` : '';
+      const text = `Olá, ${guest.name}! Lembrete: o evento "${event.title}" acontece ${this.formatTimeUntil(event.date)} `
+        + `(${this.formatEventDate(event.date, timezone)}${location}). Contamos com a sua presença!`;
+
+      const result = await this.guestMessenger.send({ ...guest, event }, {
+        type: 'reminder',
+        subject: `⏰ Lembrete: ${event.title}`,
+        text
+      });
+
+      // Falhas recuperáveis voltam para o outbox, que tentará novamente
+      if (!result.success && result.retryable !== false) {
+        throw new Error(result.error);
+      }
+
+    } catch (error) {
+      this.logger.error('Erro ao enviar lembrete de evento ao convidado:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um evento futuro para envio de lembrete.
+   * Retorna null se o evento foi removido, já aconteceu ou foi remarcado
+   * (o lembrete da data antiga deixa de valer).
+   * @param {string} eventId - ID do evento
+   * @param {Date|string} expectedDate - Data do evento quando o lembrete foi agendado
+   * @returns {Object|null} Evento
+   */
+  async getUpcomingEvent(eventId, expectedDate) {
+    const event = await this.prisma.event.findUnique({
+      where: { id: eventId },
+      select: { id: true, title: true, date: true, location: true, userId: true }
+    });
+
+    if (!event || event.date <= new Date()) {
+      this.logger.info(`Lembrete ignorado: evento ${eventId} inexistente ou já realizado`);
+      return null;
+    }
+    if (expectedDate && new Date(expectedDate).getTime() !== event.date.getTime()) {
+      this.logger.info(`Lembrete ignorado: evento ${eventId} foi remarcado`);
+      return null;
+    }
+
+    return event;
+  }
+
+  /**
+   * Descreve quanto falta para uma data (ex: "em 2 dias", "em 3 horas")
+   * @param {Date} date - Data futura
+   * @param {Date} now - Data de referência
+   * @returns {string} Texto relativo
+   */
+  formatTimeUntil(date, now = new Date()) {
+    const minutes = Math.max(1, Math.round((new Date(date).getTime() - now.getTime()) / 60000));
+    const hours = Math.round(minutes / 60);
+    const days = Math.round(hours / 24);
+
+    if (hours >= 24) return `em ${days} ${days === 1 ? 'dia' : 'dias'}`;
+    if (minutes >= 60) return `em ${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+    return `em ${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}`;
+  }
+
+  /**
+   * Formata a data de um evento no fuso do organizador
+   * @param {Date} date - Data do evento
+   * @param {string} timezone - Fuso horário IANA
+   * @returns {string} Data formatada (ex: 01/07/2025, 17:00)
+   */
+  formatEventDate(date, timezone) {
+    const formatOptions = { dateStyle: 'short', timeStyle: 'short' };
+    try {
+      return new Date(date).toLocaleString('pt-BR', { ...formatOptions, timeZone: timezone || DEFAULT_TIMEZONE });
+    } catch (error) {
+      return new Date(date).toLocaleString('pt-BR', { ...formatOptions, timeZone: DEFAULT_TIMEZONE });
+    }
   }
 
   /**
@@ -177,19 +649,71 @@ class NotificationService {
    * @param {Object} eventData - Dados do evento
    */
   async handleSystemAlert(eventData) {
-    // Implementação para alertas de sistema
-    this.logger.info('Alerta de sistema:', eventData);
+    try {
+      const { userId, alertType, message, severity = 'info', idempotencyKey } = eventData;
+
+      // Alertas sem usuário (ex: infraestrutura) ficam apenas no log
+      if (!userId) {
+        this.logger.info('Alerta de sistema:', eventData);
+        return;
+      }
+
+      const settings = await this.getUserNotificationSettings(userId);
+      const activeChannels = this.getActiveChannels(settings, 'SYSTEM_ALERT');
+      if (activeChannels.length === 0) {
+        return;
+      }
+
+      const notification = await this.createNotification({
+        userId,
+        type: 'SYSTEM_ALERT',
+        title: 'Alerta do Sistema',
+        message,
+        data: { alertType, severity },
+        idempotencyKey
+      });
+
+      await this.sendNotificationThroughChannels(notification, activeChannels, eventData, { settings });
+
+    } catch (error) {
+      this.logger.error('Erro ao processar alerta de sistema:', error);
+      throw error;
+    }
   }
 
   /**
-   * Cria uma notificação no banco de dados
+   * Cria uma notificação no banco de dados.
+   * Se `idempotencyKey` for informada e já existir uma notificação com a mesma
+   * chave (evento reprocessado pelo outbox), retorna a notificação existente.
    * @param {Object} notificationData - Dados da notificação
-   * @returns {Object} Notificação criada
+   * @returns {Object} Notificação criada ou existente
    */
   async createNotification(notificationData) {
-    return await this.prisma.notification.create({
-      data: notificationData
+    const { idempotencyKey, ...data } = notificationData;
+
+    if (!idempotencyKey) {
+      return await this.prisma.notification.create({ data });
+    }
+
+    const existing = await this.prisma.notification.findUnique({
+      where: { idempotencyKey }
     });
+    if (existing) {
+      this.logger.info(`Notificação já criada para a chave ${idempotencyKey}, reaproveitando`);
+      return existing;
+    }
+
+    try {
+      return await this.prisma.notification.create({
+        data: { ...data, idempotencyKey }
+      });
+    } catch (error) {
+      // Violação de unicidade: outro processamento criou a notificação em paralelo
+      if (error.code === 'P2002') {
+        return await this.prisma.notification.findUnique({ where: { idempotencyKey } });
+      }
+      throw error;
+    }
   }
 
   /**
@@ -204,14 +728,9 @@ class NotificationService {
 
     // Se não existir configuração, criar uma padrão
     if (!settings) {
+      // Preferências vazias: todos os tipos seguem os padrões de notificationPreferences
       settings = await this.prisma.notificationSettings.create({
-        data: {
-          userId,
-          guestConfirmed: { email: true, websocket: true, push: false },
-          guestDeclined: { email: true, websocket: true, push: false },
-          inviteSent: { email: false, websocket: true, push: false },
-          eventReminder: { email: true, websocket: false, push: true }
-        }
+        data: { userId }
       });
     }
 
@@ -219,37 +738,32 @@ class NotificationService {
   }
 
   /**
-   * Determina canais ativos para um tipo de notificação
-   * @param {Object} settings - Configurações do usuário
-   * @param {string} notificationType - Tipo da notificação
-   * @returns {Array} Lista de canais ativos
+   * Obtém as configurações efetivas do usuário para um evento
+   * (configurações do usuário + exceção do evento, se houver)
+   * @param {string} userId - ID do usuário
+   * @param {string} eventId - ID do evento (opcional)
+   * @returns {Object} Configurações efetivas, com muted
    */
-  getActiveChannels(settings, notificationType) {
-    const channels = [];
-    let channelConfig;
+  async getEffectiveNotificationSettings(userId, eventId) {
+    const settings = await this.getUserNotificationSettings(userId);
+    if (!eventId) return applyEventOverride(settings, null);
 
-    switch (notificationType) {
-      case 'GUEST_CONFIRMED':
-        channelConfig = settings.guestConfirmed;
-        break;
-      case 'GUEST_DECLINED':
-        channelConfig = settings.guestDeclined;
-        break;
-      case 'INVITE_SENT':
-        channelConfig = settings.inviteSent;
-        break;
-      case 'EVENT_REMINDER':
-        channelConfig = settings.eventReminder;
-        break;
-      default:
-        return channels;
-    }
+    const override = await this.prisma.eventNotificationSettings.findUnique({
+      where: { eventId }
+    });
 
-    if (channelConfig.email) channels.push('email');
-    if (channelConfig.websocket) channels.push('websocket');
-    if (channelConfig.push) channels.push('push');
+    return applyEventOverride(settings, override);
+  }
 
-    return channels;
+  /**
+   * Determina canais ativos para um tipo de notificação
+   * @param {Object} settings - Configurações do usuário (ou efetivas do evento)
+   * @param {string} notificationType - Tipo da notificação
+   * @returns {Array} Lista de canais ativos (nenhum se o evento estiver silenciado)
+   */
+  getActiveChannels(settings, notificationType) {
+    if (settings.muted) return [];
+    return getEnabledChannels(settings.preferences, notificationType);
   }
 
   /**
@@ -257,15 +771,61 @@ class NotificationService {
    * @param {Object} notification - Notificação a ser enviada
    * @param {Array} channels - Canais para envio
    * @param {Object} eventData - Dados do evento original
+   * @param {Object} options - Opções de envio
+   * @param {Object} options.settings - Configurações do usuário (habilita o horário de silêncio)
+   * @param {Date} options.deferUntil - Adia os canais não imediatos (fim da janela de agrupamento)
    */
-  async sendNotificationThroughChannels(notification, channels, eventData) {
-    const promises = channels.map(async (channel) => {
+  async sendNotificationThroughChannels(notification, channels, eventData, options = {}) {
+    // Canais já entregues ou agendados (evento reprocessado) não são reenviados
+    const delivered = await this.prisma.notificationDeliveryLog.findMany({
+      where: { notificationId: notification.id, status: { in: ['SENT', 'SCHEDULED'] } },
+      select: { channel: true }
+    });
+    const deliveredChannels = new Set(delivered.map(log => log.channel));
+
+    const pendingChannels = channels.filter(channel => !deliveredChannels.has(channel.toUpperCase()));
+
+    // Horário de silêncio: email/push de notificações não urgentes são adiados
+    const urgent = URGENT_TYPES.includes(notification.type) || eventData?.urgent === true;
+    const quietHoursEnd = options.settings && !urgent
+      ? this.getQuietHoursEnd(options.settings)
+      : null;
+
+    // Entrega adiada até o fim do horário de silêncio ou da janela de agrupamento
+    const deferredUntil = [quietHoursEnd, options.deferUntil]
+      .filter(Boolean)
+      .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+    // Usuários com digest recebem esses tipos no resumo, não em emails individuais
+    const digestEnabled = ['DAILY', 'WEEKLY'].includes(options.settings?.digestFrequency)
+      && DIGEST_TYPES.includes(notification.type);
+
+    const promises = pendingChannels.map(async (channel) => {
       const provider = this.providers.get(channel);
       if (!provider) {
         this.logger.warn(`Provedor não encontrado para canal: ${channel}`);
         return;
       }
 
+      if (digestEnabled && channel === 'email') {
+        this.logger.info(`Email individual suprimido (digest ${options.settings.digestFrequency}):`, notification.id);
+        return;
+      }
+
+      if (deferredUntil && QUIET_HOURS_CHANNELS.includes(channel)) {
+        await this.prisma.notificationDeliveryLog.create({
+          data: {
+            notificationId: notification.id,
+            channel: channel.toUpperCase(),
+            status: 'SCHEDULED',
+            nextAttemptAt: deferredUntil
+          }
+        });
+        const reason = deferredUntil === quietHoursEnd ? 'pelo horário de silêncio' : 'pela janela de agrupamento';
+        this.logger.info(`Notificação via ${channel} adiada ${reason} até ${deferredUntil.toISOString()}:`, notification.id);
+        return;
+      }
+
       try {
         // Log de tentativa de entrega
         const deliveryLog = await this.prisma.notificationDeliveryLog.create({
@@ -279,18 +839,23 @@ class NotificationService {
         // Enviar notificação
         const result = await provider.send(notification, eventData);
 
-        // Atualizar log de entrega
+        // Atualizar log de entrega (falhas recuperáveis são agendadas para nova tentativa)
         await this.prisma.notificationDeliveryLog.update({
           where: { id: deliveryLog.id },
           data: {
-            status: result.success ? 'SENT' : 'FAILED',
+            status: this.getDeliveryStatus(result),
             deliveredAt: result.success ? new Date() : null,
-            errorMessage: result.error || null
+            errorMessage: result.error || null,
+            nextAttemptAt: result.success || result.retryable === false
+              ? null
+              : this.getNextAttemptAt(0)
           }
         });
 
         if (result.success) {
           this.logger.info(`Notificação enviada via ${channel}:`, notification.id);
+        } else if (result.skipped) {
+          this.logger.info(`Envio via ${channel} ignorado (${result.error}):`, notification.id);
         } else {
           this.logger.error(`Falha ao enviar notificação via ${channel}:`, result.error);
         }
@@ -307,7 +872,8 @@ class NotificationService {
           },
           data: {
             status: 'FAILED',
-            errorMessage: error.message
+            errorMessage: error.message,
+            nextAttemptAt: this.getNextAttemptAt(0)
           }
         });
       }
@@ -316,22 +882,287 @@ class NotificationService {
     await Promise.allSettled(promises);
   }
 
+  /**
+   * Converte o resultado de um provedor no status do log de entrega.
+   * Envios ignorados pelo provedor (ex: usuário desativou o canal) não são falhas.
+   * @param {Object} result - Resultado de provider.send
+   * @returns {string} Status de DeliveryStatus
+   */
+  getDeliveryStatus(result) {
+    if (result.success) return 'SENT';
+    if (result.skipped) return 'SKIPPED';
+    return 'FAILED';
+  }
+
+  /**
+   * Obtém data e hora locais de uma data em um fuso horário IANA
+   * @param {Date} date - Data de referência
+   * @param {string} timezone - Fuso horário (ex: America/Sao_Paulo)
+   * @returns {Object} { year, month, day, weekday (0 = domingo), hour, minute, second, dateKey }
+   */
+  getLocalTime(date, timezone) {
+    const formatOptions = {
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    };
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { ...formatOptions, timeZone: timezone || DEFAULT_TIMEZONE });
+    } catch (error) {
+      // Fuso inválido salvo anteriormente: usar o padrão do sistema
+      formatter = new Intl.DateTimeFormat('en-US', { ...formatOptions, timeZone: DEFAULT_TIMEZONE });
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+      hour: parseInt(parts.hour, 10),
+      minute: parseInt(parts.minute, 10),
+      second: parseInt(parts.second, 10),
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`
+    };
+  }
+
+  /**
+   * Verifica se a data está dentro do horário de silêncio do usuário.
+   * Janelas que cruzam a meia-noite (ex: 22h às 7h) são suportadas.
+   * @param {Object} settings - Configurações do usuário
+   * @param {Date} date - Data de referência (padrão: agora)
+   * @returns {boolean} True se estiver no horário de silêncio
+   */
+  isInQuietHours(settings, date = new Date()) {
+    const { quietHoursStart: start, quietHoursEnd: end } = settings || {};
+    if (start === null || start === undefined || end === null || end === undefined || start === end) {
+      return false;
+    }
+
+    const { hour } = this.getLocalTime(date, settings.timezone);
+
+    if (start < end) {
+      return hour >= start && hour < end;
+    }
+    return hour >= start || hour < end;
+  }
+
+  /**
+   * Calcula quando termina o horário de silêncio em andamento
+   * @param {Object} settings - Configurações do usuário
+   * @param {Date} date - Data de referência (padrão: agora)
+   * @returns {Date|null} Fim do horário de silêncio, ou null se fora dele
+   */
+  getQuietHoursEnd(settings, date = new Date()) {
+    if (!this.isInQuietHours(settings, date)) {
+      return null;
+    }
+
+    const { hour, minute, second } = this.getLocalTime(date, settings.timezone);
+    const hoursUntilEnd = (settings.quietHoursEnd - hour + 24) % 24;
+    const msUntilEnd = hoursUntilEnd * 60 * 60 * 1000
+      - minute * 60 * 1000
+      - second * 1000
+      - date.getMilliseconds();
+
+    return new Date(date.getTime() + msUntilEnd);
+  }
+
+  /**
+   * Calcula o horário da próxima tentativa de entrega.
+   * Backoff exponencial (máx. 6h) com jitter para evitar picos de reenvio.
+   * @param {number} retryCount - Tentativas de reenvio já realizadas
+   * @returns {Date} Horário da próxima tentativa
+   */
+  getNextAttemptAt(retryCount) {
+    const maxDelayMs = 6 * 60 * 60 * 1000;
+    const delay = Math.min(this.retryBaseDelayMs * Math.pow(2, retryCount), maxDelayMs);
+    const jitter = delay * 0.5 * Math.random();
+    return new Date(Date.now() + delay / 2 + jitter);
+  }
+
+  /**
+   * Reenvia uma entrega que falhou (ou que foi adiada pelo horário de silêncio)
+   * através do provedor do canal original.
+   * Sucesso marca o log como SENT; falha incrementa retryCount e agenda nova
+   * tentativa ou, ao atingir o limite, move a entrega para DEAD_LETTER.
+   * Entregas SCHEDULED são a primeira tentativa e não contam como reenvio.
+   * @param {Object} deliveryLog - Registro de NotificationDeliveryLog
+   * @returns {Object} Log de entrega atualizado
+   */
+  async retryDelivery(deliveryLog) {
+    const channel = deliveryLog.channel.toLowerCase();
+    const provider = this.providers.get(channel);
+    const notification = await this.prisma.notification.findUnique({
+      where: { id: deliveryLog.notificationId }
+    });
+
+    let result;
+    if (!notification) {
+      result = { success: false, retryable: false, error: 'Notificação não encontrada' };
+    } else if (!provider) {
+      result = { success: false, error: `Provedor não encontrado para canal: ${channel}` };
+    } else {
+      try {
+        result = await provider.send(notification, notification.data || {});
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+    }
+
+    const retryCount = deliveryLog.status === 'SCHEDULED'
+      ? deliveryLog.retryCount
+      : deliveryLog.retryCount + 1;
+    let data;
+
+    if (result.success) {
+      data = {
+        status: 'SENT',
+        deliveredAt: new Date(),
+        errorMessage: null,
+        nextAttemptAt: null,
+        retryCount
+      };
+      this.logger.info(`Reenvio via ${channel} bem-sucedido (tentativa ${retryCount}):`, deliveryLog.notificationId);
+    } else if (result.skipped) {
+      data = {
+        status: 'SKIPPED',
+        errorMessage: result.error || null,
+        nextAttemptAt: null,
+        retryCount
+      };
+      this.logger.info(`Reenvio via ${channel} ignorado (${result.error}):`, deliveryLog.notificationId);
+    } else {
+      const exhausted = retryCount >= this.maxDeliveryRetries || result.retryable === false;
+      data = {
+        status: exhausted ? 'DEAD_LETTER' : 'FAILED',
+        errorMessage: result.error || null,
+        nextAttemptAt: exhausted ? null : this.getNextAttemptAt(retryCount),
+        retryCount
+      };
+      if (exhausted) {
+        this.logger.error(`Entrega via ${channel} movida para dead-letter após ${retryCount} tentativas:`, deliveryLog.id);
+      } else {
+        this.logger.warn(`Reenvio via ${channel} falhou (tentativa ${retryCount}):`, result.error);
+      }
+    }
+
+    return await this.prisma.notificationDeliveryLog.update({
+      where: { id: deliveryLog.id },
+      data
+    });
+  }
+
   /**
    * Marca uma notificação como lida
    * @param {string} notificationId - ID da notificação
    * @param {string} userId - ID do usuário (para validação)
+   * @returns {number} Quantidade de notificações alteradas (0 se não pertencer ao usuário)
    */
   async markAsRead(notificationId, userId) {
-    await this.prisma.notification.updateMany({
-      where: {
-        id: notificationId,
-        userId: userId
-      },
-      data: {
-        read: true,
-        updatedAt: new Date()
-      }
-    });
+    const { affected } = await this.applyBulkAction(userId, 'read', { ids: [notificationId] });
+    return affected;
+  }
+
+  /**
+   * Marca uma notificação como não lida
+   * @param {string} notificationId - ID da notificação
+   * @param {string} userId - ID do usuário (para validação)
+   * @returns {number} Quantidade de notificações alteradas
+   */
+  async markAsUnread(notificationId, userId) {
+    const { affected } = await this.applyBulkAction(userId, 'unread', { ids: [notificationId] });
+    return affected;
+  }
+
+  /**
+   * Aplica uma ação às notificações do usuário selecionadas por IDs ou por filtro
+   * @param {string} userId - ID do usuário
+   * @param {string} action - read, unread, archive, unarchive ou delete
+   * @param {Object} selection - { ids } ou { filter } (ver buildNotificationFilter)
+   * @returns {Object} { action, affected } (affected: notificações alteradas)
+   */
+  async applyBulkAction(userId, action, selection = {}) {
+    const where = this.buildNotificationFilter(userId, selection);
+    const now = new Date();
+    let result;
+
+    switch (action) {
+      case 'read':
+        result = await this.prisma.notification.updateMany({
+          where,
+          data: { read: true, updatedAt: now }
+        });
+        break;
+      case 'unread':
+        result = await this.prisma.notification.updateMany({
+          where,
+          data: { read: false, updatedAt: now }
+        });
+        break;
+      case 'archive':
+        // Notificações já arquivadas mantêm a data original
+        result = await this.prisma.notification.updateMany({
+          where: { ...where, archivedAt: null },
+          data: { archivedAt: now }
+        });
+        break;
+      case 'unarchive':
+        result = await this.prisma.notification.updateMany({
+          where,
+          data: { archivedAt: null }
+        });
+        break;
+      case 'delete':
+        // Logs de entrega são removidos em cascata
+        result = await this.prisma.notification.deleteMany({ where });
+        break;
+      default:
+        throw new Error(`Ação inválida: ${action}`);
+    }
+
+    return { action, affected: result.count };
+  }
+
+  /**
+   * Monta o filtro Prisma das notificações do usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} selection - Seleção
+   * @param {Array} selection.ids - IDs das notificações (ignora o filtro)
+   * @param {Object} selection.filter - { type, from, to, eventId, read, archived }
+   * @returns {Object} Cláusula where
+   */
+  buildNotificationFilter(userId, selection = {}) {
+    const where = { userId };
+
+    if (selection.ids) {
+      where.id = { in: selection.ids };
+      return where;
+    }
+
+    const filter = selection.filter || {};
+    if (filter.type) where.type = Array.isArray(filter.type) ? { in: filter.type } : filter.type;
+    if (filter.from || filter.to) {
+      where.createdAt = {};
+      if (filter.from) where.createdAt.gte = new Date(filter.from);
+      if (filter.to) where.createdAt.lte = new Date(filter.to);
+    }
+    if (filter.eventId) where.data = { path: ['eventId'], equals: filter.eventId };
+    if (typeof filter.read === 'boolean') where.read = filter.read;
+    if (typeof filter.archived === 'boolean') where.archivedAt = filter.archived ? { not: null } : null;
+
+    return where;
   }
 
   /**
@@ -345,10 +1176,12 @@ class NotificationService {
       page = 1,
       limit = 20,
       unreadOnly = false,
-      type = null
+      type = null,
+      archived = false
     } = options;
 
-    const where = { userId };
+    // Arquivadas só aparecem quando solicitadas (archived: true)
+    const where = { userId, archivedAt: archived ? { not: null } : null };
     if (unreadOnly) where.read = false;
     if (type) where.type = type;
 
@@ -361,7 +1194,7 @@ class NotificationService {
       }),
       this.prisma.notification.count({ where }),
       this.prisma.notification.count({
-        where: { userId, read: false }
+        where: { userId, read: false, archivedAt: null }
       })
     ]);
 
@@ -378,5 +1211,7 @@ class NotificationService {
   }
 }
 
+NotificationService.DIGEST_TYPES = DIGEST_TYPES;
+
 module.exports = NotificationService;
 
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { translate } = require('../locales');
+
+/**
+ * Redefinição de senha por email ("esqueci minha senha")
+ * O link enviado leva um token aleatório; no banco fica só o hash SHA-256.
+ * O token vale uma única vez, por tempo limitado, e só o pedido mais recente
+ * de cada usuário permanece válido. Redefinir a senha encerra todas as sessões.
+ */
+class PasswordResetService {
+  /**
+   * @param {Object} prisma - Cliente Prisma
+   * @param {Object} logger - Logger (winston)
+   * @param {Object} options - Opções da redefinição
+   * @param {Object} options.emailProvider - EmailNotificationProvider (usa sendPlainEmail)
+   * @param {Object} options.authSessions - AuthSessionService (revoga as sessões)
+   * @param {string} options.frontendUrl - URL do frontend (página /reset-password)
+   * @param {number} options.tokenTtlMinutes - Validade do link
+   * @param {number} options.requestIntervalMs - Intervalo mínimo entre emails para o mesmo usuário
+   */
+  constructor(prisma, logger, options = {}) {
+    this.prisma = prisma;
+    this.logger = logger;
+    this.emailProvider = options.emailProvider || null;
+    this.authSessions = options.authSessions || null;
+    this.frontendUrl = options.frontendUrl;
+    this.tokenTtlMinutes = options.tokenTtlMinutes || 60;
+    this.requestIntervalMs = options.requestIntervalMs ?? 60 * 1000;
+  }
+
+  /**
+   * Hash armazenado do token (o token é aleatório, SHA-256 basta)
+   * @param {string} token - Token do link
+   * @returns {string} Hash em hexadecimal
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Envia o link de redefinição, se o email for de um usuário cadastrado.
+   * Não informa o resultado: quem pede não pode descobrir se o email existe.
+   * @param {string} email - Email informado
+   */
+  async requestReset(email) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { email },
+        include: { config: { select: { language: true } } }
+      });
+      if (!user) return;
+
+      const recent = await this.prisma.passwordResetToken.findFirst({
+        where: { userId: user.id, createdAt: { gte: new Date(Date.now() - this.requestIntervalMs) } }
+      });
+      if (recent) {
+        this.logger.info(`Pedido de redefinição de senha repetido ignorado para o usuário ${user.id}`);
+        return;
+      }
+
+      // Só o link mais recente vale
+      await this.prisma.passwordResetToken.deleteMany({ where: { userId: user.id } });
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await this.prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: this.hashToken(token),
+          expiresAt: new Date(Date.now() + this.tokenTtlMinutes * 60 * 1000)
+        }
+      });
+
+      const locale = user.config?.language;
+      const link = `${this.frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+      const result = await this.emailProvider.sendPlainEmail(
+        user.email,
+        translate(locale, 'PASSWORD_RESET.subject'),
+        translate(locale, 'PASSWORD_RESET.text', { name: user.name, minutes: this.tokenTtlMinutes, link })
+      );
+
+      if (result.success) {
+        this.logger.info(`Link de redefinição de senha enviado ao usuário ${user.id}`);
+      } else {
+        this.logger.error(`Falha ao enviar link de redefinição de senha ao usuário ${user.id}:`, result.error);
+      }
+    } catch (error) {
+      this.logger.error('Erro ao processar pedido de redefinição de senha:', error);
+    }
+  }
+
+  /**
+   * Troca a senha usando o token do link e encerra todas as sessões do usuário
+   * @param {string} token - Token do link
+   * @param {string} password - Nova senha (já validada)
+   * @returns {Object} { success } ou { success: false, code: 'INVALID_TOKEN' }
+   */
+  async resetPassword(token, password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const now = new Date();
+
+    const userId = await this.prisma.$transaction(async (tx) => {
+      const resetToken = await tx.passwordResetToken.findUnique({
+        where: { tokenHash: this.hashToken(token) }
+      });
+      if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= now) {
+        return null;
+      }
+
+      // Condicional a usedAt nulo: dois envios simultâneos do mesmo link não podem ambos valer
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: now }
+      });
+      if (count === 0) return null;
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword }
+      });
+      return resetToken.userId;
+    });
+
+    if (!userId) {
+      return { success: false, code: 'INVALID_TOKEN' };
+    }
+
+    await this.authSessions?.revokeAllSessions(userId, 'password_reset');
+    this.logger.info(`Senha redefinida pelo link de email para o usuário ${userId}`);
+    return { success: true };
+  }
+}
+
+module.exports = PasswordResetService;
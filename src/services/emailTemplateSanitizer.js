@@ -0,0 +1,122 @@
+const sanitizeHtml = require('sanitize-html');
+const { translate } = require('../locales');
+
+// Variáveis disponíveis em todos os templates (ver EmailNotificationProvider.send)
+const COMMON_VARIABLES = [
+  'locale',
+  'guestName',
+  'eventTitle',
+  'eventDate',
+  'eventLocation',
+  'dashboardUrl',
+  'inviteCount',
+  'confirmedCount',
+  'guestCount'
+];
+
+// Variáveis adicionais por tipo de notificação
+const TEMPLATE_VARIABLES = {
+  GUEST_CONFIRMED: COMMON_VARIABLES,
+  GUEST_DECLINED: COMMON_VARIABLES,
+  GUEST_PENDING: COMMON_VARIABLES,
+  INVITE_SENT: COMMON_VARIABLES,
+  EVENT_REMINDER: COMMON_VARIABLES,
+  EVENT_UPDATED: [...COMMON_VARIABLES, 'changedFields', 'guestsNotified'],
+  SYSTEM_ALERT: [...COMMON_VARIABLES, 'alertMessage'],
+  DIGEST: [
+    ...COMMON_VARIABLES,
+    'digestTitle',
+    'digestPeriod',
+    'totalConfirmed',
+    'totalDeclined',
+    'totalPending',
+    'eventsSummary',
+    'upcomingEvents'
+  ]
+};
+
+// Variáveis que já contêm HTML montado pelo provedor (não são escapadas)
+const HTML_VARIABLES = ['eventsSummary', 'upcomingEvents'];
+
+// Tags e atributos permitidos: o necessário para layouts de email
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'html', 'head', 'body', 'meta', 'title', 'style', 'img', 'center', 'font'
+  ]),
+  // <style> é necessário nos layouts de email; o conteúdo é filtrado por sanitizeCss
+  allowVulnerableTags: true,
+  allowedAttributes: {
+    '*': ['class', 'style', 'align', 'valign', 'width', 'height', 'bgcolor', 'border',
+      'cellpadding', 'cellspacing', 'color', 'dir', 'lang', 'id', 'role'],
+    a: ['href', 'target', 'title', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    meta: ['charset', 'name', 'content']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    '*': (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.style ? { ...attribs, style: sanitizeCss(attribs.style) } : attribs
+    })
+  }
+};
+
+/**
+ * Remove construções de CSS capazes de executar código ou carregar recursos externos.
+ * Declarações suspeitas são descartadas inteiras; escapes (\\) também, pois
+ * permitiriam disfarçar "javascript:" e "expression(".
+ * @param {string} css - CSS original
+ * @returns {string} CSS filtrado
+ */
+function sanitizeCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/[^;{}]*(expression\s*\(|javascript\s*:|vbscript\s*:|behavior\s*:|-moz-binding|\\)[^;{}]*;?/gi, '');
+}
+
+/**
+ * Sanitiza o HTML de um template editado pelo usuário.
+ * Remove scripts, iframes, handlers (onclick etc) e URLs javascript:,
+ * mantendo os placeholders {{variavel}} e {{t:chave}}.
+ * @param {string} html - HTML enviado
+ * @returns {string} HTML seguro
+ */
+function sanitizeTemplateHtml(html) {
+  const sanitized = sanitizeHtml(html, SANITIZE_OPTIONS)
+    .replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => `${open}${sanitizeCss(css)}${close}`);
+
+  return /<html[\s>]/i.test(sanitized) ? `<!DOCTYPE html>\n${sanitized}` : sanitized;
+}
+
+/**
+ * Lista os placeholders de um template que não existem para o tipo:
+ * variáveis fora de TEMPLATE_VARIABLES e chaves {{t:...}} ausentes do catálogo
+ * @param {string} template - Assunto ou HTML
+ * @param {string} type - Tipo de notificação
+ * @returns {Array} Placeholders inválidos
+ */
+function findInvalidPlaceholders(template, type) {
+  const allowed = TEMPLATE_VARIABLES[type] || [];
+  const invalid = new Set();
+
+  (template.match(/{{\s*[^}]*}}/g) || []).forEach((placeholder) => {
+    const name = placeholder.slice(2, -2).trim();
+
+    if (name.startsWith('t:')) {
+      const key = name.slice(2);
+      if (translate(null, key) === key) invalid.add(placeholder);
+    } else if (!allowed.includes(name) || placeholder !== `{{${name}}}`) {
+      invalid.add(placeholder);
+    }
+  });
+
+  return [...invalid];
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  HTML_VARIABLES,
+  sanitizeTemplateHtml,
+  findInvalidPlaceholders
+};
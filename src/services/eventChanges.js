@@ -0,0 +1,70 @@
+// Campos do evento acompanhados nas atualizações, com o rótulo exibido nas mensagens
+const EVENT_FIELD_LABELS = {
+  title: 'Título',
+  date: 'Data',
+  location: 'Local',
+  description: 'Descrição',
+  maxGuests: 'Limite de convidados',
+  notes: 'Observações',
+  type: 'Tipo',
+  image: 'Imagem'
+};
+
+// Alterações que afetam os convidados (e podem ser comunicadas a eles)
+const GUEST_FACING_FIELDS = ['title', 'date', 'location'];
+
+/**
+ * Normaliza um valor para comparação ("" e null são equivalentes)
+ * @param {*} value - Valor do campo
+ * @returns {*} Valor normalizado
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Calcula as diferenças, campo a campo, entre duas versões de um evento
+ * @param {Object} before - Evento antes da atualização
+ * @param {Object} after - Evento depois da atualização
+ * @returns {Object} Mapa { campo: { from, to } } apenas com os campos alterados
+ */
+const diffEvent = (before, after) => {
+  const changes = {};
+
+  Object.keys(EVENT_FIELD_LABELS).forEach((field) => {
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Verifica se as alterações devem ser comunicadas aos convidados
+ * @param {Object} changes - Resultado de diffEvent
+ * @returns {boolean} True se algum campo relevante para convidados mudou
+ */
+const hasGuestFacingChanges = (changes) => GUEST_FACING_FIELDS.some(field => field in changes);
+
+/**
+ * Restringe as alterações aos campos que podem ser comunicados aos convidados
+ * (observações internas, descrição e imagem ficam de fora)
+ * @param {Object} changes - Resultado de diffEvent
+ * @returns {Object} Mapa { campo: { from, to } } apenas com campos de GUEST_FACING_FIELDS
+ */
+const pickGuestFacingChanges = (changes) => Object.fromEntries(
+  GUEST_FACING_FIELDS.filter(field => field in changes).map(field => [field, changes[field]])
+);
+
+module.exports = {
+  EVENT_FIELD_LABELS,
+  GUEST_FACING_FIELDS,
+  diffEvent,
+  hasGuestFacingChanges,
+  pickGuestFacingChanges
+};
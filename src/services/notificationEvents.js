@@ -79,7 +79,7 @@ class NotificationEventEmitter extends EventEmitter {
    * @param {Object} eventData - Dados do evento
    * @param {string} eventData.eventId - ID do evento
    * @param {string} eventData.userId - ID do organizador
-   * @param {string} eventData.reminderType - Tipo do lembrete (1day, 1hour, etc)
+   * @param {string} eventData.reminderType - Intervalo do lembrete (7d, 1d, 2h, etc)
    */
   emitEventReminder(eventData) {
     this.emit('event.reminder', {
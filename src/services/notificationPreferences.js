@@ -0,0 +1,152 @@
+const { $Enums } = require('@prisma/client');
+
+// Valores do enum NotificationType, lidos do client gerado (prisma generate):
+// um valor novo no schema entra na matriz sem alteração aqui. A lista fixa só
+// é usada com o client ainda não gerado; o teste da matriz a compara com o schema.
+const NOTIFICATION_TYPES = $Enums?.NotificationType ? Object.values($Enums.NotificationType) : [
+  'GUEST_CONFIRMED',
+  'GUEST_DECLINED',
+  'GUEST_PENDING',
+  'INVITE_SENT',
+  'EVENT_REMINDER',
+  'EVENT_UPDATED',
+  'SYSTEM_ALERT',
+  'DIGEST'
+];
+
+// Canais configuráveis, na ordem em que são usados no envio
+const NOTIFICATION_CHANNELS = ['email', 'websocket', 'push', 'sms', 'chat'];
+
+// Canais habilitados por padrão em cada tipo (os demais ficam desativados)
+const DEFAULT_ENABLED_CHANNELS = {
+  GUEST_CONFIRMED: ['email', 'websocket'],
+  GUEST_DECLINED: ['email', 'websocket'],
+  GUEST_PENDING: ['websocket'],
+  INVITE_SENT: ['websocket'],
+  EVENT_REMINDER: ['email', 'push'],
+  EVENT_UPDATED: ['websocket'],
+  SYSTEM_ALERT: ['email', 'websocket'],
+  DIGEST: ['email']
+};
+
+// Tipos sem padrão próprio (ex: valor novo no enum) recebem apenas o tempo real
+const FALLBACK_ENABLED_CHANNELS = ['websocket'];
+
+/**
+ * Preferências padrão de um tipo de notificação
+ * @param {string} type - Tipo da notificação
+ * @returns {Object} { email, websocket, push, sms, chat }
+ */
+const getDefaultChannels = (type) => {
+  const enabled = DEFAULT_ENABLED_CHANNELS[type] || FALLBACK_ENABLED_CHANNELS;
+  return Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, enabled.includes(channel)]));
+};
+
+/**
+ * Monta a matriz completa tipo x canal a partir do que está salvo.
+ * Tipos e canais ausentes (inclusive os adicionados depois) seguem o padrão.
+ * @param {Object} stored - NotificationSettings.preferences
+ * @returns {Object} { [type]: { [channel]: boolean } }
+ */
+const normalizePreferences = (stored) => {
+  const source = stored && typeof stored === 'object' ? stored : {};
+
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => {
+    const channels = { ...getDefaultChannels(type) };
+    const saved = source[type] && typeof source[type] === 'object' ? source[type] : {};
+
+    NOTIFICATION_CHANNELS.forEach((channel) => {
+      if (typeof saved[channel] === 'boolean') channels[channel] = saved[channel];
+    });
+
+    return [type, channels];
+  }));
+};
+
+/**
+ * Aplica uma alteração parcial à matriz (apenas os tipos/canais informados mudam)
+ * @param {Object} stored - Preferências atuais
+ * @param {Object} changes - { [type]: { [channel]: boolean } }
+ * @returns {Object} Matriz completa atualizada
+ */
+const mergePreferences = (stored, changes = {}) => {
+  const preferences = normalizePreferences(stored);
+
+  Object.entries(changes).forEach(([type, channels]) => {
+    if (!preferences[type] || !channels) return;
+    Object.assign(preferences[type], channels);
+  });
+
+  return preferences;
+};
+
+/**
+ * Canais habilitados para um tipo de notificação
+ * @param {Object} stored - NotificationSettings.preferences
+ * @param {string} type - Tipo da notificação
+ * @returns {Array} Canais habilitados
+ */
+const getEnabledChannels = (stored, type) => {
+  const channels = normalizePreferences(stored)[type];
+  if (!channels) return [];
+
+  return NOTIFICATION_CHANNELS.filter(channel => channels[channel]);
+};
+
+/**
+ * Aplica uma alteração parcial à exceção de um evento.
+ * Diferente de mergePreferences, guarda apenas os canais informados
+ * (os demais continuam herdando do usuário); null remove a exceção do canal.
+ * @param {Object} stored - EventNotificationSettings.preferences
+ * @param {Object} changes - { [type]: { [channel]: boolean | null } }
+ * @returns {Object} Exceção parcial atualizada
+ */
+const mergePreferenceOverrides = (stored, changes = {}) => {
+  const overrides = {};
+
+  NOTIFICATION_TYPES.forEach((type) => {
+    const channels = {
+      ...(stored && stored[type]),
+      ...(changes[type] || {})
+    };
+
+    NOTIFICATION_CHANNELS.forEach((channel) => {
+      if (typeof channels[channel] !== 'boolean') delete channels[channel];
+    });
+    Object.keys(channels).forEach((channel) => {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) delete channels[channel];
+    });
+
+    if (Object.keys(channels).length > 0) overrides[type] = channels;
+  });
+
+  return overrides;
+};
+
+/**
+ * Aplica a exceção de um evento às configurações do usuário.
+ * Canais e frequência do resumo não informados na exceção herdam do usuário.
+ * @param {Object} settings - NotificationSettings do usuário
+ * @param {Object|null} override - EventNotificationSettings do evento
+ * @returns {Object} Configurações efetivas (com muted)
+ */
+const applyEventOverride = (settings, override) => {
+  if (!override) return { ...settings, muted: false };
+
+  return {
+    ...settings,
+    preferences: mergePreferences(settings.preferences, override.preferences || {}),
+    digestFrequency: override.digestFrequency || settings.digestFrequency,
+    muted: override.muted === true
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  normalizePreferences,
+  mergePreferences,
+  getEnabledChannels,
+  mergePreferenceOverrides,
+  applyEventOverride
+};
@@ -0,0 +1,100 @@
+/**
+ * Estado compartilhado em memória do processo
+ * Usado quando REDIS_URL não está configurada (uma única instância) e nos testes.
+ * Mesma interface de RedisStateStore: valores JSON com TTL e conjuntos cujos
+ * membros expiram individualmente.
+ */
+class MemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.values = new Map(); // chave -> { value, expiresAt }
+    this.sets = new Map(); // chave -> Map de membro -> expiresAt
+  }
+
+  /**
+   * Obtém um valor
+   * @param {string} key - Chave
+   * @returns {*} Valor armazenado ou null se não existir ou tiver expirado
+   */
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Armazena um valor
+   * @param {string} key - Chave
+   * @param {*} value - Valor (serializável em JSON)
+   * @param {number} ttlMs - Tempo de vida em milissegundos (opcional)
+   */
+  async set(key, value, ttlMs) {
+    this.values.set(key, {
+      value: JSON.parse(JSON.stringify(value)),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  /**
+   * Remove um valor ou conjunto
+   * @param {string} key - Chave
+   */
+  async delete(key) {
+    this.values.delete(key);
+    this.sets.delete(key);
+  }
+
+  /**
+   * Adiciona (ou renova) um membro do conjunto
+   * @param {string} key - Chave do conjunto
+   * @param {string} member - Membro
+   * @param {number} ttlMs - Tempo de vida do membro em milissegundos
+   */
+  async addMember(key, member, ttlMs) {
+    if (!this.sets.has(key)) {
+      this.sets.set(key, new Map());
+    }
+    this.sets.get(key).set(member, Date.now() + ttlMs);
+  }
+
+  /**
+   * Remove um membro do conjunto
+   * @param {string} key - Chave do conjunto
+   * @param {string} member - Membro
+   */
+  async removeMember(key, member) {
+    const members = this.sets.get(key);
+    if (!members) return;
+
+    members.delete(member);
+    if (members.size === 0) {
+      this.sets.delete(key);
+    }
+  }
+
+  /**
+   * Membros ainda válidos do conjunto (os expirados são descartados)
+   * @param {string} key - Chave do conjunto
+   * @returns {Array} Membros
+   */
+  async getMembers(key) {
+    const members = this.sets.get(key);
+    if (!members) return [];
+
+    const now = Date.now();
+    members.forEach((expiresAt, member) => {
+      if (expiresAt <= now) members.delete(member);
+    });
+    if (members.size === 0) {
+      this.sets.delete(key);
+      return [];
+    }
+    return Array.from(members.keys());
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,85 @@
+/**
+ * Estado compartilhado entre instâncias no Redis
+ * Valores são gravados como JSON com expiração (PX). Conjuntos são sorted sets
+ * cujo score é o instante de expiração de cada membro: membros de uma
+ * instância que caiu sem se desconectar somem sozinhos ao fim do TTL.
+ */
+class RedisStateStore {
+  /**
+   * @param {Object} client - Cliente do pacote redis (v4), já conectado
+   * @param {Object} options - Opções do armazenamento
+   * @param {string} options.prefix - Prefixo das chaves (ex: convitecerto:)
+   */
+  constructor(client, options = {}) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = options.prefix || 'convitecerto:';
+  }
+
+  /**
+   * Obtém um valor
+   * @param {string} key - Chave
+   * @returns {*} Valor armazenado ou null se não existir ou tiver expirado
+   */
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Armazena um valor
+   * @param {string} key - Chave
+   * @param {*} value - Valor (serializável em JSON)
+   * @param {number} ttlMs - Tempo de vida em milissegundos (opcional)
+   */
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), ttlMs ? { PX: ttlMs } : undefined);
+  }
+
+  /**
+   * Remove um valor ou conjunto
+   * @param {string} key - Chave
+   */
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Adiciona (ou renova) um membro do conjunto. A chave expira junto com o
+   * membro mais recente, para que conjuntos abandonados não fiquem no Redis.
+   * @param {string} key - Chave do conjunto
+   * @param {string} member - Membro
+   * @param {number} ttlMs - Tempo de vida do membro em milissegundos
+   */
+  async addMember(key, member, ttlMs) {
+    await this.client.multi()
+      .zAdd(this.prefix + key, { score: Date.now() + ttlMs, value: member })
+      .pExpire(this.prefix + key, ttlMs)
+      .exec();
+  }
+
+  /**
+   * Remove um membro do conjunto
+   * @param {string} key - Chave do conjunto
+   * @param {string} member - Membro
+   */
+  async removeMember(key, member) {
+    await this.client.zRem(this.prefix + key, member);
+  }
+
+  /**
+   * Membros ainda válidos do conjunto (os expirados são removidos)
+   * @param {string} key - Chave do conjunto
+   * @returns {Array} Membros
+   */
+  async getMembers(key) {
+    const now = Date.now();
+    const [, members] = await this.client.multi()
+      .zRemRangeByScore(this.prefix + key, '-inf', now)
+      .zRangeByScore(this.prefix + key, `(${now}`, '+inf')
+      .exec();
+    return members;
+  }
+}
+
+module.exports = RedisStateStore;
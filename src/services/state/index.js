@@ -0,0 +1,72 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const MemoryStateStore = require('./MemoryStateStore');
+const RedisStateStore = require('./RedisStateStore');
+
+/**
+ * Armazenamento de estado compartilhado: qualquer objeto com
+ *   - name: identificação (memory, redis)
+ *   - get(key) / set(key, value, ttlMs) / delete(key): valores JSON com TTL
+ *   - addMember(key, member, ttlMs) / removeMember(key, member) / getMembers(key):
+ *     conjuntos cujos membros expiram individualmente
+ */
+
+/**
+ * Cria o estado compartilhado configurado em REDIS_URL.
+ * Sem REDIS_URL, o estado fica na memória do processo (apenas uma instância).
+ * Com Redis, os comandos só funcionam após connectSharedState.
+ * @param {Object} env - Variáveis de ambiente
+ * @param {Object} logger - Logger (winston)
+ * @param {Object} options - Opções
+ * @param {Function} options.createClient - Fábrica de clientes Redis (testes)
+ * @returns {Object} { store, pubClient, subClient } (clientes null sem Redis)
+ */
+function createSharedState(env, logger, options = {}) {
+  if (!env.REDIS_URL) {
+    return { store: new MemoryStateStore(), pubClient: null, subClient: null };
+  }
+
+  const pubClient = (options.createClient || createClient)({ url: env.REDIS_URL });
+  // Conexão em modo subscriber não aceita outros comandos: cliente dedicado ao adapter
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach((client) => {
+    client.on('error', (error) => logger.error('Erro na conexão com o Redis:', error.message));
+  });
+
+  return {
+    store: new RedisStateStore(pubClient, { prefix: env.REDIS_KEY_PREFIX }),
+    pubClient,
+    subClient
+  };
+}
+
+/**
+ * Conecta ao Redis e liga o Socket.IO ao adapter: emissões para salas
+ * (ex: user:<id>) chegam aos sockets de todas as instâncias
+ * @param {Object} sharedState - Retorno de createSharedState
+ * @param {Object} io - Servidor Socket.IO
+ */
+async function connectSharedState({ pubClient, subClient }, io) {
+  if (!pubClient) return;
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+}
+
+/**
+ * Encerra as conexões com o Redis
+ * @param {Object} sharedState - Retorno de createSharedState
+ */
+async function closeSharedState({ pubClient, subClient }) {
+  await Promise.all([pubClient, subClient]
+    .filter(Boolean)
+    .map(client => client.quit()));
+}
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  createSharedState,
+  connectSharedState,
+  closeSharedState
+};
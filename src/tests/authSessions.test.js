@@ -0,0 +1,222 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const AuthSessionService = require('../services/AuthSessionService');
+const { router: authRoutes } = require('../routes/auth.routes');
+const { router: userRoutes } = require('../routes/user.routes');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+/**
+ * Prisma em memória com usuários e sessões
+ */
+const createPrisma = store => createInMemoryPrisma(
+  { user: store.users, userSession: store.sessions },
+  {
+    user: { unique: ['email'] },
+    userSession: {
+      defaults: () => ({ revokedAt: null, revokedReason: null, lastSeenAt: new Date() }),
+      relations: { user: (session, tables) => tables.user.find(user => user.id === session.userId) }
+    }
+  }
+);
+
+describe('Sessões de login com refresh token rotativo', () => {
+  let store;
+  let app;
+  let onAllSessionsRevoked;
+  let onSessionRevoked;
+  let passwordHash;
+
+  const login = (userAgent = 'Firefox') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'ana@exemplo.com', password: 'senha-antiga' })
+    .expect(200)
+    .then(res => res.body);
+
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  beforeAll(async () => {
+    // Hash calculado uma vez: bcrypt é lento de propósito
+    passwordHash = await bcrypt.hash('senha-antiga', 10);
+  });
+
+  beforeEach(() => {
+    store = {
+      users: [{ id: 'u-1', name: 'Ana', email: 'ana@exemplo.com', password: passwordHash }],
+      sessions: []
+    };
+    const prisma = createPrisma(store);
+    const logger = createLogger();
+    onAllSessionsRevoked = jest.fn();
+    onSessionRevoked = jest.fn();
+    const authSessions = new AuthSessionService(prisma, logger, { onAllSessionsRevoked, onSessionRevoked });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = logger;
+      req.authSessions = authSessions;
+      next();
+    });
+    app.use('/api/auth', authRoutes);
+    app.use('/api/users', userRoutes);
+  });
+
+  test('login emite access token curto ligado à sessão e um refresh token', async () => {
+    const { token, refreshToken, user } = await login();
+
+    const payload = jwt.verify(token, JWT_SECRET);
+    expect(payload).toMatchObject({ id: 'u-1', email: 'ana@exemplo.com', sid: store.sessions[0].id });
+    expect(payload.exp - payload.iat).toBe(15 * 60);
+    expect(refreshToken.startsWith(`${store.sessions[0].id}.`)).toBe(true);
+    expect(user.password).toBeUndefined();
+    // Só o hash do refresh token fica salvo
+    expect(store.sessions[0].refreshTokenHash).not.toContain(refreshToken.split('.')[1]);
+  });
+
+  test('renovação troca o refresh token e reuso do antigo revoga a sessão', async () => {
+    const first = await login();
+
+    const renewed = await refresh(first.refreshToken).expect(200);
+    expect(renewed.body.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.verify(renewed.body.token, JWT_SECRET).sid).toBe(store.sessions[0].id);
+
+    const reused = await refresh(first.refreshToken).expect(401);
+    expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(store.sessions[0].revokedReason).toBe('reuse_detected');
+
+    // O token legítimo mais recente também deixa de valer
+    const afterReuse = await refresh(renewed.body.refreshToken).expect(401);
+    expect(afterReuse.body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  test('refresh token desconhecido ou malformado é recusado', async () => {
+    await login();
+
+    expect((await refresh('sem-ponto').expect(401)).body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect((await refresh('sessao-inexistente.abc').expect(401)).body.code).toBe('INVALID_REFRESH_TOKEN');
+    await request(app).post('/api/auth/refresh').send({}).expect(400);
+  });
+
+  test('logout encerra apenas a sessão do refresh token', async () => {
+    const phone = await login('Celular');
+    const laptop = await login('Notebook');
+
+    await request(app).post('/api/auth/logout').send({ refreshToken: phone.refreshToken }).expect(204);
+
+    await refresh(phone.refreshToken).expect(401);
+    await refresh(laptop.refreshToken).expect(200);
+    // Sockets abertos com o token da sessão são desconectados
+    expect(onSessionRevoked).toHaveBeenCalledWith(jwt.decode(phone.token).sid);
+    // Logout repetido não falha
+    await request(app).post('/api/auth/logout').send({ refreshToken: phone.refreshToken }).expect(204);
+    expect(onSessionRevoked).toHaveBeenCalledTimes(1);
+  });
+
+  test('lista as sessões ativas com dispositivo e marca a atual', async () => {
+    await login('Celular');
+    const laptop = await login('Notebook');
+
+    const { body } = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    expect(body).toHaveLength(2);
+    expect(body.map(session => [session.userAgent, session.current]).sort()).toEqual([
+      ['Celular', false],
+      ['Notebook', true]
+    ]);
+    expect(body[0]).not.toHaveProperty('refreshTokenHash');
+    expect(body[0]).toHaveProperty('ipAddress');
+    expect(body[0]).toHaveProperty('lastSeenAt');
+  });
+
+  test('encerra uma sessão específica apenas do próprio usuário', async () => {
+    const phone = await login('Celular');
+    const laptop = await login('Notebook');
+    const phoneSessionId = jwt.decode(phone.token).sid;
+    const intruderToken = jwt.sign({ id: 'u-2', email: 'outro@exemplo.com' }, JWT_SECRET);
+
+    await request(app)
+      .delete(`/api/auth/sessions/${phoneSessionId}`)
+      .set('Authorization', `Bearer ${intruderToken}`)
+      .expect(404);
+    await request(app)
+      .delete(`/api/auth/sessions/${phoneSessionId}`)
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(204);
+
+    await refresh(phone.refreshToken).expect(401);
+  });
+
+  test('sair de todos os dispositivos revoga as sessões e desconecta os sockets', async () => {
+    const phone = await login('Celular');
+    const laptop = await login('Notebook');
+
+    const { body } = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    expect(body).toEqual({ revoked: 2 });
+    expect(onAllSessionsRevoked).toHaveBeenCalledWith('u-1');
+    await refresh(phone.refreshToken).expect(401);
+    await refresh(laptop.refreshToken).expect(401);
+  });
+
+  test('access token deixa de valer assim que a sessão é encerrada', async () => {
+    const phone = await login('Celular');
+    const laptop = await login('Notebook');
+    const me = token => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    await me(phone.token).expect(200);
+    await request(app).post('/api/auth/logout').send({ refreshToken: phone.refreshToken }).expect(204);
+
+    const revoked = await me(phone.token).expect(401);
+    expect(revoked.body.code).toBe('SESSION_REVOKED');
+    await me(laptop.token).expect(200);
+
+    await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+    await me(laptop.token).expect(401);
+  });
+
+  test('access token de sessão expirada ou de outro usuário é recusado', async () => {
+    const { token } = await login();
+    const { sid } = jwt.decode(token);
+    const me = accessToken => request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+    await me(jwt.sign({ id: 'u-2', email: 'outro@exemplo.com', sid }, JWT_SECRET)).expect(401);
+
+    store.sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await me(token).expect(401);
+  });
+
+  test('troca de senha revoga todas as sessões e devolve uma sessão nova', async () => {
+    const phone = await login('Celular');
+    const laptop = await login('Notebook');
+
+    const { body } = await request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .send({ currentPassword: 'senha-antiga', newPassword: 'senha-nova-123', confirmNewPassword: 'senha-nova-123' })
+      .expect(200);
+
+    await refresh(phone.refreshToken).expect(401);
+    await refresh(laptop.refreshToken).expect(401);
+    expect(store.sessions.filter(session => session.revokedReason === 'password_change')).toHaveLength(2);
+
+    await refresh(body.refreshToken).expect(200);
+    expect(jwt.verify(body.token, JWT_SECRET).sid).not.toBe(jwt.decode(laptop.token).sid);
+  });
+});
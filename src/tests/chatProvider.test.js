@@ -0,0 +1,181 @@
+const http = require('http');
+const ChatWebhookNotificationProvider = require('../providers/ChatWebhookNotificationProvider');
+const { SLACK_WEBHOOK_PATTERN, DISCORD_WEBHOOK_PATTERN } = require('../providers/ChatWebhookNotificationProvider');
+const NotificationService = require('../services/NotificationService');
+const { createLogger } = require('./helpers');
+
+describe('ChatWebhookNotificationProvider', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+  let userRepository;
+  let provider;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(responses[req.url] || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = {};
+    userRepository = { findNotificationRecipient: jest.fn() };
+    provider = new ChatWebhookNotificationProvider(
+      { frontendUrl: 'http://localhost:3000' },
+      createLogger(),
+      { userRepository }
+    );
+  });
+
+  const recipient = (config = {}) => ({
+    id: 'u-1',
+    language: 'pt-BR',
+    timezone: 'America/Sao_Paulo',
+    slackWebhookUrl: null,
+    discordWebhookUrl: null,
+    ...config
+  });
+
+  const confirmed = {
+    id: 'n-1',
+    userId: 'u-1',
+    type: 'GUEST_CONFIRMED',
+    title: 'Convite Confirmado',
+    message: 'Ana <!channel> confirmou presença no evento "Casamento"',
+    createdAt: new Date('2025-06-25T12:00:00Z')
+  };
+  const confirmedData = { eventId: 'e-1', guestName: 'Ana <!channel>', eventTitle: 'Casamento', plusOne: true, plusOneName: 'João' };
+
+  test('Slack recebe Block Kit com cor do tipo, campos e link, sem menções injetadas', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({ slackWebhookUrl: `${baseUrl}/slack` }));
+
+    const result = await provider.send(confirmed, confirmedData);
+
+    expect(result.success).toBe(true);
+    expect(received).toHaveLength(1);
+    const { text, attachments } = received[0].body;
+    expect(text).toBe('✅ Convite Confirmado: Ana &lt;!channel&gt; confirmou presença no evento "Casamento"');
+    expect(attachments[0].color).toBe('#2ecc71');
+    expect(attachments[0].blocks[1].fields).toEqual([
+      { type: 'mrkdwn', text: '*Convidado*\nAna &lt;!channel&gt;' },
+      { type: 'mrkdwn', text: '*Evento*\nCasamento' },
+      { type: 'mrkdwn', text: '*Acompanhante*\nJoão' }
+    ]);
+    expect(attachments[0].blocks[2].elements[0].text).toBe('<http://localhost:3000/dashboard/events/e-1|Abrir no Convite Certo>');
+  });
+
+  test('Discord recebe embed com menções desativadas', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({ discordWebhookUrl: `${baseUrl}/discord` }));
+
+    await provider.send(confirmed, confirmedData);
+
+    expect(received[0].body).toEqual({
+      username: 'Convite Certo',
+      allowed_mentions: { parse: [] },
+      embeds: [{
+        title: '✅ Convite Confirmado',
+        description: confirmed.message,
+        url: 'http://localhost:3000/dashboard/events/e-1',
+        color: 0x2ECC71,
+        fields: [
+          { name: 'Convidado', value: 'Ana <!channel>', inline: true },
+          { name: 'Evento', value: 'Casamento', inline: true },
+          { name: 'Acompanhante', value: 'João', inline: true }
+        ],
+        timestamp: '2025-06-25T12:00:00.000Z',
+        footer: { text: 'Convite Certo' }
+      }]
+    });
+  });
+
+  test('lembrete e alteração de evento têm campos próprios', () => {
+    const reminderFields = provider.buildFields(
+      { type: 'EVENT_REMINDER' },
+      { eventTitle: 'Casamento', eventDate: '2025-07-01T23:00:00Z', eventLocation: 'Salão', confirmedCount: 42 },
+      recipient()
+    );
+    expect(reminderFields).toEqual([
+      { name: 'Evento', value: 'Casamento' },
+      { name: 'Data', value: expect.stringContaining('01/07/2025') },
+      { name: 'Local', value: 'Salão' },
+      { name: 'Confirmados', value: '42' }
+    ]);
+
+    const updateFields = provider.buildFields(
+      { type: 'EVENT_UPDATED' },
+      { eventTitle: 'Casamento', changes: { date: {}, location: {} } }
+    );
+    expect(updateFields).toEqual([
+      { name: 'Evento', value: 'Casamento' },
+      { name: 'Alterações', value: 'Data, Local' }
+    ]);
+  });
+
+  test('entrega em Slack e Discord; falha de um deles não impede o outro', async () => {
+    responses['/discord'] = 404;
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({
+      slackWebhookUrl: `${baseUrl}/slack`,
+      discordWebhookUrl: `${baseUrl}/discord`
+    }));
+
+    const result = await provider.send(confirmed, confirmedData);
+
+    expect(received.map(r => r.url).sort()).toEqual(['/discord', '/slack']);
+    expect(result.success).toBe(true);
+  });
+
+  test('webhook removido (4xx) não é reenviado; 5xx e 429 são', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({ slackWebhookUrl: `${baseUrl}/slack` }));
+
+    responses['/slack'] = 404;
+    expect(await provider.send(confirmed, confirmedData)).toEqual(expect.objectContaining({
+      success: false, retryable: false, error: 'Slack respondeu 404'
+    }));
+
+    responses['/slack'] = 429;
+    expect(await provider.send(confirmed, confirmedData)).toEqual(expect.objectContaining({
+      success: false, retryable: true
+    }));
+  });
+
+  test('usuário sem webhooks de chat tem o envio ignorado', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient());
+
+    const result = await provider.send(confirmed, confirmedData);
+
+    expect(received).toHaveLength(0);
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+  });
+
+  test('aceita apenas URLs de webhook do Slack e do Discord', () => {
+    expect(SLACK_WEBHOOK_PATTERN.test('https://hooks.slack.com/services/T000/B000/XXXX')).toBe(true);
+    expect(SLACK_WEBHOOK_PATTERN.test('https://hooks.slack.com.evil.com/services/T000')).toBe(false);
+    expect(SLACK_WEBHOOK_PATTERN.test('http://hooks.slack.com/services/T000/B000/XXXX')).toBe(false);
+    expect(DISCORD_WEBHOOK_PATTERN.test('https://discord.com/api/webhooks/123456/abc-DEF_1')).toBe(true);
+    expect(DISCORD_WEBHOOK_PATTERN.test('https://discordapp.com/api/webhooks/123456/abc')).toBe(true);
+    expect(DISCORD_WEBHOOK_PATTERN.test('https://discord.com/api/webhooks/123456/abc?wait=true@127.0.0.1')).toBe(false);
+  });
+});
+
+describe('NotificationService - canal chat', () => {
+  test('flag chat nas configurações ativa o canal', () => {
+    const service = new NotificationService({}, createLogger());
+    const settings = { preferences: { GUEST_CONFIRMED: { email: false, chat: true } } };
+
+    expect(service.getActiveChannels(settings, 'GUEST_CONFIRMED')).toEqual(['websocket', 'chat']);
+  });
+});
@@ -0,0 +1,125 @@
+const DeliveryLogRepository = require('../repositories/DeliveryLogRepository');
+
+describe('DeliveryLogRepository', () => {
+  let prisma;
+  let repository;
+  const period = { from: new Date('2025-06-01T00:00:00Z'), to: new Date('2025-07-01T00:00:00Z') };
+
+  beforeEach(() => {
+    prisma = {
+      notificationDeliveryLog: {
+        findMany: jest.fn().mockResolvedValue([]),
+        count: jest.fn().mockResolvedValue(0),
+        groupBy: jest.fn().mockResolvedValue([])
+      },
+      notificationDeliverySummary: {
+        groupBy: jest.fn().mockResolvedValue([])
+      },
+      $queryRaw: jest.fn().mockResolvedValue([])
+    };
+    repository = new DeliveryLogRepository(prisma);
+  });
+
+  test('falhas são filtradas por canal, período e dono da notificação', async () => {
+    prisma.notificationDeliveryLog.count.mockResolvedValue(45);
+
+    const result = await repository.findFailures('u-1', {
+      channel: 'EMAIL',
+      from: period.from,
+      to: period.to,
+      page: 2,
+      limit: 20
+    });
+
+    expect(prisma.notificationDeliveryLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        status: { in: ['FAILED', 'BOUNCED', 'DEAD_LETTER'] },
+        channel: 'EMAIL',
+        attemptedAt: { gte: period.from, lt: period.to },
+        notification: { userId: 'u-1' }
+      },
+      orderBy: { attemptedAt: 'desc' },
+      skip: 20,
+      take: 20
+    }));
+    expect(result.pagination).toEqual({ page: 2, limit: 20, total: 45, pages: 3 });
+  });
+
+  test('administrador consulta falhas de todos os usuários', async () => {
+    await repository.findFailures(null, { type: 'DIGEST' });
+
+    expect(prisma.notificationDeliveryLog.findMany.mock.calls[0][0].where).toEqual({
+      status: { in: ['FAILED', 'BOUNCED', 'DEAD_LETTER'] },
+      notification: { type: 'DIGEST' }
+    });
+  });
+
+  test('indicadores por canal combinam logs, resumos da retenção, erros e latência', async () => {
+    prisma.notificationDeliveryLog.groupBy
+      .mockResolvedValueOnce([
+        { channel: 'EMAIL', status: 'SENT', _count: { _all: 8 } },
+        { channel: 'EMAIL', status: 'FAILED', _count: { _all: 1 } },
+        { channel: 'EMAIL', status: 'BOUNCED', _count: { _all: 1 } },
+        { channel: 'WEBSOCKET', status: 'SKIPPED', _count: { _all: 4 } }
+      ])
+      .mockResolvedValueOnce([
+        { channel: 'EMAIL', errorMessage: 'Caixa inexistente', _count: { _all: 1 } },
+        { channel: 'EMAIL', errorMessage: 'SMTP timeout', _count: { _all: 3 } }
+      ]);
+    prisma.notificationDeliverySummary.groupBy.mockResolvedValue([
+      { channel: 'EMAIL', status: 'SENT', _sum: { count: 10 } }
+    ]);
+    prisma.$queryRaw.mockResolvedValue([
+      { channel: 'EMAIL', avg: 1520.4, p50: 900, p95: 4800.6, max: 9000 }
+    ]);
+
+    const stats = await repository.getChannelStats('u-1', period);
+
+    expect(prisma.notificationDeliveryLog.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      by: ['channel', 'status'],
+      where: { attemptedAt: { gte: period.from, lt: period.to }, notification: { userId: 'u-1' } }
+    }));
+    expect(prisma.notificationDeliverySummary.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: { day: { gte: period.from, lt: period.to }, userId: 'u-1' }
+    }));
+    expect(stats).toEqual([
+      {
+        channel: 'EMAIL',
+        total: 20,
+        byStatus: { SENT: 18, FAILED: 1, BOUNCED: 1 },
+        successRate: 0.9,
+        latencyMs: { avg: 1520, p50: 900, p95: 4801, max: 9000 },
+        topErrors: [
+          { message: 'SMTP timeout', count: 3 },
+          { message: 'Caixa inexistente', count: 1 }
+        ]
+      },
+      {
+        channel: 'WEBSOCKET',
+        total: 4,
+        byStatus: { SKIPPED: 4 },
+        successRate: null,
+        latencyMs: null,
+        topErrors: []
+      }
+    ]);
+  });
+
+  test('latência parte da criação do log, não da última tentativa', async () => {
+    await repository.getLatencies('u-1', { from: new Date('2025-06-01'), to: new Date('2025-07-01') });
+
+    // attemptedAt é renovado a cada reenvio (DeliveryRetryScheduler.claim)
+    const sql = prisma.$queryRaw.mock.calls[0][0].join('?');
+    expect(sql).toContain('l."deliveredAt" - l."createdAt"');
+    expect(sql).not.toContain('l."deliveredAt" - l."attemptedAt"');
+  });
+
+  test('tentativas de uma notificação em ordem cronológica', async () => {
+    await repository.findByNotification('n-1');
+
+    expect(prisma.notificationDeliveryLog.findMany).toHaveBeenCalledWith({
+      where: { notificationId: 'n-1' },
+      orderBy: { attemptedAt: 'asc' }
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+process.env.ADMIN_EMAILS = 'admin@exemplo.com';
+
+const NotificationService = require('../services/NotificationService');
+const DeliveryRetryScheduler = require('../services/DeliveryRetryScheduler');
+const { router: notificationRoutes } = require('../routes/notification.routes');
+const { createLogger, createInMemoryPrisma, createNotificationPrisma } = require('./helpers');
+
+const createPrisma = () => createNotificationPrisma({
+  notification: {
+    findUnique: jest.fn().mockResolvedValue({ id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED', data: { guestName: 'Ana' } })
+  },
+  notificationDeliveryLog: {
+    update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data })),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  }
+});
+
+describe('NotificationService - reenvio de entregas', () => {
+  let prisma;
+  let service;
+  let emailProvider;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    service = new NotificationService(prisma, createLogger(), { maxDeliveryRetries: 3, retryBaseDelayMs: 1000 });
+    emailProvider = { send: jest.fn() };
+    service.registerProvider('email', emailProvider);
+  });
+
+  test('agenda nova tentativa quando o primeiro envio falha', async () => {
+    emailProvider.send.mockResolvedValue({ success: false, error: 'SMTP indisponível' });
+
+    await service.sendNotificationThroughChannels({ id: 'n-1' }, ['email'], {});
+
+    const { data } = prisma.notificationDeliveryLog.update.mock.calls[0][0];
+    expect(data.status).toBe('FAILED');
+    expect(data.nextAttemptAt).toBeInstanceOf(Date);
+  });
+
+  test('não agenda nova tentativa para falhas não recuperáveis', async () => {
+    emailProvider.send.mockResolvedValue({ success: false, retryable: false, error: 'desconectado' });
+
+    await service.sendNotificationThroughChannels({ id: 'n-1' }, ['email'], {});
+
+    expect(prisma.notificationDeliveryLog.update.mock.calls[0][0].data.nextAttemptAt).toBeNull();
+  });
+
+  test('reenvio bem-sucedido marca a entrega como SENT', async () => {
+    emailProvider.send.mockResolvedValue({ success: true });
+
+    const log = await service.retryDelivery({ id: 'log-1', notificationId: 'n-1', channel: 'EMAIL', retryCount: 1 });
+
+    expect(emailProvider.send).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'n-1' }),
+      { guestName: 'Ana' }
+    );
+    expect(log.status).toBe('SENT');
+    expect(log.retryCount).toBe(2);
+    expect(log.nextAttemptAt).toBeNull();
+  });
+
+  test('reenvio com falha incrementa retryCount e agenda com backoff', async () => {
+    emailProvider.send.mockResolvedValue({ success: false, error: 'timeout' });
+
+    const log = await service.retryDelivery({ id: 'log-1', notificationId: 'n-1', channel: 'EMAIL', retryCount: 0 });
+
+    expect(log.status).toBe('FAILED');
+    expect(log.retryCount).toBe(1);
+    expect(log.errorMessage).toBe('timeout');
+    expect(log.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('move para DEAD_LETTER ao atingir o limite de tentativas', async () => {
+    emailProvider.send.mockRejectedValue(new Error('conexão recusada'));
+
+    const log = await service.retryDelivery({ id: 'log-1', notificationId: 'n-1', channel: 'EMAIL', retryCount: 2 });
+
+    expect(log.status).toBe('DEAD_LETTER');
+    expect(log.retryCount).toBe(3);
+    expect(log.nextAttemptAt).toBeNull();
+  });
+
+  test('backoff cresce exponencialmente e respeita o jitter', () => {
+    const now = Date.now();
+    const first = service.getNextAttemptAt(0).getTime() - now;
+    const third = service.getNextAttemptAt(2).getTime() - now;
+
+    expect(first).toBeGreaterThanOrEqual(500 - 5);
+    expect(first).toBeLessThanOrEqual(1000 + 5);
+    expect(third).toBeGreaterThanOrEqual(2000 - 5);
+    expect(third).toBeLessThanOrEqual(4000 + 5);
+  });
+});
+
+describe('DeliveryRetryScheduler', () => {
+  test('reenvia apenas as entregas que conseguiu reservar', async () => {
+    const prisma = createPrisma();
+    prisma.notificationDeliveryLog.findMany.mockResolvedValue([
+      { id: 'log-1', status: 'FAILED', retryCount: 1 },
+      { id: 'log-2', status: 'FAILED', retryCount: 0 }
+    ]);
+    // log-2 já foi reservado por outra instância
+    prisma.notificationDeliveryLog.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    const notificationService = { retryDelivery: jest.fn().mockResolvedValue({}) };
+    const scheduler = new DeliveryRetryScheduler(prisma, notificationService, createLogger());
+
+    const retried = await scheduler.runOnce();
+
+    expect(retried).toBe(1);
+    expect(notificationService.retryDelivery).toHaveBeenCalledTimes(1);
+    expect(notificationService.retryDelivery).toHaveBeenCalledWith(expect.objectContaining({ id: 'log-1' }));
+  });
+
+  test('entrega PENDING abandonada é reservada por uma única instância', async () => {
+    const abandonedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const logs = [{ id: 'log-1', status: 'PENDING', retryCount: 0, nextAttemptAt: null, attemptedAt: abandonedAt }];
+    const prisma = createInMemoryPrisma({ notificationDeliveryLog: logs });
+    const notificationService = { retryDelivery: jest.fn().mockResolvedValue({}) };
+    const replicas = [
+      new DeliveryRetryScheduler(prisma, notificationService, createLogger()),
+      new DeliveryRetryScheduler(prisma, notificationService, createLogger())
+    ];
+
+    // As duas réplicas leem a entrega antes de qualquer reserva
+    const [first] = await prisma.notificationDeliveryLog.findMany({});
+    const [second] = await prisma.notificationDeliveryLog.findMany({});
+    const claims = [await replicas[0].claim(first), await replicas[1].claim(second)];
+
+    expect(claims).toEqual([true, false]);
+    expect(logs[0].attemptedAt.getTime()).toBeGreaterThan(abandonedAt.getTime());
+  });
+});
+
+describe('GET /api/notifications/deliveries/dead-letter', () => {
+  let app;
+
+  const list = query => request(app)
+    .get('/api/notifications/deliveries/dead-letter')
+    .query(query)
+    .set('Authorization', `Bearer ${jwt.sign({ id: 'u-admin', email: 'admin@exemplo.com' }, JWT_SECRET)}`);
+
+  beforeEach(() => {
+    const prisma = createInMemoryPrisma(
+      {
+        notification: [{ id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED', title: 'Convite Confirmado' }],
+        notificationDeliveryLog: [
+          { id: 'log-1', notificationId: 'n-1', channel: 'EMAIL', status: 'DEAD_LETTER', attemptedAt: new Date() },
+          { id: 'log-2', notificationId: 'n-1', channel: 'PUSH', status: 'DEAD_LETTER', attemptedAt: new Date() },
+          { id: 'log-3', notificationId: 'n-1', channel: 'EMAIL', status: 'SENT', attemptedAt: new Date() }
+        ]
+      },
+      {
+        notificationDeliveryLog: {
+          relations: { notification: (log, tables) => tables.notification.find(n => n.id === log.notificationId) }
+        }
+      }
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      next();
+    });
+    app.use('/api/notifications', notificationRoutes);
+  });
+
+  test('filtra por canal, aceitando minúsculas', async () => {
+    const { body } = await list({ channel: 'email' }).expect(200);
+
+    expect(body.deliveries.map(log => log.id)).toEqual(['log-1']);
+    expect(body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+  });
+
+  test('canal ou paginação inválidos retornam 400', async () => {
+    expect((await list({ channel: 'FAX' }).expect(400)).body.error).toMatch(/channel/);
+    await list({ limit: 500 }).expect(400);
+  });
+});
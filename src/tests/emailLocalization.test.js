@@ -0,0 +1,108 @@
+const { getLocaleChain, translate, formatDateTime } = require('../locales');
+const EmailNotificationProvider = require('../providers/EmailNotificationProvider');
+const { createLogger } = require('./helpers');
+
+describe('Catálogo de idiomas', () => {
+  test('monta a cadeia de fallback pelo idioma e pelo padrão', () => {
+    expect(getLocaleChain('es-ES')).toEqual(['es-ES', 'pt-BR']);
+    expect(getLocaleChain('es-MX')).toEqual(['es-ES', 'pt-BR']);
+    expect(getLocaleChain('en')).toEqual(['en-US', 'pt-BR']);
+    expect(getLocaleChain('fr-FR')).toEqual(['pt-BR']);
+    expect(getLocaleChain(undefined)).toEqual(['pt-BR']);
+  });
+
+  test('traduz chaves e interpola variáveis informadas', () => {
+    expect(translate('es-ES', 'EVENT_REMINDER.confirmedGuests', { confirmedCount: 3 })).toBe('3 invitados');
+    expect(translate('en-US', 'GUEST_CONFIRMED.subject')).toBe('✅ RSVP Confirmed - {{eventTitle}}');
+  });
+
+  test('usa o idioma padrão quando falta a tradução e a chave quando não existe', () => {
+    expect(translate('fr-FR', 'common.guest')).toBe('Convidado');
+    expect(translate('en-US', 'common.unknownKey')).toBe('common.unknownKey');
+  });
+
+  test('formata data e hora conforme dateFormat, timeFormat e fuso', () => {
+    const date = '2025-07-01T20:30:00.000Z';
+
+    expect(formatDateTime(date, { language: 'pt-BR', timezone: 'America/Sao_Paulo' }))
+      .toBe('terça-feira, 01/07/2025 às 17:30');
+    expect(formatDateTime(date, { language: 'en-US', dateFormat: 'MM/DD/YYYY', timeFormat: '12h', timezone: 'America/New_York' }))
+      .toBe('Tuesday, 07/01/2025 at 4:30 PM');
+    expect(formatDateTime(date, { language: 'es-ES', dateFormat: 'YYYY-MM-DD', timezone: 'Europe/Madrid' }))
+      .toBe('martes, 2025-07-01 a las 22:30');
+    expect(formatDateTime(date, { dateOnly: true, dateFormat: 'formato inválido' })).toBe('01/07/2025');
+  });
+});
+
+describe('EmailNotificationProvider - emails localizados', () => {
+  let userRepository;
+  let provider;
+
+  beforeEach(() => {
+    userRepository = { findNotificationRecipient: jest.fn() };
+    provider = new EmailNotificationProvider({
+      smtp: {},
+      fromName: 'Convite Certo',
+      fromEmail: 'noreply@convitecerto.online',
+      frontendUrl: 'http://localhost:3000'
+    }, createLogger(), { userRepository });
+    provider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'msg-1' }) };
+  });
+
+  const recipient = (config) => ({
+    id: 'u-1',
+    name: 'Lucía',
+    email: 'lucia@exemplo.com',
+    emailNotifications: true,
+    dateFormat: 'DD/MM/YYYY',
+    timeFormat: '24h',
+    timezone: 'Europe/Madrid',
+    ...config
+  });
+
+  test('envia em espanhol para usuários com language es-ES', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({ language: 'es-ES' }));
+
+    await provider.send(
+      { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' },
+      { guestName: 'Pedro', eventTitle: 'Boda', eventDate: '2025-07-01T20:30:00.000Z', eventId: 'e-1' }
+    );
+
+    const mail = provider.transporter.sendMail.mock.calls[0][0];
+    expect(mail.subject).toBe('✅ Confirmación de Asistencia - Boda');
+    expect(mail.html).toContain('<html lang="es-ES">');
+    expect(mail.html).toContain('<strong>Pedro</strong> confirmó su asistencia a tu evento.');
+    expect(mail.html).toContain('martes, 01/07/2025 a las 22:30');
+    expect(mail.html).toContain('Lugar no informado');
+    expect(mail.html).not.toMatch(/{{[^}]+}}/);
+  });
+
+  test('idioma não suportado recebe o email em português', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(recipient({ language: 'de-DE', timezone: 'America/Sao_Paulo' }));
+
+    await provider.send(
+      { id: 'n-2', userId: 'u-1', type: 'EVENT_REMINDER' },
+      { eventTitle: 'Aniversário', eventDate: '2025-07-01T20:30:00.000Z', eventId: 'e-1', confirmedCount: 0 }
+    );
+
+    const mail = provider.transporter.sendMail.mock.calls[0][0];
+    expect(mail.subject).toBe('⏰ Lembrete de Evento - Aniversário');
+    expect(mail.html).toContain('<strong>Confirmados:</strong> 0 convidados');
+    expect(mail.html).not.toMatch(/{{[^}]+}}/);
+  });
+
+  test('resumo em inglês traduz títulos e rótulos', () => {
+    const variables = provider.getDigestVariables({
+      digestFrequency: 'DAILY',
+      periodStart: '2025-06-15T00:00:00.000Z',
+      periodEnd: '2025-06-16T00:00:00.000Z',
+      totals: { confirmed: 1, declined: 0, pending: 2 },
+      events: [{ eventTitle: 'Wedding', eventDate: '2025-07-01T20:00:00.000Z', confirmed: ['Ann'], declined: [], invitesSent: 0, pendingCount: 2 }],
+      upcomingEvents: []
+    }, { language: 'en-US', dateFormat: 'MM/DD/YYYY', timezone: 'UTC' });
+
+    expect(variables.digestTitle).toBe('Daily Summary');
+    expect(variables.digestPeriod).toBe('06/15/2025 - 06/16/2025');
+    expect(variables.eventsSummary).toContain('<strong>Confirmed (1):</strong> Ann');
+  });
+});
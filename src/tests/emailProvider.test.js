@@ -0,0 +1,118 @@
+const EmailNotificationProvider = require('../providers/EmailNotificationProvider');
+const UserRepository = require('../repositories/UserRepository');
+const NotificationService = require('../services/NotificationService');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+const emailConfig = {
+  smtp: {},
+  fromName: 'Convite Certo',
+  fromEmail: 'noreply@convitecerto.online',
+  frontendUrl: 'http://localhost:3000'
+};
+
+const notification = { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' };
+const eventData = { guestName: 'Ana', eventTitle: 'Casamento', eventId: 'e-1' };
+
+describe('UserRepository', () => {
+  test('resolve email, nome e preferência de email do usuário', async () => {
+    const prisma = {
+      user: {
+        findUnique: jest.fn().mockResolvedValue({
+          id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', config: { emailNotifications: false }
+        })
+      }
+    };
+
+    const recipient = await new UserRepository(prisma).findNotificationRecipient('u-1');
+
+    expect(prisma.user.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'u-1' } }));
+    expect(recipient).toEqual(expect.objectContaining({
+      id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: false
+    }));
+  });
+
+  test('usuário sem UserConfig mantém email habilitado', async () => {
+    const prisma = {
+      user: { findUnique: jest.fn().mockResolvedValue({ id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', config: null }) }
+    };
+
+    const recipient = await new UserRepository(prisma).findNotificationRecipient('u-1');
+
+    expect(recipient.emailNotifications).toBe(true);
+  });
+});
+
+describe('EmailNotificationProvider - destinatário', () => {
+  let userRepository;
+  let logger;
+  let provider;
+
+  beforeEach(() => {
+    userRepository = { findNotificationRecipient: jest.fn() };
+    logger = createLogger();
+    provider = new EmailNotificationProvider(emailConfig, logger, { userRepository });
+    provider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'msg-1' }) };
+  });
+
+  test('envia para o email real do organizador', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({
+      id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: true
+    });
+
+    const result = await provider.send(notification, eventData);
+
+    expect(result.success).toBe(true);
+    expect(userRepository.findNotificationRecipient).toHaveBeenCalledWith('u-1');
+    expect(provider.transporter.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: { name: 'Maria', address: 'maria@exemplo.com' }
+    }));
+  });
+
+  test('ignora o envio quando o usuário desativou notificações por email', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({
+      id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: false
+    });
+
+    const result = await provider.send(notification, eventData);
+
+    expect(provider.transporter.sendMail).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Notificações por email desativadas pelo usuário'));
+  });
+
+  test('falha sem nova tentativa quando o usuário não existe', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue(null);
+
+    const result = await provider.send(notification, eventData);
+
+    expect(provider.transporter.sendMail).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ success: false, retryable: false }));
+  });
+
+  test('tipo sem template é ignorado, sem nova tentativa', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({
+      id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: true
+    });
+
+    const result = await provider.send({ ...notification, type: 'TIPO_NOVO' }, eventData);
+
+    expect(provider.transporter.sendMail).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+  });
+
+  test('entrega ignorada é registrada como SKIPPED, sem reenvio', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({
+      id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: false
+    });
+    const prisma = createNotificationPrisma();
+    const service = new NotificationService(prisma, createLogger());
+    service.registerProvider('email', provider);
+
+    await service.sendNotificationThroughChannels(notification, ['email'], eventData);
+
+    expect(prisma.notificationDeliveryLog.update).toHaveBeenCalledWith({
+      where: { id: 'log-1' },
+      data: expect.objectContaining({ status: 'SKIPPED', nextAttemptAt: null })
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const EmailNotificationProvider = require('../providers/EmailNotificationProvider');
+const EmailTemplateRepository = require('../repositories/EmailTemplateRepository');
+const { sanitizeTemplateHtml, findInvalidPlaceholders, TEMPLATE_VARIABLES } = require('../services/emailTemplateSanitizer');
+const { NOTIFICATION_TYPES } = require('../services/notificationPreferences');
+const { createLogger } = require('./helpers');
+
+const emailConfig = {
+  smtp: {},
+  fromName: 'Convite Certo',
+  fromEmail: 'noreply@convitecerto.online',
+  frontendUrl: 'http://localhost:3000'
+};
+
+describe('Sanitização de templates de email', () => {
+  test('remove scripts, handlers e URLs javascript mantendo os placeholders', () => {
+    const html = sanitizeTemplateHtml(`
+      <html><head><style>body { color: red; }</style></head>
+      <body>
+        <script>alert(1)</script>
+        <h1 onclick="alert(1)">{{t:GUEST_CONFIRMED.heading}}</h1>
+        <p><strong>{{guestName}}</strong> em {{eventDate}}</p>
+        <a href="javascript:alert(1)">x</a>
+        <a href="{{dashboardUrl}}">{{t:common.viewDashboard}}</a>
+        <iframe src="https://exemplo.com"></iframe>
+      </body></html>`);
+
+    expect(html).not.toMatch(/script|onclick|javascript|iframe/i);
+    expect(html).toContain('<strong>{{guestName}}</strong> em {{eventDate}}');
+    expect(html).toContain('<a href="{{dashboardUrl}}">');
+    expect(html).toContain('<style>body { color: red; }</style>');
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+  });
+
+  test('filtra CSS perigoso em <style> e em atributos style', () => {
+    const html = sanitizeTemplateHtml(
+      '<style>@import url(https://x.com/a.css); p { background: url(javascript:alert(1)); }</style>' +
+      '<p style="width: expression(alert(1)); color: blue">ok</p>'
+    );
+
+    expect(html).not.toMatch(/@import|javascript:|expression\(/i);
+    expect(html).toContain('<p style="color:blue">ok</p>');
+  });
+
+  test('aponta variáveis e chaves de tradução desconhecidas para o tipo', () => {
+    expect(findInvalidPlaceholders('{{guestName}} {{t:GUEST_CONFIRMED.heading}}', 'GUEST_CONFIRMED')).toEqual([]);
+    expect(findInvalidPlaceholders('{{totalPending}} {{senha}} {{t:nao.existe}}', 'GUEST_CONFIRMED'))
+      .toEqual(['{{totalPending}}', '{{senha}}', '{{t:nao.existe}}']);
+    expect(findInvalidPlaceholders('{{totalPending}}', 'DIGEST')).toEqual([]);
+  });
+});
+
+describe('EmailTemplateRepository', () => {
+  test('personalização do usuário vence o padrão do sistema no mesmo idioma', async () => {
+    const prisma = {
+      emailTemplate: {
+        findMany: jest.fn().mockResolvedValue([
+          { id: 't-system-es', userId: null, type: 'GUEST_CONFIRMED', locale: 'es-ES' },
+          { id: 't-user-pt', userId: 'u-1', type: 'GUEST_CONFIRMED', locale: 'pt-BR' },
+          { id: 't-user-es', userId: 'u-1', type: 'GUEST_CONFIRMED', locale: 'es-ES' }
+        ])
+      }
+    };
+
+    const template = await new EmailTemplateRepository(prisma).findEffective('u-1', 'GUEST_CONFIRMED', 'es-ES');
+
+    expect(template.id).toBe('t-user-es');
+    expect(prisma.emailTemplate.findMany).toHaveBeenCalledWith({
+      where: {
+        type: 'GUEST_CONFIRMED',
+        locale: { in: ['es-ES', 'pt-BR'] },
+        OR: [{ userId: 'u-1' }, { userId: null }]
+      }
+    });
+  });
+
+  test('padrão do sistema no idioma do usuário vence a personalização em outro idioma', async () => {
+    const prisma = {
+      emailTemplate: {
+        findMany: jest.fn().mockResolvedValue([
+          { id: 't-user-pt', userId: 'u-1', locale: 'pt-BR' },
+          { id: 't-system-es', userId: null, locale: 'es-ES' }
+        ])
+      }
+    };
+
+    const template = await new EmailTemplateRepository(prisma).findEffective('u-1', 'GUEST_CONFIRMED', 'es-ES');
+
+    expect(template.id).toBe('t-system-es');
+  });
+
+  test('salva padrões do sistema sem upsert (userId nulo)', async () => {
+    const prisma = {
+      emailTemplate: {
+        findFirst: jest.fn().mockResolvedValue({ id: 't-1' }),
+        update: jest.fn().mockResolvedValue({ id: 't-1' }),
+        upsert: jest.fn()
+      }
+    };
+
+    await new EmailTemplateRepository(prisma).save(null, 'DIGEST', 'pt-BR', { subject: 'S', html: 'H' });
+
+    expect(prisma.emailTemplate.upsert).not.toHaveBeenCalled();
+    expect(prisma.emailTemplate.update).toHaveBeenCalledWith({ where: { id: 't-1' }, data: { subject: 'S', html: 'H' } });
+  });
+});
+
+describe('EmailNotificationProvider - templates do banco', () => {
+  let userRepository;
+  let templateRepository;
+  let provider;
+
+  beforeEach(() => {
+    userRepository = {
+      findNotificationRecipient: jest.fn().mockResolvedValue({
+        id: 'u-1', name: 'Maria', email: 'maria@exemplo.com', emailNotifications: true,
+        language: 'pt-BR', dateFormat: 'DD/MM/YYYY', timeFormat: '24h', timezone: 'UTC'
+      })
+    };
+    templateRepository = { findEffective: jest.fn().mockResolvedValue(null) };
+    provider = new EmailNotificationProvider(emailConfig, createLogger(), { userRepository, templateRepository });
+    provider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'msg-1' }) };
+  });
+
+  test('usa o template personalizado e escapa os valores no HTML', async () => {
+    templateRepository.findEffective.mockResolvedValue({
+      userId: 'u-1',
+      locale: 'pt-BR',
+      subject: 'Oba! {{guestName}} vem para {{eventTitle}}',
+      html: '<p>{{t:common.guest}}: {{guestName}}</p>'
+    });
+
+    await provider.send(
+      { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' },
+      { guestName: '<b>Ana</b>', eventTitle: 'Casamento', eventId: 'e-1' }
+    );
+
+    expect(templateRepository.findEffective).toHaveBeenCalledWith('u-1', 'GUEST_CONFIRMED', 'pt-BR');
+    const mail = provider.transporter.sendMail.mock.calls[0][0];
+    expect(mail.subject).toBe('Oba! <b>Ana</b> vem para Casamento');
+    expect(mail.html).toBe('<p>Convidado: &lt;b&gt;Ana&lt;/b&gt;</p>');
+  });
+
+  test('volta ao template embutido quando o banco falha', async () => {
+    templateRepository.findEffective.mockRejectedValue(new Error('db down'));
+
+    const template = await provider.getTemplate('u-1', 'GUEST_CONFIRMED', 'pt-BR');
+
+    expect(template.source).toBe('default');
+    expect(template.subject).toBe(provider.templates.GUEST_CONFIRMED.subject);
+  });
+
+  test('todo tipo de notificação tem template embutido e variáveis documentadas', () => {
+    NOTIFICATION_TYPES.forEach(type => {
+      const builtIn = provider.templates[type];
+
+      expect(builtIn).toBeDefined();
+      expect(TEMPLATE_VARIABLES[type]).toBeDefined();
+      expect(findInvalidPlaceholders(builtIn.subject, type)).toEqual([]);
+      expect(findInvalidPlaceholders(builtIn.template, type)).toEqual([]);
+    });
+  });
+
+  test('alteração de evento lista os campos alterados no idioma do destinatário', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({
+      id: 'u-1', name: 'Mary', email: 'mary@exemplo.com', emailNotifications: true, language: 'en-US', timezone: 'UTC'
+    });
+
+    await provider.send(
+      { id: 'n-1', userId: 'u-1', type: 'EVENT_UPDATED' },
+      { eventId: 'e-1', eventTitle: 'Wedding', changes: { date: {}, maxGuests: {} }, guestsNotified: 12 }
+    );
+
+    const mail = provider.transporter.sendMail.mock.calls[0][0];
+    expect(mail.subject).toBe('✏️ Event Updated - Wedding');
+    expect(mail.html).toContain('<strong>Changes:</strong> Date, Guest limit');
+    expect(mail.html).toContain('<strong>Guests notified:</strong> 12');
+  });
+
+  test('pré-visualização renderiza todos os tipos com dados de exemplo', () => {
+    Object.keys(provider.templates).forEach(type => {
+      const variables = provider.buildTemplateVariables(type, provider.getSampleData(type), { language: 'en-US' });
+      const { subject, html } = provider.renderEmail(provider.templates[type], 'en-US', variables);
+
+      expect(subject).not.toMatch(/{{[^}]+}}/);
+      expect(html).not.toMatch(/{{[^}]+}}/);
+      expect(html).toContain('<html lang="en-US">');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const EmailVerificationService = require('../services/EmailVerificationService');
+const { router: authRoutes } = require('../routes/auth.routes');
+const { router: userRoutes } = require('../routes/user.routes');
+const { router: smsRoutes } = require('../routes/sms.routes');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+const VERIFICATION_SECRET = `${JWT_SECRET}:email-verification`;
+
+/**
+ * Prisma em memória com usuários (email único, como no banco)
+ */
+const createPrisma = store => createInMemoryPrisma(
+  { user: store.users },
+  {
+    user: {
+      idPrefix: 'u',
+      unique: ['email'],
+      defaults: () => ({ emailVerifiedAt: null, pendingEmail: null, emailVerificationSentAt: null }),
+      relations: { config: () => null }
+    }
+  }
+);
+
+describe('Confirmação de email', () => {
+  let store;
+  let app;
+  let emailProvider;
+  let emailVerification;
+
+  const tokenFor = userId => jwt.sign({ id: userId, email: 'x' }, JWT_SECRET);
+
+  // Token do link no último email enviado
+  const lastLink = () => {
+    const [to, , text] = emailProvider.sendPlainEmail.mock.calls.at(-1);
+    return { to, token: decodeURIComponent(text.match(/verify-email\?token=(\S+)/)[1]) };
+  };
+
+  const verify = token => request(app).post('/api/auth/verify-email').send({ token });
+
+  const updateProfile = email => request(app)
+    .put('/api/users/profile')
+    .set('Authorization', `Bearer ${tokenFor('u-1')}`)
+    .send({ name: 'Ana Souza', email });
+
+  const buildApp = (options = {}) => {
+    const prisma = createPrisma(store);
+    const logger = createLogger();
+    emailVerification = new EmailVerificationService(prisma, logger, {
+      emailProvider,
+      frontendUrl: 'https://convitecerto.online',
+      secret: VERIFICATION_SECRET,
+      ...options
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = logger;
+      req.emailVerification = emailVerification;
+      req.authSessions = { createSession: jest.fn().mockResolvedValue({ token: 'access', refreshToken: 'refresh' }) };
+      req.smsProvider = null;
+      next();
+    });
+    app.use('/api/auth', authRoutes);
+    app.use('/api/users', userRoutes);
+    app.use('/api/sms', smsRoutes);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-07-02T12:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    store = {
+      users: [{
+        id: 'u-1',
+        name: 'Ana',
+        email: 'ana@exemplo.com',
+        password: 'hash',
+        emailVerifiedAt: new Date('2025-01-01T00:00:00Z'),
+        pendingEmail: null,
+        emailVerificationSentAt: null
+      }]
+    };
+    emailProvider = { sendPlainEmail: jest.fn().mockResolvedValue({ success: true }) };
+    buildApp();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('registro cria a conta sem confirmação e envia o link', async () => {
+    const { body } = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Bruno', email: 'bruno@exemplo.com', password: 'senha-123' })
+      .expect(201);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(body.user.emailVerifiedAt).toBeNull();
+    const { to, token } = lastLink();
+    expect(to).toBe('bruno@exemplo.com');
+
+    const res = await verify(token).expect(200);
+    expect(res.body.email).toBe('bruno@exemplo.com');
+    expect(store.users[1].emailVerifiedAt).toEqual(new Date());
+
+    // Abrir o mesmo link de novo não tem efeito
+    await verify(token).expect(200);
+  });
+
+  test('troca de email mantém o email atual até a confirmação', async () => {
+    const { body } = await updateProfile('ana.nova@exemplo.com').expect(200);
+
+    expect(body).toMatchObject({ name: 'Ana Souza', email: 'ana@exemplo.com', pendingEmail: 'ana.nova@exemplo.com' });
+    const { to, token } = lastLink();
+    expect(to).toBe('ana.nova@exemplo.com');
+
+    await verify(token).expect(200);
+    expect(store.users[0]).toMatchObject({ email: 'ana.nova@exemplo.com', pendingEmail: null });
+  });
+
+  test('link de uma troca substituída por outra não vale mais', async () => {
+    await updateProfile('primeiro@exemplo.com').expect(200);
+    const first = lastLink();
+    await updateProfile('segundo@exemplo.com').expect(200);
+
+    expect((await verify(first.token).expect(400)).body.code).toBe('INVALID_TOKEN');
+    expect(store.users[0].email).toBe('ana@exemplo.com');
+
+    // Voltar ao email atual cancela a troca pendente
+    await updateProfile('ana@exemplo.com').expect(200);
+    expect(store.users[0].pendingEmail).toBeNull();
+  });
+
+  test('email cadastrado por outra conta antes da confirmação', async () => {
+    await updateProfile('disputado@exemplo.com').expect(200);
+    const { token } = lastLink();
+    store.users.push({ id: 'u-2', name: 'Outro', email: 'disputado@exemplo.com' });
+
+    const res = await verify(token).expect(409);
+
+    expect(res.body.code).toBe('EMAIL_IN_USE');
+    expect(store.users[0].email).toBe('ana@exemplo.com');
+  });
+
+  test('link expirado, adulterado ou de outra finalidade é recusado', async () => {
+    await updateProfile('ana.nova@exemplo.com').expect(200);
+    const { token } = lastLink();
+
+    // Access token não serve como link, e o link não serve como access token
+    await verify(tokenFor('u-1')).expect(400);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+    await verify(`${token}x`).expect(400);
+
+    jest.setSystemTime(Date.now() + 25 * 60 * 60 * 1000);
+    await verify(token).expect(400);
+    expect(store.users[0].email).toBe('ana@exemplo.com');
+  });
+
+  test('reenvio respeita o intervalo mínimo', async () => {
+    const resend = () => request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${tokenFor('u-1')}`);
+
+    expect((await resend().expect(400)).body.code).toBe('ALREADY_VERIFIED');
+
+    await updateProfile('ana.nova@exemplo.com').expect(200);
+    jest.setSystemTime(Date.now() + 20 * 1000);
+
+    const throttled = await resend().expect(429);
+    expect(throttled.headers['retry-after']).toBe('40');
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(Date.now() + 40 * 1000);
+    const resent = await resend().expect(200);
+    expect(resent.body.email).toBe('ana.nova@exemplo.com');
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('política de convites bloqueia contas com email não confirmado', async () => {
+    buildApp({ invitePolicy: EmailVerificationService.requireVerifiedEmail });
+    store.users.push({ id: 'u-2', name: 'Bruno', email: 'bruno@exemplo.com', emailVerifiedAt: null });
+
+    const blocked = await request(app)
+      .post('/api/sms/send-invite')
+      .set('Authorization', `Bearer ${tokenFor('u-2')}`)
+      .send({})
+      .expect(403);
+    expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    // Conta confirmada passa pela política (SMS não configurado neste teste)
+    await request(app)
+      .post('/api/sms/send-invite')
+      .set('Authorization', `Bearer ${tokenFor('u-1')}`)
+      .send({})
+      .expect(503);
+  });
+
+  test('sem política configurada contas não confirmadas enviam convites', async () => {
+    store.users.push({ id: 'u-2', name: 'Bruno', email: 'bruno@exemplo.com', emailVerifiedAt: null });
+
+    await request(app)
+      .post('/api/sms/send-invite')
+      .set('Authorization', `Bearer ${tokenFor('u-2')}`)
+      .send({})
+      .expect(503);
+  });
+});
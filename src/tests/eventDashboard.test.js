@@ -0,0 +1,272 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const ioClient = require('socket.io-client');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const WebSocketNotificationProvider = require('../providers/WebSocketNotificationProvider');
+const EventDashboardStream = require('../services/EventDashboardStream');
+const { router: guestRoutes } = require('../routes/guest.routes');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+/**
+ * Prisma em memória com eventos, convidados e mensagens
+ */
+const createPrisma = store => createInMemoryPrisma(
+  { event: store.events, guest: store.guests, message: [] },
+  {
+    guest: {
+      idPrefix: 'g',
+      relations: { event: (guest, tables) => tables.event.find(event => event.id === guest.eventId) }
+    }
+  }
+);
+
+/**
+ * Conecta um cliente Socket.IO autenticado e aguarda a confirmação
+ */
+function connectClient(url, userId) {
+  const client = ioClient(url, {
+    transports: ['websocket'],
+    forceNew: true,
+    auth: { token: jwt.sign({ id: userId }, JWT_SECRET) }
+  });
+  return new Promise((resolve, reject) => {
+    client.once('authenticated', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+}
+
+/**
+ * Emite join_event e aguarda a resposta (event_joined ou event_error)
+ */
+function joinEvent(client, eventId) {
+  return new Promise((resolve) => {
+    client.once('event_joined', payload => resolve({ event: 'event_joined', payload }));
+    client.once('event_error', payload => resolve({ event: 'event_error', payload }));
+    client.emit('join_event', { eventId });
+  });
+}
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeoutMs) throw new Error('Tempo esgotado aguardando condição');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Painel ao vivo do evento via Socket.IO', () => {
+  let store;
+  let server;
+  let io;
+  let provider;
+  let app;
+  let url;
+  let clients;
+
+  const ownerToken = jwt.sign({ id: 'u-1' }, JWT_SECRET);
+
+  // Conecta um cliente e registra os event_update recebidos
+  const connect = async (userId) => {
+    const client = await connectClient(url, userId);
+    client.updates = [];
+    client.on('event_update', update => client.updates.push(update));
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    store = {
+      events: [
+        { id: 'e-1', userId: 'u-1', title: 'Casamento' },
+        { id: 'e-2', userId: 'u-2', title: 'Aniversário' }
+      ],
+      guests: [
+        { id: 'g-existing', name: 'Ana', status: 'pending', eventId: 'e-1', plusOne: false }
+      ]
+    };
+    const prisma = createPrisma(store);
+    const logger = createLogger();
+
+    server = http.createServer();
+    io = new Server(server);
+    const eventDashboard = new EventDashboardStream(prisma, io, logger, { importProgressEvery: 2 });
+    provider = new WebSocketNotificationProvider(io, logger, {
+      verifyToken: token => jwt.verify(token, JWT_SECRET),
+      eventDashboard
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = logger;
+      req.eventDashboard = eventDashboard;
+      next();
+    });
+    app.use('/api/guest', guestRoutes);
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+    clients = [];
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+    provider.stopPresenceRefresh();
+    io.close();
+  });
+
+  test('dono do evento entra na sala e recebe os contadores atuais', async () => {
+    const owner = await connect('u-1');
+
+    const joined = await joinEvent(owner, 'e-1');
+
+    expect(joined).toEqual({
+      event: 'event_joined',
+      payload: { eventId: 'e-1', stats: { guestsCount: 1, confirmedCount: 0, pendingCount: 1 } }
+    });
+  });
+
+  test('evento de outro usuário ou inexistente é recusado', async () => {
+    const intruder = await connect('u-2');
+
+    expect(await joinEvent(intruder, 'e-1')).toEqual({
+      event: 'event_error',
+      payload: { code: 'FORBIDDEN', eventId: 'e-1' }
+    });
+    expect(await joinEvent(intruder, 'e-404')).toEqual({
+      event: 'event_error',
+      payload: { code: 'FORBIDDEN', eventId: 'e-404' }
+    });
+  });
+
+  test('convidado criado chega apenas aos painéis do evento com os contadores recalculados', async () => {
+    const owner = await connect('u-1');
+    const other = await connect('u-2');
+    await joinEvent(owner, 'e-1');
+    await joinEvent(other, 'e-2');
+
+    await request(app)
+      .post('/api/guest')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Pedro', eventId: 'e-1', status: 'confirmed' })
+      .expect(201);
+
+    await waitFor(() => owner.updates.length === 1);
+    expect(owner.updates[0]).toMatchObject({
+      eventId: 'e-1',
+      type: 'guest.created',
+      data: { guest: { name: 'Pedro' } },
+      stats: { guestsCount: 2, confirmedCount: 1, pendingCount: 1 }
+    });
+    expect(other.updates).toEqual([]);
+  });
+
+  test('RSVP do convidado e exclusão atualizam o painel', async () => {
+    const owner = await connect('u-1');
+    await joinEvent(owner, 'e-1');
+
+    await request(app)
+      .put('/api/guest/g-existing/rsvp')
+      .send({ status: 'confirmed' })
+      .expect(200);
+    await waitFor(() => owner.updates.length === 1);
+
+    await request(app)
+      .delete('/api/guest/g-existing')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(204);
+    await waitFor(() => owner.updates.length === 2);
+
+    expect(owner.updates.map(({ type, stats }) => ({ type, stats }))).toEqual([
+      { type: 'guest.rsvp', stats: { guestsCount: 1, confirmedCount: 1, pendingCount: 0 } },
+      { type: 'guest.deleted', stats: { guestsCount: 0, confirmedCount: 0, pendingCount: 0 } }
+    ]);
+    expect(owner.updates[0].data).toMatchObject({ previousStatus: 'pending', guest: { status: 'confirmed' } });
+  });
+
+  test('importação de CSV publica o progresso e a conclusão', async () => {
+    const owner = await connect('u-1');
+    await joinEvent(owner, 'e-1');
+
+    const csv = 'nome\nBruno\nCarla\nDiego\nAna\nElisa\n';
+    await request(app)
+      .post('/api/guest/import-csv')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .field('eventId', 'e-1')
+      .field('mappings', JSON.stringify({ name: 'nome' }))
+      .attach('file', Buffer.from(csv), 'convidados.csv')
+      .expect(200);
+
+    await waitFor(() => owner.updates.some(update => update.type === 'import.completed'));
+    expect(owner.updates.map(({ type, data }) => [type, data.processed])).toEqual([
+      ['import.progress', 0],
+      ['import.progress', 2],
+      ['import.progress', 4],
+      ['import.completed', 5]
+    ]);
+    expect(owner.updates[3].data).toEqual({ processed: 5, total: 5, imported: 4, skipped: 1, errors: 0 });
+    expect(owner.updates[3].stats.guestsCount).toBe(5);
+  });
+
+  test('depois de leave_event o painel não recebe mais alterações', async () => {
+    const owner = await connect('u-1');
+    await joinEvent(owner, 'e-1');
+
+    await new Promise((resolve) => {
+      owner.once('event_left', resolve);
+      owner.emit('leave_event', { eventId: 'e-1' });
+    });
+    await request(app)
+      .post('/api/guest')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Pedro', eventId: 'e-1' })
+      .expect(201);
+    // Uma alteração publicada depois garante que a anterior já teria chegado
+    await joinEvent(owner, 'e-1');
+    await request(app)
+      .delete('/api/guest/g-existing')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(204);
+
+    await waitFor(() => owner.updates.length === 1);
+    expect(owner.updates.map(update => update.type)).toEqual(['guest.deleted']);
+  });
+});
+
+describe('EventDashboardStream', () => {
+  test('falha ao recalcular os contadores não interrompe quem publicou', async () => {
+    const logger = createLogger();
+    const io = { to: jest.fn() };
+    const prisma = { guest: { count: jest.fn().mockRejectedValue(new Error('banco indisponível')) } };
+    const stream = new EventDashboardStream(prisma, io, logger);
+
+    await expect(stream.publish('e-1', 'guest.created', {})).resolves.toBeUndefined();
+    expect(io.to).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('mensagem registrada é publicada com o status', async () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const prisma = { guest: { count: jest.fn().mockResolvedValue(3) } };
+    const stream = new EventDashboardStream(prisma, io, createLogger());
+
+    await stream.publishMessageStatus(
+      { id: 'g-1', eventId: 'e-1' },
+      { id: 'm-1', type: 'invite', status: 'failed', content: 'Olá' }
+    );
+
+    expect(io.to).toHaveBeenCalledWith('event:e-1');
+    expect(emit).toHaveBeenCalledWith('event_update', expect.objectContaining({
+      type: 'message.status',
+      data: { messageId: 'm-1', guestId: 'g-1', type: 'invite', status: 'failed' }
+    }));
+  });
+});
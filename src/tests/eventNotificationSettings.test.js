@@ -0,0 +1,186 @@
+const NotificationService = require('../services/NotificationService');
+const NotificationDigestJob = require('../services/NotificationDigestJob');
+const { mergePreferenceOverrides, applyEventOverride } = require('../services/notificationPreferences');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+describe('Exceções de notificação por evento', () => {
+  test('exceção guarda apenas os canais informados e null volta a herdar', () => {
+    const stored = { GUEST_CONFIRMED: { email: false, push: true } };
+
+    expect(mergePreferenceOverrides(stored, { GUEST_CONFIRMED: { push: null }, INVITE_SENT: { sms: true } })).toEqual({
+      GUEST_CONFIRMED: { email: false },
+      INVITE_SENT: { sms: true }
+    });
+    expect(mergePreferenceOverrides(stored, { GUEST_CONFIRMED: { email: null, push: null } })).toEqual({});
+  });
+
+  test('campos sem exceção herdam das configurações do usuário', () => {
+    const settings = {
+      userId: 'u-1',
+      digestFrequency: 'NONE',
+      preferences: { GUEST_CONFIRMED: { push: true } }
+    };
+
+    const effective = applyEventOverride(settings, {
+      muted: false,
+      digestFrequency: 'DAILY',
+      preferences: { GUEST_CONFIRMED: { websocket: false } }
+    });
+
+    expect(effective.digestFrequency).toBe('DAILY');
+    expect(effective.muted).toBe(false);
+    expect(effective.preferences.GUEST_CONFIRMED).toEqual({ email: true, websocket: false, push: true, sms: false, chat: false });
+
+    expect(applyEventOverride(settings, { muted: false, digestFrequency: null, preferences: null }).digestFrequency).toBe('NONE');
+    expect(applyEventOverride(settings, null)).toEqual({ ...settings, muted: false });
+  });
+});
+
+describe('NotificationService - configurações efetivas do evento', () => {
+  let prisma;
+  let service;
+  let email;
+  let websocket;
+
+  const guestConfirmed = {
+    userId: 'u-1',
+    eventId: 'e-1',
+    previousStatus: 'pending',
+    newStatus: 'confirmed',
+    guestName: 'Ana',
+    eventTitle: 'Convenção'
+  };
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      notificationSettings: {
+        findUnique: jest.fn().mockResolvedValue({ userId: 'u-1', digestFrequency: 'NONE', preferences: {} })
+      }
+    });
+    service = new NotificationService(prisma, createLogger());
+    email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    service.registerProvider('websocket', websocket);
+  });
+
+  test('sem exceção o evento segue as configurações do usuário', async () => {
+    await service.dispatch('guest.status.changed', guestConfirmed);
+
+    expect(prisma.eventNotificationSettings.findUnique).toHaveBeenCalledWith({ where: { eventId: 'e-1' } });
+    expect(email.send).toHaveBeenCalled();
+    expect(websocket.send).toHaveBeenCalled();
+  });
+
+  test('evento silenciado não gera notificação para o organizador', async () => {
+    prisma.eventNotificationSettings.findUnique.mockResolvedValue({ eventId: 'e-1', muted: true });
+
+    await service.dispatch('guest.status.changed', guestConfirmed);
+    await service.dispatch('event.updated', { userId: 'u-1', eventId: 'e-1', eventTitle: 'Convenção', changes: { location: {} } });
+
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  test('resumo diário do evento suprime os emails individuais apenas desse evento', async () => {
+    prisma.eventNotificationSettings.findUnique.mockImplementation(async ({ where }) => (
+      where.eventId === 'e-1' ? { eventId: 'e-1', muted: false, digestFrequency: 'DAILY', preferences: null } : null
+    ));
+
+    await service.dispatch('guest.status.changed', guestConfirmed);
+    expect(email.send).not.toHaveBeenCalled();
+    expect(websocket.send).toHaveBeenCalledTimes(1);
+
+    await service.dispatch('guest.status.changed', { ...guestConfirmed, eventId: 'e-2', eventTitle: 'Aniversário' });
+    expect(email.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('canais da exceção substituem os do usuário para o evento', async () => {
+    prisma.eventNotificationSettings.findUnique.mockResolvedValue({
+      eventId: 'e-1',
+      muted: false,
+      digestFrequency: null,
+      preferences: { GUEST_CONFIRMED: { email: false } }
+    });
+
+    await service.dispatch('guest.status.changed', guestConfirmed);
+
+    expect(email.send).not.toHaveBeenCalled();
+    expect(websocket.send).toHaveBeenCalled();
+  });
+});
+
+describe('NotificationDigestJob - exceções por evento', () => {
+  let prisma;
+  let job;
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      notificationSettings: {
+        findMany: jest.fn().mockResolvedValue([]),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      eventNotificationSettings: { findMany: jest.fn().mockResolvedValue([]) },
+      notification: {
+        findMany: jest.fn().mockResolvedValue([]),
+        create: jest.fn(async ({ data }) => ({ id: 'n-digest', ...data }))
+      },
+      event: { findMany: jest.fn().mockResolvedValue([]) }
+    });
+    const service = new NotificationService(prisma, createLogger());
+    job = new NotificationDigestJob(prisma, service, createLogger(), { digestHour: 8, weeklyDay: 1 });
+  });
+
+  test('frequência de envio é a menor entre usuário e eventos não silenciados', () => {
+    expect(job.getDigestFrequency({ digestFrequency: 'NONE' }, [])).toBe('NONE');
+    expect(job.getDigestFrequency({ digestFrequency: 'WEEKLY' }, [{ digestFrequency: 'DAILY', muted: false }])).toBe('DAILY');
+    expect(job.getDigestFrequency({ digestFrequency: 'NONE' }, [{ digestFrequency: 'DAILY', muted: true }])).toBe('NONE');
+    expect(job.getDigestFrequency({ digestFrequency: 'NONE' }, [{ digestFrequency: 'WEEKLY', muted: false }])).toBe('WEEKLY');
+  });
+
+  test('resumo inclui apenas eventos agrupados e ignora os silenciados', async () => {
+    prisma.notification.findMany.mockResolvedValue([
+      { type: 'GUEST_CONFIRMED', data: { eventId: 'e-1', guestName: 'Ana' } },
+      { type: 'GUEST_CONFIRMED', data: { eventId: 'e-2', guestName: 'Pedro' } },
+      { type: 'GUEST_DECLINED', data: { eventId: 'e-3', guestName: 'João' } }
+    ]);
+    prisma.event.findMany.mockResolvedValue([
+      { id: 'e-1', title: 'Convenção', date: new Date('2025-07-01T20:00:00Z'), location: null, _count: { guests: 400 } },
+      { id: 'e-2', title: 'Aniversário', date: new Date('2025-06-20T20:00:00Z'), location: null, _count: { guests: 3 } },
+      { id: 'e-3', title: 'Reunião', date: new Date('2025-06-25T20:00:00Z'), location: null, _count: { guests: 2 } }
+    ]);
+
+    const digest = await job.buildDigest('u-1', new Date('2025-06-15T00:00:00Z'), new Date('2025-06-16T00:00:00Z'), {
+      defaultFrequency: 'NONE',
+      overrides: [
+        { eventId: 'e-1', muted: false, digestFrequency: 'DAILY' },
+        { eventId: 'e-3', muted: true, digestFrequency: 'DAILY' }
+      ]
+    });
+
+    expect(digest.events.map(e => e.eventId)).toEqual(['e-1']);
+    expect(digest.upcomingEvents.map(e => e.eventId)).toEqual(['e-1']);
+    expect(digest.totals).toEqual({ confirmed: 1, declined: 0, invitesSent: 0, pending: 400 });
+  });
+
+  test('usuário sem resumo recebe o resumo diário de um evento com exceção', async () => {
+    prisma.notificationSettings.findMany.mockResolvedValue([
+      { id: 's-1', userId: 'u-1', digestFrequency: 'NONE', timezone: 'America/Sao_Paulo', lastDigestSentAt: null, preferences: {} }
+    ]);
+    prisma.eventNotificationSettings.findMany.mockResolvedValue([
+      { eventId: 'e-1', muted: false, digestFrequency: 'DAILY' }
+    ]);
+    prisma.notification.findMany.mockResolvedValue([
+      { type: 'GUEST_CONFIRMED', data: { eventId: 'e-1', guestName: 'Ana' } }
+    ]);
+    prisma.event.findMany.mockResolvedValue([
+      { id: 'e-1', title: 'Convenção', date: new Date('2025-07-01T20:00:00Z'), location: null, _count: { guests: 400 } }
+    ]);
+
+    // 12:00 UTC = 09:00 em São Paulo
+    expect(await job.processDueDigests(new Date('2025-06-16T12:00:00Z'))).toBe(1);
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'DIGEST', title: 'Resumo Diário' })
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const EventReminderScheduler = require('../services/EventReminderScheduler');
+const NotificationService = require('../services/NotificationService');
+const GuestMessenger = require('../services/GuestMessenger');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('EventReminderScheduler', () => {
+  let prisma;
+  let outbox;
+  let scheduler;
+  const now = new Date('2025-06-15T12:00:00Z');
+
+  beforeEach(() => {
+    prisma = {
+      event: { findMany: jest.fn().mockResolvedValue([]) },
+      notificationOutbox: {
+        findMany: jest.fn().mockResolvedValue([]),
+        create: jest.fn(async ({ data }) => ({ id: `outbox-${data.idempotencyKey}`, ...data }))
+      }
+    };
+    outbox = { wake: jest.fn() };
+    scheduler = new EventReminderScheduler(prisma, outbox, createLogger(), { offsets: '2h, 7d,1d' });
+  });
+
+  test('interpreta e ordena os intervalos configurados', () => {
+    expect(scheduler.offsets).toEqual([
+      { label: '2h', ms: 2 * HOUR },
+      { label: '1d', ms: DAY },
+      { label: '7d', ms: 7 * DAY }
+    ]);
+    expect(() => EventReminderScheduler.parseOffsets('1w')).toThrow('Intervalo de lembrete inválido: 1w');
+  });
+
+  test('escolhe apenas o menor intervalo já alcançado', () => {
+    expect(scheduler.getDueOffset(new Date(now.getTime() + 3 * DAY), now).label).toBe('7d');
+    expect(scheduler.getDueOffset(new Date(now.getTime() + 20 * HOUR), now).label).toBe('1d');
+    expect(scheduler.getDueOffset(new Date(now.getTime() + 90 * 60 * 1000), now).label).toBe('2h');
+    expect(scheduler.getDueOffset(new Date(now.getTime() - HOUR), now)).toBeNull();
+  });
+
+  test('grava o lembrete no outbox com chave por evento, intervalo e data', async () => {
+    const date = new Date(now.getTime() + 20 * HOUR);
+    prisma.event.findMany.mockResolvedValue([{ id: 'e-1', title: 'Casamento', date, userId: 'u-1' }]);
+
+    expect(await scheduler.processDueReminders(now)).toBe(1);
+
+    expect(prisma.notificationOutbox.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        eventType: 'event.reminder',
+        idempotencyKey: `event.reminder:e-1:1d:${date.getTime()}`,
+        payload: expect.objectContaining({ eventId: 'e-1', userId: 'u-1', reminderType: '1d' })
+      })
+    });
+    expect(outbox.wake).toHaveBeenCalled();
+  });
+
+  test('não duplica lembretes já gravados (restart ou outra instância)', async () => {
+    const date = new Date(now.getTime() + 20 * HOUR);
+    prisma.event.findMany.mockResolvedValue([{ id: 'e-1', title: 'Casamento', date, userId: 'u-1' }]);
+    prisma.notificationOutbox.findMany.mockResolvedValue([
+      { idempotencyKey: `event.reminder:e-1:1d:${date.getTime()}` }
+    ]);
+
+    expect(await scheduler.processDueReminders(now)).toBe(0);
+    expect(prisma.notificationOutbox.create).not.toHaveBeenCalled();
+
+    prisma.notificationOutbox.findMany.mockResolvedValue([]);
+    prisma.notificationOutbox.create.mockRejectedValueOnce(Object.assign(new Error('unique'), { code: 'P2002' }));
+
+    expect(await scheduler.processDueReminders(now)).toBe(0);
+    expect(outbox.wake).not.toHaveBeenCalled();
+  });
+
+  test('agenda lembretes individuais para convidados confirmados quando habilitado', async () => {
+    scheduler = new EventReminderScheduler(prisma, outbox, createLogger(), { offsets: '1d', notifyGuests: true });
+    const date = new Date(now.getTime() + 20 * HOUR);
+    prisma.event.findMany.mockResolvedValue([
+      { id: 'e-1', title: 'Casamento', date, userId: 'u-1', guests: [{ id: 'g-1' }, { id: 'g-2' }] }
+    ]);
+
+    expect(await scheduler.processDueReminders(now)).toBe(3);
+
+    expect(prisma.event.findMany.mock.calls[0][0].select.guests).toEqual({
+      where: { status: 'confirmed' },
+      select: { id: true }
+    });
+    expect(prisma.notificationOutbox.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        eventType: 'event.reminder.guest',
+        idempotencyKey: `event.reminder:e-1:1d:${date.getTime()}:guest:g-2`,
+        payload: expect.objectContaining({ guestId: 'g-2' })
+      })
+    });
+  });
+});
+
+describe('NotificationService - lembretes de evento', () => {
+  let prisma;
+  let service;
+  const eventDate = new Date(Date.now() + 20 * HOUR);
+  const event = { id: 'e-1', title: 'Casamento', date: eventDate, location: 'Salão', userId: 'u-1' };
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      event: { findUnique: jest.fn().mockResolvedValue(event) },
+      guest: {
+        count: jest.fn().mockResolvedValue(12),
+        findUnique: jest.fn()
+      },
+      message: { create: jest.fn(async ({ data }) => ({ id: 'm-1', ...data })) },
+      notificationSettings: {
+        findUnique: jest.fn().mockResolvedValue({
+          userId: 'u-1',
+          timezone: 'America/Sao_Paulo',
+          preferences: { EVENT_REMINDER: { email: true, websocket: false, push: false } }
+        })
+      }
+    });
+    service = new NotificationService(prisma, createLogger());
+  });
+
+  test('cria a notificação do organizador e envia pelos canais configurados', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+
+    await service.dispatch('event.reminder', {
+      eventId: 'e-1',
+      userId: 'u-1',
+      eventDate: eventDate.toISOString(),
+      reminderType: '1d',
+      idempotencyKey: 'event.reminder:e-1:1d'
+    });
+
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: 'EVENT_REMINDER',
+        message: 'O evento "Casamento" acontece em 20 horas',
+        idempotencyKey: 'event.reminder:e-1:1d'
+      })
+    });
+    expect(email.send).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'n-1' }),
+      expect.objectContaining({ eventLocation: 'Salão', confirmedCount: 12 })
+    );
+  });
+
+  test('ignora lembretes de eventos remarcados', async () => {
+    await service.dispatch('event.reminder', {
+      eventId: 'e-1',
+      userId: 'u-1',
+      eventDate: new Date(eventDate.getTime() - DAY).toISOString(),
+      reminderType: '1d'
+    });
+
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  test('envia o lembrete ao convidado por WhatsApp e registra a mensagem', async () => {
+    const sendWhatsApp = jest.fn().mockResolvedValue({ sid: 'wa-1' });
+    service.setGuestMessenger(new GuestMessenger(prisma, createLogger(), { sendWhatsApp }));
+    prisma.guest.findUnique.mockResolvedValue({
+      id: 'g-1', name: 'Ana', phone: '11999999999', whatsapp: true, eventId: 'e-1', status: 'confirmed'
+    });
+
+    await service.dispatch('event.reminder.guest', {
+      eventId: 'e-1',
+      guestId: 'g-1',
+      eventDate: eventDate.toISOString()
+    });
+
+    expect(sendWhatsApp).toHaveBeenCalledWith('11999999999', expect.stringContaining('Olá, Ana!'));
+    expect(prisma.message.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'reminder', status: 'sent', guestId: 'g-1' })
+    });
+  });
+
+  test('falha no envio ao convidado é propagada para nova tentativa do outbox', async () => {
+    const sendWhatsApp = jest.fn().mockRejectedValue(new Error('Instância não conectada'));
+    service.setGuestMessenger(new GuestMessenger(prisma, createLogger(), { sendWhatsApp }));
+    prisma.guest.findUnique.mockResolvedValue({
+      id: 'g-1', name: 'Ana', phone: '11999999999', whatsapp: true, eventId: 'e-1', status: 'confirmed'
+    });
+
+    await expect(service.dispatch('event.reminder.guest', {
+      eventId: 'e-1',
+      guestId: 'g-1'
+    })).rejects.toThrow('Instância não conectada');
+
+    expect(prisma.message.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ status: 'failed' })
+    });
+  });
+});
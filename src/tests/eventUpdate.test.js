@@ -0,0 +1,236 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const { diffEvent, hasGuestFacingChanges, pickGuestFacingChanges } = require('../services/eventChanges');
+const NotificationService = require('../services/NotificationService');
+const GuestMessenger = require('../services/GuestMessenger');
+const { router: eventRoutes } = require('../routes/event.routes');
+const { createLogger, createInMemoryPrisma, createNotificationPrisma } = require('./helpers');
+
+describe('diffEvent', () => {
+  const before = {
+    title: 'Casamento',
+    date: new Date('2025-07-01T20:00:00Z'),
+    location: 'Salão A',
+    description: '',
+    notes: null,
+    type: 'wedding',
+    image: null,
+    maxGuests: '100'
+  };
+
+  test('retorna apenas os campos alterados', () => {
+    const after = { ...before, date: new Date('2025-07-02T20:00:00Z'), location: 'Salão B', description: null };
+
+    expect(diffEvent(before, after)).toEqual({
+      date: { from: '2025-07-01T20:00:00.000Z', to: '2025-07-02T20:00:00.000Z' },
+      location: { from: 'Salão A', to: 'Salão B' }
+    });
+  });
+
+  test('identifica alterações relevantes para convidados', () => {
+    expect(hasGuestFacingChanges(diffEvent(before, { ...before, notes: 'Levar documento' }))).toBe(false);
+    expect(hasGuestFacingChanges(diffEvent(before, { ...before, location: 'Salão B' }))).toBe(true);
+  });
+
+  test('separa as alterações que podem ser enviadas aos convidados', () => {
+    const changes = diffEvent(before, { ...before, location: 'Salão B', notes: 'Senha do portão: 1234', maxGuests: '120' });
+
+    expect(pickGuestFacingChanges(changes)).toEqual({ location: { from: 'Salão A', to: 'Salão B' } });
+  });
+});
+
+describe('Rotas de eventos - outbox', () => {
+  let store;
+  let app;
+
+  beforeEach(() => {
+    store = {
+      events: [{
+        id: 'e-1',
+        userId: 'u-1',
+        title: 'Casamento',
+        date: new Date('2025-07-01T20:00:00Z'),
+        location: 'Salão A',
+        description: 'Festa',
+        notes: null,
+        type: 'wedding',
+        image: null,
+        maxGuests: '100'
+      }],
+      guests: [
+        { id: 'g-1', eventId: 'e-1', status: 'confirmed' },
+        { id: 'g-2', eventId: 'e-1', status: 'pending' },
+        { id: 'g-3', eventId: 'e-1', status: 'declined' }
+      ],
+      outbox: []
+    };
+    const prisma = createInMemoryPrisma({ event: store.events, guest: store.guests, notificationOutbox: store.outbox });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      req.notificationOutbox = { wake: jest.fn() };
+      next();
+    });
+    app.use('/api/events', eventRoutes);
+  });
+
+  test('criação grava event.created no outbox na mesma transação', async () => {
+    const { body } = await request(app)
+      .post('/api/events')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+      .send({ title: 'Aniversário', date: '2025-08-10T19:00:00.000Z', location: 'Casa', type: 'birthday' })
+      .expect(201);
+
+    expect(store.outbox).toEqual([expect.objectContaining({
+      eventType: 'event.created',
+      idempotencyKey: `event.created:${body.id}`,
+      payload: expect.objectContaining({ eventId: body.id, userId: 'u-1', eventTitle: 'Aniversário', eventLocation: 'Casa' })
+    })]);
+  });
+
+  test('aviso aos convidados leva apenas título, data e local', async () => {
+    await request(app)
+      .put('/api/events/e-1')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+      .send({
+        title: 'Casamento',
+        date: '2025-07-01T20:00:00.000Z',
+        location: 'Salão B',
+        description: 'Festa no salão novo',
+        notes: 'Senha do portão: 1234',
+        type: 'wedding',
+        maxGuests: '120',
+        notifyGuests: true
+      })
+      .expect(200);
+
+    const [organizer, ...guests] = store.outbox;
+    expect(Object.keys(organizer.payload.changes).sort()).toEqual(['description', 'location', 'maxGuests', 'notes']);
+    expect(guests.map(entry => entry.payload.guestId)).toEqual(['g-1', 'g-2']);
+    guests.forEach(entry => {
+      expect(entry.eventType).toBe('event.updated.guest');
+      expect(entry.payload.changes).toEqual({ location: { from: 'Salão A', to: 'Salão B' } });
+    });
+  });
+});
+
+describe('NotificationService - evento atualizado', () => {
+  let prisma;
+  let service;
+
+  const changes = {
+    date: { from: '2025-07-01T20:00:00.000Z', to: '2025-07-02T20:00:00.000Z' },
+    location: { from: 'Salão A', to: 'Salão B' },
+    notes: { from: null, to: 'Traje esporte fino' }
+  };
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      guest: { findUnique: jest.fn() },
+      message: { create: jest.fn(async ({ data }) => ({ id: 'm-1', ...data })) },
+      notificationSettings: {
+        findUnique: jest.fn().mockResolvedValue({ userId: 'u-1', timezone: 'America/Sao_Paulo' })
+      }
+    });
+    service = new NotificationService(prisma, createLogger());
+  });
+
+  test('cria EVENT_UPDATED para o organizador e envia em tempo real', async () => {
+    const websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('websocket', websocket);
+    service.registerProvider('email', email);
+
+    await service.dispatch('event.updated', {
+      eventId: 'e-1',
+      userId: 'u-1',
+      eventTitle: 'Casamento',
+      changes,
+      guestsNotified: 3,
+      idempotencyKey: 'event.updated:e-1:1'
+    });
+
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: 'EVENT_UPDATED',
+        message: 'O evento "Casamento" foi atualizado: data, local, observações. 3 convidados serão avisados',
+        data: expect.objectContaining({ changes, guestsNotified: 3 })
+      })
+    });
+    expect(websocket.send).toHaveBeenCalled();
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  test('descreve as alterações no fuso do organizador', () => {
+    expect(service.describeEventChanges(changes, 'America/Sao_Paulo')).toEqual([
+      '- Data: 02/07/2025, 17:00 (antes: 01/07/2025, 17:00)',
+      '- Local: Salão B (antes: Salão A)',
+      '- Observações: alterado'
+    ]);
+  });
+
+  test('avisa o convidado por email e registra a mensagem', async () => {
+    const emailProvider = { sendPlainEmail: jest.fn().mockResolvedValue({ success: true }) };
+    service.setGuestMessenger(new GuestMessenger(prisma, createLogger(), { emailProvider }));
+    prisma.guest.findUnique.mockResolvedValue({
+      id: 'g-1',
+      name: 'Ana',
+      email: 'ana@exemplo.com',
+      whatsapp: false,
+      status: 'pending',
+      eventId: 'e-1',
+      event: { title: 'Casamento', userId: 'u-1' }
+    });
+
+    await service.dispatch('event.updated.guest', { eventId: 'e-1', guestId: 'g-1', changes });
+
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledWith(
+      'ana@exemplo.com',
+      '📅 Alteração no evento: Casamento',
+      expect.stringContaining('- Local: Salão B (antes: Salão A)')
+    );
+    expect(prisma.message.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'update', status: 'sent', guestId: 'g-1' })
+    });
+  });
+
+  test('não avisa convidados que recusaram o convite', async () => {
+    const emailProvider = { sendPlainEmail: jest.fn() };
+    service.setGuestMessenger(new GuestMessenger(prisma, createLogger(), { emailProvider }));
+    prisma.guest.findUnique.mockResolvedValue({
+      id: 'g-2',
+      name: 'João',
+      email: 'joao@exemplo.com',
+      status: 'declined',
+      eventId: 'e-1',
+      event: { title: 'Casamento', userId: 'u-1' }
+    });
+
+    await service.dispatch('event.updated.guest', { eventId: 'e-1', guestId: 'g-2', changes });
+
+    expect(emailProvider.sendPlainEmail).not.toHaveBeenCalled();
+    expect(prisma.message.create).not.toHaveBeenCalled();
+  });
+
+  test('convidado sem contato não é reenviado', async () => {
+    service.setGuestMessenger(new GuestMessenger(prisma, createLogger(), {}));
+    prisma.guest.findUnique.mockResolvedValue({
+      id: 'g-3',
+      name: 'Pedro',
+      status: 'confirmed',
+      eventId: 'e-1',
+      event: { title: 'Casamento', userId: 'u-1' }
+    });
+
+    await expect(service.dispatch('event.updated.guest', { eventId: 'e-1', guestId: 'g-3', changes }))
+      .resolves.toBeUndefined();
+  });
+});
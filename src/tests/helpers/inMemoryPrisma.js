@@ -0,0 +1,228 @@
+/**
+ * Prisma em memória para os testes
+ * Cada tabela é um array alterado no lugar: o teste pode montar os dados e
+ * inspecionar o resultado direto no array. Cobre o subconjunto da API usado
+ * pelas rotas e serviços; operador desconhecido no where gera erro, para o
+ * teste não passar por acidente.
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  !(value instanceof Date) && !Array.isArray(value);
+
+const normalize = value => (value instanceof Date ? value.getTime() : value ?? null);
+
+const isEqual = (a, b) => normalize(a) === normalize(b);
+
+/**
+ * Lê um caminho dentro de um campo JSON (filtro { path, equals } do Prisma)
+ */
+const readPath = (value, path) => path.reduce((current, key) => current?.[key], value);
+
+function matchesCondition(value, condition) {
+  if (!isPlainObject(condition)) {
+    return isEqual(value, condition);
+  }
+
+  const { path, ...operators } = condition;
+  const target = path ? readPath(value, path) : value;
+
+  return Object.entries(operators).every(([operator, operand]) => {
+    if (operand === undefined) return true;
+    switch (operator) {
+      case 'equals': return isEqual(target, operand);
+      case 'not': return !matchesCondition(target, operand);
+      case 'in': return operand.some(item => isEqual(target, item));
+      case 'notIn': return !operand.some(item => isEqual(target, item));
+      case 'lt': return target != null && normalize(target) < normalize(operand);
+      case 'lte': return target != null && normalize(target) <= normalize(operand);
+      case 'gt': return target != null && normalize(target) > normalize(operand);
+      case 'gte': return target != null && normalize(target) >= normalize(operand);
+      case 'contains': return typeof target === 'string' && target.includes(operand);
+      case 'startsWith': return typeof target === 'string' && target.startsWith(operand);
+      case 'has': return Array.isArray(target) && target.includes(operand);
+      default: throw new Error(`Operador não suportado no Prisma em memória: ${operator}`);
+    }
+  });
+}
+
+function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (field === 'AND') return [].concat(condition).every(part => matchesWhere(row, part));
+    if (field === 'OR') return condition.some(part => matchesWhere(row, part));
+    if (field === 'NOT') return ![].concat(condition).some(part => matchesWhere(row, part));
+    // Chave única composta (ex.: userId_day_type_channel_status)
+    if (!(field in row) && field.includes('_') && isPlainObject(condition)) {
+      return matchesWhere(row, condition);
+    }
+    return matchesCondition(row[field], condition);
+  });
+}
+
+function compareBy(orderBy) {
+  const fields = [].concat(orderBy || []).flatMap(entry => Object.entries(entry));
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const left = normalize(a[field]);
+      const right = normalize(b[field]);
+      if (left === right) continue;
+      const result = left < right ? -1 : 1;
+      return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+}
+
+function applyData(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value) && 'increment' in value) row[field] = (row[field] || 0) + value.increment;
+    else if (isPlainObject(value) && 'decrement' in value) row[field] = (row[field] || 0) - value.decrement;
+    else if (isPlainObject(value) && 'set' in value) row[field] = value.set;
+    else row[field] = value;
+  }
+  return row;
+}
+
+const prismaError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Cria o cliente em memória
+ * @param {Object} tables - Arrays por modelo, com o nome do delegate ({ user: [...], guest: [...] })
+ * @param {Object} models - Opções por modelo
+ * @param {string[][]} models[].unique - Campos (ou combinações) únicos; violação gera P2002
+ * @param {Function} models[].defaults - () => valores padrão de create
+ * @param {Object} models[].relations - { nome: (row, tables) => valor } para include/select
+ * @param {string} models[].idPrefix - Prefixo dos IDs gerados (padrão: nome do modelo)
+ * @returns {Object} Cliente com os delegates (métodos jest.fn) e $transaction (com rollback em caso de erro)
+ */
+function createInMemoryPrisma(tables, models = {}) {
+  const client = {};
+
+  for (const [name, rows] of Object.entries(tables)) {
+    const config = models[name] || {};
+    const uniques = [['id'], ...(config.unique || []).map(fields => [].concat(fields))];
+    const relations = config.relations || {};
+    let sequence = rows.length;
+
+    // Relações só no primeiro nível; no relacionado, select escolhe os campos
+    const resolve = (row, relation, options) => {
+      const value = relations[relation](row, tables);
+      if (!value || !options?.select) return value;
+      const pick = item => Object.fromEntries(Object.keys(options.select).map(field => [field, item[field]]));
+      return Array.isArray(value) ? value.map(pick) : pick(value);
+    };
+
+    const shape = (row, { select, include } = {}) => {
+      if (select) {
+        return Object.fromEntries(Object.entries(select)
+          .filter(([, options]) => options)
+          .map(([field, options]) => [field, field in relations ? resolve(row, field, options) : row[field]]));
+      }
+      const result = { ...row };
+      for (const [relation, options] of Object.entries(include || {})) {
+        if (options) result[relation] = resolve(row, relation, options);
+      }
+      return result;
+    };
+
+    const assertUnique = (candidate, ignore) => {
+      for (const fields of uniques) {
+        if (fields.some(field => candidate[field] == null)) continue;
+        const duplicate = rows.some(row => row !== ignore && fields.every(field => isEqual(row[field], candidate[field])));
+        if (duplicate) {
+          throw prismaError('P2002', `Unique constraint failed on the fields: (${fields.join(', ')})`);
+        }
+      }
+    };
+
+    const findAll = ({ where, orderBy, skip = 0, take } = {}) => {
+      const found = rows.filter(row => matchesWhere(row, where)).sort(compareBy(orderBy));
+      return found.slice(skip, take === undefined ? undefined : skip + take);
+    };
+
+    const create = ({ data }) => {
+      const now = new Date();
+      const row = applyData({
+        id: `${config.idPrefix || name}-${++sequence}`,
+        createdAt: now,
+        updatedAt: now,
+        ...(config.defaults ? config.defaults() : {})
+      }, data);
+      assertUnique(row);
+      rows.push(row);
+      return row;
+    };
+
+    const update = (row, data) => {
+      const updated = applyData({ ...row, updatedAt: new Date() }, data);
+      assertUnique(updated, row);
+      return Object.assign(row, updated);
+    };
+
+    const remove = (row) => {
+      rows.splice(rows.indexOf(row), 1);
+    };
+
+    client[name] = {
+      findUnique: jest.fn(async (args) => {
+        const row = rows.find(item => matchesWhere(item, args.where));
+        return row ? shape(row, args) : null;
+      }),
+      findFirst: jest.fn(async (args = {}) => {
+        const [row] = findAll({ ...args, take: 1 });
+        return row ? shape(row, args) : null;
+      }),
+      findMany: jest.fn(async (args = {}) => findAll(args).map(row => shape(row, args))),
+      count: jest.fn(async ({ where } = {}) => findAll({ where }).length),
+      create: jest.fn(async (args) => shape(create(args), args)),
+      update: jest.fn(async (args) => {
+        const row = rows.find(item => matchesWhere(item, args.where));
+        if (!row) throw prismaError('P2025', 'Record to update not found.');
+        return shape(update(row, args.data), args);
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = findAll({ where });
+        matched.forEach(row => update(row, data));
+        return { count: matched.length };
+      }),
+      upsert: jest.fn(async (args) => {
+        const row = rows.find(item => matchesWhere(item, args.where));
+        return shape(row ? update(row, args.update) : create({ data: args.create }), args);
+      }),
+      delete: jest.fn(async (args) => {
+        const row = rows.find(item => matchesWhere(item, args.where));
+        if (!row) throw prismaError('P2025', 'Record to delete does not exist.');
+        remove(row);
+        return shape(row, args);
+      }),
+      deleteMany: jest.fn(async ({ where } = {}) => {
+        const matched = findAll({ where });
+        matched.forEach(remove);
+        return { count: matched.length };
+      })
+    };
+  }
+
+  // Como no banco, erro dentro da transação desfaz as escritas: as linhas
+  // voltam ao estado anterior (mantendo os objetos que o teste referencia)
+  client.$transaction = jest.fn(async (operation) => {
+    if (typeof operation !== 'function') return Promise.all(operation);
+
+    const snapshot = Object.entries(tables).map(([name, rows]) => [rows, rows.map(row => [row, { ...row }])]);
+    try {
+      return await operation(client);
+    } catch (error) {
+      for (const [rows, saved] of snapshot) {
+        rows.splice(0, rows.length, ...saved.map(([row, values]) => {
+          Object.keys(row).forEach((field) => { if (!(field in values)) delete row[field]; });
+          return Object.assign(row, values);
+        }));
+      }
+      throw error;
+    }
+  });
+  return client;
+}
+
+module.exports = { createInMemoryPrisma, matchesWhere };
@@ -0,0 +1,49 @@
+/**
+ * Utilitários compartilhados pelos testes (src/tests)
+ */
+const { createInMemoryPrisma } = require('./inMemoryPrisma');
+
+/**
+ * Logger silencioso com os métodos do winston usados pelo backend
+ */
+const createLogger = () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() });
+
+/**
+ * Prisma simulado com o que o NotificationService consulta a cada envio:
+ * sem configurações salvas e sem entregas anteriores. Os modelos informados
+ * substituem ou completam os padrões, método a método.
+ * @param {Object} models - Delegates adicionais ({ guest: { findUnique: jest.fn() } })
+ * @returns {Object} Cliente com métodos jest.fn
+ */
+function createNotificationPrisma(models = {}) {
+  const defaults = {
+    notification: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'n-1', ...data }))
+    },
+    notificationSettings: {
+      findUnique: jest.fn().mockResolvedValue(null)
+    },
+    eventNotificationSettings: {
+      findUnique: jest.fn().mockResolvedValue(null)
+    },
+    notificationDeliveryLog: {
+      findMany: jest.fn().mockResolvedValue([]),
+      create: jest.fn(async ({ data }) => ({ id: 'log-1', ...data })),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    }
+  };
+
+  const prisma = { ...defaults };
+  for (const [model, methods] of Object.entries(models)) {
+    prisma[model] = { ...defaults[model], ...methods };
+  }
+  return prisma;
+}
+
+module.exports = {
+  createLogger,
+  createInMemoryPrisma,
+  createNotificationPrisma
+};
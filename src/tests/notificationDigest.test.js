@@ -0,0 +1,155 @@
+const NotificationDigestJob = require('../services/NotificationDigestJob');
+const NotificationService = require('../services/NotificationService');
+const EmailNotificationProvider = require('../providers/EmailNotificationProvider');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+describe('NotificationDigestJob', () => {
+  let prisma;
+  let service;
+  let job;
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      notificationSettings: {
+        findMany: jest.fn().mockResolvedValue([]),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      notification: {
+        findMany: jest.fn().mockResolvedValue([]),
+        create: jest.fn(async ({ data }) => ({ id: 'n-digest', ...data }))
+      },
+      event: { findMany: jest.fn().mockResolvedValue([]) }
+    });
+    service = new NotificationService(prisma, createLogger());
+    job = new NotificationDigestJob(prisma, service, createLogger(), { digestHour: 8, weeklyDay: 1 });
+  });
+
+  test('resumo diário é devido uma vez por dia após o horário local', () => {
+    const settings = { digestFrequency: 'DAILY', timezone: 'America/Sao_Paulo', lastDigestSentAt: null };
+
+    // 10:00 UTC = 07:00 em São Paulo
+    expect(job.isDigestDue(settings, new Date('2025-06-16T10:00:00Z'))).toBe(false);
+    // 12:00 UTC = 09:00 em São Paulo
+    expect(job.isDigestDue(settings, new Date('2025-06-16T12:00:00Z'))).toBe(true);
+
+    settings.lastDigestSentAt = new Date('2025-06-16T11:05:00Z');
+    expect(job.isDigestDue(settings, new Date('2025-06-16T20:00:00Z'))).toBe(false);
+    expect(job.isDigestDue(settings, new Date('2025-06-17T11:05:00Z'))).toBe(true);
+  });
+
+  test('resumo semanal só é devido no dia configurado, no fuso do usuário', () => {
+    const settings = { digestFrequency: 'WEEKLY', timezone: 'Asia/Tokyo', lastDigestSentAt: null };
+
+    // Domingo 2025-06-15 23:30 UTC = segunda 08:30 em Tóquio
+    expect(job.isDigestDue(settings, new Date('2025-06-15T23:30:00Z'))).toBe(true);
+    // Segunda 2025-06-16 23:30 UTC = terça em Tóquio
+    expect(job.isDigestDue(settings, new Date('2025-06-16T23:30:00Z'))).toBe(false);
+  });
+
+  test('agrega confirmações, recusas e pendentes por evento', async () => {
+    prisma.notification.findMany.mockResolvedValue([
+      { type: 'GUEST_CONFIRMED', data: { eventId: 'e-1', guestName: 'Ana' } },
+      { type: 'GUEST_CONFIRMED', data: { eventId: 'e-1', guestName: 'Pedro' } },
+      { type: 'GUEST_DECLINED', data: { eventId: 'e-1', guestName: 'João' } },
+      { type: 'INVITE_SENT', data: { eventId: 'e-1', inviteCount: 10 } }
+    ]);
+    prisma.event.findMany.mockResolvedValue([
+      { id: 'e-1', title: 'Casamento', date: new Date('2025-07-01T20:00:00Z'), location: 'Salão', _count: { guests: 5 } },
+      { id: 'e-2', title: 'Aniversário', date: new Date('2025-06-20T20:00:00Z'), location: null, _count: { guests: 3 } }
+    ]);
+
+    const digest = await job.buildDigest('u-1', new Date('2025-06-15T00:00:00Z'), new Date('2025-06-16T00:00:00Z'));
+
+    expect(digest.totals).toEqual({ confirmed: 2, declined: 1, invitesSent: 10, pending: 8 });
+    expect(digest.events).toHaveLength(1);
+    expect(digest.events[0]).toEqual(expect.objectContaining({
+      eventId: 'e-1',
+      confirmed: ['Ana', 'Pedro'],
+      declined: ['João'],
+      pendingCount: 5
+    }));
+    expect(digest.upcomingEvents.map(e => e.eventId)).toEqual(['e-1', 'e-2']);
+  });
+
+  test('envia o resumo por email e não repete quando outra execução já reservou', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    prisma.event.findMany.mockResolvedValue([
+      { id: 'e-2', title: 'Aniversário', date: new Date(Date.now() + 86400000), location: null, _count: { guests: 3 } }
+    ]);
+
+    const settings = { id: 's-1', userId: 'u-1', digestFrequency: 'DAILY', timezone: 'America/Sao_Paulo', lastDigestSentAt: null };
+
+    expect(await job.sendDigest(settings, new Date())).toBe(true);
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'DIGEST', userId: 'u-1' })
+    });
+    expect(email.send).toHaveBeenCalledTimes(1);
+    expect(prisma.notificationDeliveryLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ channel: 'EMAIL', notificationId: 'n-digest' })
+    });
+
+    prisma.notificationSettings.updateMany.mockResolvedValueOnce({ count: 0 });
+    expect(await job.sendDigest(settings, new Date())).toBe(false);
+    expect(email.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('falha ao montar o resumo devolve a reserva do período', async () => {
+    const lastDigestSentAt = new Date('2025-06-15T11:00:00Z');
+    const now = new Date('2025-06-16T11:00:00Z');
+    const settings = { id: 's-1', userId: 'u-1', digestFrequency: 'DAILY', timezone: 'America/Sao_Paulo', lastDigestSentAt };
+    prisma.notification.findMany.mockRejectedValueOnce(new Error('conexão perdida'));
+
+    await expect(job.sendDigest(settings, now)).rejects.toThrow('conexão perdida');
+
+    expect(prisma.notificationSettings.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 's-1', lastDigestSentAt: now },
+      data: { lastDigestSentAt }
+    });
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  test('suprime emails individuais de tipos agrupados no resumo', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    const websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    service.registerProvider('websocket', websocket);
+
+    await service.sendNotificationThroughChannels(
+      { id: 'n-1', type: 'GUEST_CONFIRMED' },
+      ['email', 'websocket'],
+      {},
+      { settings: { digestFrequency: 'DAILY' } }
+    );
+
+    expect(email.send).not.toHaveBeenCalled();
+    expect(websocket.send).toHaveBeenCalled();
+  });
+});
+
+describe('EmailNotificationProvider - resumo', () => {
+  test('renderiza o resumo escapando nomes de convidados', () => {
+    const provider = new EmailNotificationProvider({
+      smtp: {},
+      fromName: 'Teste',
+      fromEmail: 'test@test.com',
+      frontendUrl: 'http://localhost:3000'
+    }, createLogger());
+
+    const variables = provider.getDigestVariables({
+      digestFrequency: 'WEEKLY',
+      periodStart: '2025-06-09T00:00:00.000Z',
+      periodEnd: '2025-06-16T00:00:00.000Z',
+      totals: { confirmed: 1, declined: 0, pending: 4 },
+      events: [{ eventTitle: 'Casamento', eventDate: '2025-07-01T20:00:00.000Z', confirmed: ['<b>Ana</b>'], declined: [], invitesSent: 0, pendingCount: 4 }],
+      upcomingEvents: []
+    });
+
+    const html = provider.renderTemplate(provider.templates.DIGEST.template, 'pt-BR', variables);
+
+    expect(variables.digestTitle).toBe('Resumo Semanal');
+    expect(html).toContain('Casamento');
+    expect(html).toContain('&lt;b&gt;Ana&lt;/b&gt;');
+    expect(html).not.toContain('<b>Ana</b>');
+  });
+});
@@ -0,0 +1,178 @@
+const NotificationService = require('../services/NotificationService');
+const EmailNotificationProvider = require('../providers/EmailNotificationProvider');
+
+const { createLogger, createInMemoryPrisma, createNotificationPrisma } = require('./helpers');
+
+describe('NotificationService - agrupamento de respostas de convidados', () => {
+  let store;
+  let prisma;
+  let service;
+  let email;
+  let websocket;
+  let settings;
+
+  /**
+   * Prisma em memória com o necessário para o agrupamento
+   */
+  const createPrisma = () => {
+    const { notification } = createInMemoryPrisma(
+      { notification: store.notifications },
+      { notification: { idPrefix: 'n', defaults: () => ({ read: false }) } }
+    );
+    return createNotificationPrisma({
+      notification,
+      notificationSettings: { findUnique: jest.fn(async () => settings) }
+    });
+  };
+
+  const statusChange = (guestId, guestName, newStatus = 'confirmed', previousStatus = 'pending') => ({
+    userId: 'u-1',
+    eventId: 'e-1',
+    guestId,
+    guestName,
+    previousStatus,
+    newStatus,
+    eventTitle: 'Casamento Ana & Pedro'
+  });
+
+  // Cada resposta chega 30 segundos após a anterior
+  const respond = async (change) => {
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    await service.dispatch('guest.status.changed', change);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-06-15T15:00:00Z') });
+    store = { notifications: [] };
+    settings = { userId: 'u-1', digestFrequency: 'NONE', preferences: {}, groupingWindowMinutes: 5 };
+    prisma = createPrisma();
+    service = new NotificationService(prisma, createLogger());
+    email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    service.registerProvider('websocket', websocket);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('respostas dentro da janela formam uma única notificação agregada', async () => {
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-2', 'Pedro'));
+    await respond(statusChange('g-3', 'João'));
+    await respond(statusChange('g-4', 'Maria'));
+
+    expect(store.notifications).toHaveLength(1);
+    const [group] = store.notifications;
+    expect(group.groupKey).toBe('GUEST_CONFIRMED:e-1');
+    expect(group.title).toBe('Confirmações de Presença');
+    expect(group.message).toBe('4 convidados confirmaram presença no evento "Casamento Ana & Pedro"');
+    expect(group.data.guestCount).toBe(4);
+    expect(group.data.guestName).toBe('Ana, Pedro, João e mais 1');
+    expect(group.data.guests.map(guest => guest.guestId)).toEqual(['g-1', 'g-2', 'g-3', 'g-4']);
+
+    // Websocket atualiza a mesma notificação a cada resposta
+    expect(websocket.send).toHaveBeenCalledTimes(4);
+    expect(websocket.send.mock.calls.every(([notification]) => notification.id === group.id)).toBe(true);
+  });
+
+  test('email é agendado para o fim da janela e sai uma única vez', async () => {
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-2', 'Pedro'));
+
+    expect(email.send).not.toHaveBeenCalled();
+    const scheduled = prisma.notificationDeliveryLog.create.mock.calls
+      .map(([{ data }]) => data)
+      .filter(data => data.status === 'SCHEDULED');
+    expect(scheduled).toEqual([
+      expect.objectContaining({ channel: 'EMAIL', notificationId: 'n-1' })
+    ]);
+    expect(scheduled[0].nextAttemptAt.getTime() - store.notifications[0].createdAt.getTime()).toBe(5 * 60 * 1000);
+  });
+
+  test('tipos diferentes e eventos diferentes não são agrupados', async () => {
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-2', 'Pedro', 'declined'));
+    await respond({ ...statusChange('g-3', 'João'), eventId: 'e-2' });
+
+    expect(store.notifications.map(n => n.groupKey)).toEqual([
+      'GUEST_CONFIRMED:e-1',
+      'GUEST_DECLINED:e-1',
+      'GUEST_CONFIRMED:e-2'
+    ]);
+  });
+
+  test('mudança de status repetida é descartada', async () => {
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-1', 'Ana'));
+
+    expect(store.notifications).toHaveLength(1);
+    expect(store.notifications[0].data.guestCount).toBe(1);
+    expect(websocket.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('nova resposta do mesmo convidado não é duplicata', async () => {
+    settings.groupingWindowMinutes = 0;
+
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-1', 'Ana', 'declined', 'confirmed'));
+    await respond(statusChange('g-1', 'Ana', 'confirmed', 'declined'));
+
+    expect(store.notifications.map(n => n.type)).toEqual(['GUEST_CONFIRMED', 'GUEST_DECLINED', 'GUEST_CONFIRMED']);
+  });
+
+  test('janela zerada mantém uma notificação e um email por resposta', async () => {
+    settings.groupingWindowMinutes = 0;
+
+    await respond(statusChange('g-1', 'Ana'));
+    await respond(statusChange('g-2', 'Pedro'));
+
+    expect(store.notifications).toHaveLength(2);
+    expect(store.notifications[1].message).toBe('Pedro confirmou presença no evento "Casamento Ana & Pedro"');
+    expect(prisma.notification.findFirst).not.toHaveBeenCalled();
+    expect(email.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('grupo alterado em paralelo é relido antes de atualizar', async () => {
+    await respond(statusChange('g-1', 'Ana'));
+    prisma.notification.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await respond(statusChange('g-2', 'Pedro'));
+
+    expect(prisma.notification.updateMany).toHaveBeenCalledTimes(2);
+    expect(store.notifications).toHaveLength(1);
+    expect(store.notifications[0].data.guestName).toBe('Ana e Pedro');
+  });
+});
+
+describe('EmailNotificationProvider - notificação agrupada', () => {
+  test('usa a mensagem no plural com a quantidade de convidados', async () => {
+    const userRepository = {
+      findNotificationRecipient: jest.fn().mockResolvedValue({
+        id: 'u-1',
+        name: 'Ana',
+        email: 'ana@exemplo.com',
+        emailNotifications: true,
+        language: 'pt-BR',
+        timezone: 'America/Sao_Paulo'
+      })
+    };
+    const provider = new EmailNotificationProvider({
+      smtp: {},
+      fromName: 'Convite Certo',
+      fromEmail: 'noreply@convitecerto.online',
+      frontendUrl: 'http://localhost:3000'
+    }, createLogger(), { userRepository });
+    provider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'msg-1' }) };
+
+    await provider.send(
+      { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' },
+      { guestName: 'Ana, Pedro, João e mais 9', guestCount: 12, eventTitle: 'Casamento', eventId: 'e-1' }
+    );
+
+    const { html } = provider.transporter.sendMail.mock.calls[0][0];
+    expect(html).toContain('<strong>12 convidados</strong> confirmaram presença no seu evento: Ana, Pedro, João e mais 9.');
+    expect(html).not.toMatch(/{{[^}]+}}/);
+  });
+});
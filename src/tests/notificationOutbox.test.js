@@ -0,0 +1,343 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const NotificationOutboxWorker = require('../services/NotificationOutboxWorker');
+const NotificationService = require('../services/NotificationService');
+const { router: whatsappRoutes } = require('../routes/whatsapp.routes');
+const { router: smsRoutes } = require('../routes/sms.routes');
+const { createLogger, createInMemoryPrisma, createNotificationPrisma } = require('./helpers');
+
+// Evolution API com a instância conectada (usada pelo envio de convites via WhatsApp)
+jest.mock('axios', () => ({
+  create: () => ({
+    get: jest.fn().mockResolvedValue({ data: [{ name: 'myinstance', connectionStatus: 'open' }] }),
+    post: jest.fn().mockResolvedValue({ data: { key: { id: 'evo-1' }, status: 'sent' } })
+  })
+}));
+
+describe('NotificationOutboxWorker', () => {
+  let prisma;
+  let notificationService;
+  let worker;
+
+  beforeEach(() => {
+    prisma = {
+      $queryRaw: jest.fn(),
+      notificationOutbox: {
+        create: jest.fn(async ({ data }) => ({ id: 'outbox-1', ...data })),
+        update: jest.fn(async ({ data }) => data)
+      }
+    };
+    notificationService = { dispatch: jest.fn().mockResolvedValue() };
+    worker = new NotificationOutboxWorker(prisma, notificationService, createLogger(), {
+      batchSize: 2,
+      maxAttempts: 3
+    });
+  });
+
+  test('enqueue grava o evento com a chave de idempotência no cliente da transação', async () => {
+    const tx = { notificationOutbox: { create: jest.fn(async ({ data }) => data) } };
+
+    const entry = await NotificationOutboxWorker.enqueue(tx, 'guest.status.changed', { guestId: 'g-1' }, 'chave-1');
+
+    expect(tx.notificationOutbox.create).toHaveBeenCalled();
+    expect(entry.eventType).toBe('guest.status.changed');
+    expect(entry.idempotencyKey).toBe('chave-1');
+    expect(entry.payload.guestId).toBe('g-1');
+    expect(entry.payload.timestamp).toBeDefined();
+  });
+
+  test('entrega o evento ao NotificationService e marca como PROCESSED', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ id: 'o-1', eventType: 'guest.status.changed', payload: { guestId: 'g-1' }, idempotencyKey: 'k-1', attempts: 1 }])
+      .mockResolvedValueOnce([]);
+
+    const processed = await worker.wake();
+
+    expect(processed).toBe(1);
+    expect(notificationService.dispatch).toHaveBeenCalledWith('guest.status.changed', {
+      guestId: 'g-1',
+      idempotencyKey: 'k-1'
+    });
+    expect(prisma.notificationOutbox.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'o-1' },
+      data: expect.objectContaining({ status: 'PROCESSED' })
+    }));
+  });
+
+  test('devolve o evento para PENDING com backoff quando o handler falha', async () => {
+    notificationService.dispatch.mockRejectedValueOnce(new Error('banco indisponível'));
+
+    await worker.processEntry({ id: 'o-2', eventType: 'invite.sent', payload: {}, idempotencyKey: 'k-2', attempts: 1 });
+
+    const { data } = prisma.notificationOutbox.update.mock.calls[0][0];
+    expect(data.status).toBe('PENDING');
+    expect(data.lastError).toBe('banco indisponível');
+    expect(data.availableAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('marca o evento como FAILED ao esgotar as tentativas', async () => {
+    notificationService.dispatch.mockRejectedValueOnce(new Error('erro permanente'));
+
+    await worker.processEntry({ id: 'o-3', eventType: 'invite.sent', payload: {}, idempotencyKey: 'k-3', attempts: 3 });
+
+    expect(prisma.notificationOutbox.update.mock.calls[0][0].data.status).toBe('FAILED');
+  });
+
+  test('chamadas simultâneas de wake reaproveitam a mesma varredura', async () => {
+    prisma.$queryRaw.mockResolvedValue([]);
+
+    await Promise.all([worker.wake(), worker.wake(), worker.wake()]);
+
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('NotificationService - idempotência', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      notification: {
+        create: jest.fn(async ({ data }) => ({ id: 'n-novo', ...data }))
+      }
+    });
+    service = new NotificationService(prisma, createLogger());
+  });
+
+  test('reaproveita a notificação existente para a mesma chave', async () => {
+    prisma.notification.findUnique.mockResolvedValue({ id: 'n-existente', idempotencyKey: 'k-1' });
+
+    const notification = await service.createNotification({
+      userId: 'u-1',
+      type: 'GUEST_CONFIRMED',
+      title: 'Convite Confirmado',
+      message: 'Teste',
+      idempotencyKey: 'k-1'
+    });
+
+    expect(notification.id).toBe('n-existente');
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  test('não reenvia por canais já entregues', async () => {
+    const provider = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', provider);
+    service.registerProvider('websocket', provider);
+    prisma.notificationDeliveryLog.findMany.mockResolvedValue([{ channel: 'EMAIL' }]);
+
+    await service.sendNotificationThroughChannels({ id: 'n-1' }, ['email', 'websocket'], {});
+
+    expect(provider.send).toHaveBeenCalledTimes(1);
+    expect(prisma.notificationDeliveryLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ channel: 'WEBSOCKET' })
+    });
+  });
+
+  test('dispatch propaga erros para o outbox', async () => {
+    await expect(service.dispatch('evento.inexistente', {})).rejects.toThrow('Handler não encontrado');
+  });
+});
+
+describe('Resposta de RSVP pelo WhatsApp', () => {
+  let store;
+  let prisma;
+  let app;
+  let notificationOutbox;
+
+  const reply = text => request(app)
+    .post('/api/whatsapp/webhook')
+    .send({
+      event: 'messages.upsert',
+      data: { key: { remoteJid: '5511987654321@s.whatsapp.net' }, message: { conversation: text } }
+    })
+    .expect(200);
+
+  beforeEach(() => {
+    store = {
+      events: [{ id: 'e-1', userId: 'u-1', title: 'Casamento', date: new Date('2025-09-20T18:00:00Z'), location: 'Salão' }],
+      guests: [{ id: 'g-1', name: 'Ana', phone: '11987654321', status: 'pending', eventId: 'e-1', plusOne: false, plusOneName: null }],
+      outbox: []
+    };
+    prisma = createInMemoryPrisma(
+      { event: store.events, guest: store.guests, message: [], notificationOutbox: store.outbox },
+      {
+        guest: { relations: { event: (guest, tables) => tables.event.find(event => event.id === guest.eventId) } },
+        notificationOutbox: { unique: ['idempotencyKey'] }
+      }
+    );
+    notificationOutbox = { wake: jest.fn() };
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      req.notificationOutbox = notificationOutbox;
+      next();
+    });
+    app.use('/api/whatsapp', whatsappRoutes);
+  });
+
+  test('grava guest.status.changed no outbox na mesma transação e acorda o worker', async () => {
+    await reply('Sim, vou!');
+
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(store.guests[0].status).toBe('confirmed');
+    expect(store.outbox).toHaveLength(1);
+    expect(store.outbox[0]).toMatchObject({
+      eventType: 'guest.status.changed',
+      payload: {
+        guestId: 'g-1',
+        eventId: 'e-1',
+        userId: 'u-1',
+        previousStatus: 'pending',
+        newStatus: 'confirmed',
+        guestName: 'Ana',
+        eventTitle: 'Casamento'
+      }
+    });
+    expect(notificationOutbox.wake).toHaveBeenCalledTimes(1);
+  });
+
+  test('falha ao gravar no outbox desfaz a resposta e a mudança de status', async () => {
+    prisma.notificationOutbox.create.mockRejectedValueOnce(new Error('conexão perdida'));
+
+    await reply('Sim, vou!');
+
+    expect(store.guests[0].status).toBe('pending');
+    expect(store.outbox).toHaveLength(0);
+    expect(await prisma.message.count()).toBe(0);
+    expect(notificationOutbox.wake).not.toHaveBeenCalled();
+
+    // Uma nova resposta do convidado é gravada normalmente
+    await reply('Sim, vou!');
+    expect(store.guests[0].status).toBe('confirmed');
+    expect(store.outbox).toHaveLength(1);
+  });
+
+  test('resposta repetida ou não interpretada não gera notificação', async () => {
+    await reply('sim');
+    await reply('Sim, confirmado');
+    await reply('Qual o endereço?');
+
+    expect(store.outbox).toHaveLength(1);
+    expect(notificationOutbox.wake).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Convite enviado', () => {
+  let outbox;
+  let prisma;
+  let app;
+  let smsProvider;
+  let notificationOutbox;
+
+  const JWT_SECRET = 'segredo-de-teste';
+  const sendInvite = (channel, guestId = 'g-1') => request(app)
+    .post(`/api/${channel}/send-invite`)
+    .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+    .send({ guestId, message: 'Você está convidado!', inviteLink: 'https://convitecerto.online/i/abc' });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = JWT_SECRET;
+    outbox = [];
+    const events = [{ id: 'e-1', userId: 'u-1', title: 'Casamento', date: new Date('2025-09-20T18:00:00Z') }];
+    prisma = createInMemoryPrisma(
+      {
+        event: events,
+        guest: [
+          { id: 'g-1', name: 'Ana', phone: '11987654321', status: 'pending', eventId: 'e-1' },
+          { id: 'g-2', name: 'Pedro', phone: '11912345678', status: 'pending', eventId: 'e-1' },
+          { id: 'g-3', name: 'Maria', phone: null, status: 'pending', eventId: 'e-1' }
+        ],
+        message: [],
+        notificationOutbox: outbox
+      },
+      {
+        guest: { relations: { event: (guest, tables) => tables.event.find(event => event.id === guest.eventId) } },
+        message: { idPrefix: 'm' },
+        notificationOutbox: { unique: ['idempotencyKey'] }
+      }
+    );
+    smsProvider = { sendText: jest.fn().mockResolvedValue({ success: true, parts: 1, cost: 0.1 }) };
+    notificationOutbox = { wake: jest.fn() };
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      req.emailVerification = { canSendInvites: jest.fn().mockResolvedValue(true) };
+      req.smsProvider = smsProvider;
+      req.notificationOutbox = notificationOutbox;
+      next();
+    });
+    app.use('/api/whatsapp', whatsappRoutes);
+    app.use('/api/sms', smsRoutes);
+  });
+
+  test.each(['whatsapp', 'sms'])('convite por %s grava invite.sent no outbox e acorda o worker', async (channel) => {
+    const { body } = await sendInvite(channel).expect(200);
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({
+      eventType: 'invite.sent',
+      idempotencyKey: `invite.sent:${body.messageId}`,
+      payload: {
+        inviteId: body.messageId,
+        eventId: 'e-1',
+        userId: 'u-1',
+        guestId: 'g-1',
+        guestName: 'Ana',
+        eventTitle: 'Casamento',
+        channel,
+        inviteCount: 1
+      }
+    });
+    expect(notificationOutbox.wake).toHaveBeenCalledTimes(1);
+  });
+
+  test('envio em massa grava um invite.sent por convidado', async () => {
+    const { body } = await request(app)
+      .post('/api/whatsapp/send-bulk')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+      .send({ eventId: 'e-1', message: 'Você está convidado!' })
+      .expect(200);
+
+    expect(body.totalSent).toBe(2);
+    expect(outbox.map(entry => entry.idempotencyKey)).toEqual(body.results.map(r => `invite.sent:${r.messageId}`));
+    expect(outbox.map(entry => entry.payload)).toEqual([
+      expect.objectContaining({ guestId: 'g-1', guestName: 'Ana', eventId: 'e-1', userId: 'u-1', channel: 'whatsapp', inviteCount: 1 }),
+      expect.objectContaining({ guestId: 'g-2', guestName: 'Pedro', eventId: 'e-1', userId: 'u-1', channel: 'whatsapp', inviteCount: 1 })
+    ]);
+    expect(notificationOutbox.wake).toHaveBeenCalledTimes(1);
+  });
+
+  test('SMS recusado pelo gateway ou lembrete não geram invite.sent', async () => {
+    smsProvider.sendText.mockResolvedValueOnce({ success: false, retryable: true, error: 'timeout' });
+    await sendInvite('sms').expect(502);
+    await request(app)
+      .post('/api/sms/send-reminder')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+      .send({ guestId: 'g-1', message: 'Faltam 3 dias!' })
+      .expect(200);
+
+    expect(outbox).toHaveLength(0);
+    expect(notificationOutbox.wake).not.toHaveBeenCalled();
+  });
+
+  test('assinantes de webhook recebem invite.sent quando o outbox processa o evento', async () => {
+    const handleEvent = jest.fn();
+    const service = new NotificationService(createNotificationPrisma({
+      notificationSettings: { create: jest.fn(async ({ data }) => data) }
+    }), createLogger());
+    service.registerProvider('webhook', { handleEvent });
+
+    await sendInvite('whatsapp').expect(200);
+    await service.dispatch(outbox[0].eventType, { ...outbox[0].payload, idempotencyKey: outbox[0].idempotencyKey });
+
+    expect(handleEvent).toHaveBeenCalledWith('invite.sent', expect.objectContaining({ guestId: 'g-1', channel: 'whatsapp' }));
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  normalizePreferences,
+  mergePreferences,
+  getEnabledChannels
+} = require('../services/notificationPreferences');
+const NotificationService = require('../services/NotificationService');
+const { router: notificationRoutes } = require('../routes/notification.routes');
+const { createLogger, createInMemoryPrisma, createNotificationPrisma } = require('./helpers');
+
+describe('Matriz de preferências de notificação', () => {
+  test('cobre todos os valores do enum NotificationType do schema', () => {
+    const schema = fs.readFileSync(path.join(__dirname, '../../prisma/schema.prisma'), 'utf8');
+    const [, body] = schema.match(/enum NotificationType \{([^}]*)\}/);
+    const enumValues = body.split('\n').map(line => line.trim()).filter(Boolean);
+
+    expect(NOTIFICATION_TYPES.slice().sort()).toEqual(enumValues.sort());
+    expect(Object.keys(normalizePreferences({})).sort()).toEqual(enumValues.sort());
+  });
+
+  test('usa os valores do enum do client gerado quando disponível', () => {
+    jest.isolateModules(() => {
+      jest.doMock('@prisma/client', () => ({
+        $Enums: { NotificationType: { GUEST_CONFIRMED: 'GUEST_CONFIRMED', NOVO_TIPO: 'NOVO_TIPO' } }
+      }));
+      const preferences = require('../services/notificationPreferences');
+
+      expect(preferences.NOTIFICATION_TYPES).toEqual(['GUEST_CONFIRMED', 'NOVO_TIPO']);
+      expect(preferences.normalizePreferences({}).NOVO_TIPO).toEqual(
+        { email: false, websocket: true, push: false, sms: false, chat: false }
+      );
+    });
+    jest.dontMock('@prisma/client');
+  });
+
+  test('preenche tipos e canais ausentes com os padrões', () => {
+    const preferences = normalizePreferences({
+      GUEST_CONFIRMED: { email: false, websocket: true, push: false },
+      INVITE_SENT: { sms: 'sim' }
+    });
+
+    expect(preferences.GUEST_CONFIRMED).toEqual({ email: false, websocket: true, push: false, sms: false, chat: false });
+    expect(preferences.INVITE_SENT.sms).toBe(false);
+    expect(preferences.EVENT_REMINDER).toEqual({ email: true, websocket: false, push: true, sms: false, chat: false });
+    Object.values(preferences).forEach((channels) => {
+      expect(Object.keys(channels)).toEqual(NOTIFICATION_CHANNELS);
+    });
+  });
+
+  test('alteração parcial muda apenas os tipos e canais informados', () => {
+    const stored = { GUEST_DECLINED: { email: false } };
+
+    const preferences = mergePreferences(stored, { GUEST_CONFIRMED: { sms: true }, SYSTEM_ALERT: { email: false } });
+
+    expect(preferences.GUEST_CONFIRMED).toEqual({ email: true, websocket: true, push: false, sms: true, chat: false });
+    expect(preferences.GUEST_DECLINED.email).toBe(false);
+    expect(preferences.SYSTEM_ALERT).toEqual({ email: false, websocket: true, push: false, sms: false, chat: false });
+  });
+
+  test('tipos que antes não tinham configuração agora podem ser habilitados', () => {
+    expect(getEnabledChannels({}, 'EVENT_UPDATED')).toEqual(['websocket']);
+    expect(getEnabledChannels({ EVENT_UPDATED: { push: true } }, 'EVENT_UPDATED')).toEqual(['websocket', 'push']);
+    expect(getEnabledChannels({}, 'GUEST_PENDING')).toEqual(['websocket']);
+    expect(getEnabledChannels({}, 'TIPO_DESCONHECIDO')).toEqual([]);
+  });
+});
+
+describe('NotificationService - tipos antes sem entrega', () => {
+  let prisma;
+  let service;
+  let websocket;
+
+  beforeEach(() => {
+    prisma = createNotificationPrisma({
+      notificationSettings: {
+        findUnique: jest.fn().mockResolvedValue({ userId: 'u-1', preferences: {} })
+      }
+    });
+    service = new NotificationService(prisma, createLogger());
+    websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('websocket', websocket);
+  });
+
+  test('convidado que desfaz a resposta gera GUEST_PENDING', async () => {
+    await service.dispatch('guest.status.changed', {
+      userId: 'u-1',
+      previousStatus: 'confirmed',
+      newStatus: 'pending',
+      guestName: 'Ana',
+      eventTitle: 'Casamento'
+    });
+
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'GUEST_PENDING', message: 'Ana voltou a ficar pendente no evento "Casamento"' })
+    });
+    expect(websocket.send).toHaveBeenCalled();
+  });
+
+  test('convidado criado como pendente não gera notificação', async () => {
+    await service.dispatch('guest.status.changed', { userId: 'u-1', previousStatus: 'pending', newStatus: 'pending' });
+
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  test('alerta de sistema do usuário é entregue pelos canais configurados', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+
+    await service.dispatch('system.alert', {
+      userId: 'u-1',
+      alertType: 'quota',
+      message: 'Limite de convites atingido',
+      severity: 'warning'
+    });
+
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: 'SYSTEM_ALERT',
+        message: 'Limite de convites atingido',
+        data: { alertType: 'quota', severity: 'warning' }
+      })
+    });
+    expect(email.send).toHaveBeenCalled();
+    expect(websocket.send).toHaveBeenCalled();
+  });
+
+  test('alerta de sistema desativado pelo usuário não é criado', async () => {
+    prisma.notificationSettings.findUnique.mockResolvedValue({
+      userId: 'u-1',
+      preferences: { SYSTEM_ALERT: { email: false, websocket: false } }
+    });
+
+    await service.dispatch('system.alert', { userId: 'u-1', message: 'Manutenção programada' });
+
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/notifications/settings', () => {
+  let settings;
+  let app;
+
+  const update = body => request(app)
+    .put('/api/notifications/settings')
+    .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+    .send(body);
+
+  beforeEach(() => {
+    settings = [{
+      id: 's-1',
+      userId: 'u-1',
+      digestFrequency: 'WEEKLY',
+      timezone: 'Europe/Lisbon',
+      preferences: { GUEST_CONFIRMED: { email: true, websocket: true } }
+    }];
+    const prisma = createInMemoryPrisma({ notificationSettings: settings }, { notificationSettings: { unique: ['userId'] } });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      next();
+    });
+    app.use('/api/notifications', notificationRoutes);
+  });
+
+  test('alteração de uma célula da matriz mantém resumo e fuso horário', async () => {
+    const { body } = await update({ preferences: { GUEST_CONFIRMED: { email: false } } }).expect(200);
+
+    expect(body).toMatchObject({ digestFrequency: 'WEEKLY', timezone: 'Europe/Lisbon' });
+    expect(body.preferences.GUEST_CONFIRMED).toMatchObject({ email: false, websocket: true });
+  });
+
+  test('campos informados são alterados', async () => {
+    const { body } = await update({ digestFrequency: 'DAILY' }).expect(200);
+
+    expect(body).toMatchObject({ digestFrequency: 'DAILY', timezone: 'Europe/Lisbon' });
+    expect(body.preferences.GUEST_CONFIRMED).toMatchObject({ email: true, websocket: true });
+  });
+});
@@ -0,0 +1,193 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const NotificationService = require('../services/NotificationService');
+const NotificationRetentionJob = require('../services/NotificationRetentionJob');
+const { router: notificationRoutes } = require('../routes/notification.routes');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+describe('NotificationService - ações em notificações', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = {
+      notification: {
+        updateMany: jest.fn().mockResolvedValue({ count: 2 }),
+        deleteMany: jest.fn().mockResolvedValue({ count: 3 })
+      }
+    };
+    service = new NotificationService(prisma, createLogger());
+  });
+
+  test('ações por IDs ficam restritas às notificações do usuário', async () => {
+    const result = await service.applyBulkAction('u-1', 'archive', { ids: ['n-1', 'n-2'] });
+
+    expect(result).toEqual({ action: 'archive', affected: 2 });
+    expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'u-1', id: { in: ['n-1', 'n-2'] }, archivedAt: null },
+      data: { archivedAt: expect.any(Date) }
+    });
+  });
+
+  test('filtro combina tipo, período, evento e estado', async () => {
+    await service.applyBulkAction('u-1', 'delete', {
+      filter: {
+        type: ['GUEST_CONFIRMED', 'GUEST_DECLINED'],
+        from: '2025-06-01T00:00:00Z',
+        to: '2025-06-30T23:59:59Z',
+        eventId: 'e-1',
+        read: true
+      }
+    });
+
+    expect(prisma.notification.deleteMany).toHaveBeenCalledWith({
+      where: {
+        userId: 'u-1',
+        type: { in: ['GUEST_CONFIRMED', 'GUEST_DECLINED'] },
+        createdAt: { gte: new Date('2025-06-01T00:00:00Z'), lte: new Date('2025-06-30T23:59:59Z') },
+        data: { path: ['eventId'], equals: 'e-1' },
+        read: true
+      }
+    });
+  });
+
+  test('marcar como não lida e como lida retorna a quantidade alterada', async () => {
+    prisma.notification.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    expect(await service.markAsUnread('n-1', 'u-1')).toBe(1);
+    expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'u-1', id: { in: ['n-1'] } },
+      data: { read: false, updatedAt: expect.any(Date) }
+    });
+    expect(await service.markAsRead('n-alheia', 'u-1')).toBe(0);
+  });
+
+  test('ação desconhecida é rejeitada', async () => {
+    await expect(service.applyBulkAction('u-1', 'purge', { ids: ['n-1'] })).rejects.toThrow('Ação inválida');
+  });
+
+  test('listagem padrão omite arquivadas', async () => {
+    prisma.notification.findMany = jest.fn().mockResolvedValue([]);
+    prisma.notification.count = jest.fn().mockResolvedValue(0);
+
+    await service.getUserNotifications('u-1', {});
+    expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'u-1', archivedAt: null }
+    }));
+
+    await service.getUserNotifications('u-1', { archived: true });
+    expect(prisma.notification.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { userId: 'u-1', archivedAt: { not: null } }
+    }));
+  });
+});
+
+describe('GET /api/notifications/stats', () => {
+  test('contagens ignoram arquivadas, informadas à parte', async () => {
+    const prisma = {
+      notification: {
+        count: jest.fn(async ({ where }) => (where.archivedAt === null ? 4 : 7)),
+        groupBy: jest.fn().mockResolvedValue([{ type: 'GUEST_CONFIRMED', _count: { type: 4 } }])
+      }
+    };
+    const app = express();
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = createLogger();
+      next();
+    });
+    app.use('/api/notifications', notificationRoutes);
+
+    const { body } = await request(app)
+      .get('/api/notifications/stats')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u-1' }, JWT_SECRET)}`)
+      .expect(200);
+
+    expect(body).toEqual({ total: 4, unread: 4, byType: { GUEST_CONFIRMED: 4 }, last7Days: 4, archived: 7 });
+    expect(prisma.notification.groupBy.mock.calls[0][0].where).toEqual({ userId: 'u-1', archivedAt: null });
+    expect(prisma.notification.count.mock.calls.map(([{ where }]) => where.archivedAt))
+      .toEqual([null, null, null, { not: null }]);
+  });
+});
+
+describe('NotificationRetentionJob', () => {
+  let store;
+  let prisma;
+  let job;
+
+  /**
+   * Prisma em memória com o necessário para a retenção
+   */
+  const createPrisma = () => {
+    const client = createInMemoryPrisma({
+      notification: store.notifications,
+      notificationDeliveryLog: store.logs,
+      notificationDeliverySummary: store.summaries
+    });
+    // SELECT ... FOR UPDATE das notificações do lote que continuam lidas
+    client.$queryRaw = jest.fn(async (sql, ids) => store.notifications
+      .filter(notification => ids.includes(notification.id) && notification.read)
+      .map(({ id }) => ({ id })));
+    return client;
+  };
+
+  beforeEach(() => {
+    const old = new Date('2025-01-10T15:00:00Z');
+    store = {
+      notifications: [
+        { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED', read: true, createdAt: old },
+        { id: 'n-2', userId: 'u-1', type: 'GUEST_CONFIRMED', read: true, createdAt: old },
+        { id: 'n-3', userId: 'u-1', type: 'GUEST_CONFIRMED', read: false, createdAt: old },
+        { id: 'n-4', userId: 'u-1', type: 'GUEST_CONFIRMED', read: true, createdAt: new Date('2025-06-20T00:00:00Z') }
+      ],
+      logs: [
+        { id: 'l-1', notificationId: 'n-1', channel: 'EMAIL', status: 'SENT', attemptedAt: old, retryCount: 0 },
+        { id: 'l-2', notificationId: 'n-1', channel: 'WEBSOCKET', status: 'FAILED', attemptedAt: old, retryCount: 0 },
+        { id: 'l-3', notificationId: 'n-2', channel: 'EMAIL', status: 'SENT', attemptedAt: old, retryCount: 2 },
+        { id: 'l-4', notificationId: 'n-3', channel: 'EMAIL', status: 'SENT', attemptedAt: old, retryCount: 0 }
+      ],
+      summaries: []
+    };
+    prisma = createPrisma();
+    job = new NotificationRetentionJob(prisma, createLogger(), { retentionDays: 90, batchSize: 1 });
+  });
+
+  test('remove apenas notificações lidas antigas e resume seus logs de entrega', async () => {
+    const purged = await job.purgeExpired(new Date('2025-07-01T00:00:00Z'));
+
+    expect(purged).toBe(2);
+    expect(store.notifications.map(n => n.id)).toEqual(['n-3', 'n-4']);
+    expect(store.logs.map(log => log.id)).toEqual(['l-4']);
+    expect(store.summaries).toEqual(expect.arrayContaining([
+      expect.objectContaining({ userId: 'u-1', day: new Date('2025-01-10T00:00:00Z'), type: 'GUEST_CONFIRMED', channel: 'EMAIL', status: 'SENT', count: 2, retries: 2 }),
+      expect.objectContaining({ channel: 'WEBSOCKET', status: 'FAILED', count: 1, retries: 0 })
+    ]));
+    expect(store.summaries).toHaveLength(2);
+  });
+
+  test('notificação marcada como não lida após a seleção não é removida nem resumida', async () => {
+    const batch = [
+      { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' },
+      { id: 'n-2', userId: 'u-1', type: 'GUEST_CONFIRMED' }
+    ];
+    store.notifications[0].read = false;
+
+    expect(await job.purgeBatch(batch)).toBe(1);
+    expect(store.notifications.map(n => n.id)).toEqual(['n-1', 'n-3', 'n-4']);
+    expect(store.logs.map(log => log.id)).toEqual(['l-1', 'l-2', 'l-4']);
+    expect(store.summaries).toEqual([expect.objectContaining({ channel: 'EMAIL', status: 'SENT', count: 1, retries: 2 })]);
+  });
+
+  test('lote já processado por outra execução é desfeito sem contar em dobro', async () => {
+    prisma.notificationDeliveryLog.deleteMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(job.purgeBatch([{ id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED' }]))
+      .rejects.toThrow('outra execução');
+    expect(prisma.notificationDeliverySummary.upsert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+
+const PasswordResetService = require('../services/PasswordResetService');
+const { router: authRoutes } = require('../routes/auth.routes');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+/**
+ * Prisma em memória com usuários e tokens de redefinição
+ */
+const createPrisma = store => createInMemoryPrisma(
+  { user: store.users, passwordResetToken: store.tokens },
+  {
+    user: {
+      relations: { config: user => (user.language ? { language: user.language } : null) }
+    },
+    passwordResetToken: {
+      idPrefix: 't',
+      unique: ['tokenHash'],
+      defaults: () => ({ usedAt: null })
+    }
+  }
+);
+
+describe('Redefinição de senha por email', () => {
+  let store;
+  let app;
+  let passwordReset;
+  let emailProvider;
+  let authSessions;
+
+  const GENERIC_MESSAGE = 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.';
+
+  // Pede o link e aguarda o processamento, que roda depois da resposta
+  const forgot = async (email) => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email });
+    await passwordReset.requestReset.mock.results.at(-1)?.value;
+    return res;
+  };
+
+  const tokenFromLastEmail = () => {
+    const [, , text] = emailProvider.sendPlainEmail.mock.calls.at(-1);
+    return decodeURIComponent(text.match(/reset-password\?token=(\S+)/)[1]);
+  };
+
+  const reset = (token, password = 'nova-senha-123') => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, password });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-07-01T12:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    store = {
+      users: [
+        { id: 'u-1', name: 'Ana', email: 'ana@exemplo.com', password: 'hash-antigo' },
+        { id: 'u-2', name: 'John', email: 'john@example.com', password: 'hash-antigo', language: 'en-US' }
+      ],
+      tokens: []
+    };
+    const prisma = createPrisma(store);
+    const logger = createLogger();
+    emailProvider = { sendPlainEmail: jest.fn().mockResolvedValue({ success: true }) };
+    authSessions = { revokeAllSessions: jest.fn().mockResolvedValue(2) };
+    passwordReset = new PasswordResetService(prisma, logger, {
+      emailProvider,
+      authSessions,
+      frontendUrl: 'https://convitecerto.online'
+    });
+    jest.spyOn(passwordReset, 'requestReset');
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.prisma = prisma;
+      req.logger = logger;
+      req.passwordReset = passwordReset;
+      next();
+    });
+    app.use('/api/auth', authRoutes);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('resposta é a mesma para email cadastrado ou não', async () => {
+    const registered = await forgot('ana@exemplo.com');
+    const unknown = await forgot('ninguem@exemplo.com');
+
+    expect(registered.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(registered.body).toEqual({ message: GENERIC_MESSAGE });
+    expect(unknown.body).toEqual(registered.body);
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledTimes(1);
+    expect(emailProvider.sendPlainEmail.mock.calls[0][0]).toBe('ana@exemplo.com');
+  });
+
+  test('link leva o token e só o hash fica salvo', async () => {
+    await forgot('ana@exemplo.com');
+
+    const [, subject, text] = emailProvider.sendPlainEmail.mock.calls[0];
+    const token = tokenFromLastEmail();
+    expect(subject).toBe('🔑 Redefinição de senha - Convite Certo');
+    expect(text).toContain('Olá, Ana!');
+    expect(text).toContain('válido por 60 minutos');
+    expect(text).toContain('https://convitecerto.online/reset-password?token=');
+    expect(store.tokens).toHaveLength(1);
+    expect(store.tokens[0].tokenHash).not.toBe(token);
+    expect(store.tokens[0].expiresAt.getTime() - Date.now()).toBe(60 * 60 * 1000);
+  });
+
+  test('email segue o idioma do usuário', async () => {
+    await forgot('john@example.com');
+
+    const [, subject, text] = emailProvider.sendPlainEmail.mock.calls[0];
+    expect(subject).toBe('🔑 Password reset - Convite Certo');
+    expect(text).toContain('Hi, John!');
+  });
+
+  test('token redefine a senha uma única vez e encerra as sessões', async () => {
+    await forgot('ana@exemplo.com');
+    const token = tokenFromLastEmail();
+
+    await reset(token).expect(200);
+
+    expect(await bcrypt.compare('nova-senha-123', store.users[0].password)).toBe(true);
+    expect(authSessions.revokeAllSessions).toHaveBeenCalledWith('u-1', 'password_reset');
+
+    const reused = await reset(token, 'outra-senha-456').expect(400);
+    expect(reused.body.code).toBe('INVALID_TOKEN');
+    expect(await bcrypt.compare('nova-senha-123', store.users[0].password)).toBe(true);
+  });
+
+  test('token expirado ou desconhecido é recusado', async () => {
+    await forgot('ana@exemplo.com');
+    const token = tokenFromLastEmail();
+
+    jest.setSystemTime(Date.now() + 61 * 60 * 1000);
+
+    expect((await reset(token).expect(400)).body.code).toBe('INVALID_TOKEN');
+    expect((await reset('token-inventado').expect(400)).body.code).toBe('INVALID_TOKEN');
+    expect(store.users[0].password).toBe('hash-antigo');
+    expect(authSessions.revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  test('nova senha segue as regras do registro', async () => {
+    await forgot('ana@exemplo.com');
+
+    const res = await reset(tokenFromLastEmail(), '123').expect(400);
+
+    expect(res.body.error).toMatch(/password/);
+    expect(store.tokens[0].usedAt).toBeNull();
+  });
+
+  test('pedidos seguidos não reenviam e um novo pedido invalida o link anterior', async () => {
+    await forgot('ana@exemplo.com');
+    const firstToken = tokenFromLastEmail();
+
+    await forgot('ana@exemplo.com');
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(Date.now() + 2 * 60 * 1000);
+    await forgot('ana@exemplo.com');
+    expect(emailProvider.sendPlainEmail).toHaveBeenCalledTimes(2);
+
+    await reset(firstToken).expect(400);
+    await reset(tokenFromLastEmail()).expect(200);
+  });
+});
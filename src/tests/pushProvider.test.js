@@ -0,0 +1,211 @@
+const http = require('http');
+const crypto = require('crypto');
+const webPush = require('web-push');
+const ece = require('http_ece');
+const PushNotificationProvider = require('../providers/PushNotificationProvider');
+const NotificationService = require('../services/NotificationService');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+const vapidKeys = webPush.generateVAPIDKeys();
+
+/**
+ * Cliente Web Push que gera a requisição real (VAPID + aes128gcm) com a
+ * biblioteca web-push, mas a entrega via HTTP ao serviço de push local
+ */
+const standInWebPush = {
+  sendNotification(subscription, payload, options) {
+    const details = webPush.generateRequestDetails(subscription, payload, options);
+
+    return new Promise((resolve, reject) => {
+      const request = http.request(details.endpoint, { method: details.method, headers: details.headers }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            reject(new webPush.WebPushError('Falha no serviço de push', res.statusCode, res.headers, '', subscription.endpoint));
+          } else {
+            resolve({ statusCode: res.statusCode });
+          }
+        });
+      });
+      request.on('error', reject);
+      request.end(details.body);
+    });
+  }
+};
+
+/**
+ * Navegador de teste: chaves de criptografia da inscrição
+ */
+const createBrowserKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  return {
+    ecdh,
+    authSecret,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: authSecret.toString('base64url')
+    }
+  };
+};
+
+/**
+ * Repositório em memória com a mesma interface do PushSubscriptionRepository
+ */
+const createSubscriptionRepository = (subscriptions) => ({
+  subscriptions,
+  pruneExpired: jest.fn(async () => 0),
+  listActive: jest.fn(async (userId) => subscriptions.filter(s => s.userId === userId)),
+  markDelivered: jest.fn(async () => {}),
+  markFailed: jest.fn(async (id) => {
+    const subscription = subscriptions.find(s => s.id === id);
+    subscription.failureCount += 1;
+    return subscription.failureCount;
+  }),
+  remove: jest.fn(async (id) => {
+    const index = subscriptions.findIndex(s => s.id === id);
+    if (index >= 0) subscriptions.splice(index, 1);
+  })
+});
+
+describe('PushNotificationProvider', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responseStatus;
+  let browser;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 201;
+    browser = createBrowserKeys();
+  });
+
+  const createProvider = (subscriptions, config = {}) => {
+    const subscriptionRepository = createSubscriptionRepository(subscriptions);
+    const provider = new PushNotificationProvider({
+      publicKey: vapidKeys.publicKey,
+      privateKey: vapidKeys.privateKey,
+      subject: 'mailto:noreply@convitecerto.online',
+      frontendUrl: 'http://localhost:3000',
+      ...config
+    }, createLogger(), { subscriptionRepository, webPush: standInWebPush });
+    return { provider, subscriptionRepository };
+  };
+
+  const subscription = (id, config = {}) => ({
+    id,
+    userId: 'u-1',
+    endpoint: `${baseUrl}/push/${id}`,
+    p256dh: browser.keys.p256dh,
+    auth: browser.keys.auth,
+    failureCount: 0,
+    ...config
+  });
+
+  const notification = {
+    id: 'n-1',
+    userId: 'u-1',
+    type: 'GUEST_CONFIRMED',
+    title: 'Convidado Confirmado',
+    message: 'Ana confirmou presença no evento "Casamento"'
+  };
+
+  test('entrega o payload criptografado com autenticação VAPID', async () => {
+    const { provider, subscriptionRepository } = createProvider([subscription('s-1')]);
+
+    const result = await provider.send(notification, { eventId: 'e-1' });
+
+    expect(result.success).toBe(true);
+    expect(received).toHaveLength(1);
+    expect(received[0].url).toBe('/push/s-1');
+    expect(received[0].headers['content-encoding']).toBe('aes128gcm');
+    expect(received[0].headers.authorization).toContain(`k=${vapidKeys.publicKey}`);
+    expect(received[0].headers.ttl).toBe(String(24 * 60 * 60));
+
+    const payload = JSON.parse(ece.decrypt(received[0].body, {
+      version: 'aes128gcm',
+      privateKey: browser.ecdh,
+      authSecret: browser.authSecret
+    }).toString());
+    expect(payload).toEqual({
+      title: 'Convidado Confirmado',
+      body: 'Ana confirmou presença no evento "Casamento"',
+      tag: 'n-1',
+      data: { notificationId: 'n-1', type: 'GUEST_CONFIRMED', url: 'http://localhost:3000/dashboard/events/e-1' }
+    });
+    expect(subscriptionRepository.markDelivered).toHaveBeenCalledWith('s-1');
+    expect(subscriptionRepository.pruneExpired).toHaveBeenCalledWith({ userId: 'u-1', maxFailures: 5 });
+  });
+
+  test('remove inscrições que o serviço de push informa como expiradas (410)', async () => {
+    responseStatus = 410;
+    const { provider, subscriptionRepository } = createProvider([subscription('s-1')]);
+
+    const result = await provider.send(notification, {});
+
+    expect(subscriptionRepository.remove).toHaveBeenCalledWith('s-1');
+    expect(subscriptionRepository.subscriptions).toHaveLength(0);
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+  });
+
+  test('falha do serviço de push é recuperável e descarta a inscrição após o limite', async () => {
+    responseStatus = 503;
+    const { provider, subscriptionRepository } = createProvider(
+      [subscription('s-1', { failureCount: 1 })],
+      { maxFailures: 3 }
+    );
+
+    const first = await provider.send(notification, {});
+    expect(first).toEqual(expect.objectContaining({ success: false, retryable: true, error: 'Serviço de push respondeu 503' }));
+    expect(subscriptionRepository.remove).not.toHaveBeenCalled();
+
+    await provider.send(notification, {});
+    expect(subscriptionRepository.remove).toHaveBeenCalledWith('s-1');
+  });
+
+  test('usuário sem inscrições tem o envio ignorado', async () => {
+    const { provider } = createProvider([]);
+
+    const result = await provider.send(notification, {});
+
+    expect(received).toHaveLength(0);
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+  });
+
+  test('resultado do push é registrado no NotificationDeliveryLog', async () => {
+    const { provider } = createProvider([subscription('s-1')]);
+    const prisma = createNotificationPrisma();
+    const service = new NotificationService(prisma, createLogger());
+    service.registerProvider('push', provider);
+
+    await service.sendNotificationThroughChannels(notification, ['push'], { eventId: 'e-1' });
+
+    expect(prisma.notificationDeliveryLog.create).toHaveBeenCalledWith({
+      data: { notificationId: 'n-1', channel: 'PUSH', status: 'PENDING' }
+    });
+    expect(prisma.notificationDeliveryLog.update).toHaveBeenCalledWith({
+      where: { id: 'log-1' },
+      data: expect.objectContaining({ status: 'SENT', errorMessage: null })
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const NotificationService = require('../services/NotificationService');
+const { createLogger, createNotificationPrisma } = require('./helpers');
+
+const createPrisma = () => createNotificationPrisma({
+  notificationDeliveryLog: {
+    create: jest.fn(async ({ data }) => ({ id: `log-${data.channel}`, ...data })),
+    update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data }))
+  }
+});
+
+describe('NotificationService - horário de silêncio', () => {
+  let prisma;
+  let service;
+
+  // 22h às 7h em São Paulo (UTC-3): 01:30 UTC = 22:30 local
+  const overnight = { quietHoursStart: 22, quietHoursEnd: 7, timezone: 'America/Sao_Paulo' };
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    service = new NotificationService(prisma, createLogger());
+  });
+
+  test('detecta janelas que cruzam a meia-noite no fuso do usuário', () => {
+    expect(service.isInQuietHours(overnight, new Date('2025-06-15T01:30:00Z'))).toBe(true); // 22:30
+    expect(service.isInQuietHours(overnight, new Date('2025-06-15T06:00:00Z'))).toBe(true); // 03:00
+    expect(service.isInQuietHours(overnight, new Date('2025-06-15T10:00:00Z'))).toBe(false); // 07:00
+    expect(service.isInQuietHours(overnight, new Date('2025-06-15T15:00:00Z'))).toBe(false); // 12:00
+  });
+
+  test('detecta janelas dentro do mesmo dia', () => {
+    const lunch = { quietHoursStart: 12, quietHoursEnd: 14, timezone: 'Europe/Madrid' };
+
+    // Madri em junho: UTC+2
+    expect(service.isInQuietHours(lunch, new Date('2025-06-15T10:30:00Z'))).toBe(true); // 12:30
+    expect(service.isInQuietHours(lunch, new Date('2025-06-15T12:00:00Z'))).toBe(false); // 14:00
+  });
+
+  test('ignora configurações incompletas', () => {
+    expect(service.isInQuietHours({ quietHoursStart: null, quietHoursEnd: 7 })).toBe(false);
+    expect(service.isInQuietHours({ quietHoursStart: 5, quietHoursEnd: 5 })).toBe(false);
+  });
+
+  test('calcula o fim da janela no fuso do usuário', () => {
+    const end = service.getQuietHoursEnd(overnight, new Date('2025-06-15T06:15:30Z')); // 03:15:30 local
+
+    expect(end.toISOString()).toBe('2025-06-15T10:00:00.000Z'); // 07:00 local
+  });
+
+  test('adia email e push mas mantém websocket imediato', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    const push = { send: jest.fn().mockResolvedValue({ success: true }) };
+    const websocket = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    service.registerProvider('push', push);
+    service.registerProvider('websocket', websocket);
+
+    const quietEnd = new Date(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(service, 'getQuietHoursEnd').mockReturnValue(quietEnd);
+
+    await service.sendNotificationThroughChannels(
+      { id: 'n-1', type: 'GUEST_CONFIRMED' },
+      ['email', 'push', 'websocket'],
+      {},
+      { settings: overnight }
+    );
+
+    expect(websocket.send).toHaveBeenCalled();
+    expect(email.send).not.toHaveBeenCalled();
+    expect(push.send).not.toHaveBeenCalled();
+    expect(prisma.notificationDeliveryLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ channel: 'EMAIL', status: 'SCHEDULED', nextAttemptAt: quietEnd })
+    });
+    expect(prisma.notificationDeliveryLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ channel: 'PUSH', status: 'SCHEDULED', nextAttemptAt: quietEnd })
+    });
+  });
+
+  test('alertas de sistema ignoram o horário de silêncio', async () => {
+    const email = { send: jest.fn().mockResolvedValue({ success: true }) };
+    service.registerProvider('email', email);
+    jest.spyOn(service, 'getQuietHoursEnd').mockReturnValue(new Date(Date.now() + 60000));
+
+    await service.sendNotificationThroughChannels(
+      { id: 'n-2', type: 'SYSTEM_ALERT' },
+      ['email'],
+      {},
+      { settings: overnight }
+    );
+
+    expect(email.send).toHaveBeenCalled();
+  });
+
+  test('entrega agendada enviada depois não conta como reenvio', async () => {
+    prisma.notification.findUnique.mockResolvedValue({ id: 'n-1', data: {} });
+    service.registerProvider('email', { send: jest.fn().mockResolvedValue({ success: true }) });
+
+    const log = await service.retryDelivery({
+      id: 'log-1', notificationId: 'n-1', channel: 'EMAIL', status: 'SCHEDULED', retryCount: 0
+    });
+
+    expect(log.status).toBe('SENT');
+    expect(log.retryCount).toBe(0);
+  });
+});
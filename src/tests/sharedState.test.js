@@ -0,0 +1,366 @@
+const EventEmitter = require('events');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const ioClient = require('socket.io-client');
+
+const JWT_SECRET = 'segredo-de-teste';
+process.env.JWT_SECRET = JWT_SECRET;
+
+const WebSocketNotificationProvider = require('../providers/WebSocketNotificationProvider');
+const { router: whatsappRoutes } = require('../routes/whatsapp.routes');
+const { MemoryStateStore, createSharedState, connectSharedState, closeSharedState } = require('../services/state');
+const { createLogger } = require('./helpers');
+
+/**
+ * Redis em memória com os comandos usados pelo RedisStateStore e pelo
+ * adapter do Socket.IO (pub/sub com mensagens em Buffer). Todos os clientes
+ * criados pela mesma instância compartilham dados e canais, como um servidor.
+ */
+function createRedisStandIn() {
+  const values = new Map(); // chave -> { value, expiresAt }
+  const sortedSets = new Map(); // chave -> Map de membro -> score
+  const subscriptions = new Set(); // { client, channel, pattern, handler }
+
+  const expired = (key) => {
+    const entry = values.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+    }
+  };
+  const parseScore = (value) => {
+    if (value === '-inf') return { score: -Infinity, exclusive: false };
+    if (value === '+inf') return { score: Infinity, exclusive: false };
+    const text = String(value);
+    return text.startsWith('(')
+      ? { score: Number(text.slice(1)), exclusive: true }
+      : { score: Number(text), exclusive: false };
+  };
+  const inRange = (score, min, max) => {
+    const lower = parseScore(min);
+    const upper = parseScore(max);
+    return (lower.exclusive ? score > lower.score : score >= lower.score)
+      && (upper.exclusive ? score < upper.score : score <= upper.score);
+  };
+
+  const commands = {
+    get: async (key) => {
+      expired(key);
+      return values.has(key) ? values.get(key).value : null;
+    },
+    set: async (key, value, options = {}) => {
+      values.set(key, { value, expiresAt: options.PX ? Date.now() + options.PX : null });
+      return 'OK';
+    },
+    del: async (key) => {
+      const existed = values.delete(key) || sortedSets.delete(key);
+      return existed ? 1 : 0;
+    },
+    zAdd: async (key, { score, value }) => {
+      if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+      sortedSets.get(key).set(value, score);
+      return 1;
+    },
+    zRem: async (key, member) => (sortedSets.get(key)?.delete(member) ? 1 : 0),
+    pExpire: async () => 1,
+    zRemRangeByScore: async (key, min, max) => {
+      const set = sortedSets.get(key);
+      if (!set) return 0;
+      let removed = 0;
+      set.forEach((score, member) => {
+        if (inRange(score, min, max)) {
+          set.delete(member);
+          removed++;
+        }
+      });
+      return removed;
+    },
+    zRangeByScore: async (key, min, max) => {
+      const set = sortedSets.get(key);
+      if (!set) return [];
+      return [...set.entries()]
+        .filter(([, score]) => inRange(score, min, max))
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member);
+    }
+  };
+
+  class StandInClient extends EventEmitter {
+    constructor() {
+      super();
+      Object.keys(commands).forEach((name) => {
+        this[name] = commands[name];
+      });
+    }
+
+    async connect() {
+      this.isOpen = true;
+    }
+
+    async quit() {
+      this.isOpen = false;
+      subscriptions.forEach((subscription) => {
+        if (subscription.client === this) subscriptions.delete(subscription);
+      });
+    }
+
+    duplicate() {
+      return new StandInClient();
+    }
+
+    multi() {
+      const queued = [];
+      const chain = {};
+      Object.keys(commands).forEach((name) => {
+        chain[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return chain;
+        };
+      });
+      chain.exec = async () => {
+        const results = [];
+        for (const command of queued) results.push(await command());
+        return results;
+      };
+      return chain;
+    }
+
+    async publish(channel, message) {
+      const payload = Buffer.from(message);
+      let receivers = 0;
+      subscriptions.forEach(({ channel: subscribed, pattern, handler }) => {
+        const matches = pattern
+          ? channel.startsWith(pattern.replace(/\*$/, ''))
+          : channel === subscribed;
+        if (!matches) return;
+        receivers++;
+        setImmediate(() => handler(payload, Buffer.from(channel)));
+      });
+      return receivers;
+    }
+
+    async subscribe(channels, handler) {
+      [].concat(channels).forEach(channel => subscriptions.add({ client: this, channel, handler }));
+    }
+
+    async pSubscribe(pattern, handler) {
+      subscriptions.add({ client: this, pattern, handler });
+    }
+
+    async unsubscribe(channel) {
+      subscriptions.forEach((subscription) => {
+        if (subscription.client === this && subscription.channel === channel) subscriptions.delete(subscription);
+      });
+    }
+
+    async pUnsubscribe(pattern) {
+      subscriptions.forEach((subscription) => {
+        if (subscription.client === this && subscription.pattern === pattern) subscriptions.delete(subscription);
+      });
+    }
+
+    // O adapter identifica clientes do pacote redis (v4) por sSubscribe
+    async sSubscribe() {}
+
+    async sendCommand([command, subcommand, channel]) {
+      if (command === 'PUBSUB' && subcommand === 'NUMSUB') {
+        const count = [...subscriptions].filter(subscription => subscription.channel === channel).length;
+        return [channel, count];
+      }
+      throw new Error(`Comando não suportado: ${command}`);
+    }
+  }
+
+  return { createClient: () => new StandInClient() };
+}
+
+/**
+ * Sobe uma instância do backend (HTTP + Socket.IO + provedor WebSocket + rotas
+ * do WhatsApp) conectada ao Redis informado
+ */
+async function startInstance(redis) {
+  const logger = createLogger();
+  const server = http.createServer();
+  const io = new Server(server);
+  const sharedState = createSharedState({ REDIS_URL: 'redis://stand-in:6379' }, logger, {
+    createClient: redis.createClient
+  });
+  await connectSharedState(sharedState, io);
+
+  const provider = new WebSocketNotificationProvider(io, logger, {
+    verifyToken: token => jwt.verify(token, JWT_SECRET),
+    stateStore: sharedState.store
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.logger = logger;
+    req.stateStore = sharedState.store;
+    next();
+  });
+  app.use('/api/whatsapp', whatsappRoutes);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    app,
+    io,
+    provider,
+    sharedState,
+    url: `http://127.0.0.1:${server.address().port}`,
+    async stop() {
+      provider.stopPresenceRefresh();
+      io.close();
+      await closeSharedState(sharedState);
+    }
+  };
+}
+
+/**
+ * Conecta um cliente Socket.IO autenticado e aguarda a confirmação
+ */
+function connectClient(url, userId) {
+  const client = ioClient(url, {
+    transports: ['websocket'],
+    forceNew: true,
+    auth: { token: jwt.sign({ id: userId }, JWT_SECRET) }
+  });
+  return new Promise((resolve, reject) => {
+    client.once('authenticated', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+}
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeoutMs) throw new Error('Tempo esgotado aguardando condição');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Duas instâncias com Redis compartilhado', () => {
+  let redis;
+  let instanceA;
+  let instanceB;
+  const clients = [];
+
+  beforeEach(async () => {
+    redis = createRedisStandIn();
+    instanceA = await startInstance(redis);
+    instanceB = await startInstance(redis);
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach(client => client.disconnect());
+    await instanceA.stop();
+    await instanceB.stop();
+  });
+
+  test('notificação enviada por uma instância chega ao socket conectado na outra', async () => {
+    const client = await connectClient(instanceA.url, 'user-1');
+    clients.push(client);
+    const received = new Promise(resolve => client.once('notification', resolve));
+
+    expect(await instanceB.provider.isUserConnected('user-1')).toBe(true);
+    const result = await instanceB.provider.send({ id: 'n-1', userId: 'user-1', type: 'GUEST_CONFIRMED', title: 'Convite Confirmado' }, {});
+
+    expect(result).toEqual(expect.objectContaining({ success: true, socketsReached: 1 }));
+    expect(await received).toEqual(expect.objectContaining({ id: 'n-1', title: 'Convite Confirmado' }));
+  });
+
+  test('estatísticas e presença refletem os sockets de todas as instâncias', async () => {
+    clients.push(await connectClient(instanceA.url, 'user-1'));
+    clients.push(await connectClient(instanceB.url, 'user-1'));
+    clients.push(await connectClient(instanceB.url, 'user-2'));
+
+    const stats = await instanceA.provider.getStats();
+    expect(stats.connectedUsers).toBe(2);
+    expect(stats.authenticatedSockets).toBe(3);
+    expect(stats.totalSockets).toBe(1);
+
+    clients[0].disconnect();
+    await waitFor(async () => (await instanceB.provider.getUserSocketIds('user-1')).length === 1);
+
+    clients[1].disconnect();
+    await waitFor(async () => !(await instanceA.provider.isUserConnected('user-1')));
+    expect(await instanceA.provider.getConnectedUsers()).toEqual(['user-2']);
+  });
+
+  test('disconnectUser encerra os sockets do usuário em qualquer instância', async () => {
+    const client = await connectClient(instanceA.url, 'user-1');
+    clients.push(client);
+    const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+
+    expect(await instanceB.provider.disconnectUser('user-1')).toBe(1);
+
+    await disconnected;
+    expect(await instanceA.provider.isUserConnected('user-1')).toBe(false);
+  });
+
+  test('QR Code recebido pelo webhook em uma instância é servido pela outra', async () => {
+    await request(instanceA.app)
+      .post('/api/whatsapp/webhook')
+      .send({ event: 'qrcode.updated', instance: 'myinstance', data: { qrcode: { base64: 'data:image/png;base64,QR' } } })
+      .expect(200);
+
+    const response = await request(instanceB.app)
+      .get('/api/whatsapp/qrcode')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'user-1' }, JWT_SECRET)}`)
+      .expect(200);
+
+    expect(response.body).toEqual({ qrcode: 'data:image/png;base64,QR' });
+  });
+});
+
+describe('Estado compartilhado com TTL', () => {
+  test.each([
+    ['memória', () => new MemoryStateStore()],
+    ['Redis', () => createSharedState({ REDIS_URL: 'redis://stand-in:6379' }, createLogger(), {
+      createClient: createRedisStandIn().createClient
+    }).store]
+  ])('valores e membros expiram (%s)', async (name, createStore) => {
+    jest.useFakeTimers({ now: new Date('2025-06-15T15:00:00Z'), doNotFake: ['setImmediate'] });
+    try {
+      const store = createStore();
+
+      await store.set('whatsapp:qr:myinstance', 'QR', 1000);
+      await store.addMember('presence:user:u-1', 'socket-1', 1000);
+      await store.addMember('presence:user:u-1', 'socket-2', 5000);
+
+      expect(await store.get('whatsapp:qr:myinstance')).toBe('QR');
+      expect(await store.getMembers('presence:user:u-1')).toEqual(['socket-1', 'socket-2']);
+
+      jest.setSystemTime(Date.now() + 1000);
+
+      expect(await store.get('whatsapp:qr:myinstance')).toBeNull();
+      expect(await store.getMembers('presence:user:u-1')).toEqual(['socket-2']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('presença de instância que caiu expira sem desconexão', async () => {
+    jest.useFakeTimers({ now: new Date('2025-06-15T15:00:00Z') });
+    try {
+      const io = new EventEmitter();
+      io.sockets = { sockets: new Map() };
+      const provider = new WebSocketNotificationProvider(io, createLogger(), {
+        stateStore: new MemoryStateStore(),
+        presenceTtlMs: 60000
+      });
+
+      await provider.addSocket('user-1', 'socket-remoto');
+      provider.stopPresenceRefresh(); // instância interrompida: a presença não é renovada
+
+      jest.setSystemTime(Date.now() + 60000);
+      expect(await provider.isUserConnected('user-1')).toBe(false);
+      expect(await provider.getConnectedUsers()).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
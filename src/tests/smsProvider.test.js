@@ -0,0 +1,221 @@
+const http = require('http');
+const SmsNotificationProvider = require('../providers/SmsNotificationProvider');
+const { HttpSmsGateway, FakeSmsGateway } = require('../providers/sms');
+const { splitSmsText, measureSmsText, normalizePhone } = require('../providers/sms/smsText');
+const GuestMessenger = require('../services/GuestMessenger');
+const { createLogger } = require('./helpers');
+
+describe('Divisão de SMS', () => {
+  test('texto curto vai em uma única mensagem; acentos fora do GSM-7 usam UCS-2', () => {
+    expect(splitSmsText('Lembrete: o evento é amanhã às 20h')).toEqual({
+      encoding: 'UCS-2',
+      parts: ['Lembrete: o evento é amanhã às 20h']
+    });
+    expect(splitSmsText('a'.repeat(160))).toEqual({ encoding: 'GSM-7', parts: ['a'.repeat(160)] });
+  });
+
+  test('caracteres da extensão GSM contam em dobro', () => {
+    expect(measureSmsText('{€}', 'GSM-7')).toBe(6);
+    expect(splitSmsText('€'.repeat(81)).parts).toHaveLength(2);
+  });
+
+  test('texto longo é dividido em partes numeradas dentro do limite da codificação', () => {
+    const words = Array.from({ length: 40 }, (_, i) => `palavra${i}`).join(' ');
+    const { encoding, parts } = splitSmsText(words);
+
+    expect(encoding).toBe('GSM-7');
+    expect(parts).toHaveLength(3);
+    parts.forEach((part, index) => {
+      expect(part.startsWith(`(${index + 1}/3) `)).toBe(true);
+      expect(measureSmsText(part, encoding)).toBeLessThanOrEqual(160);
+    });
+    // Quebra entre palavras: nenhuma palavra é cortada
+    const rejoined = parts.map(part => part.replace(/^\(\d\/\d\) /, '')).join(' ');
+    expect(rejoined).toBe(words);
+  });
+
+  test('trunca com "..." acima do máximo de partes e não quebra emojis', () => {
+    const { encoding, parts } = splitSmsText('🎉'.repeat(200), { maxParts: 2 });
+
+    expect(encoding).toBe('UCS-2');
+    expect(parts).toHaveLength(2);
+    expect(parts[1].endsWith('...')).toBe(true);
+    parts.forEach(part => {
+      expect(part.length).toBeLessThanOrEqual(70);
+      expect(part).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    });
+  });
+
+  test('normaliza telefones para E.164 (Brasil como padrão)', () => {
+    expect(normalizePhone('(11) 99999-8888')).toBe('+5511999998888');
+    expect(normalizePhone('5511999998888')).toBe('+5511999998888');
+    expect(normalizePhone('+1 415 555 0100')).toBe('+14155550100');
+    expect(normalizePhone('123')).toBeNull();
+  });
+});
+
+describe('SmsNotificationProvider', () => {
+  let gateway;
+  let smsRepository;
+  let userRepository;
+  let provider;
+
+  beforeEach(() => {
+    gateway = new FakeSmsGateway(null);
+    smsRepository = { record: jest.fn(async data => data) };
+    userRepository = { findNotificationRecipient: jest.fn() };
+    provider = new SmsNotificationProvider(
+      { costPerMessage: 0.08, currency: 'BRL' },
+      createLogger(),
+      { gateway, smsRepository, userRepository }
+    );
+  });
+
+  test('registra o custo de cada parte enviada', async () => {
+    const result = await provider.sendText('11999998888', 'x'.repeat(300), { userId: 'u-1', guestId: 'g-1' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, parts: 2 }));
+    expect(result.cost).toBeCloseTo(0.16);
+    expect(gateway.sent.map(sms => sms.to)).toEqual(['+5511999998888', '+5511999998888']);
+    expect(smsRepository.record).toHaveBeenCalledTimes(2);
+    expect(smsRepository.record).toHaveBeenCalledWith(expect.objectContaining({
+      to: '+5511999998888',
+      part: 2,
+      parts: 2,
+      encoding: 'GSM-7',
+      status: 'sent',
+      gateway: 'fake',
+      gatewayMessageId: 'fake-sms-2',
+      cost: 0.08,
+      currency: 'BRL',
+      userId: 'u-1',
+      guestId: 'g-1'
+    }));
+  });
+
+  test('usa o custo informado pelo gateway quando disponível', async () => {
+    gateway.costPerMessage = 0.12;
+
+    const result = await provider.sendText('11999998888', 'Olá');
+
+    expect(result.cost).toBe(0.12);
+  });
+
+  test('falha do gateway interrompe o envio e é registrada', async () => {
+    const error = new Error('Gateway de SMS respondeu 503');
+    error.retryable = true;
+    gateway.failNext(error);
+
+    const result = await provider.sendText('11999998888', 'Olá');
+
+    expect(result).toEqual(expect.objectContaining({ success: false, retryable: true }));
+    expect(smsRepository.record).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      errorMessage: 'Gateway de SMS respondeu 503'
+    }));
+  });
+
+  test('telefone inválido não é enviado nem reenviado', async () => {
+    const result = await provider.sendText('123', 'Olá');
+
+    expect(result).toEqual(expect.objectContaining({ success: false, retryable: false }));
+    expect(gateway.sent).toHaveLength(0);
+  });
+
+  test('notificação do organizador vai para o telefone do perfil', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({ id: 'u-1', phone: '+5511988887777' });
+
+    const result = await provider.send(
+      { id: 'n-1', userId: 'u-1', type: 'GUEST_CONFIRMED', title: 'Convite Confirmado', message: 'Ana confirmou presença' },
+      {}
+    );
+
+    expect(result.success).toBe(true);
+    expect(gateway.sent[0]).toEqual(expect.objectContaining({
+      to: '+5511988887777',
+      text: 'Convite Confirmado: Ana confirmou presença'
+    }));
+    expect(smsRepository.record).toHaveBeenCalledWith(expect.objectContaining({ notificationId: 'n-1' }));
+  });
+
+  test('organizador sem telefone tem o envio ignorado', async () => {
+    userRepository.findNotificationRecipient.mockResolvedValue({ id: 'u-1', phone: null });
+
+    const result = await provider.send({ id: 'n-1', userId: 'u-1', title: 'T', message: 'M' }, {});
+
+    expect(result).toEqual(expect.objectContaining({ success: false, skipped: true, retryable: false }));
+  });
+});
+
+describe('HttpSmsGateway', () => {
+  let server;
+  let received;
+  let response;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(response.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  const createGateway = () => new HttpSmsGateway({
+    url: `http://127.0.0.1:${server.address().port}/sms`,
+    apiKey: 'chave',
+    sender: 'ConviteCerto'
+  });
+
+  test('envia com autenticação e lê ID e custo da resposta', async () => {
+    response = { status: 200, body: { id: 'sms-1', cost: '0.0750', currency: 'USD' } };
+
+    const result = await createGateway().send({ to: '+5511999998888', text: 'Olá' });
+
+    expect(result).toEqual({ messageId: 'sms-1', cost: 0.075, currency: 'USD' });
+    expect(received[0].headers.authorization).toBe('Bearer chave');
+    expect(received[0].body).toEqual({ to: '+5511999998888', from: 'ConviteCerto', text: 'Olá' });
+  });
+
+  test('4xx não é recuperável e 5xx é', async () => {
+    response = { status: 400, body: { error: 'invalid number' } };
+    await expect(createGateway().send({ to: '+1', text: 'x' })).rejects.toMatchObject({ retryable: false });
+
+    response = { status: 503, body: {} };
+    await expect(createGateway().send({ to: '+1', text: 'x' })).rejects.toMatchObject({ retryable: true });
+  });
+});
+
+describe('GuestMessenger - SMS', () => {
+  test('convidado sem WhatsApp recebe por SMS, com custo atribuído ao organizador', async () => {
+    const prisma = { message: { create: jest.fn().mockResolvedValue({ id: 'm-1' }) } };
+    const smsProvider = { sendText: jest.fn().mockResolvedValue({ success: true, parts: 1, cost: 0.08 }) };
+    const emailProvider = { sendPlainEmail: jest.fn() };
+    const messenger = new GuestMessenger(prisma, createLogger(), { sendWhatsApp: jest.fn(), emailProvider, smsProvider });
+
+    const guest = { id: 'g-1', name: 'Ana', phone: '11999998888', email: 'ana@exemplo.com', whatsapp: false, event: { userId: 'u-1' } };
+    const result = await messenger.send(guest, { type: 'reminder', subject: 'Lembrete', text: 'Olá' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, channel: 'sms' }));
+    expect(smsProvider.sendText).toHaveBeenCalledWith('11999998888', 'Olá', { userId: 'u-1', guestId: 'g-1' });
+    expect(emailProvider.sendPlainEmail).not.toHaveBeenCalled();
+  });
+
+  test('sem provedor de SMS, convidado sem WhatsApp continua recebendo por email', () => {
+    const messenger = new GuestMessenger({}, createLogger(), { emailProvider: {} });
+
+    expect(messenger.getChannel({ phone: '11999998888', email: 'ana@exemplo.com', whatsapp: false })).toBe('email');
+  });
+});
@@ -0,0 +1,314 @@
+const http = require('http');
+const dns = require('dns');
+const crypto = require('crypto');
+const WebhookNotificationProvider = require('../providers/WebhookNotificationProvider');
+const { signWebhookPayload, generateWebhookSecret, isPrivateHost } = require('../providers/WebhookNotificationProvider');
+const NotificationService = require('../services/NotificationService');
+const { createLogger, createInMemoryPrisma } = require('./helpers');
+
+/**
+ * Prisma em memória com as operações usadas pelo provedor de webhooks
+ * (as entregas ficam expostas em prisma.deliveries)
+ */
+const createPrisma = (webhooks) => {
+  const deliveries = [];
+  const prisma = createInMemoryPrisma(
+    { webhook: webhooks, webhookDelivery: deliveries },
+    {
+      webhookDelivery: {
+        idPrefix: 'd',
+        unique: [['webhookId', 'eventKey']],
+        defaults: () => ({ attempts: 0, nextAttemptAt: null, lastAttemptAt: null }),
+        relations: { webhook: (delivery, tables) => tables.webhook.find(webhook => webhook.id === delivery.webhookId) }
+      }
+    }
+  );
+  return { ...prisma, deliveries };
+};
+
+describe('WebhookNotificationProvider', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responseStatus;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus < 300 ? 'ok' : 'erro');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+  });
+
+  const webhook = (id, config = {}) => ({
+    id,
+    userId: 'u-1',
+    url: `${baseUrl}/hooks/${id}`,
+    secret: generateWebhookSecret(),
+    events: ['guest.status.changed'],
+    active: true,
+    ...config
+  });
+
+  const createProvider = (webhooks, options = {}) => {
+    const prisma = createPrisma(webhooks);
+    const provider = new WebhookNotificationProvider(prisma, createLogger(), {
+      baseDelayMs: 1000,
+      maxAttempts: 3,
+      // O receptor de teste escuta em 127.0.0.1
+      allowPrivateUrls: true,
+      ...options
+    });
+    return { prisma, provider };
+  };
+
+  const guestConfirmed = {
+    userId: 'u-1',
+    guestId: 'g-1',
+    eventId: 'e-1',
+    newStatus: 'confirmed',
+    guestName: 'Ana',
+    idempotencyKey: 'guest.status.changed:g-1:1'
+  };
+
+  test('entrega o evento assinado com HMAC-SHA256 verificável pelo receptor', async () => {
+    const hook = webhook('w-1');
+    const { provider, prisma } = createProvider([hook]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('guest.status.changed');
+    expect(headers['x-webhook-delivery']).toBe('d-1');
+
+    const [t, v1] = headers['x-webhook-signature'].split(',').map(part => part.split('=')[1]);
+    const expected = crypto.createHmac('sha256', hook.secret).update(`${t}.${body}`).digest('hex');
+    expect(v1).toBe(expected);
+    expect(Math.abs(Date.now() / 1000 - Number(t))).toBeLessThan(5);
+
+    const { idempotencyKey, ...data } = guestConfirmed;
+    expect(JSON.parse(body)).toEqual(expect.objectContaining({ id: 'd-1', event: 'guest.status.changed', data }));
+    expect(prisma.deliveries[0]).toEqual(expect.objectContaining({
+      status: 'SUCCEEDED',
+      attempts: 1,
+      responseStatus: 200,
+      responseBody: 'ok',
+      errorMessage: null
+    }));
+  });
+
+  test('entrega apenas para webhooks ativos do organizador inscritos no evento', async () => {
+    const { provider, prisma } = createProvider([
+      webhook('w-1'),
+      webhook('w-2', { events: ['event.updated'] }),
+      webhook('w-3', { active: false }),
+      webhook('w-4', { userId: 'u-2' })
+    ]);
+
+    const created = await provider.handleEvent('guest.status.changed', guestConfirmed);
+
+    expect(created).toBe(1);
+    expect(prisma.deliveries.map(d => d.webhookId)).toEqual(['w-1']);
+    await provider.runOnce();
+    expect(received.map(r => r.url)).toEqual(['/hooks/w-1']);
+  });
+
+  test('eventos internos por convidado não são repassados', async () => {
+    const { provider, prisma } = createProvider([webhook('w-1', { events: ['event.updated'] })]);
+
+    await provider.handleEvent('event.updated.guest', { userId: 'u-1', guestId: 'g-1' });
+
+    expect(prisma.webhook.findMany).not.toHaveBeenCalled();
+  });
+
+  test('reprocessamento do outbox não duplica a entrega', async () => {
+    const { provider, prisma } = createProvider([webhook('w-1')]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    const created = await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    expect(created).toBe(0);
+    expect(prisma.deliveries).toHaveLength(1);
+    expect(received).toHaveLength(1);
+  });
+
+  test('falha agenda nova tentativa com backoff e vai para dead-letter no limite', async () => {
+    responseStatus = 503;
+    const { provider, prisma } = createProvider([webhook('w-1')]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    const delivery = prisma.deliveries[0];
+    expect(delivery).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      attempts: 1,
+      responseStatus: 503,
+      errorMessage: 'Endpoint respondeu 503'
+    }));
+    expect(delivery.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(900);
+
+    // Segunda tentativa: backoff dobra
+    delivery.nextAttemptAt = new Date();
+    await provider.runOnce();
+    expect(delivery.attempts).toBe(2);
+    expect(delivery.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(1900);
+
+    delivery.nextAttemptAt = new Date();
+    await provider.runOnce();
+    expect(delivery).toEqual(expect.objectContaining({ status: 'DEAD_LETTER', attempts: 3, nextAttemptAt: null }));
+    expect(received).toHaveLength(3);
+    // Todas as tentativas usam o mesmo ID de entrega
+    expect(new Set(received.map(r => r.headers['x-webhook-delivery'])).size).toBe(1);
+  });
+
+  test('erro de rede é registrado e reenviado', async () => {
+    const { provider, prisma } = createProvider([webhook('w-1', { url: 'http://127.0.0.1:1/hooks' })]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    expect(prisma.deliveries[0]).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      responseStatus: null,
+      errorMessage: expect.stringContaining('ECONNREFUSED')
+    }));
+  });
+
+  test('entrega já reservada por outra instância não é enviada de novo', async () => {
+    const { provider, prisma } = createProvider([webhook('w-1')]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+    const [delivery] = prisma.deliveries;
+
+    expect(await provider.claim({ ...delivery, status: 'PENDING', attempts: 0 })).toBe(false);
+  });
+
+  test('ping de teste é entregue na hora e falha sem reenvio', async () => {
+    const hook = webhook('w-1', { active: false });
+    const { provider } = createProvider([hook]);
+
+    const success = await provider.sendTestPing(hook);
+    expect(success).toEqual(expect.objectContaining({ eventType: 'ping', status: 'SUCCEEDED', responseStatus: 200 }));
+    expect(JSON.parse(received[0].body).data).toEqual({ webhookId: 'w-1', events: ['guest.status.changed'] });
+
+    responseStatus = 404;
+    const failure = await provider.sendTestPing(hook);
+    expect(failure).toEqual(expect.objectContaining({ status: 'FAILED', responseStatus: 404, nextAttemptAt: null }));
+  });
+
+  test('redirecionamento não é seguido nem tem o corpo guardado', async () => {
+    responseStatus = 302;
+    const { provider, prisma } = createProvider([webhook('w-1')]);
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    expect(prisma.deliveries[0]).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      responseStatus: 302,
+      responseBody: null
+    }));
+  });
+
+  test('URL da rede interna é recusada na entrega sem enviar a requisição', async () => {
+    const { provider, prisma } = createProvider([webhook('w-1')], { allowPrivateUrls: false });
+
+    await provider.handleEvent('guest.status.changed', guestConfirmed);
+    await provider.runOnce();
+
+    expect(received).toHaveLength(0);
+    expect(prisma.deliveries[0]).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      responseStatus: null,
+      responseBody: null,
+      errorMessage: expect.stringContaining('rede interna')
+    }));
+  });
+
+  test('host cujo DNS resolve para a rede interna é recusado na conexão', async () => {
+    const port = server.address().port;
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      if (options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      callback(null, '127.0.0.1', 4);
+    });
+    const { provider, prisma } = createProvider(
+      [webhook('w-1', { url: `http://hooks.exemplo.com.br:${port}/hooks` })],
+      { allowPrivateUrls: false }
+    );
+
+    try {
+      await provider.handleEvent('guest.status.changed', guestConfirmed);
+      await provider.runOnce();
+    } finally {
+      lookup.mockRestore();
+    }
+
+    expect(received).toHaveLength(0);
+    expect(prisma.deliveries[0]).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      responseBody: null,
+      errorMessage: 'Host hooks.exemplo.com.br resolve para endereço da rede interna (127.0.0.1)'
+    }));
+  });
+
+  test('hosts locais, sem domínio ou de faixas privadas são considerados internos', () => {
+    ['localhost', 'api', 'redis', 'postgres', 'LOCALHOST.', 'app.localhost', 'db.internal',
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.10', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '[::1]', '[fd00::1]', '[::ffff:127.0.0.1]'].forEach((host) => {
+      expect(isPrivateHost(host)).toBe(true);
+    });
+    ['hooks.exemplo.com.br', 'api.crm.com', '8.8.8.8', '172.32.0.1', '[2001:4860:4860::8888]'].forEach((host) => {
+      expect(isPrivateHost(host)).toBe(false);
+    });
+  });
+
+  test('assinatura segue o formato t=<timestamp>,v1=<hex>', () => {
+    expect(signWebhookPayload('segredo', 1700000000, '{}')).toBe(
+      `t=1700000000,v1=${crypto.createHmac('sha256', 'segredo').update('1700000000.{}').digest('hex')}`
+    );
+  });
+});
+
+describe('NotificationService - repasse de eventos', () => {
+  test('dispatch repassa o evento aos provedores com handleEvent após o handler', async () => {
+    const service = new NotificationService({}, createLogger());
+    const calls = [];
+    service.handleGuestStatusChanged = jest.fn(async () => calls.push('handler'));
+    const webhookProvider = { handleEvent: jest.fn(async () => calls.push('webhook')) };
+    service.registerProvider('email', { send: jest.fn() });
+    service.registerProvider('webhook', webhookProvider);
+
+    await service.dispatch('guest.status.changed', { userId: 'u-1', idempotencyKey: 'k-1' });
+
+    expect(calls).toEqual(['handler', 'webhook']);
+    expect(webhookProvider.handleEvent).toHaveBeenCalledWith('guest.status.changed', { userId: 'u-1', idempotencyKey: 'k-1' });
+  });
+
+  test('falha ao agendar webhooks é propagada para o outbox tentar novamente', async () => {
+    const service = new NotificationService({}, createLogger());
+    service.handleGuestStatusChanged = jest.fn();
+    service.registerProvider('webhook', { handleEvent: jest.fn().mockRejectedValue(new Error('db indisponível')) });
+
+    await expect(service.dispatch('guest.status.changed', { userId: 'u-1' })).rejects.toThrow('db indisponível');
+  });
+});
@@ -0,0 +1,350 @@
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const WebSocketNotificationProvider = require('../providers/WebSocketNotificationProvider');
+const { createLogger } = require('./helpers');
+
+const JWT_SECRET = 'segredo-de-teste';
+
+/**
+ * Cria um socket falso com a mesma interface usada pelo provedor
+ */
+function createMockSocket(id, auth = {}) {
+  const socket = new EventEmitter();
+  socket.id = id;
+  socket.handshake = { auth };
+  socket.emitted = [];
+  socket.emit = jest.fn((event, payload) => {
+    socket.emitted.push({ event, payload });
+  });
+  socket.disconnect = jest.fn(() => {
+    socket.connected = false;
+    EventEmitter.prototype.emit.call(socket, 'disconnect');
+  });
+  socket.rooms = new Set([id]);
+  socket.join = jest.fn((room) => socket.rooms.add(room));
+  socket.leave = jest.fn((room) => socket.rooms.delete(room));
+  socket.connected = true;
+  return socket;
+}
+
+/**
+ * Cria um servidor Socket.IO falso que permite simular conexões
+ */
+function createMockIo() {
+  const io = new EventEmitter();
+  io.sockets = { sockets: new Map() };
+  io.connect = (socket) => {
+    // socket.to(room): emite para os demais sockets da sala
+    socket.to = (room) => ({
+      emit: (event, payload) => {
+        io.sockets.sockets.forEach((other) => {
+          if (other !== socket && other.rooms.has(room)) other.emit(event, payload);
+        });
+      }
+    });
+    io.sockets.sockets.set(socket.id, socket);
+    EventEmitter.prototype.emit.call(io, 'connection', socket);
+  };
+  io.drop = (socket) => {
+    io.sockets.sockets.delete(socket.id);
+    EventEmitter.prototype.emit.call(socket, 'disconnect');
+  };
+  // Desconecta todos os sockets da sala
+  io.in = jest.fn((room) => ({
+    disconnectSockets: (close) => {
+      io.sockets.sockets.forEach((socket) => {
+        if (socket.rooms.has(room)) socket.disconnect(close);
+      });
+    }
+  }));
+  // Emite para todos os sockets que entraram na sala
+  io.to = jest.fn((room) => ({
+    emit: (event, payload) => {
+      io.sockets.sockets.forEach((socket) => {
+        if (socket.rooms.has(room)) socket.emit(event, payload);
+      });
+    }
+  }));
+  return io;
+}
+
+describe('WebSocketNotificationProvider - autenticação', () => {
+  let io;
+  let provider;
+  const logger = createLogger();
+  const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    io = createMockIo();
+    provider = new WebSocketNotificationProvider(io, logger, {
+      verifyToken,
+      authTimeoutMs: 1000
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('vincula o socket ao ID do token, ignorando o userId enviado', async () => {
+    const socket = createMockSocket('socket-1');
+    io.connect(socket);
+
+    const token = jwt.sign({ id: 'user-real' }, JWT_SECRET);
+    EventEmitter.prototype.emit.call(socket, 'authenticate', { userId: 'outro-usuario', token });
+
+    expect(socket.userId).toBe('user-real');
+    expect(await provider.isUserConnected('user-real')).toBe(true);
+    expect(await provider.isUserConnected('outro-usuario')).toBe(false);
+    expect(socket.emit).toHaveBeenCalledWith('authenticated', { success: true, userId: 'user-real' });
+  });
+
+  test('autentica pelo token enviado no handshake', async () => {
+    const token = jwt.sign({ id: 'user-handshake' }, JWT_SECRET);
+    const socket = createMockSocket('socket-2', { token: `Bearer ${token}` });
+    io.connect(socket);
+
+    expect(socket.userId).toBe('user-handshake');
+    expect(await provider.isUserConnected('user-handshake')).toBe(true);
+  });
+
+  test('rejeita e desconecta socket com token inválido', async () => {
+    const socket = createMockSocket('socket-3');
+    io.connect(socket);
+
+    EventEmitter.prototype.emit.call(socket, 'authenticate', { userId: 'user-x', token: 'token-falso' });
+
+    expect(socket.userId).toBeUndefined();
+    expect(socket.emit).toHaveBeenCalledWith('auth_error', expect.objectContaining({
+      success: false,
+      code: 'INVALID_TOKEN'
+    }));
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(await provider.getConnectedUsers()).toHaveLength(0);
+  });
+
+  test('desconecta socket que não se autentica dentro do prazo', () => {
+    const socket = createMockSocket('socket-4');
+    io.connect(socket);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(socket.emit).toHaveBeenCalledWith('auth_error', expect.objectContaining({
+      code: 'AUTH_TIMEOUT'
+    }));
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+  });
+
+  test('não desconecta socket autenticado quando o prazo expira', async () => {
+    const token = jwt.sign({ id: 'user-ok' }, JWT_SECRET);
+    const socket = createMockSocket('socket-5', { token });
+    io.connect(socket);
+
+    jest.advanceTimersByTime(5000);
+
+    expect(socket.disconnect).not.toHaveBeenCalled();
+    expect(await provider.isUserConnected('user-ok')).toBe(true);
+  });
+
+  test('ignora mark_notification_read de socket não autenticado', () => {
+    const socket = createMockSocket('socket-6');
+    io.connect(socket);
+
+    EventEmitter.prototype.emit.call(socket, 'mark_notification_read', { notificationId: 'n-1' });
+
+    expect(socket.emit).not.toHaveBeenCalledWith('notification_marked_read', expect.anything());
+    expect(socket.emit).toHaveBeenCalledWith('auth_error', expect.objectContaining({
+      code: 'UNAUTHENTICATED'
+    }));
+  });
+});
+
+describe('WebSocketNotificationProvider - sessões de login', () => {
+  let io;
+  let provider;
+  let authSessions;
+  const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+  const tokenFor = sid => jwt.sign({ id: 'user-1', sid }, JWT_SECRET);
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    io = createMockIo();
+    authSessions = { isSessionActive: jest.fn(async sid => sid !== 'sessao-encerrada') };
+    provider = new WebSocketNotificationProvider(io, createLogger(), { verifyToken, authSessions, authTimeoutMs: 1000 });
+  });
+
+  test('token de sessão encerrada não autentica o socket', async () => {
+    const socket = createMockSocket('socket-1', { token: tokenFor('sessao-encerrada') });
+    io.connect(socket);
+    await flush();
+
+    expect(authSessions.isSessionActive).toHaveBeenCalledWith('sessao-encerrada', 'user-1');
+    expect(socket.userId).toBeUndefined();
+    expect(socket.emit).toHaveBeenCalledWith('auth_error', expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(await provider.isUserConnected('user-1')).toBe(false);
+  });
+
+  test('disconnectSession encerra apenas os sockets da sessão', async () => {
+    const phone = createMockSocket('socket-phone', { token: tokenFor('sessao-celular') });
+    const laptop = createMockSocket('socket-laptop', { token: tokenFor('sessao-notebook') });
+    io.connect(phone);
+    io.connect(laptop);
+    await flush();
+    expect(phone.sessionId).toBe('sessao-celular');
+
+    provider.disconnectSession('sessao-celular');
+    await flush();
+
+    expect(phone.disconnect).toHaveBeenCalledWith(true);
+    expect(laptop.disconnect).not.toHaveBeenCalled();
+    expect(await provider.getUserSocketIds('user-1')).toEqual(['socket-laptop']);
+  });
+
+  test('token renovado do mesmo usuário troca a sala de sessão do socket', async () => {
+    const socket = createMockSocket('socket-1', { token: tokenFor('sessao-antiga') });
+    io.connect(socket);
+    await flush();
+
+    EventEmitter.prototype.emit.call(socket, 'authenticate', { token: tokenFor('sessao-nova') });
+    await flush();
+
+    expect(socket.disconnect).not.toHaveBeenCalled();
+    expect(socket.sessionId).toBe('sessao-nova');
+    expect(socket.rooms.has(provider.getSessionRoom('sessao-antiga'))).toBe(false);
+    expect(await provider.getUserSocketIds('user-1')).toEqual(['socket-1']);
+  });
+
+  test('reautenticação como outro usuário é rejeitada e remove a presença anterior', async () => {
+    const socket = createMockSocket('socket-1', { token: tokenFor('sessao-1') });
+    io.connect(socket);
+    await flush();
+
+    EventEmitter.prototype.emit.call(socket, 'authenticate', { token: jwt.sign({ id: 'user-2', sid: 'sessao-2' }, JWT_SECRET) });
+    await flush();
+
+    expect(socket.emit).toHaveBeenCalledWith('auth_error', expect.objectContaining({ code: 'USER_MISMATCH' }));
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(socket.rooms.has(provider.getUserRoom('user-2'))).toBe(false);
+    expect(await provider.isUserConnected('user-1')).toBe(false);
+    expect(await provider.isUserConnected('user-2')).toBe(false);
+  });
+});
+
+describe('WebSocketNotificationProvider - múltiplos sockets por usuário', () => {
+  let io;
+  let provider;
+  const logger = createLogger();
+  const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+  const connectAs = (socketId, userId) => {
+    const socket = createMockSocket(socketId, { token: jwt.sign({ id: userId }, JWT_SECRET) });
+    io.connect(socket);
+    return socket;
+  };
+
+  beforeEach(() => {
+    io = createMockIo();
+    provider = new WebSocketNotificationProvider(io, logger, { verifyToken, authTimeoutMs: 1000 });
+  });
+
+  test('entrega a notificação em todos os sockets do usuário', async () => {
+    const laptop = connectAs('laptop', 'user-1');
+    const phone = connectAs('phone', 'user-1');
+    const other = connectAs('other', 'user-2');
+
+    const result = await provider.send({ id: 'n-1', userId: 'user-1', type: 'GUEST_CONFIRMED' }, {});
+
+    expect(result.success).toBe(true);
+    expect(result.socketsReached).toBe(2);
+    expect(laptop.emit).toHaveBeenCalledWith('notification', expect.objectContaining({ id: 'n-1' }));
+    expect(phone.emit).toHaveBeenCalledWith('notification', expect.objectContaining({ id: 'n-1' }));
+    expect(other.emit).not.toHaveBeenCalledWith('notification', expect.anything());
+  });
+
+  test('desconectar um dispositivo mantém os demais', async () => {
+    const laptop = connectAs('laptop', 'user-1');
+    connectAs('phone', 'user-1');
+
+    io.drop(laptop);
+
+    expect(await provider.isUserConnected('user-1')).toBe(true);
+    const result = await provider.send({ id: 'n-2', userId: 'user-1' }, {});
+    expect(result.socketsReached).toBe(1);
+  });
+
+  test('disconnectUser encerra todos os sockets e getStats reflete as conexões', async () => {
+    const laptop = connectAs('laptop', 'user-1');
+    const phone = connectAs('phone', 'user-1');
+    connectAs('other', 'user-2');
+
+    expect(await provider.getStats()).toEqual(expect.objectContaining({
+      connectedUsers: 2,
+      authenticatedSockets: 3,
+      userSocketMap: { 'user-1': ['laptop', 'phone'], 'user-2': ['other'] }
+    }));
+
+    expect(await provider.disconnectUser('user-1')).toBe(2);
+    expect(laptop.disconnect).toHaveBeenCalledWith(true);
+    expect(phone.disconnect).toHaveBeenCalledWith(true);
+    expect(await provider.isUserConnected('user-1')).toBe(false);
+    expect(await provider.getConnectedUsers()).toEqual(['user-2']);
+  });
+
+  test('broadcast informa quantos sockets foram alcançados por usuário', async () => {
+    connectAs('laptop', 'user-1');
+    connectAs('phone', 'user-1');
+
+    const results = await provider.broadcast(['user-1', 'user-3'], { id: 'n-3' });
+
+    expect(results).toEqual([
+      expect.objectContaining({ userId: 'user-1', success: true, socketsReached: 2 }),
+      expect.objectContaining({ userId: 'user-3', success: false, socketsReached: 0 })
+    ]);
+  });
+});
+
+describe('WebSocketNotificationProvider - leitura de notificações', () => {
+  let io;
+  let provider;
+  let notificationService;
+  const logger = createLogger();
+  const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+  const connectAs = (socketId, userId) => {
+    const socket = createMockSocket(socketId, { token: jwt.sign({ id: userId }, JWT_SECRET) });
+    io.connect(socket);
+    return socket;
+  };
+
+  beforeEach(() => {
+    io = createMockIo();
+    notificationService = { markAsRead: jest.fn().mockResolvedValue(1) };
+    provider = new WebSocketNotificationProvider(io, logger, { verifyToken, authTimeoutMs: 1000, notificationService });
+  });
+
+  test('persiste a leitura e avisa os demais sockets do usuário', async () => {
+    const laptop = connectAs('laptop', 'user-1');
+    const phone = connectAs('phone', 'user-1');
+    const other = connectAs('other', 'user-2');
+
+    await provider.markNotificationRead(laptop, 'n-1');
+
+    expect(notificationService.markAsRead).toHaveBeenCalledWith('n-1', 'user-1');
+    expect(laptop.emit).toHaveBeenCalledWith('notification_marked_read', { notificationId: 'n-1', read: true });
+    expect(phone.emit).toHaveBeenCalledWith('notification_marked_read', { notificationId: 'n-1', read: true });
+    expect(other.emit).not.toHaveBeenCalledWith('notification_marked_read', expect.anything());
+  });
+
+  test('notificação de outro usuário não é marcada nem repassada', async () => {
+    notificationService.markAsRead.mockResolvedValue(0);
+    const laptop = connectAs('laptop', 'user-1');
+    const phone = connectAs('phone', 'user-1');
+
+    await provider.markNotificationRead(laptop, 'n-alheia');
+
+    expect(laptop.emit).toHaveBeenCalledWith('notification_error', { code: 'NOT_FOUND', notificationId: 'n-alheia' });
+    expect(phone.emit).not.toHaveBeenCalledWith('notification_marked_read', expect.anything());
+  });
+});